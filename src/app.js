@@ -64,7 +64,7 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-client-type']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-client-type', 'X-Kiosk-Key']
 };
 
 app.use(cors(corsOptions));
@@ -163,6 +163,23 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Llaves públicas para verificar JWT (app móvil y otros servicios)
+app.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    const { getJwks } = require('./utils/keyManager');
+    
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+  } catch (error) {
+    console.error('❌ Error publicando JWKS:', error.message);
+    res.status(503).json({
+      error: 'Llaves no disponibles',
+      message: 'Las llaves de firma aún no están cargadas',
+      code: 'JWKS_UNAVAILABLE'
+    });
+  }
+});
+
 // Ruta para verificar conexión a base de datos
 app.get('/api/db-status', async (req, res) => {
   try {
@@ -233,11 +250,29 @@ app.get('/api/auth-status', (req, res) => {
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const clientRoutes = require('./routes/clients');
+const auditRoutes = require('./routes/audit');
+const roleRoutes = require('./routes/roles');
+const membershipRoutes = require('./routes/memberships');
+const paymentRoutes = require('./routes/payments');
+const guestRoutes = require('./routes/guests');
+const kioskRoutes = require('./routes/kiosks');
+const occupancyRoutes = require('./routes/occupancy');
+const analyticsRoutes = require('./routes/analytics');
+const gamificationRoutes = require('./routes/gamification');
 
 // Aplicar rutas con sus prefijos
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/clients', clientRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/guests', guestRoutes);
+app.use('/api/kiosks', kioskRoutes);
+app.use('/api/occupancy', occupancyRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/gamification', gamificationRoutes);
 
 // Ruta raíz con información del sistema actualizada
 app.get('/', (req, res) => {
@@ -261,7 +296,16 @@ app.get('/', (req, res) => {
       authStatus: '/api/auth-status',
       authentication: '/api/auth',
       users: '/api/users',
-      clients: '/api/clients'
+      clients: '/api/clients',
+      audit: '/api/audit',
+      roles: '/api/roles',
+      memberships: '/api/memberships',
+      payments: '/api/payments',
+      guests: '/api/guests',
+      kiosks: '/api/kiosks',
+      occupancy: '/api/occupancy',
+      analytics: '/api/analytics',
+      gamification: '/api/gamification'
     },
     authentication: {
       jwt: 'Configurado y funcionando',
@@ -289,7 +333,43 @@ app.get('/', (req, res) => {
         self: 'GET /api/clients/me, PUT /api/clients/me',
         preferences: 'PUT /api/clients/:id/preferences',
         gamification: 'POST /api/clients/:id/checkin, POST /api/clients/:id/points',
-        social: 'GET /api/clients/leaderboard, GET /api/clients/search'
+        checkins: 'GET /api/clients/me/checkins, GET /api/clients/:id/checkins',
+        checkinCode: 'GET /api/clients/me/checkin-code',
+        checkout: 'POST /api/clients/:id/checkout',
+        achievements: 'GET /api/clients/me/achievements',
+        points: 'GET /api/clients/me/points/history, GET /api/clients/:id/points/history, POST /api/clients/:id/points/transactions/:transactionId/reverse',
+        social: 'GET /api/clients/leaderboard, GET /api/clients/search',
+        memberships: 'GET /api/clients/me/membership, GET|POST /api/clients/:id/memberships',
+        payments: 'GET /api/clients/me/payments, GET|POST /api/clients/:id/payments'
+      },
+      memberships: {
+        plans: 'GET|POST /api/memberships/plans, PUT|DELETE /api/memberships/plans/:id',
+        status: 'POST /api/memberships/:id/freeze, /unfreeze, /cancel'
+      },
+      payments: {
+        receipts: 'GET /api/payments/:id',
+        corrections: 'POST /api/payments/:id/void, POST /api/payments/:id/refund'
+      },
+      guests: {
+        management: 'GET|POST /api/guests, GET /api/guests/:id, POST /api/guests/:id/convert',
+        passes: 'POST /api/guests/:id/passes, POST /api/guests/passes/:passId/checkin|cancel',
+        self: 'GET /api/clients/me/guest-passes'
+      },
+      kiosks: {
+        checkin: 'POST /api/kiosks/checkin, POST /api/kiosks/checkout (X-Kiosk-Key)',
+        management: 'GET|POST /api/kiosks, POST /api/kiosks/:id/rotate-key, DELETE /api/kiosks/:id'
+      },
+      occupancy: {
+        current: 'GET /api/occupancy',
+        streamToken: 'POST /api/occupancy/stream-token',
+        live: 'GET /api/occupancy/stream (Server-Sent Events, headers o ?token=)'
+      },
+      analytics: {
+        attendance: 'GET /api/analytics/attendance?from=&to='
+      },
+      gamification: {
+        levels: 'GET|PUT /api/gamification/levels',
+        rules: 'GET /api/gamification/rules, PUT /api/gamification/rules/:eventType'
       }
     },
     nextPhase: 'Sub-fase 2.4 - Documentación APIs y Optimizaciones'
@@ -309,7 +389,16 @@ app.use('*', (req, res) => {
       system: ['/', '/health', '/api/db-status', '/api/auth-status'],
       auth: ['/api/auth', '/api/auth/login/client', '/api/auth/login/admin', '/api/auth/register'],
       users: ['/api/users', '/api/users/me', '/api/users/stats'],
-      clients: ['/api/clients', '/api/clients/me', '/api/clients/leaderboard']
+      clients: ['/api/clients', '/api/clients/me', '/api/clients/leaderboard'],
+      audit: ['/api/audit'],
+      roles: ['/api/roles', '/api/roles/permissions'],
+      memberships: ['/api/memberships/plans'],
+      payments: ['/api/payments/:id'],
+      guests: ['/api/guests'],
+      kiosks: ['/api/kiosks/checkin'],
+      occupancy: ['/api/occupancy', '/api/occupancy/stream-token', '/api/occupancy/stream'],
+      analytics: ['/api/analytics/attendance'],
+      gamification: ['/api/gamification/levels', '/api/gamification/rules']
     },
     phase: 'Sub-fase 2.3 - Sistema completo de APIs disponible'
   });
@@ -27,11 +27,13 @@ const {
   getPassportConfig, 
   processGoogleProfile, 
   processFacebookProfile,
-  findOrCreateOAuthClient,
+  resolveOAuthClient,
   isOAuthAvailable 
 } = require('../utils/oauth');
 
-const { verifyToken, JWT_CONFIG } = require('../utils/jwt');
+const { verifyToken, isTokenRevoked, resolveTokenKey, JWT_CONFIG } = require('../utils/jwt');
+const { buildSuspendedError } = require('../utils/clientStatus');
+const { SUPPORTED_ALGORITHMS } = require('../utils/keyManager');
 
 /**
  * Configurar serialización de usuarios para sesiones
@@ -71,7 +73,15 @@ passport.deserializeUser(async (serializedUser, done) => {
  */
 passport.use('jwt', new JwtStrategy({
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: JWT_CONFIG.secret,
+  // La llave se elige por el kid del token (soporta rotación de llaves) y solo
+  // se entrega si el alg del token es el de esa llave: la verificación queda
+  // fijada a [entry.algorithm] aunque la lista general admita varios
+  secretOrKeyProvider: (req, rawJwtToken, done) => {
+    resolveTokenKey(rawJwtToken)
+      .then(entry => entry ? done(null, entry.key) : done(new Error('Llave de firma desconocida o algoritmo no permitido')))
+      .catch(error => done(error));
+  },
+  algorithms: SUPPORTED_ALGORITHMS,
   issuer: JWT_CONFIG.issuer,
   audience: JWT_CONFIG.audience,
   ignoreExpiration: false,
@@ -81,6 +91,11 @@ passport.use('jwt', new JwtStrategy({
     const { User, Client } = require('../models');
     let user = null;
     
+    // Rechazar tokens revocados (logout) aunque la firma siga siendo válida
+    if (await isTokenRevoked(payload)) {
+      return done(null, false, { message: 'Token revocado' });
+    }
+    
     // Buscar usuario según el tipo
     if (payload.type === 'user') {
       user = await User.findByPk(payload.id);
@@ -94,6 +109,11 @@ passport.use('jwt', new JwtStrategy({
       return done(null, false, { message: 'Usuario no encontrado o inactivo' });
     }
     
+    // Un miembro suspendido no puede seguir usando tokens emitidos antes
+    if (payload.type === 'client' && user.isSuspended()) {
+      return done(null, false, { message: 'Cuenta suspendida', code: 'CLIENT_SUSPENDED' });
+    }
+    
     // Actualizar último login si es necesario
     const now = new Date();
     const timeSinceLastLogin = user.lastLogin ? now - user.lastLogin : Infinity;
@@ -158,6 +178,11 @@ passport.use('local-client', new LocalStrategy({
     // Login exitoso - resetear intentos fallidos
     await client.resetLoginAttempts();
     
+    // Credenciales correctas, pero la membresía está suspendida
+    if (client.isSuspended()) {
+      return done(null, false, buildSuspendedError(client));
+    }
+    
     console.log(`✅ Login local exitoso: ${client.email}`);
     return done(null, client);
     
@@ -232,8 +257,8 @@ if (isOAuthAvailable().google) {
       // Procesar perfil de Google
       const processedProfile = processGoogleProfile(profile);
       
-      // Encontrar o crear cliente
-      const client = await findOrCreateOAuthClient(processedProfile, 'google');
+      // Vincular a la cuenta autenticada (state firmado) o encontrar/crear cliente
+      const client = await resolveOAuthClient(req, processedProfile, 'google');
       
       // Agregar información OAuth al cliente
       client.oauthProfile = processedProfile;
@@ -264,8 +289,8 @@ if (isOAuthAvailable().facebook) {
       // Procesar perfil de Facebook
       const processedProfile = processFacebookProfile(profile);
       
-      // Encontrar o crear cliente
-      const client = await findOrCreateOAuthClient(processedProfile, 'facebook');
+      // Vincular a la cuenta autenticada (state firmado) o encontrar/crear cliente
+      const client = await resolveOAuthClient(req, processedProfile, 'facebook');
       
       // Agregar información OAuth al cliente
       client.oauthProfile = processedProfile;
@@ -342,6 +367,14 @@ const requireJWT = (req, res, next) => {
     }
     
     if (!user) {
+      if (info?.code === 'CLIENT_SUSPENDED') {
+        return res.status(403).json({
+          error: 'Cuenta suspendida',
+          message: 'Tu membresía está suspendida, comunícate con recepción',
+          code: 'CLIENT_SUSPENDED'
+        });
+      }
+      
       return res.status(401).json({
         error: 'Token de autenticación requerido',
         message: info?.message || 'No autorizado',
@@ -387,6 +420,7 @@ module.exports = {
  * ✅ Estrategia Facebook Login configurada
  * ✅ Serialización/deserialización de usuarios
  * ✅ Middleware de autenticación JWT
+ * ✅ Rechazo de tokens revocados en la estrategia JWT
  * ✅ Middleware para requerir autenticación
  * ✅ Manejo de cuentas bloqueadas
  * ✅ Logging y monitoreo de autenticación
@@ -0,0 +1,222 @@
+/**
+ * CONTROLADOR DE MÉTODOS DE ACCESO - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que permite a un cliente administrar cómo inicia sesión
+ * Mi responsabilidad es vincular y desvincular Google/Facebook desde el perfil
+ * y permitir que una cuenta solo-OAuth cree su contraseña local
+ *
+ * Funcionalidades implementadas:
+ * - Consulta de métodos de acceso activos
+ * - Vinculación explícita de un proveedor con state firmado
+ * - Desvinculación sin dejar la cuenta sin métodos de acceso
+ * - Creación de contraseña local para cuentas solo-OAuth
+ */
+
+const { Client } = require('../models');
+const {
+  isOAuthAvailable,
+  setLinkCookie,
+  unlinkOAuthProvider,
+  computeAuthProvider,
+  getLoginMethods,
+  PROVIDER_FIELDS
+} = require('../utils/oauth');
+
+/**
+ * Validar el proveedor del parámetro :provider
+ */
+const rejectUnknownProvider = (res, provider) => {
+  if (PROVIDER_FIELDS[provider]) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Proveedor no soportado',
+    message: 'Los proveedores disponibles son google y facebook',
+    code: 'UNSUPPORTED_PROVIDER'
+  });
+  return true;
+};
+
+/**
+ * CONSULTAR MÉTODOS DE ACCESO
+ * GET /api/auth/login-methods
+ */
+const listLoginMethods = async (req, res) => {
+  try {
+    const client = await Client.scope('withPassword').findByPk(req.user.id);
+
+    res.json({
+      success: true,
+      loginMethods: getLoginMethods(client),
+      availableProviders: isOAuthAvailable()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en listLoginMethods:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener los métodos de acceso',
+      code: 'LOGIN_METHODS_ERROR'
+    });
+  }
+};
+
+/**
+ * INICIAR VINCULACIÓN DE PROVEEDOR
+ * POST /api/auth/link/:provider
+ *
+ * Deja el token de vinculación en una cookie httpOnly y devuelve la URL que
+ * el navegador debe abrir; el callback OAuth reconoce el state firmado y
+ * vincula el proveedor en lugar de iniciar sesión
+ */
+const startProviderLink = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (rejectUnknownProvider(res, provider)) return;
+
+    if (!isOAuthAvailable()[provider]) {
+      return res.status(503).json({
+        error: 'Proveedor no disponible',
+        message: `El inicio de sesión con ${provider} no está configurado`,
+        code: 'OAUTH_PROVIDER_UNAVAILABLE'
+      });
+    }
+
+    if (req.user[PROVIDER_FIELDS[provider]]) {
+      return res.status(409).json({
+        error: 'Proveedor ya vinculado',
+        message: `Tu cuenta ya tiene ${provider} vinculado`,
+        code: 'PROVIDER_ALREADY_LINKED'
+      });
+    }
+
+    setLinkCookie(res, req.user, provider);
+
+    console.log(`🔗 Vinculación de ${provider} iniciada: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Abre authUrl en este mismo navegador para vincular tu cuenta de ${provider}`,
+      authUrl: `/api/auth/${provider}?link=1`,
+      expiresIn: '10m'
+    });
+
+  } catch (error) {
+    console.error('💥 Error en startProviderLink:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo iniciar la vinculación',
+      code: 'PROVIDER_LINK_ERROR'
+    });
+  }
+};
+
+/**
+ * DESVINCULAR PROVEEDOR
+ * DELETE /api/auth/link/:provider
+ */
+const unlinkProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (rejectUnknownProvider(res, provider)) return;
+
+    const client = await Client.scope('withPassword').findByPk(req.user.id);
+    await unlinkOAuthProvider(client, provider);
+
+    res.json({
+      success: true,
+      message: `${provider} desvinculado de tu cuenta`,
+      loginMethods: getLoginMethods(client)
+    });
+
+  } catch (error) {
+    if (error.code === 'PROVIDER_NOT_LINKED') {
+      return res.status(404).json({
+        error: 'Proveedor no vinculado',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 'LAST_LOGIN_METHOD') {
+      return res.status(400).json({
+        error: 'Último método de acceso',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en unlinkProvider:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo desvincular el proveedor',
+      code: 'PROVIDER_UNLINK_ERROR'
+    });
+  }
+};
+
+/**
+ * CREAR CONTRASEÑA LOCAL (CUENTAS SOLO-OAUTH)
+ * POST /api/auth/password/set
+ */
+const setLocalPassword = async (req, res) => {
+  try {
+    const client = await Client.scope('withPassword').findByPk(req.user.id);
+
+    if (client.password) {
+      return res.status(409).json({
+        error: 'Contraseña ya configurada',
+        message: 'Tu cuenta ya tiene contraseña, usa el cambio de contraseña',
+        code: 'PASSWORD_ALREADY_SET'
+      });
+    }
+
+    // El hook beforeUpdate se encarga del hash
+    await client.update({
+      password: req.body.newPassword,
+      authProvider: computeAuthProvider({
+        password: true,
+        googleId: client.googleId,
+        facebookId: client.facebookId
+      })
+    });
+
+    console.log(`🔐 Contraseña local creada: ${client.email}`);
+
+    res.json({
+      success: true,
+      message: 'Contraseña creada, ya puedes iniciar sesión con tu email',
+      loginMethods: getLoginMethods(client)
+    });
+
+  } catch (error) {
+    console.error('💥 Error en setLocalPassword:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo crear la contraseña',
+      code: 'PASSWORD_SET_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  listLoginMethods,
+  startProviderLink,
+  unlinkProvider,
+  setLocalPassword
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Vinculación explícita de Google y Facebook
+ * ✅ Desvinculación protegida (nunca deja la cuenta sin acceso)
+ * ✅ authProvider recalculado en cada cambio
+ * ✅ Contraseña local para cuentas solo-OAuth
+ */
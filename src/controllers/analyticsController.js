@@ -0,0 +1,58 @@
+/**
+ * CONTROLADOR DE ANALÍTICA - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que entrega a gerencia los reportes de asistencia
+ * Mi responsabilidad es validar el rango pedido y responder el resumen
+ * calculado en utils/analytics.js
+ *
+ * Funcionalidades implementadas:
+ * - Horas pico y mapa de calor por día de la semana
+ * - Miembros activos por mes y visitas promedio
+ * - Retención por cohorte de ingreso
+ */
+
+const { getAttendanceAnalytics } = require('../utils/analytics');
+
+/**
+ * ANALÍTICA DE ASISTENCIA
+ * GET /api/analytics/attendance
+ */
+const getAttendance = async (req, res) => {
+  try {
+    console.log(`📊 Analítica de asistencia solicitada por: ${req.user.email}`);
+
+    const analytics = await getAttendanceAnalytics(req.query);
+
+    res.json({
+      success: true,
+      analytics,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Rango de fechas inválido',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en getAttendance:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo generar la analítica de asistencia',
+      code: 'ANALYTICS_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getAttendance
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Reporte de asistencia para gerencia
+ */
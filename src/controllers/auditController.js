@@ -0,0 +1,87 @@
+/**
+ * CONTROLADOR DE AUDITORÍA - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que expone la bitácora de acciones administrativas
+ * Mi responsabilidad es responder preguntas como "¿quién le quitó puntos
+ * a este socio el mes pasado?" filtrando por actor, objetivo, acción y fechas
+ *
+ * Funcionalidades implementadas:
+ * - Listado paginado, del más reciente al más antiguo
+ * - Filtros por actor, tipo/ID de objetivo, acción (exacta o prefijo con *) y rango de fechas
+ */
+
+const { AuditLog } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * CONSULTAR BITÁCORA DE AUDITORÍA
+ * GET /api/audit
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actorId, targetType, targetId, action, from, to, page, limit } = req.query;
+
+    console.log(`📜 Consultando auditoría - página ${page} por ${req.user.email}`);
+
+    const where = {};
+
+    if (actorId) where.actorId = actorId;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+
+    if (action) {
+      // "client.*" devuelve todas las acciones que empiezan con "client."
+      where.action = action.endsWith('*')
+        ? { [Op.like]: `${action.slice(0, -1)}%` }
+        : action;
+    }
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = from;
+      if (to) where.createdAt[Op.lte] = to;
+    }
+
+    const { count, rows: entries } = await AuditLog.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      filters: { actorId, targetType, targetId, action, from, to }
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getAuditLogs:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo consultar la bitácora de auditoría',
+      code: 'AUDIT_QUERY_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Consulta paginada de la bitácora
+ * ✅ Filtros por actor, objetivo, acción y rango de fechas
+ */
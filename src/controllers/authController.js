@@ -16,19 +16,39 @@
  * - Logout seguro con revocación de tokens
  * - Obtener usuario actual autenticado
  * - Cambio de contraseña seguro
+ * - Gestión de sesiones por dispositivo
+ * - Verificación de email de clientes
+ * - Recuperación de contraseña (olvidé mi contraseña)
  */
 
 const passport = require('passport');
-const { User, Client, ClientPreference } = require('../models');
+const { User, Client, ClientPreference, Session } = require('../models');
 const { 
-  generateTokenPair, 
   refreshAccessToken, 
   revokeToken,
-  extractTokenFromHeader 
+  extractTokenFromHeader,
+  decodeTokenWithoutVerification
 } = require('../utils/jwt');
+const {
+  startSession,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+  formatSession
+} = require('../utils/sessions');
+const {
+  sendVerificationEmail,
+  confirmEmailVerification
+} = require('../utils/emailVerification');
+const { requestPasswordReset, resetPassword } = require('../utils/passwordReset');
+const { createMfaChallenge } = require('./mfaController');
+const { isMfaRequiredForRole } = require('../middleware/authorize');
 const { 
   handleOAuthSuccess, 
-  handleOAuthError 
+  handleOAuthError,
+  handleOAuthLinked,
+  exchangeOAuthCode,
+  clearOAuthCookies
 } = require('../utils/oauth');
 
 /**
@@ -52,6 +72,10 @@ const loginClient = async (req, res, next) => {
       if (!client) {
         console.log(`❌ Login cliente fallido: ${req.body.email} - ${info?.message || 'Credenciales inválidas'}`);
         
+        if (info?.code === 'CLIENT_SUSPENDED') {
+          return res.status(403).json(info);
+        }
+        
         return res.status(401).json({
           error: 'Credenciales inválidas',
           message: info?.message || 'Email o contraseña incorrectos',
@@ -59,14 +83,8 @@ const loginClient = async (req, res, next) => {
         });
       }
       
-      // Login exitoso - generar tokens
-      const tokens = generateTokenPair({
-        id: client.id,
-        email: client.email,
-        type: 'client',
-        role: null,
-        permissions: {}
-      });
+      // Login exitoso - generar tokens y registrar la sesión del dispositivo
+      const tokens = await startSession(client, 'client', req.clientInfo);
       
       // Cargar preferencias del cliente
       const preferences = await ClientPreference.findOne({
@@ -140,14 +158,25 @@ const loginAdmin = async (req, res, next) => {
         });
       }
       
-      // Login exitoso - generar tokens
-      const tokens = generateTokenPair({
-        id: user.id,
-        email: user.email,
-        type: 'user',
-        role: user.role,
-        permissions: user.permissions || {}
-      });
+      // Contraseña correcta pero con 2FA activo: los tokens se emiten tras el código
+      if (user.mfaEnabled) {
+        const challenge = createMfaChallenge(user);
+        
+        console.log(`🔐 Login admin pendiente de 2FA: ${user.email}`);
+        
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          message: 'Ingresa el código de tu app autenticadora para completar el login',
+          mfaToken: challenge.mfaToken,
+          expiresIn: challenge.expiresIn,
+          nextStep: 'POST /api/auth/login/admin/mfa',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Login exitoso - generar tokens y registrar la sesión del dispositivo
+      const tokens = await startSession(user, 'user', req.clientInfo);
       
       console.log(`✅ Login admin exitoso: ${user.email} (${user.role})`);
       
@@ -163,8 +192,11 @@ const loginAdmin = async (req, res, next) => {
           role: user.role,
           permissions: user.permissions,
           isActive: user.isActive,
-          lastLogin: user.lastLogin
+          lastLogin: user.lastLogin,
+          mfaEnabled: false
         },
+        // Rol obligado a 2FA sin inscribirse: puede entrar pero no a rutas sensibles
+        mfaSetupRequired: isMfaRequiredForRole(user.role) || undefined,
         tokens: {
           accessToken: tokens.accessToken,
           refreshToken: tokens.refreshToken,
@@ -239,13 +271,16 @@ const registerClient = async (req, res) => {
     });
     
     // Generar tokens para login automático
-    const tokens = generateTokenPair({
-      id: newClient.id,
-      email: newClient.email,
-      type: 'client',
-      role: null,
-      permissions: {}
-    });
+    const tokens = await startSession(newClient, 'client', req.clientInfo, 'register');
+    
+    // Enviar correo de verificación (un fallo de correo no debe impedir el registro)
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(newClient);
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error(`⚠️  No se pudo enviar verificación a ${newClient.email}:`, mailError.message);
+    }
     
     console.log(`✅ Cliente registrado exitosamente: ${newClient.email}`);
     
@@ -269,7 +304,9 @@ const registerClient = async (req, res) => {
         tokenType: tokens.tokenType
       },
       nextSteps: {
-        emailVerification: 'Te hemos enviado un email de verificación',
+        emailVerification: verificationEmailSent
+          ? 'Te hemos enviado un email de verificación'
+          : 'No pudimos enviar el email de verificación, solicítalo de nuevo desde tu perfil',
         profileSetup: 'Completa tu perfil para una mejor experiencia'
       },
       timestamp: new Date().toISOString()
@@ -302,26 +339,31 @@ const registerClient = async (req, res) => {
 const googleCallback = async (req, res, next) => {
   try {
     passport.authenticate('google', { session: false }, async (err, client, info) => {
+      // El nonce y la vinculación sirven para un solo regreso del proveedor
+      clearOAuthCookies(res);
+      
       if (err || !client) {
         console.error('❌ Error en Google OAuth:', err?.message || 'Cliente no encontrado');
         
         const errorResult = handleOAuthError(
           err || new Error('Autenticación con Google fallida'),
-          req.clientInfo?.clientType || 'web'
+          req.oauthState?.clientType || req.clientInfo?.clientType || 'web'
         );
         
         return res.redirect(errorResult.redirectUrl);
       }
       
-      // OAuth exitoso
-      const successResult = await handleOAuthSuccess(
-        client,
-        req.clientInfo?.clientType || 'web'
-      );
+      // Vinculación desde el perfil: no se emiten tokens nuevos
+      if (client.linkedProvider) {
+        return res.redirect(handleOAuthLinked('google', req.oauthState?.clientType || 'web'));
+      }
+      
+      // OAuth exitoso: código de un solo uso para canjear en POST /api/auth/oauth/exchange
+      const successResult = await handleOAuthSuccess(client, 'google', req.oauthState);
       
       console.log(`✅ Google OAuth exitoso: ${client.email}`);
       
-      // Redireccionar con tokens en URL
+      // Redireccionar solo con el código (los tokens nunca van en la URL)
       res.redirect(successResult.redirectUrl);
       
     })(req, res, next);
@@ -345,26 +387,31 @@ const googleCallback = async (req, res, next) => {
 const facebookCallback = async (req, res, next) => {
   try {
     passport.authenticate('facebook', { session: false }, async (err, client, info) => {
+      // El nonce y la vinculación sirven para un solo regreso del proveedor
+      clearOAuthCookies(res);
+      
       if (err || !client) {
         console.error('❌ Error en Facebook OAuth:', err?.message || 'Cliente no encontrado');
         
         const errorResult = handleOAuthError(
           err || new Error('Autenticación con Facebook fallida'),
-          req.clientInfo?.clientType || 'web'
+          req.oauthState?.clientType || req.clientInfo?.clientType || 'web'
         );
         
         return res.redirect(errorResult.redirectUrl);
       }
       
-      // OAuth exitoso
-      const successResult = await handleOAuthSuccess(
-        client,
-        req.clientInfo?.clientType || 'web'
-      );
+      // Vinculación desde el perfil: no se emiten tokens nuevos
+      if (client.linkedProvider) {
+        return res.redirect(handleOAuthLinked('facebook', req.oauthState?.clientType || 'web'));
+      }
+      
+      // OAuth exitoso: código de un solo uso para canjear en POST /api/auth/oauth/exchange
+      const successResult = await handleOAuthSuccess(client, 'facebook', req.oauthState);
       
       console.log(`✅ Facebook OAuth exitoso: ${client.email}`);
       
-      // Redireccionar con tokens en URL
+      // Redireccionar solo con el código (los tokens nunca van en la URL)
       res.redirect(successResult.redirectUrl);
       
     })(req, res, next);
@@ -382,7 +429,70 @@ const facebookCallback = async (req, res, next) => {
 };
 
 /**
- * RENOVAR ACCESS TOKEN
+ * CANJEAR CÓDIGO OAUTH POR TOKENS
+ * POST /api/auth/oauth/exchange
+ */
+const exchangeOAuthCodeForTokens = async (req, res) => {
+  try {
+    const { code, codeVerifier } = req.body;
+    
+    const { client, tokens } = await exchangeOAuthCode(code, codeVerifier, req.clientInfo);
+    
+    res.json({
+      success: true,
+      message: 'Login exitoso',
+      user: {
+        id: client.id,
+        email: client.email,
+        firstName: client.firstName,
+        lastName: client.lastName,
+        type: 'client',
+        memberNumber: client.memberNumber,
+        points: client.points,
+        level: client.level,
+        authProvider: client.authProvider,
+        isEmailVerified: client.isEmailVerified
+      },
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiry,
+        tokenType: tokens.tokenType
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error.code === 'CLIENT_SUSPENDED') {
+      return res.status(403).json({
+        error: 'Cuenta suspendida',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    if (error.code === 'INVALID_OAUTH_CODE' || error.code === 'INVALID_CODE_VERIFIER') {
+      console.log(`❌ Canje de código OAuth rechazado: ${error.code}`);
+      
+      return res.status(400).json({
+        error: 'Código OAuth inválido',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('💥 Error en exchangeOAuthCodeForTokens:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo completar el inicio de sesión',
+      code: 'OAUTH_EXCHANGE_ERROR'
+    });
+  }
+};
+
+/**
+ * RENOVAR TOKENS (ROTACIÓN DE REFRESH TOKEN)
  * POST /api/auth/refresh
  */
 const refreshToken = async (req, res) => {
@@ -397,20 +507,25 @@ const refreshToken = async (req, res) => {
       });
     }
     
-    console.log('🔄 Intentando renovar access token...');
+    console.log('🔄 Intentando renovar tokens...');
     
-    // Renovar usando la utilidad JWT
+    // Rotar usando la utilidad JWT (el refresh token recibido deja de servir)
     const newTokens = await refreshAccessToken(token);
     
-    console.log('✅ Access token renovado exitosamente');
+    // La familia de tokens es la sesión del dispositivo
+    await touchSession(newTokens.familyId, req.clientInfo);
+    
+    console.log('✅ Tokens renovados exitosamente');
     
     res.json({
       success: true,
       message: 'Token renovado exitosamente',
       tokens: {
-        accessToken: newTokens.token,
-        expiresIn: newTokens.expiresIn,
-        tokenType: newTokens.type
+        accessToken: newTokens.accessToken,
+        refreshToken: newTokens.refreshToken,
+        expiresIn: newTokens.accessTokenExpiry,
+        refreshTokenExpiry: newTokens.refreshTokenExpiry,
+        tokenType: newTokens.tokenType
       },
       timestamp: new Date().toISOString()
     });
@@ -418,6 +533,22 @@ const refreshToken = async (req, res) => {
   } catch (error) {
     console.error('❌ Error renovando token:', error.message);
     
+    if (error.code === 'CLIENT_SUSPENDED') {
+      return res.status(403).json({
+        error: 'Cuenta suspendida',
+        message: error.message,
+        code: 'CLIENT_SUSPENDED'
+      });
+    }
+    
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({
+        error: 'Refresh token reutilizado',
+        message: 'Este refresh token ya fue usado. Por seguridad se cerró la sesión, inicia sesión nuevamente',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+    
     res.status(401).json({
       error: 'Token de renovación inválido',
       message: error.message,
@@ -437,14 +568,22 @@ const logout = async (req, res) => {
     
     if (token) {
       // Revocar el token actual
-      revokeToken(token);
+      await revokeToken(token);
       console.log(`🔓 Token revocado para usuario: ${req.user?.email || 'Anónimo'}`);
+      
+      // Cerrar la sesión del dispositivo (invalida toda su familia de tokens)
+      const sessionId = decodeTokenWithoutVerification(token)?.payload?.familyId;
+      const session = sessionId ? await Session.findByPk(sessionId) : null;
+      
+      if (session) {
+        await revokeSession(session, 'logout');
+      }
     }
     
     // También revocar refresh token si se proporciona
     const { refreshToken: refreshTokenToRevoke } = req.body;
     if (refreshTokenToRevoke) {
-      revokeToken(refreshTokenToRevoke);
+      await revokeToken(refreshTokenToRevoke);
       console.log('🔓 Refresh token también revocado');
     }
     
@@ -571,12 +710,23 @@ const changePassword = async (req, res) => {
     // Actualizar contraseña (el hook beforeUpdate se encarga del hash)
     await user.update({ password: newPassword });
     
+    // Cerrar todas las demás sesiones, el dispositivo actual sigue conectado
+    const revokedSessions = await revokeAllSessions(
+      user.id,
+      user.constructor.name.toLowerCase(),
+      {
+        exceptSessionId: user.tokenPayload?.familyId || null,
+        reason: 'password_change'
+      }
+    );
+    
     console.log(`✅ Contraseña cambiada exitosamente: ${user.email}`);
     
     res.json({
       success: true,
       message: 'Contraseña cambiada exitosamente',
-      recommendation: 'Por seguridad, inicia sesión nuevamente en todos tus dispositivos',
+      revokedSessions,
+      recommendation: 'Cerramos tu sesión en los demás dispositivos, deberás iniciar sesión nuevamente en ellos',
       timestamp: new Date().toISOString()
     });
     
@@ -591,16 +741,273 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * LISTAR SESIONES ACTIVAS
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res) => {
+  try {
+    const userType = req.user.constructor.name.toLowerCase();
+    const currentSessionId = req.user.tokenPayload?.familyId || null;
+    
+    const sessions = await Session.findActiveByOwner(req.user.id, userType);
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => formatSession(session, currentSessionId)),
+      total: sessions.length,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en listSessions:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener las sesiones',
+      code: 'SESSIONS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * CERRAR UNA SESIÓN (DISPOSITIVO PERDIDO)
+ * DELETE /api/auth/sessions/:id
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userType = req.user.constructor.name.toLowerCase();
+    
+    // Solo el dueño puede cerrar sus propias sesiones
+    const session = await Session.findOne({
+      where: { id, userId: req.user.id, userType }
+    });
+    
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada',
+        message: 'La sesión no existe o ya fue cerrada',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+    
+    await revokeSession(session, 'remote_logout');
+    
+    console.log(`🔒 Sesión ${id} cerrada remotamente por: ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente',
+      current: session.id === req.user.tokenPayload?.familyId,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en deleteSession:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo cerrar la sesión',
+      code: 'SESSION_REVOKE_ERROR'
+    });
+  }
+};
+
+/**
+ * CERRAR SESIÓN EN TODOS LOS DISPOSITIVOS
+ * DELETE /api/auth/sessions?keepCurrent=true
+ */
+const deleteAllSessions = async (req, res) => {
+  try {
+    const userType = req.user.constructor.name.toLowerCase();
+    const keepCurrent = req.query.keepCurrent === 'true';
+    
+    const revokedSessions = await revokeAllSessions(req.user.id, userType, {
+      exceptSessionId: keepCurrent ? req.user.tokenPayload?.familyId || null : null,
+      reason: 'logout_all'
+    });
+    
+    // El access token actual puede no tener sesión (tokens anteriores a las sesiones)
+    if (!keepCurrent) {
+      await revokeToken(extractTokenFromHeader(req.headers.authorization), 'logout_all');
+    }
+    
+    console.log(`🔒 Logout global de ${req.user.email}: ${revokedSessions} sesiones cerradas`);
+    
+    res.json({
+      success: true,
+      message: keepCurrent
+        ? 'Sesión cerrada en todos los demás dispositivos'
+        : 'Sesión cerrada en todos los dispositivos',
+      revokedSessions,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en deleteAllSessions:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron cerrar las sesiones',
+      code: 'SESSIONS_REVOKE_ERROR'
+    });
+  }
+};
+
+/**
+ * REENVIAR EMAIL DE VERIFICACIÓN
+ * POST /api/auth/verify-email/resend
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const client = req.user;
+    
+    if (client.isEmailVerified) {
+      return res.status(400).json({
+        error: 'Email ya verificado',
+        message: 'Tu email ya fue verificado anteriormente',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+    
+    await sendVerificationEmail(client);
+    
+    res.json({
+      success: true,
+      message: `Te enviamos un nuevo enlace de verificación a ${client.email}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en resendVerificationEmail:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo enviar el email de verificación',
+      code: 'VERIFICATION_EMAIL_ERROR'
+    });
+  }
+};
+
+/**
+ * CONFIRMAR EMAIL CON ENLACE
+ * GET /api/auth/verify-email/:token
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { client, alreadyVerified } = await confirmEmailVerification(req.params.token);
+    
+    // Enlace abierto desde el navegador: llevar al frontend
+    if (process.env.FRONTEND_URL && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(`${process.env.FRONTEND_URL}/auth/email-verified`);
+    }
+    
+    res.json({
+      success: true,
+      message: alreadyVerified ? 'Tu email ya estaba verificado' : 'Email verificado exitosamente',
+      user: {
+        id: client.id,
+        email: client.email,
+        isEmailVerified: true
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error verificando email:', error.message);
+    
+    const expired = error.message === 'Token expirado';
+    
+    res.status(400).json({
+      error: expired ? 'Enlace expirado' : 'Enlace inválido',
+      message: expired
+        ? 'El enlace de verificación expiró, solicita uno nuevo'
+        : 'El enlace de verificación no es válido',
+      code: expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN'
+    });
+  }
+};
+
+/**
+ * SOLICITAR RECUPERACIÓN DE CONTRASEÑA
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  const { email, accountType } = req.body;
+  
+  try {
+    console.log(`🔑 Recuperación de contraseña solicitada: ${email} (${accountType})`);
+    
+    await requestPasswordReset(email, accountType, req.clientInfo?.ip || req.ip);
+    
+  } catch (error) {
+    // Se registra pero no se revela al solicitante
+    console.error('💥 Error en forgotPassword:', error.message);
+  }
+  
+  // Misma respuesta exista o no la cuenta, para no revelar emails registrados
+  res.json({
+    success: true,
+    message: 'Si existe una cuenta con ese email, te enviamos un enlace para restablecer tu contraseña',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * RESTABLECER CONTRASEÑA CON TOKEN
+ * POST /api/auth/reset-password
+ */
+const resetPasswordWithToken = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    const { revokedSessions } = await resetPassword(token, newPassword);
+    
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Ya puedes iniciar sesión con tu nueva contraseña',
+      revokedSessions,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_RESET_TOKEN') {
+      return res.status(400).json({
+        error: 'Enlace de recuperación inválido',
+        message: error.message,
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+    
+    console.error('💥 Error en resetPasswordWithToken:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo restablecer la contraseña',
+      code: 'PASSWORD_RESET_ERROR'
+    });
+  }
+};
+
 module.exports = {
   loginClient,
   loginAdmin,
   registerClient,
   googleCallback,
   facebookCallback,
+  exchangeOAuthCodeForTokens,
   refreshToken,
   logout,
   getCurrentUser,
-  changePassword
+  changePassword,
+  listSessions,
+  deleteSession,
+  deleteAllSessions,
+  resendVerificationEmail,
+  verifyEmail,
+  forgotPassword,
+  resetPasswordWithToken
 };
 
 /**
@@ -612,7 +1019,10 @@ module.exports = {
  * ✅ Renovación de tokens JWT segura
  * ✅ Logout con revocación de tokens
  * ✅ Endpoint para obtener usuario actual
- * ✅ Cambio de contraseña seguro
+ * ✅ Cambio de contraseña seguro (cierra las demás sesiones)
+ * ✅ Listado y cierre remoto de sesiones por dispositivo
+ * ✅ Verificación de email con enlace firmado y reenvío
+ * ✅ Recuperación de contraseña con tokens de un solo uso
  * ✅ Manejo robusto de errores con códigos específicos
  * ✅ Logging detallado para auditoría
  * 
@@ -0,0 +1,230 @@
+/**
+ * CONTROLADOR DE HISTORIAL DE CHECK-INS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que expone el historial de entradas de los miembros
+ * Mi responsabilidad es responder "¿cuándo vino este miembro?" con filtros
+ * por rango de fechas y paginación, para recepción y para el propio miembro
+ *
+ * Funcionalidades implementadas:
+ * - Historial por cliente (staff)
+ * - Historial del cliente autenticado
+ * - Código QR rotativo para el check-in de autoservicio
+ * - Salida (check-out) manual en recepción
+ */
+
+const { Client, CheckIn, User } = require('../models');
+const { Op } = require('sequelize');
+const { issueCheckInCode } = require('../utils/checkins');
+const { checkOutClient, getOccupancy } = require('../utils/occupancy');
+
+/**
+ * Historial paginado de un cliente en un rango de fechas
+ */
+const buildCheckInHistory = async (clientId, { page, limit, from, to }, { includeStaff = false } = {}) => {
+  const where = { clientId };
+
+  if (from || to) {
+    where.checkedInAt = {};
+    if (from) where.checkedInAt[Op.gte] = from;
+    if (to) where.checkedInAt[Op.lte] = to;
+  }
+
+  const { count, rows } = await CheckIn.findAndCountAll({
+    where,
+    include: includeStaff
+      ? [{ model: User, as: 'recorder', attributes: ['id', 'firstName', 'lastName'] }]
+      : [],
+    order: [['checkedInAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    checkIns: rows.map(record => ({
+      id: record.id,
+      checkedInAt: record.checkedInAt,
+      method: record.method,
+      location: record.location,
+      notes: record.notes,
+      pointsEarned: record.pointsEarned,
+      checkedOutAt: record.checkedOutAt,
+      checkOutMethod: record.checkOutMethod,
+      stayMinutes: record.getStayMinutes(),
+      ...(includeStaff && {
+        recordedBy: record.recorder
+          ? { id: record.recorder.id, name: `${record.recorder.firstName} ${record.recorder.lastName}` }
+          : null
+      })
+    })),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: count,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    },
+    filters: { from: from || null, to: to || null }
+  };
+};
+
+/**
+ * HISTORIAL DE CHECK-INS DE UN CLIENTE
+ * GET /api/clients/:id/checkins
+ */
+const getClientCheckIns = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, { attributes: ['id', 'totalCheckIns', 'lastCheckIn'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const history = await buildCheckInHistory(client.id, req.query, { includeStaff: true });
+
+    res.json({
+      success: true,
+      clientId: client.id,
+      totalCheckIns: client.totalCheckIns,
+      lastCheckIn: client.lastCheckIn,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getClientCheckIns:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener el historial de check-ins',
+      code: 'CHECKIN_HISTORY_ERROR'
+    });
+  }
+};
+
+/**
+ * REGISTRAR SALIDA DE UN CLIENTE
+ * POST /api/clients/:id/checkout
+ */
+const clientCheckOut = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, { attributes: ['id', 'email', 'firstName', 'lastName'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const visit = await checkOutClient(req, client, { method: 'manual', recordedBy: req.user.id });
+
+    console.log(`🚪 Salida registrada: ${client.email} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Salida registrada exitosamente',
+      checkOut: {
+        checkInId: visit.id,
+        clientId: client.id,
+        checkedInAt: visit.checkedInAt,
+        checkedOutAt: visit.checkedOutAt,
+        stayMinutes: visit.getStayMinutes()
+      },
+      occupancy: await getOccupancy()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Salida no registrada',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en clientCheckOut:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo registrar la salida',
+      code: 'CHECKOUT_ERROR'
+    });
+  }
+};
+
+/**
+ * MIS CHECK-INS (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/checkins
+ */
+const getMyCheckIns = async (req, res) => {
+  try {
+    const history = await buildCheckInHistory(req.user.id, req.query);
+
+    res.json({
+      success: true,
+      totalCheckIns: req.user.totalCheckIns,
+      lastCheckIn: req.user.lastCheckIn,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getMyCheckIns:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener tu historial de check-ins',
+      code: 'CHECKIN_HISTORY_ERROR'
+    });
+  }
+};
+
+/**
+ * MI CÓDIGO QR DE CHECK-IN (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/checkin-code
+ * La app lo vuelve a pedir antes de refreshInSeconds
+ */
+const getMyCheckInCode = async (req, res) => {
+  try {
+    const { code, expiresAt, refreshInSeconds } = issueCheckInCode(req.user);
+
+    res.set('Cache-Control', 'no-store');
+
+    res.json({
+      success: true,
+      code,
+      expiresAt,
+      refreshInSeconds
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getMyCheckInCode:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo generar tu código de check-in',
+      code: 'CHECKIN_CODE_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getClientCheckIns,
+  clientCheckOut,
+  getMyCheckIns,
+  getMyCheckInCode
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Historial paginado por rango de fechas
+ * ✅ Vista de staff (con quién registró) y del propio miembro
+ * ✅ Código QR de un solo uso para kioscos
+ * ✅ Salida manual con duración de la visita
+ */
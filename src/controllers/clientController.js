@@ -11,11 +11,14 @@
  * - Listar clientes con filtros avanzados
  * - Obtener cliente específico con detalles completos
  * - Actualizar información de clientes
+ * - Suspensión con fechas y reactivación (manual o automática)
+ * - Eliminación lógica, restauración y purga definitiva
  * - Gestión de preferencias de notificación
  * - Check-in manual de clientes
  * - Gestión de puntos y gamificación
  * - Estadísticas de clientes
  * - Exportación de datos
+ * - Verificación del teléfono por SMS
  */
 
 /**
@@ -33,6 +36,15 @@
 
 const { Client, ClientPreference, User } = require('../models');
 const { Op } = require('sequelize');
+const { startPhoneVerification, confirmPhoneVerification } = require('../utils/phoneVerification');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { revokeAllSessions } = require('../utils/sessions');
+const { findDeleted, findDeletedById, purgeAccount, getPurgeDate, getRetentionDays } = require('../utils/softDelete');
+const { suspendClient, reactivateClient } = require('../utils/clientStatus');
+const { checkCheckInEligibility, registerCheckIn } = require('../utils/checkins');
+const { awardProfileCompletion } = require('../utils/gamification');
+const { adjustPoints } = require('../utils/points');
+const { summarizeCheckInRewards } = require('../utils/achievements');
 
 /**
  * LISTAR CLIENTES CON FILTROS
@@ -347,9 +359,15 @@ const updateClient = async (req, res) => {
       'firstName', 'lastName', 'phone', 'dateOfBirth', 'gender',
       'emergencyContactName', 'emergencyContactPhone', 'medicalConditions',
       'preferredWorkoutTimes', 'fitnessGoals', 'notificationPreferences',
-      'language', 'timezone', 'isActive', 'isEmailVerified', 'isPhoneVerified'
+      'language', 'timezone'
     ];
     
+    // Estado y verificaciones solo los cambia un administrador
+    // (un cliente no puede marcar su propio email como verificado)
+    if (req.user.constructor.name.toLowerCase() === 'user') {
+      allowedFields.push('isActive', 'isEmailVerified', 'isPhoneVerified');
+    }
+    
     // Filtrar solo campos permitidos
     const filteredData = {};
     allowedFields.forEach(field => {
@@ -358,12 +376,36 @@ const updateClient = async (req, res) => {
       }
     });
     
+    // Un número nuevo debe verificarse otra vez por SMS
+    if (filteredData.phone !== undefined && filteredData.phone !== client.phone &&
+        filteredData.isPhoneVerified === undefined) {
+      filteredData.isPhoneVerified = false;
+    }
+    
     // Agregar auditoría
     filteredData.updatedBy = req.user.id;
     
+    const auditedFields = Object.keys(filteredData).filter(key => key !== 'updatedBy');
+    const before = snapshot(client, auditedFields);
+    
     // Actualizar cliente
     await client.update(filteredData);
     
+    await recordAudit(req, {
+      action: 'client.update',
+      targetType: 'client',
+      targetId: client.id,
+      before,
+      after: snapshot(client, auditedFields)
+    });
+    
+    // Premio único la primera vez que el perfil queda completo
+    const profileAward = await awardProfileCompletion(client);
+    
+    if (profileAward) {
+      console.log(`🎮 Perfil completo: ${client.email} +${profileAward.points} puntos`);
+    }
+    
     // Recargar con información actualizada
     await client.reload({
       attributes: { exclude: ['password'] },
@@ -420,6 +462,331 @@ const updateClient = async (req, res) => {
   }
 };
 
+/**
+ * SUSPENDER CLIENTE
+ * POST /api/clients/:id/suspend
+ */
+const suspendClientAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`⏸️  Suspendiendo cliente: ${id} por ${req.user.email}`);
+    
+    const client = await Client.findByPk(id);
+    
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+    
+    await suspendClient(req, client, req.body);
+    
+    console.log(`✅ Cliente suspendido: ${client.email} hasta ${client.suspendedUntil ? client.suspendedUntil.toISOString() : 'reactivación manual'}`);
+    
+    res.json({
+      success: true,
+      message: 'Cliente suspendido exitosamente',
+      suspension: {
+        clientId: client.id,
+        clientName: client.getFullName(),
+        from: client.suspendedFrom,
+        until: client.suspendedUntil,
+        reason: client.suspensionReason,
+        effectiveNow: client.isSuspended()
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'No se pudo suspender al cliente',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('💥 Error en suspendClientAccount:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo suspender al cliente',
+      code: 'CLIENT_SUSPEND_ERROR'
+    });
+  }
+};
+
+/**
+ * REACTIVAR CLIENTE
+ * POST /api/clients/:id/reactivate
+ */
+const reactivateClientAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`▶️  Reactivando cliente: ${id} por ${req.user.email}`);
+    
+    const client = await Client.findByPk(id);
+    
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+    
+    await reactivateClient(req, client, req.body);
+    
+    console.log(`✅ Cliente reactivado: ${client.email} por ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Cliente reactivado exitosamente',
+      client: {
+        id: client.id,
+        fullName: client.getFullName(),
+        isActive: client.isActive
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'No se pudo reactivar al cliente',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('💥 Error en reactivateClientAccount:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo reactivar al cliente',
+      code: 'CLIENT_REACTIVATE_ERROR'
+    });
+  }
+};
+
+/**
+ * ELIMINAR CLIENTE (SOFT DELETE)
+ * DELETE /api/clients/:id
+ */
+const deleteClient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    console.log(`🗑️  Eliminando cliente: ${id} por ${req.user.email}`);
+    
+    const client = await Client.findByPk(id);
+    
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+    
+    await client.destroy();
+    await revokeAllSessions(client.id, 'client', { reason: 'account_deleted' });
+    
+    await recordAudit(req, {
+      action: 'client.delete',
+      targetType: 'client',
+      targetId: client.id,
+      before: snapshot(client, ['email', 'firstName', 'lastName', 'memberNumber', 'points', 'isActive']),
+      metadata: { reason: reason || null }
+    });
+    
+    console.log(`✅ Cliente eliminado: ${client.email} por ${req.user.email}. Razón: ${reason || 'No especificada'}`);
+    
+    res.json({
+      success: true,
+      message: 'Cliente eliminado exitosamente',
+      deletedClient: {
+        id: client.id,
+        email: client.email,
+        fullName: client.getFullName(),
+        memberNumber: client.memberNumber
+      },
+      reason: reason || 'No especificada',
+      note: `El cliente puede restaurarse durante ${getRetentionDays()} días`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en deleteClient:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo eliminar el cliente',
+      code: 'CLIENT_DELETE_ERROR'
+    });
+  }
+};
+
+/**
+ * LISTAR CLIENTES ELIMINADOS
+ * GET /api/clients/deleted
+ */
+const getDeletedClients = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+    
+    console.log(`🗃️  Listando clientes eliminados - página ${page} por ${req.user.email}`);
+    
+    const { count, rows: clients } = await findDeleted(Client, { page, limit, search });
+    const totalPages = Math.ceil(count / parseInt(limit));
+    
+    res.json({
+      success: true,
+      clients: clients.map(client => ({
+        id: client.id,
+        email: client.email,
+        fullName: client.getFullName(),
+        memberNumber: client.memberNumber,
+        points: client.points,
+        deletedAt: client.deletedAt,
+        purgeAfter: getPurgeDate(client.deletedAt)
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: count,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      },
+      retentionDays: getRetentionDays()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en getDeletedClients:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener los clientes eliminados',
+      code: 'DELETED_CLIENTS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * RESTAURAR CLIENTE ELIMINADO
+ * POST /api/clients/:id/restore
+ */
+const restoreClient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`♻️  Restaurando cliente: ${id} por ${req.user.email}`);
+    
+    const client = await findDeletedById(Client, id);
+    
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente eliminado no encontrado',
+        message: 'No existe un cliente eliminado con el ID especificado',
+        code: 'DELETED_CLIENT_NOT_FOUND'
+      });
+    }
+    
+    const deletedAt = client.deletedAt;
+    await client.restore();
+    
+    await recordAudit(req, {
+      action: 'client.restore',
+      targetType: 'client',
+      targetId: client.id,
+      before: { deletedAt },
+      after: { deletedAt: null }
+    });
+    
+    console.log(`✅ Cliente restaurado: ${client.email} por ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Cliente restaurado exitosamente',
+      client: {
+        id: client.id,
+        email: client.email,
+        fullName: client.getFullName(),
+        memberNumber: client.memberNumber,
+        points: client.points,
+        isActive: client.isActive
+      }
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en restoreClient:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo restaurar el cliente',
+      code: 'CLIENT_RESTORE_ERROR'
+    });
+  }
+};
+
+/**
+ * ELIMINAR CLIENTE DEFINITIVAMENTE
+ * DELETE /api/clients/:id/purge
+ * Solo aplica a clientes ya eliminados de forma lógica
+ */
+const purgeClient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`🔥 Purgando cliente: ${id} por ${req.user.email}`);
+    
+    const client = await findDeletedById(Client, id);
+    
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente eliminado no encontrado',
+        message: 'Solo se pueden purgar clientes eliminados previamente',
+        code: 'DELETED_CLIENT_NOT_FOUND'
+      });
+    }
+    
+    const before = snapshot(client, ['email', 'firstName', 'lastName', 'memberNumber', 'deletedAt']);
+    
+    await purgeAccount(client, 'client');
+    
+    await recordAudit(req, {
+      action: 'client.purge',
+      targetType: 'client',
+      targetId: id,
+      before,
+      metadata: { reason: req.body?.reason || null }
+    });
+    
+    console.log(`✅ Cliente purgado definitivamente: ${before.email} por ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Cliente eliminado definitivamente',
+      purgedClient: { id, email: before.email, memberNumber: before.memberNumber }
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en purgeClient:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo eliminar definitivamente el cliente',
+      code: 'CLIENT_PURGE_ERROR'
+    });
+  }
+};
+
 /**
  * ACTUALIZAR PREFERENCIAS DE CLIENTE
  * PUT /api/clients/:id/preferences
@@ -509,54 +876,32 @@ const updateClientPreferences = async (req, res) => {
 const clientCheckIn = async (req, res) => {
   try {
     const { id } = req.params;
-    const { notes } = req.body;
+    const { notes, location } = req.body;
     
     console.log(`✅ Check-in manual para cliente: ${id} por ${req.user.email}`);
     
     const client = await Client.findByPk(id);
     
-    if (!client) {
-      console.log(`❌ Cliente no encontrado para check-in: ${id}`);
-      
-      return res.status(404).json({
-        error: 'Cliente no encontrado',
-        message: 'No existe un cliente con el ID especificado',
-        code: 'CLIENT_NOT_FOUND'
-      });
-    }
+    // Existencia, estado, suspensión, membresía y un check-in por día
+    const eligibility = await checkCheckInEligibility(client);
     
-    if (!client.isActive) {
-      console.log(`❌ Intento de check-in para cliente inactivo: ${client.email}`);
+    if (eligibility.error) {
+      console.log(`❌ Check-in rechazado (${eligibility.error.code}): ${client ? client.email : id}`);
       
-      return res.status(400).json({
-        error: 'Cliente inactivo',
-        message: 'No se puede hacer check-in de un cliente inactivo',
-        code: 'CLIENT_INACTIVE'
-      });
+      return res.status(eligibility.status).json(eligibility.error);
     }
     
-    // Verificar si ya hizo check-in hoy
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const lastCheckIn = client.lastCheckIn ? new Date(client.lastCheckIn) : null;
-    lastCheckIn?.setHours(0, 0, 0, 0);
+    const { membership } = eligibility;
     
-    if (lastCheckIn && lastCheckIn.getTime() === today.getTime()) {
-      console.log(`⚠️  Cliente ya hizo check-in hoy: ${client.email}`);
-      
-      return res.status(400).json({
-        error: 'Check-in ya realizado',
-        message: 'El cliente ya realizó check-in el día de hoy',
-        code: 'CHECKIN_ALREADY_DONE_TODAY'
-      });
-    }
-    
-    // Realizar check-in
-    await client.checkIn();
+    // Realizar check-in (queda en el historial con quién lo registró)
+    const record = await registerCheckIn(req, client, membership, {
+      method: 'manual',
+      recordedBy: req.user.id,
+      location,
+      notes
+    });
     
-    // Recargar cliente con datos actualizados
-    await client.reload();
+    const rewards = summarizeCheckInRewards(record);
     
     console.log(`✅ Check-in exitoso: ${client.email} - Total: ${client.totalCheckIns}, Puntos: ${client.points}, Nivel: ${client.level}`);
     
@@ -564,15 +909,28 @@ const clientCheckIn = async (req, res) => {
       success: true,
       message: 'Check-in registrado exitosamente',
       checkIn: {
+        id: record.id,
         clientId: client.id,
         clientName: client.getFullName(),
         memberNumber: client.memberNumber,
         checkInTime: client.lastCheckIn,
+        membership: {
+          id: membership.id,
+          plan: membership.plan.name,
+          endsAt: membership.endsAt
+        },
         totalCheckIns: client.totalCheckIns,
-        pointsEarned: 10, // Puntos por check-in
+        pointsEarned: record.pointsEarned,
+        pointsBonus: record.award.multiplierLabel,
         currentPoints: client.points,
         currentLevel: client.level,
-        notes: notes || null,
+        levelName: rewards.levelName,
+        leveledUp: rewards.leveledUp,
+        streaks: rewards.streaks,
+        newBadges: rewards.newBadges,
+        events: rewards.events,
+        location: record.location,
+        notes: record.notes,
         registeredBy: {
           id: req.user.id,
           name: req.user.getFullName()
@@ -582,6 +940,15 @@ const clientCheckIn = async (req, res) => {
     });
     
   } catch (error) {
+    // Otra entrada del mismo cliente se registró mientras se validaba esta
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Check-in ya realizado',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     console.error('💥 Error en clientCheckIn:', error.message);
     
     res.status(500).json({
@@ -593,23 +960,17 @@ const clientCheckIn = async (req, res) => {
 };
 
 /**
- * AGREGAR PUNTOS A CLIENTE
+ * AGREGAR O DESCONTAR PUNTOS A CLIENTE
  * POST /api/clients/:id/points
+ * Puntos negativos = descuento (requiere motivo); todo queda en el libro de puntos
  */
 const addPointsToClient = async (req, res) => {
   try {
     const { id } = req.params;
-    const { points, reason = 'Manual adjustment' } = req.body;
+    const points = parseInt(req.body.points);
+    const { reason = 'Manual adjustment' } = req.body;
     
-    console.log(`⭐ Agregando ${points} puntos a cliente: ${id} por ${req.user.email}`);
-    
-    if (!points || points <= 0) {
-      return res.status(400).json({
-        error: 'Puntos inválidos',
-        message: 'Debes especificar una cantidad positiva de puntos',
-        code: 'INVALID_POINTS'
-      });
-    }
+    console.log(`⭐ Ajustando ${points} puntos a cliente: ${id} por ${req.user.email}`);
     
     const client = await Client.findByPk(id);
     
@@ -623,43 +984,52 @@ const addPointsToClient = async (req, res) => {
       });
     }
     
-    const previousPoints = client.points;
-    const previousLevel = client.level;
+    // Ajustar puntos (registra el movimiento, audita y recalcula el nivel)
+    const change = await adjustPoints(req, client, points, reason);
     
-    // Agregar puntos (el método se encarga del cálculo de nivel)
-    await client.addPoints(parseInt(points), reason);
+    const previousPoints = change.pointsBefore;
+    const previousLevel = change.levelBefore;
+    const leveledUp = change.leveledUp;
     
-    // Recargar cliente
-    await client.reload();
-    
-    const leveledUp = client.level > previousLevel;
-    
-    console.log(`✅ Puntos agregados: ${client.email} - ${previousPoints} -> ${client.points} puntos, Nivel ${previousLevel} -> ${client.level}`);
+    console.log(`✅ Puntos ajustados: ${client.email} - ${previousPoints} -> ${client.points} puntos, Nivel ${previousLevel} -> ${client.level}`);
     
     res.json({
       success: true,
-      message: `${points} puntos agregados exitosamente`,
+      message: points > 0
+        ? `${points} puntos agregados exitosamente`
+        : `${-points} puntos descontados exitosamente`,
       pointsTransaction: {
+        id: change.ledgerEntry ? change.ledgerEntry.id : null,
         clientId: client.id,
         clientName: client.getFullName(),
         memberNumber: client.memberNumber,
-        pointsAdded: parseInt(points),
+        pointsAdded: points,
         previousPoints,
         currentPoints: client.points,
         previousLevel,
         currentLevel: client.level,
+        levelName: change.levelName,
         leveledUp,
         reason,
+        expiresAt: change.ledgerEntry ? change.ledgerEntry.expiresAt : null,
         addedBy: {
           id: req.user.id,
           name: req.user.getFullName()
         }
       },
-      levelUpMessage: leveledUp ? `¡Felicitaciones! Has subido al nivel ${client.level}` : null,
+      levelUpMessage: leveledUp ? `¡Felicitaciones! Has subido al nivel ${client.level} (${change.levelName})` : null,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Ajuste de puntos rechazado',
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     console.error('💥 Error en addPointsToClient:', error.message);
     
     res.status(500).json({
@@ -760,6 +1130,78 @@ const getClientProfile = async (req, res) => {
   }
 };
 
+/**
+ * RESPONDER ERRORES DE VERIFICACIÓN DE TELÉFONO
+ */
+const sendPhoneVerificationError = (res, error, fallbackCode) => {
+  if (error.status) {
+    const response = {
+      error: 'Verificación de teléfono fallida',
+      message: error.message,
+      code: error.code
+    };
+    
+    if (error.retryAfter !== undefined) response.retryAfter = error.retryAfter;
+    if (error.attemptsRemaining !== undefined) response.attemptsRemaining = error.attemptsRemaining;
+    
+    return res.status(error.status).json(response);
+  }
+  
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message: 'No se pudo procesar la verificación del teléfono',
+    code: fallbackCode
+  });
+};
+
+/**
+ * SOLICITAR CÓDIGO DE VERIFICACIÓN POR SMS
+ * POST /api/clients/me/phone/verify/start
+ */
+const startClientPhoneVerification = async (req, res) => {
+  try {
+    const client = req.user;
+    
+    console.log(`📱 Verificación de teléfono solicitada por: ${client.email}`);
+    
+    const result = await startPhoneVerification(client, req.body.phone);
+    
+    res.json({
+      success: true,
+      message: 'Te enviamos un código por SMS',
+      verification: result,
+      nextStep: 'POST /api/clients/me/phone/verify/confirm'
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en startClientPhoneVerification:', error.message);
+    sendPhoneVerificationError(res, error, 'PHONE_VERIFICATION_START_ERROR');
+  }
+};
+
+/**
+ * CONFIRMAR CÓDIGO DE VERIFICACIÓN POR SMS
+ * POST /api/clients/me/phone/verify/confirm
+ */
+const confirmClientPhoneVerification = async (req, res) => {
+  try {
+    const client = req.user;
+    
+    const { phone } = await confirmPhoneVerification(client, req.body.code);
+    
+    res.json({
+      success: true,
+      message: 'Teléfono verificado exitosamente',
+      phone,
+      isPhoneVerified: true
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en confirmClientPhoneVerification:', error.message);
+    sendPhoneVerificationError(res, error, 'PHONE_VERIFICATION_CONFIRM_ERROR');
+  }
+};
+
 /**
  * OBTENER ESTADÍSTICAS DE CLIENTES
  * GET /api/clients/stats
@@ -982,7 +1424,13 @@ const getClientsInfo = async (req, res) => {
       checkin: 'POST /api/clients/:id/checkin - Realizar check-in (solo staff+)',
       points: 'POST /api/clients/:id/points - Agregar puntos (solo admins)',
       leaderboard: 'GET /api/clients/leaderboard - Top clientes',
-      search: 'GET /api/clients/search - Buscar clientes (solo admins)'
+      search: 'GET /api/clients/search - Buscar clientes (solo admins)',
+      suspend: 'POST /api/clients/:id/suspend - Suspender cliente (solo admins)',
+      reactivate: 'POST /api/clients/:id/reactivate - Reactivar cliente (solo admins)',
+      delete: 'DELETE /api/clients/:id - Eliminar cliente (solo admins)',
+      deleted: 'GET /api/clients/deleted - Clientes eliminados (solo admins)',
+      restore: 'POST /api/clients/:id/restore - Restaurar cliente (solo admins)',
+      purge: 'DELETE /api/clients/:id/purge - Eliminar definitivamente (solo super_admin)'
     };
     
     const capabilities = {
@@ -1031,10 +1479,18 @@ module.exports = {
   getClients,
   getClient,
   updateClient,
+  suspendClientAccount,
+  reactivateClientAccount,
+  deleteClient,
+  getDeletedClients,
+  restoreClient,
+  purgeClient,
   updateClientPreferences,
   clientCheckIn,
   addPointsToClient,
   getClientProfile,
+  startClientPhoneVerification,
+  confirmClientPhoneVerification,
   getClientStats,
   getLeaderboard,
   searchClients,
@@ -0,0 +1,157 @@
+/**
+ * CONTROLADOR DE GAMIFICACIÓN - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que expone las reglas de puntos y la curva de niveles
+ * Mi responsabilidad es que los miembros vean cómo se sube de nivel y que
+ * administración (manage_points) ajuste puntos, topes, multiplicadores y niveles
+ *
+ * Funcionalidades implementadas:
+ * - Curva de niveles con el progreso del cliente autenticado
+ * - Consulta y edición de reglas por tipo de evento
+ * - Reemplazo de la curva con recálculo de niveles
+ * - Rachas e insignias del cliente autenticado
+ */
+
+const {
+  getRules,
+  getLevelTiers,
+  getLevelInfo,
+  updateRule,
+  replaceLevelTiers
+} = require('../utils/gamification');
+const { getClientAchievements } = require('../utils/achievements');
+
+/**
+ * Responder un error con status propio o un 500 genérico
+ */
+const sendGamificationError = (res, error, message, fallbackCode) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: message,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`💥 Error en gamificación (${fallbackCode}):`, error.message);
+
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message,
+    code: fallbackCode
+  });
+};
+
+/**
+ * CURVA DE NIVELES
+ * GET /api/gamification/levels
+ */
+const getLevels = async (req, res) => {
+  try {
+    const tiers = await getLevelTiers();
+    const isClient = req.user.constructor.name.toLowerCase() === 'client';
+
+    res.json({
+      success: true,
+      tiers: tiers.map(({ level, name, minPoints, description }) => ({ level, name, minPoints, description })),
+      // El cliente ve en qué nivel está y cuánto le falta
+      ...(isClient && {
+        progress: { points: req.user.points, ...getLevelInfo(req.user.points) }
+      })
+    });
+
+  } catch (error) {
+    sendGamificationError(res, error, 'No se pudo obtener la curva de niveles', 'LEVELS_FETCH_ERROR');
+  }
+};
+
+/**
+ * REEMPLAZAR CURVA DE NIVELES
+ * PUT /api/gamification/levels
+ */
+const updateLevels = async (req, res) => {
+  try {
+    const { tiers, clientsUpdated } = await replaceLevelTiers(req, req.body.tiers);
+
+    res.json({
+      success: true,
+      message: 'Curva de niveles actualizada',
+      tiers,
+      clientsUpdated
+    });
+
+  } catch (error) {
+    sendGamificationError(res, error, 'No se pudo actualizar la curva de niveles', 'LEVELS_UPDATE_ERROR');
+  }
+};
+
+/**
+ * REGLAS DE PUNTOS
+ * GET /api/gamification/rules
+ */
+const listRules = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rules: await getRules()
+    });
+
+  } catch (error) {
+    sendGamificationError(res, error, 'No se pudieron obtener las reglas', 'RULES_FETCH_ERROR');
+  }
+};
+
+/**
+ * EDITAR REGLA DE PUNTOS
+ * PUT /api/gamification/rules/:eventType
+ */
+const editRule = async (req, res) => {
+  try {
+    const rule = await updateRule(req, req.params.eventType, req.body);
+
+    console.log(`🎮 Regla '${rule.eventType}' actualizada por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Regla actualizada',
+      rule
+    });
+
+  } catch (error) {
+    sendGamificationError(res, error, 'No se pudo actualizar la regla', 'RULE_UPDATE_ERROR');
+  }
+};
+
+/**
+ * MIS LOGROS (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/achievements
+ */
+const getMyAchievements = async (req, res) => {
+  try {
+    const achievements = await getClientAchievements(req.user);
+
+    res.json({
+      success: true,
+      totalCheckIns: req.user.totalCheckIns,
+      ...achievements
+    });
+
+  } catch (error) {
+    sendGamificationError(res, error, 'No se pudieron obtener tus logros', 'ACHIEVEMENTS_FETCH_ERROR');
+  }
+};
+
+module.exports = {
+  getLevels,
+  updateLevels,
+  listRules,
+  editRule,
+  getMyAchievements
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Curva de niveles pública para usuarios autenticados
+ * ✅ Reglas y niveles editables con manage_points
+ * ✅ Rachas e insignias con progreso para el miembro
+ */
@@ -0,0 +1,381 @@
+/**
+ * CONTROLADOR DE INVITADOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que usa recepción para atender a quienes no son miembros
+ * Mi responsabilidad es registrar invitados, emitir pases de día o pases
+ * patrocinados por un miembro, marcar la entrada en la puerta y convertir
+ * invitados en clientes
+ *
+ * Funcionalidades implementadas:
+ * - Registro y búsqueda de invitados
+ * - Historial de visitas por invitado
+ * - Pases de día (cobrados) y de miembro (con cupo mensual)
+ * - Entrada y cancelación de pases
+ * - Conversión a cliente
+ * - Cupo de invitados del cliente autenticado
+ */
+
+const { Client, Guest, GuestPass } = require('../models');
+const { Op } = require('sequelize');
+const { getUserPermissions } = require('../middleware/authorize');
+const { recordAudit } = require('../utils/audit');
+const {
+  getGuestPassQuota,
+  issueGuestPass,
+  checkInGuestPass,
+  cancelGuestPass,
+  convertGuestToClient
+} = require('../utils/guests');
+
+/**
+ * Responder un error con status propio o un 500 genérico
+ */
+const sendGuestError = (res, error, message, fallbackCode) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: message,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`💥 Error en invitados (${fallbackCode}):`, error.message);
+
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message,
+    code: fallbackCode
+  });
+};
+
+const guestNotFound = (res) => res.status(404).json({
+  error: 'Invitado no encontrado',
+  message: 'No existe un invitado con el ID especificado',
+  code: 'GUEST_NOT_FOUND'
+});
+
+const passNotFound = (res) => res.status(404).json({
+  error: 'Pase no encontrado',
+  message: 'No existe un pase con el ID especificado',
+  code: 'GUEST_PASS_NOT_FOUND'
+});
+
+/**
+ * Representación de un pase para las respuestas
+ */
+const formatPass = (pass) => ({
+  id: pass.id,
+  guestId: pass.guestId,
+  passType: pass.passType,
+  validOn: pass.validOn,
+  status: pass.status,
+  sponsorClientId: pass.sponsorClientId,
+  paymentId: pass.paymentId,
+  checkedInAt: pass.checkedInAt,
+  cancelReason: pass.cancelReason,
+  createdAt: pass.createdAt
+});
+
+/**
+ * REGISTRAR INVITADO
+ * POST /api/guests
+ */
+const createGuest = async (req, res) => {
+  try {
+    const { invitedBy } = req.body;
+
+    if (invitedBy && !(await Client.findByPk(invitedBy, { attributes: ['id'] }))) {
+      return res.status(404).json({
+        error: 'Miembro no encontrado',
+        message: 'El miembro que invita no existe',
+        code: 'SPONSOR_NOT_FOUND'
+      });
+    }
+
+    const guest = await Guest.create({
+      ...req.body,
+      email: req.body.email ? req.body.email.toLowerCase() : null,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'guest.create',
+      targetType: 'guest',
+      targetId: guest.id,
+      metadata: { invitedBy: guest.invitedBy }
+    });
+
+    console.log(`🎟️  Invitado registrado: ${guest.getFullName()} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitado registrado exitosamente',
+      guest
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo registrar al invitado', 'GUEST_CREATE_ERROR');
+  }
+};
+
+/**
+ * LISTAR O BUSCAR INVITADOS
+ * GET /api/guests
+ */
+const getGuests = async (req, res) => {
+  try {
+    const { search, page, limit } = req.query;
+    const where = {};
+
+    if (search) {
+      where[Op.or] = [
+        { firstName: { [Op.iLike]: `%${search}%` } },
+        { lastName: { [Op.iLike]: `%${search}%` } },
+        { phone: { [Op.iLike]: `%${search}%` } },
+        { email: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: guests } = await Guest.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      guests,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo obtener la lista de invitados', 'GUEST_LIST_ERROR');
+  }
+};
+
+/**
+ * OBTENER INVITADO CON SU HISTORIAL DE VISITAS
+ * GET /api/guests/:id
+ */
+const getGuest = async (req, res) => {
+  try {
+    const guest = await Guest.findByPk(req.params.id, {
+      include: [
+        { model: GuestPass, as: 'passes' },
+        { model: Client, as: 'inviter', attributes: ['id', 'firstName', 'lastName', 'memberNumber'] },
+        { model: Client, as: 'convertedClient', attributes: ['id', 'email', 'memberNumber'] }
+      ],
+      order: [[{ model: GuestPass, as: 'passes' }, 'validOn', 'DESC']]
+    });
+
+    if (!guest) return guestNotFound(res);
+
+    res.json({
+      success: true,
+      guest: {
+        id: guest.id,
+        fullName: guest.getFullName(),
+        phone: guest.phone,
+        email: guest.email,
+        notes: guest.notes,
+        inviter: guest.inviter || null,
+        convertedClient: guest.convertedClient || null,
+        convertedAt: guest.convertedAt,
+        createdAt: guest.createdAt
+      },
+      visits: guest.passes.filter(pass => pass.status === 'used').length,
+      passes: guest.passes.map(formatPass)
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo obtener al invitado', 'GUEST_FETCH_ERROR');
+  }
+};
+
+/**
+ * EMITIR PASE
+ * POST /api/guests/:id/passes
+ * El pase de día implica un cobro, así que exige permiso de pagos
+ */
+const createGuestPass = async (req, res) => {
+  try {
+    if (req.body.passType === 'day_pass') {
+      const permissions = getUserPermissions(req.user);
+
+      if (!permissions.includes('process_payments') && !permissions.includes('manage_payments')) {
+        return res.status(403).json({
+          error: 'Permisos insuficientes',
+          message: 'Emitir un pase de día requiere permiso para registrar pagos',
+          requiredPermissions: ['process_payments', 'manage_payments'],
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+    }
+
+    const guest = await Guest.findByPk(req.params.id);
+
+    if (!guest) return guestNotFound(res);
+
+    const pass = await issueGuestPass(req, guest, req.body);
+
+    console.log(`🎟️  Pase ${pass.passType} emitido a ${guest.getFullName()} para ${pass.validOn}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pase emitido exitosamente',
+      pass: formatPass(pass)
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo emitir el pase', 'GUEST_PASS_ERROR');
+  }
+};
+
+/**
+ * REGISTRAR ENTRADA DE INVITADO
+ * POST /api/guests/passes/:passId/checkin
+ */
+const checkInGuest = async (req, res) => {
+  try {
+    const pass = await GuestPass.findByPk(req.params.passId, {
+      include: [{ model: Guest, as: 'guest' }]
+    });
+
+    if (!pass) return passNotFound(res);
+
+    await checkInGuestPass(req, pass);
+
+    console.log(`✅ Entrada de invitado: ${pass.guest.getFullName()} (${pass.passType})`);
+
+    res.json({
+      success: true,
+      message: 'Entrada de invitado registrada',
+      pass: formatPass(pass),
+      guestName: pass.guest.getFullName()
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo registrar la entrada', 'GUEST_CHECKIN_ERROR');
+  }
+};
+
+/**
+ * CANCELAR PASE SIN USAR
+ * POST /api/guests/passes/:passId/cancel
+ */
+const cancelPass = async (req, res) => {
+  try {
+    const pass = await GuestPass.findByPk(req.params.passId);
+
+    if (!pass) return passNotFound(res);
+
+    await cancelGuestPass(req, pass, req.body);
+
+    res.json({
+      success: true,
+      message: pass.paymentId
+        ? 'Pase cancelado; el reembolso del pase de día se registra en pagos'
+        : 'Pase cancelado, el cupo del miembro quedó libre',
+      pass: formatPass(pass)
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo cancelar el pase', 'GUEST_PASS_CANCEL_ERROR');
+  }
+};
+
+/**
+ * CONVERTIR INVITADO EN CLIENTE
+ * POST /api/guests/:id/convert
+ */
+const convertGuest = async (req, res) => {
+  try {
+    const guest = await Guest.findByPk(req.params.id);
+
+    if (!guest) return guestNotFound(res);
+
+    const client = await convertGuestToClient(req, guest, req.body);
+    const visits = await GuestPass.count({ where: { guestId: guest.id, status: 'used' } });
+
+    console.log(`🎉 Invitado convertido en cliente: ${client.email} (${visits} visitas previas)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitado convertido en cliente; se envió un enlace para elegir contraseña',
+      client: {
+        id: client.id,
+        email: client.email,
+        fullName: client.getFullName(),
+        memberNumber: client.memberNumber
+      },
+      guestId: guest.id,
+      previousVisits: visits
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudo convertir al invitado', 'GUEST_CONVERT_ERROR');
+  }
+};
+
+/**
+ * MIS PASES DE INVITADO (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/guest-passes
+ */
+const getMyGuestPasses = async (req, res) => {
+  try {
+    let quota = null;
+
+    try {
+      quota = await getGuestPassQuota(req.user.id);
+    } catch (error) {
+      if (error.code !== 'NO_ACTIVE_MEMBERSHIP') throw error;
+    }
+
+    const passes = await GuestPass.findAll({
+      where: { sponsorClientId: req.user.id },
+      include: [{ model: Guest, as: 'guest', attributes: ['firstName', 'lastName'] }],
+      order: [['validOn', 'DESC']],
+      limit: 20
+    });
+
+    res.json({
+      success: true,
+      quota,
+      passes: passes.map(pass => ({
+        ...formatPass(pass),
+        guestName: pass.guest ? pass.guest.getFullName() : null
+      }))
+    });
+
+  } catch (error) {
+    sendGuestError(res, error, 'No se pudieron obtener tus pases de invitado', 'GUEST_PASS_LIST_ERROR');
+  }
+};
+
+module.exports = {
+  createGuest,
+  getGuests,
+  getGuest,
+  createGuestPass,
+  checkInGuest,
+  cancelPass,
+  convertGuest,
+  getMyGuestPasses
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro, búsqueda e historial de invitados
+ * ✅ Pases de día y de miembro con cupo
+ * ✅ Entrada, cancelación y conversión a cliente
+ */
@@ -0,0 +1,362 @@
+/**
+ * CONTROLADOR DE KIOSCOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador de los dispositivos de entrada del gimnasio
+ * Mi responsabilidad es que administración dé de alta los lectores QR y
+ * que cada lector registre la entrada de los miembros que escanean su código
+ *
+ * Funcionalidades implementadas:
+ * - Alta, listado, rotación de credencial y desactivación de kioscos
+ * - Check-in por código QR desde un kiosco autenticado
+ * - Salida (check-out) por código QR desde un kiosco autenticado
+ */
+
+const { Client, KioskDevice } = require('../models');
+const { recordAudit } = require('../utils/audit');
+const {
+  checkCheckInEligibility,
+  registerCheckIn,
+  verifyCheckInCode,
+  consumeCheckInCode
+} = require('../utils/checkins');
+const { checkOutClient } = require('../utils/occupancy');
+const { summarizeCheckInRewards } = require('../utils/achievements');
+
+const kioskNotFound = (res) => res.status(404).json({
+  error: 'Kiosco no encontrado',
+  message: 'No existe un kiosco con el ID especificado',
+  code: 'KIOSK_NOT_FOUND'
+});
+
+/**
+ * LISTAR KIOSCOS
+ * GET /api/kiosks
+ */
+const listKiosks = async (req, res) => {
+  try {
+    const kiosks = await KioskDevice.findAll({ order: [['createdAt', 'DESC']] });
+
+    res.json({
+      success: true,
+      kiosks
+    });
+
+  } catch (error) {
+    console.error('💥 Error en listKiosks:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener los kioscos',
+      code: 'KIOSK_LIST_ERROR'
+    });
+  }
+};
+
+/**
+ * DAR DE ALTA KIOSCO
+ * POST /api/kiosks
+ * La credencial se devuelve una sola vez
+ */
+const createKiosk = async (req, res) => {
+  try {
+    const { name, location } = req.body;
+    const { secret, secretHash } = KioskDevice.generateSecret();
+
+    const kiosk = await KioskDevice.create({
+      name,
+      location: location || null,
+      secretHash,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'kiosk.create',
+      targetType: 'kiosk',
+      targetId: kiosk.id,
+      after: { name: kiosk.name, location: kiosk.location }
+    });
+
+    console.log(`📟 Kiosco dado de alta: ${kiosk.name} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosco registrado. Guarda la credencial, no se volverá a mostrar',
+      kiosk,
+      kioskKey: KioskDevice.buildKey(kiosk.id, secret)
+    });
+
+  } catch (error) {
+    console.error('💥 Error en createKiosk:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo registrar el kiosco',
+      code: 'KIOSK_CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * ROTAR CREDENCIAL DEL KIOSCO
+ * POST /api/kiosks/:id/rotate-key
+ */
+const rotateKioskKey = async (req, res) => {
+  try {
+    const kiosk = await KioskDevice.findByPk(req.params.id);
+
+    if (!kiosk) {
+      return kioskNotFound(res);
+    }
+
+    const { secret, secretHash } = KioskDevice.generateSecret();
+
+    await kiosk.update({
+      secretHash,
+      keyRotatedAt: new Date(),
+      isActive: true,
+      revokedAt: null
+    });
+
+    await recordAudit(req, {
+      action: 'kiosk.rotate_key',
+      targetType: 'kiosk',
+      targetId: kiosk.id
+    });
+
+    console.log(`🔄 Credencial de kiosco rotada: ${kiosk.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Credencial rotada. La anterior dejó de funcionar',
+      kiosk,
+      kioskKey: KioskDevice.buildKey(kiosk.id, secret)
+    });
+
+  } catch (error) {
+    console.error('💥 Error en rotateKioskKey:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo rotar la credencial del kiosco',
+      code: 'KIOSK_ROTATE_ERROR'
+    });
+  }
+};
+
+/**
+ * DESACTIVAR KIOSCO
+ * DELETE /api/kiosks/:id
+ */
+const deactivateKiosk = async (req, res) => {
+  try {
+    const kiosk = await KioskDevice.findByPk(req.params.id);
+
+    if (!kiosk) {
+      return kioskNotFound(res);
+    }
+
+    await kiosk.update({ isActive: false, revokedAt: new Date() });
+
+    await recordAudit(req, {
+      action: 'kiosk.deactivate',
+      targetType: 'kiosk',
+      targetId: kiosk.id
+    });
+
+    console.log(`⛔ Kiosco desactivado: ${kiosk.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Kiosco desactivado',
+      kiosk
+    });
+
+  } catch (error) {
+    console.error('💥 Error en deactivateKiosk:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo desactivar el kiosco',
+      code: 'KIOSK_DEACTIVATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Validar el código QR del body; responde el rechazo y devuelve null si no sirve
+ */
+const readScannedCode = async (req, res) => {
+  try {
+    return await verifyCheckInCode(req.body.code);
+  } catch (error) {
+    if (!error.status) throw error;
+
+    console.log(`❌ Código QR rechazado en ${req.kiosk.name} (${error.code})`);
+
+    res.status(error.status).json({
+      error: 'Código QR rechazado',
+      message: error.message,
+      code: error.code
+    });
+
+    return null;
+  }
+};
+
+/**
+ * CHECK-IN POR CÓDIGO QR
+ * POST /api/kiosks/checkin (autenticado con X-Kiosk-Key)
+ */
+const kioskCheckIn = async (req, res) => {
+  try {
+    const decoded = await readScannedCode(req, res);
+
+    if (!decoded) return;
+
+    const client = await Client.findByPk(decoded.sub);
+
+    // Mismas reglas que el check-in manual de recepción
+    const eligibility = await checkCheckInEligibility(client);
+
+    if (eligibility.error) {
+      console.log(`❌ Check-in QR rechazado (${eligibility.error.code}) en ${req.kiosk.name}`);
+
+      return res.status(eligibility.status).json(eligibility.error);
+    }
+
+    const { membership } = eligibility;
+
+    // El código se invalida antes de registrar para que no entre dos veces
+    await consumeCheckInCode(decoded);
+
+    const record = await registerCheckIn(req, client, membership, {
+      method: 'qr',
+      location: req.kiosk.location
+    }, { kioskId: req.kiosk.id, kioskName: req.kiosk.name });
+
+    const rewards = summarizeCheckInRewards(record);
+
+    console.log(`✅ Check-in QR: ${client.email} en ${req.kiosk.name}`);
+
+    res.json({
+      success: true,
+      message: `¡Bienvenido, ${client.firstName}!`,
+      checkIn: {
+        id: record.id,
+        clientName: client.getFullName(),
+        memberNumber: client.memberNumber,
+        checkInTime: record.checkedInAt,
+        membership: {
+          plan: membership.plan.name,
+          endsAt: membership.endsAt
+        },
+        pointsEarned: record.pointsEarned,
+        pointsBonus: record.award.multiplierLabel,
+        currentPoints: client.points,
+        currentLevel: client.level,
+        levelName: rewards.levelName,
+        leveledUp: rewards.leveledUp,
+        streaks: rewards.streaks,
+        newBadges: rewards.newBadges,
+        events: rewards.events,
+        location: record.location,
+        kiosk: { id: req.kiosk.id, name: req.kiosk.name }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // El mismo código leído dos veces a la vez: solo la primera lectura entra
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Check-in ya realizado',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en kioskCheckIn:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo registrar el check-in',
+      code: 'CHECKIN_ERROR'
+    });
+  }
+};
+
+/**
+ * SALIDA POR CÓDIGO QR
+ * POST /api/kiosks/checkout (autenticado con X-Kiosk-Key)
+ */
+const kioskCheckOut = async (req, res) => {
+  try {
+    const decoded = await readScannedCode(req, res);
+
+    if (!decoded) return;
+
+    const client = await Client.findByPk(decoded.sub, { attributes: ['id', 'email', 'firstName', 'lastName'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const visit = await checkOutClient(req, client, { method: 'qr' });
+
+    await consumeCheckInCode(decoded);
+
+    console.log(`🚪 Salida QR: ${client.email} en ${req.kiosk.name}`);
+
+    res.json({
+      success: true,
+      message: `¡Hasta pronto, ${client.firstName}!`,
+      checkOut: {
+        checkInId: visit.id,
+        clientName: `${client.firstName} ${client.lastName}`,
+        checkedInAt: visit.checkedInAt,
+        checkedOutAt: visit.checkedOutAt,
+        stayMinutes: visit.getStayMinutes(),
+        kiosk: { id: req.kiosk.id, name: req.kiosk.name }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Salida no registrada',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en kioskCheckOut:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo registrar la salida',
+      code: 'CHECKOUT_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  listKiosks,
+  createKiosk,
+  rotateKioskKey,
+  deactivateKiosk,
+  kioskCheckIn,
+  kioskCheckOut
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Gestión de kioscos con credencial mostrada una sola vez
+ * ✅ Check-in QR con las mismas reglas que recepción
+ * ✅ Códigos de un solo uso
+ * ✅ Salida QR para el conteo de aforo
+ */
@@ -0,0 +1,419 @@
+/**
+ * CONTROLADOR DE MEMBRESÍAS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador de los planes de membresía y de las suscripciones
+ * de los clientes
+ * Mi responsabilidad es que administración pueda definir planes, vender
+ * membresías y congelarlas o cancelarlas, y que cada miembro pueda ver
+ * su membresía vigente
+ *
+ * Funcionalidades implementadas:
+ * - CRUD de planes (un plan con ventas se retira, no se elimina)
+ * - Venta e historial de membresías por cliente
+ * - Congelar, descongelar y cancelar membresías
+ * - Membresía vigente del cliente autenticado
+ */
+
+const { Client, Membership, MembershipPlan } = require('../models');
+const { Op } = require('sequelize');
+const { getUserPermissions } = require('../middleware/authorize');
+const { recordAudit, diffChanges, snapshot } = require('../utils/audit');
+const {
+  sellMembership,
+  freezeMembership,
+  unfreezeMembership,
+  cancelMembership,
+  checkMembershipAccess,
+  formatMembership
+} = require('../utils/memberships');
+
+const PLAN_FIELDS = ['name', 'description', 'price', 'durationDays', 'accessRules', 'isActive'];
+
+/**
+ * Responder un error con status propio o un 500 genérico
+ */
+const sendMembershipError = (res, error, message, fallbackCode) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: message,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({
+      error: message,
+      message: 'Ya existe un plan con ese nombre',
+      code: 'PLAN_ALREADY_EXISTS'
+    });
+  }
+
+  console.error(`💥 Error en membresías (${fallbackCode}):`, error.message);
+
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message,
+    code: fallbackCode
+  });
+};
+
+/**
+ * Buscar una membresía por ID o responder 404
+ */
+const findMembershipOr404 = async (req, res) => {
+  const membership = await Membership.findByPk(req.params.id, {
+    include: [{ model: MembershipPlan, as: 'plan' }]
+  });
+
+  if (!membership) {
+    res.status(404).json({
+      error: 'Membresía no encontrada',
+      message: 'No existe una membresía con el ID especificado',
+      code: 'MEMBERSHIP_NOT_FOUND'
+    });
+  }
+
+  return membership;
+};
+
+/**
+ * LISTAR PLANES
+ * GET /api/memberships/plans
+ * Los planes retirados solo los ve quien administra pagos (?includeInactive=true)
+ */
+const listPlans = async (req, res) => {
+  try {
+    const canManage = getUserPermissions(req.user).includes('manage_payments');
+    const includeInactive = canManage && req.query.includeInactive === 'true';
+
+    const plans = await MembershipPlan.findAll({
+      where: includeInactive ? {} : { isActive: true },
+      order: [['price', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      plans,
+      currency: 'GTQ'
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudieron obtener los planes', 'PLAN_LIST_ERROR');
+  }
+};
+
+/**
+ * CREAR PLAN
+ * POST /api/memberships/plans
+ */
+const createPlan = async (req, res) => {
+  try {
+    console.log(`🆕 Creando plan de membresía: ${req.body.name} por ${req.user.email}`);
+
+    const plan = await MembershipPlan.create({
+      ...req.body,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'membership_plan.create',
+      targetType: 'membership_plan',
+      targetId: plan.id,
+      after: snapshot(plan, PLAN_FIELDS)
+    });
+
+    console.log(`✅ Plan creado: ${plan.name} (Q${plan.price}, ${plan.durationDays} días)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan creado exitosamente',
+      plan
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo crear el plan', 'PLAN_CREATE_ERROR');
+  }
+};
+
+/**
+ * ACTUALIZAR PLAN
+ * PUT /api/memberships/plans/:id
+ * Las membresías ya vendidas conservan su precio y fechas
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const plan = await MembershipPlan.findByPk(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan no encontrado',
+        message: 'No existe un plan con el ID especificado',
+        code: 'PLAN_NOT_FOUND'
+      });
+    }
+
+    const before = snapshot(plan, PLAN_FIELDS);
+
+    await plan.update(req.body);
+
+    await recordAudit(req, {
+      action: 'membership_plan.update',
+      targetType: 'membership_plan',
+      targetId: plan.id,
+      before,
+      after: snapshot(plan, PLAN_FIELDS)
+    });
+
+    console.log(`✅ Plan actualizado: ${plan.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Plan actualizado exitosamente',
+      plan,
+      changes: diffChanges(before, snapshot(plan, PLAN_FIELDS))
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo actualizar el plan', 'PLAN_UPDATE_ERROR');
+  }
+};
+
+/**
+ * RETIRAR O ELIMINAR PLAN
+ * DELETE /api/memberships/plans/:id
+ * Un plan con membresías vendidas solo se retira (isActive = false)
+ */
+const deletePlan = async (req, res) => {
+  try {
+    const plan = await MembershipPlan.findByPk(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan no encontrado',
+        message: 'No existe un plan con el ID especificado',
+        code: 'PLAN_NOT_FOUND'
+      });
+    }
+
+    const soldCount = await Membership.count({ where: { planId: plan.id } });
+
+    if (soldCount > 0) {
+      await plan.update({ isActive: false });
+    } else {
+      await plan.destroy();
+    }
+
+    await recordAudit(req, {
+      action: soldCount > 0 ? 'membership_plan.retire' : 'membership_plan.delete',
+      targetType: 'membership_plan',
+      targetId: plan.id,
+      before: snapshot(plan, ['name', 'isActive']),
+      metadata: { soldCount }
+    });
+
+    console.log(`🗑️  Plan ${soldCount > 0 ? 'retirado' : 'eliminado'}: ${plan.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: soldCount > 0
+        ? 'El plan tiene membresías vendidas, se retiró de la venta'
+        : 'Plan eliminado exitosamente',
+      retired: soldCount > 0
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo eliminar el plan', 'PLAN_DELETE_ERROR');
+  }
+};
+
+/**
+ * HISTORIAL DE MEMBRESÍAS DE UN CLIENTE
+ * GET /api/clients/:id/memberships
+ */
+const getClientMemberships = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, { attributes: ['id', 'firstName', 'lastName'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const memberships = await Membership.findAll({
+      where: { clientId: client.id },
+      include: [{ model: MembershipPlan, as: 'plan' }],
+      order: [['startsAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      clientId: client.id,
+      memberships: memberships.map(membership => formatMembership(membership))
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo obtener el historial de membresías', 'MEMBERSHIP_LIST_ERROR');
+  }
+};
+
+/**
+ * VENDER MEMBRESÍA A UN CLIENTE
+ * POST /api/clients/:id/memberships
+ */
+const createClientMembership = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    console.log(`💳 Vendiendo membresía a ${client.email} por ${req.user.email}`);
+
+    const membership = await sellMembership(req, client, req.body);
+
+    console.log(`✅ Membresía ${membership.plan.name} vendida a ${client.email} hasta ${membership.endsAt.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Membresía registrada exitosamente',
+      membership: formatMembership(membership)
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo registrar la membresía', 'MEMBERSHIP_CREATE_ERROR');
+  }
+};
+
+/**
+ * CONGELAR MEMBRESÍA
+ * POST /api/memberships/:id/freeze
+ */
+const freezeClientMembership = async (req, res) => {
+  try {
+    const membership = await findMembershipOr404(req, res);
+    if (!membership) return;
+
+    await freezeMembership(req, membership, req.body);
+
+    console.log(`🧊 Membresía congelada: ${membership.id} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Membresía congelada exitosamente',
+      membership: formatMembership(membership)
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo congelar la membresía', 'MEMBERSHIP_FREEZE_ERROR');
+  }
+};
+
+/**
+ * DESCONGELAR MEMBRESÍA
+ * POST /api/memberships/:id/unfreeze
+ */
+const unfreezeClientMembership = async (req, res) => {
+  try {
+    const membership = await findMembershipOr404(req, res);
+    if (!membership) return;
+
+    await unfreezeMembership(req, membership);
+
+    console.log(`🔥 Membresía descongelada: ${membership.id}, nuevo fin ${membership.endsAt.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: 'Membresía descongelada, la fecha de fin se extendió por los días congelados',
+      membership: formatMembership(membership)
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo descongelar la membresía', 'MEMBERSHIP_UNFREEZE_ERROR');
+  }
+};
+
+/**
+ * CANCELAR MEMBRESÍA
+ * POST /api/memberships/:id/cancel
+ */
+const cancelClientMembership = async (req, res) => {
+  try {
+    const membership = await findMembershipOr404(req, res);
+    if (!membership) return;
+
+    await cancelMembership(req, membership, req.body);
+
+    console.log(`🚫 Membresía cancelada: ${membership.id} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Membresía cancelada exitosamente',
+      membership: formatMembership(membership)
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo cancelar la membresía', 'MEMBERSHIP_CANCEL_ERROR');
+  }
+};
+
+/**
+ * MEMBRESÍA DEL CLIENTE AUTENTICADO
+ * GET /api/clients/me/membership
+ */
+const getMyMembership = async (req, res) => {
+  try {
+    const now = new Date();
+    const access = await checkMembershipAccess(req.user.id, now);
+    const current = access.membership || await Membership.findCurrentForClient(req.user.id, now, {
+      include: [{ model: MembershipPlan, as: 'plan' }]
+    });
+
+    // Próxima membresía ya pagada (renovación anticipada)
+    const upcoming = await Membership.findOne({
+      where: { clientId: req.user.id, status: 'active', startsAt: { [Op.gt]: now } },
+      include: [{ model: MembershipPlan, as: 'plan' }],
+      order: [['startsAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      membership: current ? formatMembership(current, now) : null,
+      upcoming: upcoming ? formatMembership(upcoming, now) : null,
+      canCheckInNow: !access.error,
+      accessDeniedReason: access.error ? access.error.code : null
+    });
+
+  } catch (error) {
+    sendMembershipError(res, error, 'No se pudo obtener tu membresía', 'MEMBERSHIP_FETCH_ERROR');
+  }
+};
+
+module.exports = {
+  listPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getClientMemberships,
+  createClientMembership,
+  freezeClientMembership,
+  unfreezeClientMembership,
+  cancelClientMembership,
+  getMyMembership
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ CRUD de planes con retiro en lugar de borrado
+ * ✅ Venta e historial por cliente
+ * ✅ Congelar, descongelar y cancelar
+ * ✅ Membresía vigente del cliente autenticado
+ */
@@ -0,0 +1,375 @@
+/**
+ * CONTROLADOR DE VERIFICACIÓN EN DOS PASOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que maneja el 2FA (TOTP) de los usuarios administrativos
+ * Mi responsabilidad es inscribir la app autenticadora, completar el login
+ * con el segundo factor y administrar los códigos de recuperación
+ *
+ * Funcionalidades implementadas:
+ * - Inscripción con URI otpauth:// (código QR)
+ * - Activación confirmando un primer código
+ * - Paso de verificación entre la contraseña y la emisión de tokens
+ * - Códigos de recuperación de un solo uso
+ * - Desactivación (salvo que el rol la exija)
+ */
+
+const { User } = require('../models');
+const { generatePurposeToken, verifyPurposeToken } = require('../utils/jwt');
+const { startSession } = require('../utils/sessions');
+const { isMfaRequiredForRole } = require('../middleware/authorize');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+const MFA_CHALLENGE_PURPOSE = 'mfa-challenge';
+const MFA_CHALLENGE_EXPIRY = '5m';
+
+/**
+ * Emitir token temporal que identifica un login con contraseña correcta
+ * pendiente del segundo factor (lo usa loginAdmin)
+ */
+const createMfaChallenge = (user) => {
+  return {
+    mfaToken: generatePurposeToken(MFA_CHALLENGE_PURPOSE, user.id, {}, MFA_CHALLENGE_EXPIRY),
+    expiresIn: MFA_CHALLENGE_EXPIRY
+  };
+};
+
+/**
+ * Validar código TOTP o de recuperación de un usuario cargado con scope withMfa
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return await user.verifyMfaCode(code);
+  }
+
+  if (recoveryCode) {
+    return await user.consumeRecoveryCode(recoveryCode);
+  }
+
+  return false;
+};
+
+/**
+ * INICIAR INSCRIPCIÓN DE 2FA
+ * POST /api/auth/mfa/setup
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = await User.scope('withMfa').findByPk(req.user.id);
+
+    if (user.mfaEnabled) {
+      return res.status(409).json({
+        error: '2FA ya activo',
+        message: 'La verificación en dos pasos ya está activa en tu cuenta',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    await user.update({ mfaPendingSecret: encryptSecret(secret) });
+
+    console.log(`🔐 Inscripción de 2FA iniciada: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Escanea el código QR con tu app autenticadora y confirma con un código',
+      mfa: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+      },
+      nextStep: 'POST /api/auth/mfa/enable',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en setupMfa:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo iniciar la verificación en dos pasos',
+      code: 'MFA_SETUP_ERROR'
+    });
+  }
+};
+
+/**
+ * CONFIRMAR Y ACTIVAR 2FA
+ * POST /api/auth/mfa/enable
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const user = await User.scope('withMfa').findByPk(req.user.id);
+
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({
+        error: 'Inscripción no iniciada',
+        message: 'Primero solicita un secreto en POST /api/auth/mfa/setup',
+        code: 'MFA_SETUP_NOT_STARTED'
+      });
+    }
+
+    const secret = decryptSecret(user.mfaPendingSecret);
+    const step = verifyCode(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Código incorrecto',
+        message: 'El código no coincide, revisa la hora de tu teléfono e intenta de nuevo',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+
+    await user.update({
+      mfaEnabled: true,
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: recovery.hashes,
+      mfaLastUsedStep: step,
+      mfaEnabledAt: new Date()
+    });
+
+    console.log(`✅ 2FA activado: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación, no se mostrarán de nuevo',
+      recoveryCodes: recovery.codes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en enableMfa:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo activar la verificación en dos pasos',
+      code: 'MFA_ENABLE_ERROR'
+    });
+  }
+};
+
+/**
+ * DESACTIVAR 2FA
+ * POST /api/auth/mfa/disable
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.scope('withPassword').findByPk(req.user.id);
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        error: '2FA no activo',
+        message: 'La verificación en dos pasos no está activa en tu cuenta',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({
+        error: '2FA obligatorio',
+        message: `El rol ${user.role} requiere verificación en dos pasos`,
+        code: 'MFA_REQUIRED_FOR_ROLE'
+      });
+    }
+
+    const validPassword = await user.validatePassword(password);
+    const validSecondFactor = validPassword && await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!validSecondFactor) {
+      return res.status(400).json({
+        error: 'Verificación fallida',
+        message: 'La contraseña o el código no son correctos',
+        code: 'INVALID_MFA_CREDENTIALS'
+      });
+    }
+
+    await user.update({
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: [],
+      mfaLastUsedStep: null,
+      mfaEnabledAt: null
+    });
+
+    console.log(`⚠️  2FA desactivado: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos desactivada',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en disableMfa:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo desactivar la verificación en dos pasos',
+      code: 'MFA_DISABLE_ERROR'
+    });
+  }
+};
+
+/**
+ * GENERAR NUEVOS CÓDIGOS DE RECUPERACIÓN
+ * POST /api/auth/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.scope('withMfa').findByPk(req.user.id);
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        error: '2FA no activo',
+        message: 'La verificación en dos pasos no está activa en tu cuenta',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (!await user.verifyMfaCode(req.body.code)) {
+      return res.status(400).json({
+        error: 'Código incorrecto',
+        message: 'El código de tu app autenticadora no es correcto',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+    await user.update({ mfaRecoveryCodes: recovery.hashes });
+
+    console.log(`🔄 Códigos de recuperación regenerados: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación nuevos. Los anteriores dejaron de funcionar',
+      recoveryCodes: recovery.codes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en regenerateRecoveryCodes:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron generar los códigos de recuperación',
+      code: 'MFA_RECOVERY_CODES_ERROR'
+    });
+  }
+};
+
+/**
+ * COMPLETAR LOGIN ADMINISTRATIVO CON SEGUNDO FACTOR
+ * POST /api/auth/login/admin/mfa
+ */
+const verifyAdminLoginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyPurposeToken(mfaToken, MFA_CHALLENGE_PURPOSE);
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: 'Verificación expirada',
+        message: 'El paso de verificación expiró, inicia sesión nuevamente',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    const user = await User.scope('withMfa').findOne({
+      where: { id: challenge.sub, isActive: true }
+    });
+
+    if (!user || !user.mfaEnabled) {
+      return res.status(401).json({
+        error: 'Verificación inválida',
+        message: 'Inicia sesión nuevamente',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(401).json({
+        error: 'Credenciales de administrador inválidas',
+        message: 'Cuenta de administrador bloqueada',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await user.incrementLoginAttempts();
+      console.log(`❌ Código 2FA incorrecto: ${user.email}`);
+
+      return res.status(401).json({
+        error: 'Código incorrecto',
+        message: 'El código de verificación no es correcto',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const tokens = await startSession(user, 'user', req.clientInfo, 'password_mfa', { mfa: true });
+
+    console.log(`✅ Login admin con 2FA exitoso: ${user.email} (${user.role})`);
+
+    res.json({
+      success: true,
+      message: 'Login administrativo exitoso',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        type: 'user',
+        role: user.role,
+        permissions: user.permissions,
+        isActive: user.isActive,
+        lastLogin: user.lastLogin,
+        mfaEnabled: true
+      },
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessTokenExpiry,
+        tokenType: tokens.tokenType
+      },
+      recoveryCodesRemaining: recoveryCode ? (user.mfaRecoveryCodes || []).length : undefined,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('💥 Error en verifyAdminLoginMfa:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo completar el login administrativo',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  createMfaChallenge,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyAdminLoginMfa
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Inscripción y activación de TOTP
+ * ✅ Segundo paso del login administrativo
+ * ✅ Códigos de recuperación de un solo uso
+ * ✅ Desactivación respetando roles obligados
+ */
@@ -0,0 +1,136 @@
+/**
+ * CONTROLADOR DE AFORO - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que muestra cuánta gente hay en el gimnasio
+ * Mi responsabilidad es responder el aforo actual y mantener abierto un
+ * canal Server-Sent Events para que la pantalla del lobby y la app móvil
+ * se actualicen sin consultar a cada rato
+ *
+ * Funcionalidades implementadas:
+ * - Aforo actual (personas dentro, capacidad y disponibilidad)
+ * - Token corto para abrir el stream desde EventSource (sin headers)
+ * - Stream en vivo con evento 'occupancy' y latidos para proxies
+ */
+
+const { getOccupancy, subscribeOccupancy, issueStreamToken } = require('../utils/occupancy');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * AFORO ACTUAL
+ * GET /api/occupancy
+ */
+const getCurrentOccupancy = async (req, res) => {
+  try {
+    const occupancy = await getOccupancy();
+
+    res.set('Cache-Control', 'no-store');
+
+    res.json({
+      success: true,
+      occupancy
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getCurrentOccupancy:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener el aforo',
+      code: 'OCCUPANCY_ERROR'
+    });
+  }
+};
+
+/**
+ * TOKEN PARA EL STREAM
+ * POST /api/occupancy/stream-token
+ */
+const createStreamToken = async (req, res) => {
+  try {
+    const { token, expiresIn } = issueStreamToken(req);
+
+    res.set('Cache-Control', 'no-store');
+
+    res.json({
+      success: true,
+      token,
+      expiresIn,
+      streamUrl: `/api/occupancy/stream?token=${encodeURIComponent(token)}`
+    });
+
+  } catch (error) {
+    console.error('💥 Error en createStreamToken:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo emitir el token del stream',
+      code: 'STREAM_TOKEN_ERROR'
+    });
+  }
+};
+
+/**
+ * AFORO EN VIVO (SERVER-SENT EVENTS)
+ * GET /api/occupancy/stream
+ */
+const streamOccupancy = async (req, res) => {
+  let initial;
+
+  try {
+    initial = await getOccupancy();
+  } catch (error) {
+    console.error('💥 Error en streamOccupancy:', error.message);
+
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo abrir el aforo en vivo',
+      code: 'OCCUPANCY_STREAM_ERROR'
+    });
+  }
+
+  // no-transform evita que la compresión retenga los eventos
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const sendOccupancy = (occupancy) => {
+    write(`event: occupancy\ndata: ${JSON.stringify(occupancy)}\n\n`);
+  };
+
+  // Reintento sugerido al navegador si se corta la conexión
+  write('retry: 5000\n\n');
+  sendOccupancy(initial);
+
+  const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const unsubscribe = subscribeOccupancy(sendOccupancy, () => res.end());
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = {
+  getCurrentOccupancy,
+  createStreamToken,
+  streamOccupancy
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Aforo actual con capacidad y disponibilidad
+ * ✅ Stream SSE con latidos y cierre limpio
+ * ✅ Token corto para navegadores
+ */
@@ -0,0 +1,257 @@
+/**
+ * CONTROLADOR DE PAGOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador del libro de pagos de recepción
+ * Mi responsabilidad es que el staff registre cobros con recibo, que
+ * administración pueda anularlos o reembolsarlos, y que cada miembro
+ * consulte su historial de pagos
+ *
+ * Funcionalidades implementadas:
+ * - Registro de cobros en efectivo, tarjeta o depósito
+ * - Historial paginado por cliente con total neto
+ * - Recibo individual (staff o el propio cliente)
+ * - Anulaciones y reembolsos como asientos compensatorios
+ */
+
+const { Client, Payment } = require('../models');
+const { Op } = require('sequelize');
+const { recordPayment, compensatePayment, sumPayments, formatReceipt } = require('../utils/payments');
+
+/**
+ * Responder un error con status propio o un 500 genérico
+ */
+const sendPaymentError = (res, error, message, fallbackCode) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: message,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`💥 Error en pagos (${fallbackCode}):`, error.message);
+
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message,
+    code: fallbackCode
+  });
+};
+
+/**
+ * Historial paginado de un cliente con totales
+ */
+const buildPaymentHistory = async (clientId, { page, limit, from, to }) => {
+  const where = { clientId };
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = from;
+    if (to) where.createdAt[Op.lte] = to;
+  }
+
+  const { count, rows } = await Payment.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const all = await Payment.findAll({ where, attributes: ['amount'] });
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    payments: rows.map(formatReceipt),
+    totals: {
+      net: sumPayments(all),
+      currency: 'GTQ'
+    },
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: count,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * REGISTRAR COBRO A UN CLIENTE
+ * POST /api/clients/:id/payments
+ */
+const createClientPayment = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const payment = await recordPayment(req, client, req.body);
+
+    console.log(`💵 Cobro registrado: ${payment.receiptNumber} Q${payment.amount} (${payment.method}) a ${client.email} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      receipt: formatReceipt(payment)
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo registrar el pago', 'PAYMENT_CREATE_ERROR');
+  }
+};
+
+/**
+ * HISTORIAL DE PAGOS DE UN CLIENTE
+ * GET /api/clients/:id/payments
+ */
+const getClientPayments = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, { attributes: ['id'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const history = await buildPaymentHistory(client.id, req.query);
+
+    res.json({
+      success: true,
+      clientId: client.id,
+      ...history
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo obtener el historial de pagos', 'PAYMENT_LIST_ERROR');
+  }
+};
+
+/**
+ * MIS PAGOS (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/payments
+ */
+const getMyPayments = async (req, res) => {
+  try {
+    const history = await buildPaymentHistory(req.user.id, req.query);
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo obtener tu historial de pagos', 'PAYMENT_LIST_ERROR');
+  }
+};
+
+/**
+ * OBTENER RECIBO
+ * GET /api/payments/:id
+ * El staff ve cualquier recibo; un cliente solo los suyos
+ */
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [{ model: Payment, as: 'adjustments' }]
+    });
+
+    const isClient = req.user.constructor.name.toLowerCase() === 'client';
+
+    if (!payment || (isClient && payment.clientId !== req.user.id)) {
+      return res.status(404).json({
+        error: 'Pago no encontrado',
+        message: 'No existe un pago con el ID especificado',
+        code: 'PAYMENT_NOT_FOUND'
+      });
+    }
+
+    const adjustments = payment.adjustments || [];
+
+    res.json({
+      success: true,
+      receipt: formatReceipt(payment),
+      adjustments: adjustments.map(formatReceipt),
+      netAmount: sumPayments([payment, ...adjustments])
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo obtener el recibo', 'PAYMENT_FETCH_ERROR');
+  }
+};
+
+/**
+ * ANULAR PAGO
+ * POST /api/payments/:id/void
+ */
+const voidPayment = async (req, res) => {
+  try {
+    const { original, entry } = await compensatePayment(req, req.params.id, {
+      entryType: 'void',
+      reason: req.body.reason
+    });
+
+    console.log(`🚫 Pago anulado: ${original.receiptNumber} con ${entry.receiptNumber} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago anulado exitosamente',
+      receipt: formatReceipt(entry)
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo anular el pago', 'PAYMENT_VOID_ERROR');
+  }
+};
+
+/**
+ * REEMBOLSAR PAGO (TOTAL O PARCIAL)
+ * POST /api/payments/:id/refund
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const { original, entry } = await compensatePayment(req, req.params.id, {
+      entryType: 'refund',
+      amount: req.body.amount,
+      method: req.body.method,
+      reason: req.body.reason
+    });
+
+    console.log(`↩️  Reembolso de ${original.receiptNumber}: Q${entry.amount} con ${entry.receiptNumber} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reembolso registrado exitosamente',
+      receipt: formatReceipt(entry)
+    });
+
+  } catch (error) {
+    sendPaymentError(res, error, 'No se pudo registrar el reembolso', 'PAYMENT_REFUND_ERROR');
+  }
+};
+
+module.exports = {
+  createClientPayment,
+  getClientPayments,
+  getMyPayments,
+  getPaymentReceipt,
+  voidPayment,
+  refundPayment
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Cobros con recibo correlativo
+ * ✅ Historial por cliente y del cliente autenticado
+ * ✅ Anulaciones y reembolsos compensatorios
+ */
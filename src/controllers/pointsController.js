@@ -0,0 +1,142 @@
+/**
+ * CONTROLADOR DEL LIBRO DE PUNTOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador que expone los movimientos de puntos de los clientes
+ * Mi responsabilidad es responder "¿de dónde salieron mis puntos?" para el
+ * propio miembro y permitir al staff revisar y revertir movimientos
+ *
+ * Funcionalidades implementadas:
+ * - Historial de puntos del cliente autenticado
+ * - Historial de puntos de un cliente (staff)
+ * - Reversión de un movimiento con justificación (admins)
+ */
+
+const { Client } = require('../models');
+const { getPointsHistory, reverseTransaction } = require('../utils/points');
+
+/**
+ * MI HISTORIAL DE PUNTOS (CLIENTE AUTENTICADO)
+ * GET /api/clients/me/points/history
+ */
+const getMyPointsHistory = async (req, res) => {
+  try {
+    const history = await getPointsHistory(req.user, req.query);
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getMyPointsHistory:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener tu historial de puntos',
+      code: 'POINTS_HISTORY_ERROR'
+    });
+  }
+};
+
+/**
+ * HISTORIAL DE PUNTOS DE UN CLIENTE
+ * GET /api/clients/:id/points/history
+ */
+const getClientPointsHistory = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, { attributes: ['id', 'points', 'level'] });
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const history = await getPointsHistory(client, req.query, { includeActor: true });
+
+    res.json({
+      success: true,
+      clientId: client.id,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('💥 Error en getClientPointsHistory:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener el historial de puntos',
+      code: 'POINTS_HISTORY_ERROR'
+    });
+  }
+};
+
+/**
+ * REVERTIR UN MOVIMIENTO DE PUNTOS
+ * POST /api/clients/:id/points/transactions/:transactionId/reverse
+ */
+const reversePointsTransaction = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const { original, change } = await reverseTransaction(req, client, req.params.transactionId, req.body.reason);
+
+    console.log(`↩️  Movimiento de puntos revertido: ${client.email} (${original.amount} puntos) por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Movimiento de puntos revertido exitosamente',
+      reversal: {
+        id: change.ledgerEntry.id,
+        reversedTransactionId: original.id,
+        amount: change.ledgerEntry.amount,
+        reason: change.ledgerEntry.reason,
+        previousPoints: change.pointsBefore,
+        currentPoints: change.pointsAfter,
+        previousLevel: change.levelBefore,
+        currentLevel: change.levelAfter,
+        levelName: change.levelName
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Reversión rechazada',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('💥 Error en reversePointsTransaction:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo revertir el movimiento de puntos',
+      code: 'POINTS_REVERSAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getMyPointsHistory,
+  getClientPointsHistory,
+  reversePointsTransaction
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Historial paginado con saldo y puntos por vencer
+ * ✅ Vista de staff con el actor de cada movimiento
+ * ✅ Reversiones con motivo obligatorio
+ */
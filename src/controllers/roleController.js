@@ -0,0 +1,372 @@
+/**
+ * CONTROLADOR DE ROLES Y PERMISOS - ELITE FITNESS CLUB
+ *
+ * Soy el controlador con el que un super administrador edita los roles
+ * Mi responsabilidad es crear roles personalizados (recepción, entrenador,
+ * contador...), ajustar qué permisos concede cada rol y refrescar la caché
+ * de permisos para que el cambio aplique de inmediato
+ *
+ * Funcionalidades implementadas:
+ * - Listado de roles con sus permisos y cantidad de usuarios
+ * - Catálogo de permisos disponibles
+ * - Alta, edición y baja de roles (los del sistema están protegidos)
+ * - Registro en la bitácora de auditoría de cada cambio
+ */
+
+const { Role, Permission, RolePermission, User, sequelize } = require('../models');
+const { refreshRoleCache } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Devolver los permisos de la lista que no existen en el catálogo
+ */
+const findUnknownPermissions = async (names = []) => {
+  if (names.length === 0) return [];
+
+  const known = await Permission.findAll({ where: { name: names }, attributes: ['name'], raw: true });
+  const knownNames = known.map(permission => permission.name);
+
+  return names.filter(name => !knownNames.includes(name));
+};
+
+/**
+ * Formatear un rol con sus permisos para la respuesta
+ */
+const formatRole = (role, userCount = 0) => ({
+  name: role.name,
+  displayName: role.displayName,
+  description: role.description,
+  level: role.level,
+  isSystem: role.isSystem,
+  permissions: (role.permissions || []).map(permission => permission.name).sort(),
+  userCount
+});
+
+/**
+ * Cargar un rol con sus permisos
+ */
+const findRoleWithPermissions = async (name) => {
+  return await Role.findByPk(name, {
+    include: [{ model: Permission, as: 'permissions', attributes: ['name'], through: { attributes: [] } }]
+  });
+};
+
+/**
+ * LISTAR ROLES
+ * GET /api/roles
+ */
+const listRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.findAll({
+        include: [{ model: Permission, as: 'permissions', attributes: ['name'], through: { attributes: [] } }],
+        order: [['level', 'DESC'], ['name', 'ASC']]
+      }),
+      User.findAll({
+        attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['role'],
+        raw: true
+      })
+    ]);
+
+    const countByRole = counts.reduce((acc, item) => {
+      acc[item.role] = parseInt(item.count);
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      roles: roles.map(role => formatRole(role, countByRole[role.name] || 0)),
+      total: roles.length
+    });
+
+  } catch (error) {
+    console.error('💥 Error en listRoles:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener los roles',
+      code: 'ROLES_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * CATÁLOGO DE PERMISOS
+ * GET /api/roles/permissions
+ */
+const listPermissions = async (req, res) => {
+  try {
+    const permissions = await Permission.findAll({
+      attributes: ['name', 'category', 'description'],
+      order: [['category', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      permissions,
+      total: permissions.length
+    });
+
+  } catch (error) {
+    console.error('💥 Error en listPermissions:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo obtener el catálogo de permisos',
+      code: 'PERMISSIONS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * CREAR ROL PERSONALIZADO
+ * POST /api/roles
+ */
+const createRole = async (req, res) => {
+  try {
+    const { name, displayName, description, level, permissions } = req.body;
+
+    console.log(`🛡️  Creando rol ${name} (nivel ${level}) por ${req.user.email}`);
+
+    if (await Role.findByPk(name)) {
+      return res.status(409).json({
+        error: 'Rol ya existe',
+        message: `Ya existe un rol con el nombre '${name}'`,
+        code: 'ROLE_ALREADY_EXISTS'
+      });
+    }
+
+    const unknown = await findUnknownPermissions(permissions);
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Permisos desconocidos',
+        message: 'Solo se pueden asignar permisos del catálogo (GET /api/roles/permissions)',
+        unknownPermissions: unknown,
+        code: 'UNKNOWN_PERMISSIONS'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Role.create({ name, displayName, description, level, isSystem: false }, { transaction });
+      await RolePermission.bulkCreate(
+        permissions.map(permissionName => ({ roleName: name, permissionName })),
+        { transaction }
+      );
+    });
+
+    await refreshRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: name,
+      after: { displayName, description: description || null, level, permissions: [...permissions].sort() }
+    });
+
+    console.log(`✅ Rol creado: ${name} con ${permissions.length} permisos`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      role: formatRole(await findRoleWithPermissions(name))
+    });
+
+  } catch (error) {
+    console.error('💥 Error en createRole:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo crear el rol',
+      code: 'ROLE_CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * ACTUALIZAR ROL
+ * PUT /api/roles/:name
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { displayName, description, level, permissions } = req.body;
+
+    const role = await findRoleWithPermissions(name);
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Rol no encontrado',
+        message: `No existe un rol con el nombre '${name}'`,
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    // super_admin concede todo por definición; editarlo solo abriría la puerta a bloquearse
+    if (role.name === 'super_admin') {
+      return res.status(403).json({
+        error: 'Rol protegido',
+        message: 'El rol super_admin no se puede modificar',
+        code: 'ROLE_IMMUTABLE'
+      });
+    }
+
+    if (role.isSystem && level !== undefined && level !== role.level) {
+      return res.status(400).json({
+        error: 'Rol del sistema',
+        message: 'El nivel de un rol del sistema no se puede cambiar',
+        code: 'SYSTEM_ROLE_LEVEL_LOCKED'
+      });
+    }
+
+    const unknown = await findUnknownPermissions(permissions);
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Permisos desconocidos',
+        message: 'Solo se pueden asignar permisos del catálogo (GET /api/roles/permissions)',
+        unknownPermissions: unknown,
+        code: 'UNKNOWN_PERMISSIONS'
+      });
+    }
+
+    const before = formatRole(role);
+
+    await sequelize.transaction(async (transaction) => {
+      const updates = {};
+      if (displayName !== undefined) updates.displayName = displayName;
+      if (description !== undefined) updates.description = description;
+      if (level !== undefined) updates.level = level;
+
+      await role.update(updates, { transaction });
+
+      if (permissions) {
+        await RolePermission.destroy({ where: { roleName: name }, transaction });
+        await RolePermission.bulkCreate(
+          permissions.map(permissionName => ({ roleName: name, permissionName })),
+          { transaction }
+        );
+      }
+    });
+
+    await refreshRoleCache();
+
+    const after = formatRole(await findRoleWithPermissions(name));
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: name,
+      before: { displayName: before.displayName, description: before.description, level: before.level, permissions: before.permissions },
+      after: { displayName: after.displayName, description: after.description, level: after.level, permissions: after.permissions }
+    });
+
+    console.log(`✅ Rol actualizado: ${name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      role: after
+    });
+
+  } catch (error) {
+    console.error('💥 Error en updateRole:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo actualizar el rol',
+      code: 'ROLE_UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * ELIMINAR ROL PERSONALIZADO
+ * DELETE /api/roles/:name
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const role = await findRoleWithPermissions(name);
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Rol no encontrado',
+        message: `No existe un rol con el nombre '${name}'`,
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'Rol del sistema',
+        message: 'Los roles del sistema no se pueden eliminar',
+        code: 'SYSTEM_ROLE_PROTECTED'
+      });
+    }
+
+    // Incluye usuarios eliminados lógicamente: al restaurarlos necesitan su rol
+    const userCount = await User.count({ where: { role: name }, paranoid: false });
+
+    if (userCount > 0) {
+      return res.status(409).json({
+        error: 'Rol en uso',
+        message: `Hay ${userCount} usuario(s) con este rol; reasígnalos antes de eliminarlo`,
+        userCount,
+        code: 'ROLE_IN_USE'
+      });
+    }
+
+    const before = formatRole(role);
+
+    await sequelize.transaction(async (transaction) => {
+      await RolePermission.destroy({ where: { roleName: name }, transaction });
+      await role.destroy({ transaction });
+    });
+
+    await refreshRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: name,
+      before: { displayName: before.displayName, level: before.level, permissions: before.permissions }
+    });
+
+    console.log(`✅ Rol eliminado: ${name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Rol eliminado exitosamente',
+      deletedRole: name
+    });
+
+  } catch (error) {
+    console.error('💥 Error en deleteRole:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo eliminar el rol',
+      code: 'ROLE_DELETE_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ CRUD de roles personalizados para super_admin
+ * ✅ Validación de permisos contra el catálogo
+ * ✅ Roles del sistema protegidos
+ * ✅ Caché de permisos refrescada tras cada cambio
+ * ✅ Cambios registrados en auditoría
+ */
@@ -12,7 +12,7 @@
  * - Obtener usuario específico con detalles
  * - Crear nuevos usuarios administrativos
  * - Actualizar información de usuarios
- * - Eliminación lógica (soft delete)
+ * - Eliminación lógica (soft delete), restauración y purga definitiva
  * - Gestión de permisos granulares
  * - Auditoría completa de cambios
  * - Estadísticas de usuarios
@@ -20,7 +20,11 @@
 
 const { User, Client } = require('../models');
 const { Op } = require('sequelize');
-const { getUserPermissions, ROLE_HIERARCHY } = require('../middleware/authorize');
+const { getUserPermissions, getRoleLevel } = require('../middleware/authorize');
+const { ensureRoleCache, isAssignableRole, findInvalidPermissionOverrides } = require('../utils/roles');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { revokeAllSessions } = require('../utils/sessions');
+const { findDeleted, findDeletedById, purgeAccount, getPurgeDate, getRetentionDays } = require('../utils/softDelete');
 
 /**
  * LISTAR USUARIOS ADMINISTRATIVOS
@@ -182,7 +186,7 @@ const getUser = async (req, res) => {
       lastName: user.lastName,
       fullName: user.getFullName(),
       role: user.role,
-      roleLevel: ROLE_HIERARCHY[user.role] || 0,
+      roleLevel: getRoleLevel(user.role),
       isActive: user.isActive,
       lastLogin: user.lastLogin,
       loginAttempts: user.loginAttempts,
@@ -225,6 +229,36 @@ const getUser = async (req, res) => {
   }
 };
 
+/**
+ * Validar que el rol exista en la tabla de roles y que los overrides de
+ * permisos sean { permiso_conocido: true|false }
+ * Devuelve el cuerpo del error 400 o null si todo es válido
+ */
+const checkRoleAssignment = async (role, permissions) => {
+  await ensureRoleCache();
+  
+  if (role !== undefined && !isAssignableRole(role)) {
+    return {
+      error: 'Rol no válido',
+      message: `El rol '${role}' no existe`,
+      code: 'INVALID_ROLE'
+    };
+  }
+  
+  const invalidOverrides = await findInvalidPermissionOverrides(permissions);
+  
+  if (invalidOverrides.length > 0) {
+    return {
+      error: 'Permisos no válidos',
+      message: 'Los permisos específicos deben ser permisos conocidos con valor true (conceder) o false (negar)',
+      invalidPermissions: invalidOverrides,
+      code: 'INVALID_PERMISSION_OVERRIDES'
+    };
+  }
+  
+  return null;
+};
+
 /**
  * CREAR NUEVO USUARIO ADMINISTRATIVO
  * POST /api/users
@@ -243,9 +277,15 @@ const createUser = async (req, res) => {
     
     console.log(`👨‍💼 Creando nuevo usuario admin: ${email} (${role})`);
     
+    const roleError = await checkRoleAssignment(role, permissions);
+    
+    if (roleError) {
+      return res.status(400).json(roleError);
+    }
+    
     // Verificar que el usuario actual puede crear este rol
-    const currentUserLevel = ROLE_HIERARCHY[req.user.role] || 0;
-    const newUserLevel = ROLE_HIERARCHY[role] || 0;
+    const currentUserLevel = getRoleLevel(req.user.role);
+    const newUserLevel = getRoleLevel(role);
     
     if (newUserLevel >= currentUserLevel) {
       console.log(`❌ Nivel insuficiente para crear rol ${role}: ${req.user.email}`);
@@ -295,7 +335,7 @@ const createUser = async (req, res) => {
       lastName: newUser.lastName,
       fullName: newUser.getFullName(),
       role: newUser.role,
-      roleLevel: ROLE_HIERARCHY[newUser.role] || 0,
+      roleLevel: getRoleLevel(newUser.role),
       phone: newUser.phone,
       permissions: {
         specific: newUser.permissions || {},
@@ -371,10 +411,16 @@ const updateUser = async (req, res) => {
       });
     }
     
+    const roleError = await checkRoleAssignment(role, permissions);
+    
+    if (roleError) {
+      return res.status(400).json(roleError);
+    }
+    
     // Verificar permisos para actualizar
-    const currentUserLevel = ROLE_HIERARCHY[req.user.role] || 0;
-    const targetUserLevel = ROLE_HIERARCHY[user.role] || 0;
-    const newRoleLevel = role ? ROLE_HIERARCHY[role] || 0 : targetUserLevel;
+    const currentUserLevel = getRoleLevel(req.user.role);
+    const targetUserLevel = getRoleLevel(user.role);
+    const newRoleLevel = role ? getRoleLevel(role) : targetUserLevel;
     
     // No puede actualizar usuarios de igual o mayor nivel
     if (targetUserLevel >= currentUserLevel) {
@@ -427,7 +473,7 @@ const updateUser = async (req, res) => {
       lastName: user.lastName,
       fullName: user.getFullName(),
       role: user.role,
-      roleLevel: ROLE_HIERARCHY[user.role] || 0,
+      roleLevel: getRoleLevel(user.role),
       phone: user.phone,
       permissions: {
         specific: user.permissions || {},
@@ -485,8 +531,8 @@ const deleteUser = async (req, res) => {
     }
     
     // Verificar permisos para eliminar
-    const currentUserLevel = ROLE_HIERARCHY[req.user.role] || 0;
-    const targetUserLevel = ROLE_HIERARCHY[user.role] || 0;
+    const currentUserLevel = getRoleLevel(req.user.role);
+    const targetUserLevel = getRoleLevel(user.role);
     
     if (targetUserLevel >= currentUserLevel) {
       console.log(`❌ Nivel insuficiente para eliminar: ${req.user.email} -> ${user.email}`);
@@ -512,6 +558,17 @@ const deleteUser = async (req, res) => {
     // Soft delete (Sequelize paranoid)
     await user.destroy();
     
+    // Una cuenta eliminada no conserva sesiones abiertas
+    await revokeAllSessions(user.id, 'user', { reason: 'account_deleted' });
+    
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user.id,
+      before: snapshot(user, ['email', 'firstName', 'lastName', 'role', 'isActive']),
+      metadata: { reason: reason || null }
+    });
+    
     console.log(`✅ Usuario eliminado: ${user.email} por ${req.user.email}. Razón: ${reason || 'No especificada'}`);
     
     res.json({
@@ -529,7 +586,7 @@ const deleteUser = async (req, res) => {
         name: req.user.getFullName()
       },
       reason: reason || 'No especificada',
-      note: 'El usuario ha sido eliminado de forma lógica y puede ser restaurado',
+      note: `El usuario ha sido eliminado de forma lógica y puede restaurarse durante ${getRetentionDays()} días`,
       timestamp: new Date().toISOString()
     });
     
@@ -544,6 +601,168 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * LISTAR USUARIOS ELIMINADOS
+ * GET /api/users/deleted
+ */
+const getDeletedUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+    
+    console.log(`🗃️  Listando usuarios eliminados - página ${page} por ${req.user.email}`);
+    
+    const { count, rows: users } = await findDeleted(User, { page, limit, search });
+    const totalPages = Math.ceil(count / parseInt(limit));
+    
+    res.json({
+      success: true,
+      users: users.map(user => ({
+        id: user.id,
+        email: user.email,
+        fullName: user.getFullName(),
+        role: user.role,
+        deletedAt: user.deletedAt,
+        purgeAfter: getPurgeDate(user.deletedAt)
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: count,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      },
+      retentionDays: getRetentionDays()
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en getDeletedUsers:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudieron obtener los usuarios eliminados',
+      code: 'DELETED_USERS_FETCH_ERROR'
+    });
+  }
+};
+
+/**
+ * RESTAURAR USUARIO ELIMINADO
+ * POST /api/users/:id/restore
+ */
+const restoreUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`♻️  Restaurando usuario: ${id} por ${req.user.email}`);
+    
+    const user = await findDeletedById(User, id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario eliminado no encontrado',
+        message: 'No existe un usuario eliminado con el ID especificado',
+        code: 'DELETED_USER_NOT_FOUND'
+      });
+    }
+    
+    // Mismas reglas de jerarquía que al eliminar
+    if (getRoleLevel(user.role) >= getRoleLevel(req.user.role)) {
+      return res.status(403).json({
+        error: 'Permisos insuficientes',
+        message: 'No puedes restaurar este usuario',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+    
+    const deletedAt = user.deletedAt;
+    await user.restore();
+    
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: user.id,
+      before: { deletedAt },
+      after: { deletedAt: null }
+    });
+    
+    console.log(`✅ Usuario restaurado: ${user.email} por ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Usuario restaurado exitosamente',
+      user: {
+        id: user.id,
+        email: user.email,
+        fullName: user.getFullName(),
+        role: user.role,
+        isActive: user.isActive
+      }
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en restoreUser:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo restaurar el usuario',
+      code: 'USER_RESTORE_ERROR'
+    });
+  }
+};
+
+/**
+ * ELIMINAR USUARIO DEFINITIVAMENTE
+ * DELETE /api/users/:id/purge
+ * Solo aplica a usuarios ya eliminados de forma lógica
+ */
+const purgeUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    console.log(`🔥 Purgando usuario: ${id} por ${req.user.email}`);
+    
+    const user = await findDeletedById(User, id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario eliminado no encontrado',
+        message: 'Solo se pueden purgar usuarios eliminados previamente',
+        code: 'DELETED_USER_NOT_FOUND'
+      });
+    }
+    
+    const before = snapshot(user, ['email', 'firstName', 'lastName', 'role', 'deletedAt']);
+    
+    await purgeAccount(user, 'user');
+    
+    await recordAudit(req, {
+      action: 'user.purge',
+      targetType: 'user',
+      targetId: id,
+      before,
+      metadata: { reason: req.body?.reason || null }
+    });
+    
+    console.log(`✅ Usuario purgado definitivamente: ${before.email} por ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Usuario eliminado definitivamente',
+      purgedUser: { id, email: before.email }
+    });
+    
+  } catch (error) {
+    console.error('💥 Error en purgeUser:', error.message);
+    
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo eliminar definitivamente el usuario',
+      code: 'USER_PURGE_ERROR'
+    });
+  }
+};
+
 /**
  * OBTENER PERFIL DEL USUARIO ACTUAL
  * GET /api/users/me
@@ -578,7 +797,7 @@ const getUserProfile = async (req, res) => {
       lastName: user.lastName,
       fullName: user.getFullName(),
       role: user.role,
-      roleLevel: ROLE_HIERARCHY[user.role] || 0,
+      roleLevel: getRoleLevel(user.role),
       phone: user.phone,
       profileImage: user.profileImage,
       isActive: user.isActive,
@@ -687,6 +906,9 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  getDeletedUsers,
+  restoreUser,
+  purgeUser,
   getUserProfile,
   getUserStats
 };
@@ -12,6 +12,7 @@
  * - Manejo de refresh automático
  * - Logging de intentos de autenticación
  * - Soporte para múltiples tipos de usuarios
+ * - Credenciales de dispositivos de entrada (kioscos)
  */
 
 const rateLimit = require('express-rate-limit');
@@ -76,6 +77,55 @@ const requireClient = requireUserType('client');
  */
 const requireAdmin = requireUserType('user');
 
+/**
+ * Middleware para dispositivos de entrada (kioscos y lectores QR)
+ * Autentica con el header X-Kiosk-Key: <id del dispositivo>.<secreto>
+ */
+const requireKioskDevice = async (req, res, next) => {
+  try {
+    const { KioskDevice } = require('../models');
+    const key = req.get('X-Kiosk-Key') || '';
+    const separator = key.indexOf('.');
+    const deviceId = separator > 0 ? key.slice(0, separator) : null;
+    const secret = separator > 0 ? key.slice(separator + 1) : null;
+    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(deviceId || '');
+
+    const device = isUUID && secret ? await KioskDevice.findByPk(deviceId) : null;
+
+    if (!device || !device.verifySecret(secret)) {
+      console.log(`🚫 Credencial de kiosco inválida desde ${req.ip}`);
+
+      return res.status(401).json({
+        error: 'Dispositivo no autorizado',
+        message: 'La credencial del kiosco no es válida',
+        code: 'KIOSK_UNAUTHORIZED'
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(403).json({
+        error: 'Dispositivo desactivado',
+        message: 'Este kiosco fue desactivado por administración',
+        code: 'KIOSK_DISABLED'
+      });
+    }
+
+    await device.update({ lastSeenAt: new Date() });
+
+    req.kiosk = device;
+    next();
+
+  } catch (error) {
+    console.error('💥 Error autenticando kiosco:', error.message);
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'No se pudo autenticar el dispositivo',
+      code: 'KIOSK_AUTH_ERROR'
+    });
+  }
+};
+
 /**
  * Middleware para verificar token y sugerir renovación
  */
@@ -262,10 +312,12 @@ const flexibleAuth = (options = {}) => {
       }
       
       // Verificar verificación de email si es requerida
+      // Solo los clientes tienen email por verificar; los administradores pasan
       if (requireVerification && req.user.isEmailVerified === false) {
         return res.status(403).json({
           error: 'Email no verificado',
           message: 'Debes verificar tu email antes de acceder a esta función',
+          resendVerification: 'POST /api/auth/verify-email/resend',
           code: 'EMAIL_NOT_VERIFIED'
         });
       }
@@ -324,6 +376,7 @@ module.exports = {
   requireClient,
   requireAdmin,
   requireUserType,
+  requireKioskDevice,
   
   // Middleware avanzados
   checkTokenExpiration,
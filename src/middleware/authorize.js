@@ -25,75 +25,40 @@
  * autorizar acceso a recursos según el nivel de acceso del usuario
  * 
  * CORREGIDO PARA SUB-FASE 2.3: Permisos actualizados según tests
+ * 
+ * Niveles y permisos de cada rol se leen de las tablas roles/permissions
+ * (ver utils/roles.js); los overrides de User.permissions siguen aplicando:
+ * true concede un permiso extra y false lo niega aunque el rol lo tenga
  */
 
-/**
- * Jerarquía de roles para administradores
- */
-const ROLE_HIERARCHY = {
-  'super_admin': 4,
-  'admin': 3,
-  'staff': 2,
-  'client': 1
-};
+const {
+  ROLE_HIERARCHY,
+  DEFAULT_PERMISSIONS,
+  ensureRoleCache,
+  getRoleLevel,
+  getRolePermissions
+} = require('../utils/roles');
 
 /**
- * Permisos por defecto según rol - CORREGIDOS
+ * Roles obligados a usar verificación en dos pasos
+ * Se configura con MFA_REQUIRED_ROLES (ej. "super_admin,admin"); vacío = 2FA opcional
  */
-const DEFAULT_PERMISSIONS = {
-  'super_admin': [
-    'manage_all',
-    'delete_users',
-    'modify_system',
-    'view_analytics',
-    'manage_payments',
-    'manage_clients',
-    'manage_products',
-    'manage_promotions',
-    'create_users',
-    'view_users',
-    'update_users',
-    'view_clients',
-    'update_clients',
-    'process_checkins',
-    'manage_points'
-  ],
-  'admin': [
-    'manage_clients',
-    'manage_products',
-    'manage_payments',
-    'view_analytics',
-    'manage_promotions',
-    'create_users',
-    'view_users',
-    'update_users',
-    'view_clients',
-    'update_clients',
-    'process_checkins',
-    'manage_points'
-  ],
-  'staff': [
-    'view_clients',
-    'update_clients',
-    'process_payments',
-    'view_products',
-    'update_products',
-    'process_checkins'
-  ],
-  'client': [
-    'view_own_profile',
-    'update_own_profile',
-    'view_own_payments',
-    'make_payments',
-    'use_gym_services'
-  ]
+const isMfaRequiredForRole = (role) => {
+  const requiredRoles = (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+  
+  return requiredRoles.includes(role);
 };
 
 /**
  * Middleware para requerir rol mínimo
+ * Con { requireMfa: true } además exige que el token venga de un login con
+ * segundo factor cuando el usuario tiene 2FA activo o su rol lo obliga
  */
-const requireRole = (minimumRole) => {
-  return (req, res, next) => {
+const requireRole = (minimumRole, options = {}) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Autenticación requerida',
@@ -101,9 +66,11 @@ const requireRole = (minimumRole) => {
       });
     }
     
+    await ensureRoleCache();
+    
     const userRole = req.user.role || 'client';
-    const userLevel = ROLE_HIERARCHY[userRole] || 0;
-    const requiredLevel = ROLE_HIERARCHY[minimumRole] || 0;
+    const userLevel = getRoleLevel(userRole);
+    const requiredLevel = getRoleLevel(minimumRole);
     
     if (userLevel < requiredLevel) {
       console.log(`❌ Acceso denegado: ${req.user.email} (${userRole}) intentó acceder a recurso que requiere ${minimumRole}`);
@@ -117,6 +84,22 @@ const requireRole = (minimumRole) => {
       });
     }
     
+    if (options.requireMfa && req.user.constructor.name.toLowerCase() === 'user') {
+      const mfaExpected = req.user.mfaEnabled || isMfaRequiredForRole(userRole);
+      
+      if (mfaExpected && req.user.tokenPayload?.mfa !== true) {
+        console.log(`❌ Acceso denegado sin 2FA: ${req.user.email} (${userRole}) en recurso sensible`);
+        
+        return res.status(403).json({
+          error: 'Verificación en dos pasos requerida',
+          message: req.user.mfaEnabled
+            ? 'Inicia sesión nuevamente confirmando el código de tu app autenticadora'
+            : 'Tu rol requiere verificación en dos pasos, actívala en POST /api/auth/mfa/setup',
+          code: req.user.mfaEnabled ? 'MFA_REQUIRED' : 'MFA_SETUP_REQUIRED'
+        });
+      }
+    }
+    
     console.log(`✅ Autorización por rol: ${req.user.email} (${userRole}) accede a recurso ${minimumRole}`);
     next();
   };
@@ -126,7 +109,7 @@ const requireRole = (minimumRole) => {
  * Middleware para requerir permiso específico
  */
 const requirePermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Autenticación requerida',
@@ -140,9 +123,11 @@ const requirePermission = (permission) => {
       return next();
     }
     
-    // Verificar permisos por defecto del rol
+    await ensureRoleCache();
+    
+    // Verificar permisos del rol
     const userRole = req.user.role || 'client';
-    const defaultPerms = DEFAULT_PERMISSIONS[userRole] || [];
+    const defaultPerms = getRolePermissions(userRole);
     
     // Verificar permisos específicos del usuario
     const userPerms = req.user.permissions || {};
@@ -195,7 +180,7 @@ const requireOwnership = (resourceIdParam = 'id', allowAdmins = true) => {
     }
     
     // Administradores pueden acceder si está permitido
-    if (allowAdmins && req.user.role && ROLE_HIERARCHY[req.user.role] >= 3) {
+    if (allowAdmins && req.user.role && getRoleLevel(req.user.role) >= 3) {
       console.log(`✅ Admin override: ${req.user.email} accede a recurso de otro usuario`);
       return next();
     }
@@ -261,7 +246,7 @@ const requireAllPermissions = (permissions) => {
  * Middleware para verificar al menos uno de varios permisos (requiere ANY)
  */
 const requireAnyPermission = (permissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Autenticación requerida',
@@ -279,8 +264,10 @@ const requireAnyPermission = (permissions) => {
       return next();
     }
     
+    await ensureRoleCache();
+    
     const userRole = req.user.role || 'client';
-    const defaultPerms = DEFAULT_PERMISSIONS[userRole] || [];
+    const defaultPerms = getRolePermissions(userRole);
     const userPerms = req.user.permissions || {};
     
     // Verificar si tiene al menos uno de los permisos
@@ -324,7 +311,7 @@ const requireBusinessHours = (timezone = 'America/Guatemala') => {
     
     if (!isBusinessDay || !isBusinessHour) {
       // Permitir a administradores trabajar fuera de horario
-      if (req.user && req.user.role && ROLE_HIERARCHY[req.user.role] >= 3) {
+      if (req.user && req.user.role && getRoleLevel(req.user.role) >= 3) {
         console.log(`✅ Admin fuera de horario: ${req.user.email}`);
         return next();
       }
@@ -348,6 +335,10 @@ const requireBusinessHours = (timezone = 'America/Guatemala') => {
 
 /**
  * Middleware para logging de autorizaciones
+ * Además de la consola, deja en la bitácora de auditoría solo los accesos
+ * denegados; las acciones administrativas permitidas ya quedan con su
+ * recordAudit explícito (client.update, user.delete, ...) y registrar cada
+ * escritura de autoservicio taparía esas entradas
  */
 const logAuthorization = (action) => {
   return (req, res, next) => {
@@ -358,6 +349,25 @@ const logAuthorization = (action) => {
     console.log(`   📱 Cliente: ${clientInfo.clientType} ${clientInfo.platform} ${clientInfo.version}`);
     console.log(`   🌐 IP: ${clientInfo.ip} | User-Agent: ${clientInfo.userAgent?.substring(0, 50)}...`);
     
+    res.on('finish', () => {
+      if (res.statusCode !== 401 && res.statusCode !== 403) {
+        return;
+      }
+      
+      // Importación diferida: la bitácora depende de los modelos
+      const { recordAudit } = require('../utils/audit');
+      
+      recordAudit(req, {
+        action: `authorization.${action}`,
+        metadata: {
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          outcome: 'denied'
+        }
+      });
+    });
+    
     next();
   };
 };
@@ -369,7 +379,7 @@ const getUserPermissions = (user) => {
   if (!user) return [];
   
   const role = user.role || 'client';
-  const defaultPerms = DEFAULT_PERMISSIONS[role] || [];
+  const defaultPerms = getRolePermissions(role);
   const userPerms = user.permissions || {};
   
   // Empezar con permisos por defecto
@@ -391,7 +401,7 @@ const getUserPermissions = (user) => {
 /**
  * Endpoint para obtener permisos del usuario actual
  */
-const getCurrentUserPermissions = (req, res) => {
+const getCurrentUserPermissions = async (req, res) => {
   if (!req.user) {
     return res.status(401).json({
       error: 'No autenticado',
@@ -399,6 +409,8 @@ const getCurrentUserPermissions = (req, res) => {
     });
   }
   
+  await ensureRoleCache();
+  
   const permissions = getUserPermissions(req.user);
   const role = req.user.role || 'client';
   
@@ -408,11 +420,11 @@ const getCurrentUserPermissions = (req, res) => {
       id: req.user.id,
       email: req.user.email,
       role: role,
-      roleLevel: ROLE_HIERARCHY[role] || 0
+      roleLevel: getRoleLevel(role)
     },
     permissions: {
       effective: permissions,
-      byDefault: DEFAULT_PERMISSIONS[role] || [],
+      byDefault: getRolePermissions(role),
       specific: req.user.permissions || {},
       total: permissions.length
     },
@@ -439,8 +451,10 @@ module.exports = {
   // Utilidades
   getUserPermissions,
   getCurrentUserPermissions,
+  isMfaRequiredForRole,
+  getRoleLevel,
   
-  // Constantes
+  // Constantes (valores semilla de roles y permisos)
   ROLE_HIERARCHY,
   DEFAULT_PERMISSIONS
 };
@@ -456,6 +470,8 @@ module.exports = {
  * ✅ Utilidades para obtener permisos efectivos
  * ✅ Endpoint para consultar permisos del usuario
  * ✅ Políticas de seguridad configurables
+ * ✅ Exigencia de 2FA en rutas sensibles (requireRole con requireMfa)
+ * ✅ Roles y permisos resueltos desde base de datos con caché
  * 
  * PENDIENTE EN SIGUIENTES SUB-FASES:
  * ⏳ Middleware de validación de datos (2.3)
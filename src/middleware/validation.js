@@ -42,6 +42,29 @@ const customMessages = {
   'date.base': 'Debe ser una fecha válida'
 };
 
+// Reglas de acceso de un plan (días 0 = domingo, horario en hora de Guatemala)
+const planAccessRules = Joi.object({
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+  startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+  endTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+  guestPassesPerMonth: Joi.number().integer().min(0).max(31).optional()
+}).messages({
+  ...customMessages,
+  'string.pattern.base': 'Formato de hora no válido (HH:MM)'
+});
+
+// Multiplicador de puntos por día y horario (hora de Guatemala, fin excluido)
+const pointsMultiplier = Joi.object({
+  label: Joi.string().trim().max(100).optional(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+  startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+  endTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+  multiplier: Joi.number().precision(2).min(0).max(10).required()
+}).messages({
+  ...customMessages,
+  'string.pattern.base': 'Formato de hora no válido (HH:MM)'
+});
+
 /**
  * Esquemas de validación comunes
  */
@@ -189,6 +212,147 @@ const schemas = {
       })
   }),
   
+  // Validación para crear contraseña local en cuentas solo-OAuth
+  passwordSet: Joi.object({
+    newPassword: Joi.string()
+      .min(8)
+      .max(255)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .required()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'La contraseña debe contener al menos: 1 minúscula, 1 mayúscula, 1 número y 1 carácter especial'
+      }),
+    confirmPassword: Joi.string()
+      .valid(Joi.ref('newPassword'))
+      .required()
+      .messages({
+        ...customMessages,
+        'any.only': 'Las contraseñas no coinciden'
+      })
+  }),
+  
+  // Validación del canje de código OAuth (code_verifier según RFC 7636)
+  oauthExchange: Joi.object({
+    code: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages(customMessages),
+    codeVerifier: Joi.string()
+      .pattern(/^[A-Za-z0-9\-._~]{43,128}$/)
+      .optional()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'code_verifier inválido (43-128 caracteres sin reservar)'
+      })
+  }),
+  
+  // Validación de solicitud de recuperación de contraseña
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .max(255)
+      .lowercase()
+      .messages(customMessages),
+    accountType: Joi.string()
+      .valid('client', 'user')
+      .default('client')
+  }),
+  
+  // Validación de restablecimiento de contraseña
+  passwordReset: Joi.object({
+    token: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages(customMessages),
+    newPassword: Joi.string()
+      .min(8)
+      .max(255)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .required()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'La nueva contraseña debe contener al menos: 1 minúscula, 1 mayúscula, 1 número y 1 carácter especial'
+      }),
+    confirmPassword: Joi.string()
+      .valid(Joi.ref('newPassword'))
+      .required()
+      .messages({
+        ...customMessages,
+        'any.only': 'Las contraseñas no coinciden'
+      })
+  }),
+  
+  // Validación de código TOTP (app autenticadora)
+  mfaCode: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'El código debe tener 6 dígitos'
+      })
+  }),
+  
+  // Validación del segundo paso del login administrativo
+  mfaLogin: Joi.object({
+    mfaToken: Joi.string()
+      .required()
+      .messages(customMessages),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'El código debe tener 6 dígitos'
+      }),
+    recoveryCode: Joi.string()
+      .max(20)
+      .messages(customMessages)
+  }).xor('code', 'recoveryCode'),
+  
+  // Validación para desactivar 2FA
+  mfaDisable: Joi.object({
+    password: Joi.string()
+      .required()
+      .messages(customMessages),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'El código debe tener 6 dígitos'
+      }),
+    recoveryCode: Joi.string()
+      .max(20)
+      .messages(customMessages)
+  }).xor('code', 'recoveryCode'),
+  
+  // Validación para solicitar código SMS (el número es opcional: usa el del perfil)
+  phoneVerifyStart: Joi.object({
+    phone: Joi.string()
+      .pattern(/^[+]?[\d\s\-\(\)]+$/)
+      .min(8)
+      .max(20)
+      .optional()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'Formato de teléfono no válido'
+      })
+  }),
+  
+  // Validación del código recibido por SMS
+  phoneVerifyConfirm: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{4,8}$/)
+      .required()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'El código debe contener solo dígitos'
+      })
+  }),
+  
   // Validación de preferencias de notificación
   preferences: Joi.object({
     emailNotifications: Joi.boolean().optional(),
@@ -215,6 +379,256 @@ const schemas = {
         ...customMessages,
         'string.pattern.base': 'Formato de hora no válido (HH:MM)'
       })
+  }),
+  
+  // Filtros de consulta de la bitácora de auditoría (query string)
+  auditQuery: Joi.object({
+    actorId: Joi.string().uuid().optional(),
+    targetType: Joi.string().max(50).optional(),
+    targetId: Joi.string().max(100).optional(),
+    action: Joi.string()
+      .pattern(/^[a-z_.]+\*?$/)
+      .max(100)
+      .optional()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'La acción solo admite letras minúsculas, puntos y un * final'
+      }),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+  
+  // Creación de rol personalizado (nivel 4 reservado para super_admin)
+  roleCreate: Joi.object({
+    name: Joi.string()
+      .pattern(/^[a-z][a-z0-9_]{1,49}$/)
+      .required()
+      .messages({
+        ...customMessages,
+        'string.pattern.base': 'El nombre del rol solo admite minúsculas, números y guion bajo'
+      }),
+    displayName: Joi.string().trim().min(2).max(100).required().messages(customMessages),
+    description: Joi.string().trim().max(255).allow('', null).optional(),
+    level: Joi.number().integer().min(1).max(3).default(2),
+    permissions: Joi.array().items(Joi.string().max(100)).unique().default([])
+  }),
+  
+  // Suspensión de cliente: fin por fecha o por duración en días (sin fin = indefinida)
+  clientSuspend: Joi.object({
+    reason: Joi.string().trim().min(5).max(255).required().messages(customMessages),
+    startsAt: Joi.date().iso().optional(),
+    endsAt: Joi.date().iso().optional(),
+    durationDays: Joi.number().integer().min(1).max(365).optional()
+  }).oxor('endsAt', 'durationDays'),
+  
+  // Motivo obligatorio para reactivar o eliminar un cliente
+  clientStatusReason: Joi.object({
+    reason: Joi.string().trim().min(5).max(255).required().messages(customMessages)
+  }),
+  
+  // Actualización de rol (el nombre técnico no cambia)
+  roleUpdate: Joi.object({
+    displayName: Joi.string().trim().min(2).max(100).optional().messages(customMessages),
+    description: Joi.string().trim().max(255).allow('', null).optional(),
+    level: Joi.number().integer().min(1).max(3).optional(),
+    permissions: Joi.array().items(Joi.string().max(100)).unique().optional()
+  }).min(1),
+  
+  // Creación de plan de membresía (precio en GTQ)
+  membershipPlanCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required().messages(customMessages),
+    description: Joi.string().trim().max(1000).allow('', null).optional(),
+    price: Joi.number().precision(2).min(0).max(100000).required().messages(customMessages),
+    durationDays: Joi.number().integer().min(1).max(730).required().messages(customMessages),
+    accessRules: planAccessRules.default({})
+  }),
+  
+  // Actualización de plan (el precio nuevo no afecta membresías ya vendidas)
+  membershipPlanUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional().messages(customMessages),
+    description: Joi.string().trim().max(1000).allow('', null).optional(),
+    price: Joi.number().precision(2).min(0).max(100000).optional(),
+    durationDays: Joi.number().integer().min(1).max(730).optional(),
+    accessRules: planAccessRules.optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1),
+  
+  // Venta de membresía a un cliente (sin startsAt = ahora o al terminar la vigente)
+  membershipCreate: Joi.object({
+    planId: Joi.string().uuid().required().messages(customMessages),
+    startsAt: Joi.date().iso().optional(),
+    notes: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+  
+  // Motivo opcional para congelar una membresía
+  membershipFreeze: Joi.object({
+    reason: Joi.string().trim().max(255).allow('', null).optional()
+  }),
+  
+  // Cobro en recepción (monto en GTQ; la referencia es obligatoria salvo en efectivo)
+  paymentCreate: Joi.object({
+    concept: Joi.string().valid('membership', 'enrollment', 'product', 'day_pass', 'other').required().messages(customMessages),
+    description: Joi.string().trim().min(3).max(255).required().messages(customMessages),
+    membershipId: Joi.string().uuid().optional(),
+    method: Joi.string().valid('cash', 'card', 'bank_deposit').required().messages(customMessages),
+    amount: Joi.number().precision(2).positive().max(100000).required().messages(customMessages),
+    reference: Joi.string().trim().max(100).when('method', {
+      is: 'cash',
+      then: Joi.allow('', null).optional(),
+      otherwise: Joi.required()
+    }).messages(customMessages)
+  }),
+  
+  // Anulación de pago completo
+  paymentVoid: Joi.object({
+    reason: Joi.string().trim().min(5).max(255).required().messages(customMessages)
+  }),
+  
+  // Reembolso (sin amount se devuelve todo lo que queda del pago)
+  paymentRefund: Joi.object({
+    reason: Joi.string().trim().min(5).max(255).required().messages(customMessages),
+    amount: Joi.number().precision(2).positive().max(100000).optional(),
+    method: Joi.string().valid('cash', 'card', 'bank_deposit').optional()
+  }),
+  
+  // Check-in manual en recepción
+  checkIn: Joi.object({
+    notes: Joi.string().trim().max(500).allow('', null).optional(),
+    location: Joi.string().trim().max(100).optional()
+  }),
+  
+  // Rango de la analítica de asistencia (fechas locales del gimnasio)
+  analyticsQuery: Joi.object({
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+      .messages({ ...customMessages, 'string.pattern.base': 'Formato de fecha no válido (AAAA-MM-DD)' }),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+      .messages({ ...customMessages, 'string.pattern.base': 'Formato de fecha no válido (AAAA-MM-DD)' })
+  }),
+  
+  // Regla de puntos de un tipo de evento
+  gamificationRuleUpdate: Joi.object({
+    points: Joi.number().integer().min(0).max(10000).optional(),
+    dailyCap: Joi.number().integer().min(0).allow(null).optional(),
+    multipliers: Joi.array().items(pointsMultiplier).max(20).optional(),
+    isActive: Joi.boolean().optional(),
+    description: Joi.string().trim().max(255).allow('', null).optional()
+  }).min(1).messages(customMessages),
+  
+  // Curva de niveles completa (se numera por minPoints ascendente)
+  levelTiersUpdate: Joi.object({
+    tiers: Joi.array().items(Joi.object({
+      name: Joi.string().trim().min(2).max(50).required(),
+      minPoints: Joi.number().integer().min(0).required(),
+      description: Joi.string().trim().max(255).allow('', null).optional()
+    })).min(1).max(100).unique('name').unique('minPoints').required()
+  }).messages(customMessages),
+  
+  // Ajuste manual de puntos (los descuentos exigen justificación)
+  pointsAdjustment: Joi.object({
+    points: Joi.number().integer().min(-10000).max(10000).invalid(0).required().messages(customMessages),
+    reason: Joi.string().trim().max(255).when('points', {
+      is: Joi.number().negative(),
+      then: Joi.string().min(5).required(),
+      otherwise: Joi.optional()
+    }).messages(customMessages)
+  }),
+  
+  // Reversión de un movimiento de puntos
+  pointsReversal: Joi.object({
+    reason: Joi.string().trim().min(5).max(255).required().messages(customMessages)
+  }),
+  
+  // Historial de puntos (mismos orígenes que points_transactions)
+  pointsHistoryQuery: Joi.object({
+    source: Joi.string().valid(
+      'checkin', 'streak_milestone', 'referral', 'profile_completion', 'class_attended',
+      'manual', 'reversal', 'expiry'
+    ).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+  
+  // Código QR escaneado por un kiosco
+  kioskCheckIn: Joi.object({
+    code: Joi.string().trim().max(2048).required().messages(customMessages)
+  }),
+  
+  // Alta de kiosco
+  kioskCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required().messages(customMessages),
+    location: Joi.string().trim().max(100).optional()
+  }),
+  
+  // Registro de invitado en recepción
+  guestCreate: Joi.object({
+    firstName: Joi.string().trim().min(2).max(100)
+      .pattern(/^[a-zA-ZáéíóúüñÁÉÍÓÚÜÑ\s]+$/)
+      .required()
+      .messages({ ...customMessages, 'string.pattern.base': 'Solo se permiten letras y espacios' }),
+    lastName: Joi.string().trim().min(2).max(100)
+      .pattern(/^[a-zA-ZáéíóúüñÁÉÍÓÚÜÑ\s]+$/)
+      .required()
+      .messages({ ...customMessages, 'string.pattern.base': 'Solo se permiten letras y espacios' }),
+    phone: Joi.string().pattern(/^[+]?[\d\s\-\(\)]+$/).min(8).max(20).required()
+      .messages({ ...customMessages, 'string.pattern.base': 'Formato de teléfono no válido' }),
+    email: Joi.string().email().max(255).optional().messages(customMessages),
+    invitedBy: Joi.string().uuid().optional(),
+    notes: Joi.string().trim().max(1000).allow('', null).optional()
+  }),
+  
+  // Búsqueda de invitados (query string)
+  guestQuery: Joi.object({
+    search: Joi.string().trim().min(2).max(100).optional().messages(customMessages),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+  
+  // Emisión de pase: day_pass se cobra, member_guest exige el miembro que invita
+  guestPassIssue: Joi.object({
+    passType: Joi.string().valid('day_pass', 'member_guest').required().messages(customMessages),
+    validOn: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional()
+      .messages({ ...customMessages, 'string.pattern.base': 'Formato de fecha no válido (AAAA-MM-DD)' }),
+    sponsorClientId: Joi.string().uuid().when('passType', {
+      is: 'member_guest',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages(customMessages),
+    payment: Joi.object({
+      method: Joi.string().valid('cash', 'card', 'bank_deposit').required(),
+      amount: Joi.number().precision(2).positive().max(100000).optional(),
+      reference: Joi.string().trim().max(100).when('method', {
+        is: 'cash',
+        then: Joi.allow('', null).optional(),
+        otherwise: Joi.required()
+      })
+    }).when('passType', {
+      is: 'day_pass',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages(customMessages)
+  }),
+  
+  // Conversión de invitado en cliente (email obligatorio si el invitado no tiene)
+  guestConvert: Joi.object({
+    email: Joi.string().email().max(255).optional().messages(customMessages),
+    dateOfBirth: Joi.date().max('now').min('1900-01-01').optional().messages(customMessages),
+    gender: Joi.string().valid('male', 'female', 'other', 'prefer_not_to_say').optional()
+  }),
+  
+  // Filtros por rango de fechas con paginación (historial de pagos y de check-ins)
+  dateRangeQuery: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
   })
 };
 
@@ -382,12 +796,13 @@ const validateImageUpload = (fieldName = 'image') => {
 
 /**
  * Validación de rate limiting personalizado
+ * keyGenerator permite limitar por otro dato de la request (ej. el email)
  */
-const validateRateLimit = (windowMs, max, message) => {
+const validateRateLimit = (windowMs, max, message, keyGenerator = null) => {
   const attempts = new Map();
   
   return (req, res, next) => {
-    const key = req.ip + (req.user?.id || '');
+    const key = keyGenerator ? keyGenerator(req) : req.ip + (req.user?.id || '');
     const now = Date.now();
     
     // Limpiar intentos antiguos
@@ -439,7 +854,43 @@ module.exports = {
   validateClientRegister: validateSchema(schemas.clientRegister),
   validateProfileUpdate: validateSchema(schemas.profileUpdate),
   validatePasswordChange: validateSchema(schemas.passwordChange),
-  validatePreferences: validateSchema(schemas.preferences)
+  validatePasswordSet: validateSchema(schemas.passwordSet),
+  validateOAuthExchange: validateSchema(schemas.oauthExchange),
+  validateForgotPassword: validateSchema(schemas.forgotPassword),
+  validatePasswordReset: validateSchema(schemas.passwordReset),
+  validateMfaCode: validateSchema(schemas.mfaCode),
+  validateMfaLogin: validateSchema(schemas.mfaLogin),
+  validateMfaDisable: validateSchema(schemas.mfaDisable),
+  validatePhoneVerifyStart: validateSchema(schemas.phoneVerifyStart),
+  validatePhoneVerifyConfirm: validateSchema(schemas.phoneVerifyConfirm),
+  validatePreferences: validateSchema(schemas.preferences),
+  validateAuditQuery: validateSchema(schemas.auditQuery, 'query'),
+  validateRoleCreate: validateSchema(schemas.roleCreate),
+  validateRoleUpdate: validateSchema(schemas.roleUpdate),
+  validateClientSuspend: validateSchema(schemas.clientSuspend),
+  validateClientStatusReason: validateSchema(schemas.clientStatusReason),
+  validateMembershipPlanCreate: validateSchema(schemas.membershipPlanCreate),
+  validateMembershipPlanUpdate: validateSchema(schemas.membershipPlanUpdate),
+  validateMembershipCreate: validateSchema(schemas.membershipCreate),
+  validateMembershipFreeze: validateSchema(schemas.membershipFreeze),
+  validatePaymentCreate: validateSchema(schemas.paymentCreate),
+  validatePaymentVoid: validateSchema(schemas.paymentVoid),
+  validatePaymentRefund: validateSchema(schemas.paymentRefund),
+  validatePaymentQuery: validateSchema(schemas.dateRangeQuery, 'query'),
+  validateCheckInQuery: validateSchema(schemas.dateRangeQuery, 'query'),
+  validateCheckIn: validateSchema(schemas.checkIn),
+  validateKioskCheckIn: validateSchema(schemas.kioskCheckIn),
+  validateAnalyticsQuery: validateSchema(schemas.analyticsQuery, 'query'),
+  validateGamificationRuleUpdate: validateSchema(schemas.gamificationRuleUpdate),
+  validateLevelTiersUpdate: validateSchema(schemas.levelTiersUpdate),
+  validatePointsAdjustment: validateSchema(schemas.pointsAdjustment),
+  validatePointsReversal: validateSchema(schemas.pointsReversal),
+  validatePointsHistoryQuery: validateSchema(schemas.pointsHistoryQuery, 'query'),
+  validateKioskCreate: validateSchema(schemas.kioskCreate),
+  validateGuestCreate: validateSchema(schemas.guestCreate),
+  validateGuestQuery: validateSchema(schemas.guestQuery, 'query'),
+  validateGuestPassIssue: validateSchema(schemas.guestPassIssue),
+  validateGuestConvert: validateSchema(schemas.guestConvert)
 };
 
 /**
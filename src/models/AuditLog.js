@@ -0,0 +1,166 @@
+/**
+ * MODELO DE BITÁCORA DE AUDITORÍA - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda de forma permanente quién hizo qué sobre quién
+ * Mi responsabilidad es que las acciones administrativas (eliminar usuarios,
+ * ajustar puntos, registrar check-ins, editar clientes) puedan consultarse
+ * semanas después, no solo en la consola del servidor
+ *
+ * Características implementadas:
+ * - Actor (usuario o cliente) con email y rol congelados al momento de la acción
+ * - Objetivo de la acción (tipo + ID)
+ * - Diferencia antes/después solo de los campos que cambiaron
+ * - Información del cliente HTTP (IP, user agent, plataforma)
+ * - Registros de solo inserción: no se pueden modificar ni eliminar
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  // ===========================================
+  // ACTOR
+  // ===========================================
+
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'ID del usuario o cliente que realizó la acción (null = sistema)'
+  },
+
+  actorType: {
+    type: DataTypes.ENUM('user', 'client', 'system'),
+    allowNull: false,
+    defaultValue: 'system',
+    comment: 'Tipo de cuenta que realizó la acción'
+  },
+
+  actorEmail: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Email del actor al momento de la acción'
+  },
+
+  actorRole: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Rol del actor al momento de la acción'
+  },
+
+  // ===========================================
+  // ACCIÓN Y OBJETIVO
+  // ===========================================
+
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Acción realizada (ej: client.points.add, user.delete)'
+  },
+
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Tipo de entidad afectada (user, client, ...)'
+  },
+
+  targetId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'ID de la entidad afectada'
+  },
+
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Campos modificados: { campo: { from, to } }'
+  },
+
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {},
+    comment: 'Datos adicionales de la acción (motivo, cantidades, ruta, etc.)'
+  },
+
+  // ===========================================
+  // CLIENTE HTTP
+  // ===========================================
+
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  clientType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'web, mobile o admin'
+  },
+
+  platform: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  appVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+
+}, {
+  sequelize,
+  modelName: 'AuditLog',
+  tableName: 'audit_logs',
+
+  // La bitácora no se edita: solo fecha de creación
+  timestamps: true,
+  updatedAt: false,
+
+  // Índices para las consultas por actor, objetivo, acción y fecha
+  indexes: [
+    {
+      fields: ['actorId', 'createdAt']
+    },
+    {
+      fields: ['targetType', 'targetId', 'createdAt']
+    },
+    {
+      fields: ['action']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+
+  hooks: {
+    // Un registro de auditoría editable no sirve como evidencia
+    beforeUpdate: () => {
+      throw new Error('Los registros de auditoría no se pueden modificar');
+    },
+
+    beforeDestroy: () => {
+      throw new Error('Los registros de auditoría no se pueden eliminar');
+    }
+  }
+});
+
+module.exports = AuditLog;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro persistente de acciones administrativas
+ * ✅ Actor, objetivo, diferencia antes/después e información del cliente
+ * ✅ Índices para filtrar por actor, objetivo, acción y fecha
+ * ✅ Protección contra modificación y eliminación de registros
+ */
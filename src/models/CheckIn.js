@@ -0,0 +1,187 @@
+/**
+ * MODELO DE HISTORIAL DE CHECK-INS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda cada entrada de un miembro al gimnasio
+ * Mi responsabilidad es que lastCheckIn y totalCheckIns del cliente tengan
+ * detrás un historial consultable: cuándo entró, cómo, quién lo registró,
+ * en qué sede y con qué notas
+ *
+ * Métodos de entrada:
+ * - manual: registrado por recepción
+ * - qr: código QR del miembro leído en la puerta
+ * - kiosk: terminal de autoservicio
+ * - app: desde la aplicación móvil
+ *
+ * Salida (check-out): manual en recepción, desde el kiosco o automática al
+ * superar la estancia máxima. Una visita sin checkedOutAt cuenta en el aforo
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CheckIn = sequelize.define('CheckIn', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  checkedInAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  method: {
+    type: DataTypes.ENUM('manual', 'qr', 'kiosk', 'app'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+
+  recordedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario de recepción que registró la entrada (null en autoservicio)'
+  },
+
+  membershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'memberships',
+      key: 'id'
+    },
+    comment: 'Membresía con la que entró'
+  },
+
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Sede o puerta de entrada'
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  pointsEarned: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  checkedOutAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Salida del gimnasio (null mientras el miembro sigue dentro)'
+  },
+
+  checkOutMethod: {
+    type: DataTypes.ENUM('manual', 'qr', 'kiosk', 'auto'),
+    allowNull: true,
+    comment: 'auto = cerrada por la tarea de estancia máxima'
+  },
+
+  checkedOutBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario de recepción que registró la salida'
+  }
+
+}, {
+  sequelize,
+  modelName: 'CheckIn',
+  tableName: 'check_ins',
+
+  // El historial no se edita: solo se completa la salida
+  timestamps: true,
+  updatedAt: false,
+
+  indexes: [
+    {
+      fields: ['clientId', 'checkedInAt']
+    },
+    {
+      fields: ['checkedInAt']
+    },
+    {
+      fields: ['checkedOutAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Condición de visita abierta: sin salida y dentro de la estancia máxima
+CheckIn.openWhere = function(maxStayMinutes, extra = {}) {
+  return {
+    ...extra,
+    checkedOutAt: null,
+    checkedInAt: { [Op.gt]: new Date(Date.now() - maxStayMinutes * 60 * 1000) }
+  };
+};
+
+// Visita abierta más reciente de un cliente
+CheckIn.findOpenForClient = async function(clientId, maxStayMinutes) {
+  return await this.findOne({
+    where: this.openWhere(maxStayMinutes, { clientId }),
+    order: [['checkedInAt', 'DESC']]
+  });
+};
+
+// Personas dentro del gimnasio en este momento
+CheckIn.countOpen = async function(maxStayMinutes) {
+  return await this.count({ where: this.openWhere(maxStayMinutes) });
+};
+
+// Cerrar visitas que superaron la estancia máxima (salida = entrada + estancia máxima)
+CheckIn.closeStale = async function(maxStayMinutes) {
+  const stale = await this.findAll({
+    where: {
+      checkedOutAt: null,
+      checkedInAt: { [Op.lte]: new Date(Date.now() - maxStayMinutes * 60 * 1000) }
+    },
+    attributes: ['id', 'checkedInAt']
+  });
+
+  for (const visit of stale) {
+    await visit.update({
+      checkedOutAt: new Date(visit.checkedInAt.getTime() + maxStayMinutes * 60 * 1000),
+      checkOutMethod: 'auto'
+    });
+  }
+
+  return stale.length;
+};
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+// Duración de la visita en minutos (null si sigue abierta)
+CheckIn.prototype.getStayMinutes = function() {
+  if (!this.checkedOutAt) return null;
+  return Math.round((new Date(this.checkedOutAt) - new Date(this.checkedInAt)) / 60000);
+};
+
+module.exports = CheckIn;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Historial de entradas con método, responsable, sede y notas
+ * ✅ Enlace con la membresía usada
+ * ✅ Índices para consultas por cliente y rango de fechas
+ * ✅ Salida manual, por kiosco o automática para el aforo
+ */
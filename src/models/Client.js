@@ -249,6 +249,31 @@ const Client = sequelize.define('Client', {
     comment: 'Fecha hasta la cual está bloqueado'
   },
   
+  // Suspensión administrativa (sin check-ins ni logins durante el periodo)
+  suspendedFrom: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Inicio de la suspensión (puede ser futura)'
+  },
+  
+  suspendedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fin de la suspensión (null = indefinida hasta reactivar)'
+  },
+  
+  suspensionReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Motivo de la suspensión'
+  },
+  
+  suspendedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario que registró la suspensión'
+  },
+  
   lastCheckIn: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -429,6 +454,17 @@ Client.prototype.isLocked = function() {
   return !!(this.lockedUntil && this.lockedUntil > Date.now());
 };
 
+// Verificar si la suspensión está vigente en una fecha
+Client.prototype.isSuspended = function(at = new Date()) {
+  if (!this.suspendedFrom || new Date(this.suspendedFrom) > at) return false;
+  return !this.suspendedUntil || new Date(this.suspendedUntil) > at;
+};
+
+// Suspensión vigente o programada (aún no terminada)
+Client.prototype.hasPendingSuspension = function(at = new Date()) {
+  return !!this.suspendedFrom && (!this.suspendedUntil || new Date(this.suspendedUntil) > at);
+};
+
 // Incrementar intentos fallidos (ARREGLO PARA TESTS)
 Client.prototype.incrementLoginAttempts = async function() {
   const updates = { loginAttempts: (this.loginAttempts || 0) + 1 };
@@ -471,31 +507,64 @@ Client.prototype.getAge = function() {
 };
 
 // Realizar check-in
-Client.prototype.checkIn = async function() {
-  const updates = {
-    lastCheckIn: new Date(),
-    totalCheckIns: this.totalCheckIns + 1,
-    points: this.points + 10 // 10 puntos por check-in
-  };
-  
-  // Calcular nivel basado en puntos
-  const newLevel = Math.floor(updates.points / 100) + 1;
-  if (newLevel > this.level) {
-    updates.level = newLevel;
-  }
-  
-  return await this.update(updates);
+// Cada llamada deja una fila en el historial (CheckIn) junto con los contadores;
+// details: { method, recordedBy, membershipId, location, notes }
+// Los puntos salen de la regla 'checkin' (utils/gamification.js); el resultado
+// del premio queda en record.award
+Client.prototype.checkIn = async function(details = {}) {
+  const { awardPoints } = require('../utils/gamification');
+  const { hasCheckedInToday } = require('../utils/checkins');
+  const now = new Date();
+  
+  return await sequelize.transaction(async (transaction) => {
+    // Bloquear al cliente: dos entradas simultáneas (el mismo QR leído dos veces,
+    // recepción y kiosco a la vez) no pueden pasar ambas el límite diario
+    const current = await Client.findByPk(this.id, {
+      attributes: ['id', 'lastCheckIn'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    
+    if (current && hasCheckedInToday(current, now)) {
+      const error = new Error('El cliente ya realizó check-in el día de hoy');
+      error.status = 400;
+      error.code = 'CHECKIN_ALREADY_DONE_TODAY';
+      throw error;
+    }
+    
+    const record = sequelize.models.CheckIn.build({
+      clientId: this.id,
+      checkedInAt: now,
+      method: details.method || 'manual',
+      recordedBy: details.recordedBy || null,
+      membershipId: details.membershipId || null,
+      location: details.location || null,
+      notes: details.notes || null
+    });
+    
+    const award = await awardPoints(this, 'checkin', {
+      at: now,
+      sourceId: record.id,
+      transaction,
+      updates: {
+        lastCheckIn: now,
+        totalCheckIns: this.totalCheckIns + 1
+      }
+    });
+    
+    record.pointsEarned = award.points;
+    await record.save({ transaction });
+    
+    record.award = award;
+    return record;
+  });
 };
 
-// Agregar puntos
+// Agregar o descontar puntos (queda en el libro; el nivel se ajusta con la curva)
 Client.prototype.addPoints = async function(points, reason = 'activity') {
-  const newPoints = this.points + points;
-  const newLevel = Math.floor(newPoints / 100) + 1;
+  const { applyPointsChange } = require('../utils/gamification');
   
-  return await this.update({
-    points: newPoints,
-    level: newLevel > this.level ? newLevel : this.level
-  });
+  return await applyPointsChange(this, points, { source: 'manual', reason });
 };
 
 // Verificar preferencia de notificación
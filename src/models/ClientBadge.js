@@ -0,0 +1,67 @@
+/**
+ * MODELO DE INSIGNIAS OBTENIDAS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda qué insignias de asistencia ganó cada cliente
+ * Mi responsabilidad es que cada insignia se gane una sola vez y recordar
+ * cuándo y con qué check-in se obtuvo
+ *
+ * Las definiciones (nombre, descripción, meta) viven en utils/achievements.js;
+ * aquí solo se guarda el código de la insignia
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ClientBadge = sequelize.define('ClientBadge', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  badgeCode: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Código de la insignia (ver BADGES en utils/achievements.js)'
+  },
+
+  checkInId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Check-in con el que se ganó la insignia'
+  }
+
+}, {
+  sequelize,
+  modelName: 'ClientBadge',
+  tableName: 'client_badges',
+
+  // Solo importa cuándo se ganó
+  timestamps: true,
+  createdAt: 'earnedAt',
+  updatedAt: false,
+
+  indexes: [
+    {
+      unique: true,
+      fields: ['clientId', 'badgeCode']
+    }
+  ]
+});
+
+module.exports = ClientBadge;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Una fila por insignia ganada
+ * ✅ Índice único para no repetir insignias
+ */
@@ -0,0 +1,92 @@
+/**
+ * MODELO DE REGLAS DE GAMIFICACIÓN - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que define cuántos puntos vale cada evento
+ * Mi responsabilidad es que los puntos dejen de estar fijos en el código:
+ * administración ajusta los valores, topes diarios y multiplicadores
+ * por horario sin desplegar una versión nueva
+ *
+ * Eventos:
+ * - checkin: entrada al gimnasio
+ * - streak_milestone: racha de asistencia alcanzada
+ * - referral: un invitado del miembro se inscribió
+ * - profile_completion: perfil completo (una sola vez)
+ * - class_attended: asistencia a una clase
+ *
+ * multipliers: [{ label, daysOfWeek, startTime, endTime, multiplier }] en hora
+ * de Guatemala; si varios aplican se usa el mayor
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EVENT_TYPES = ['checkin', 'streak_milestone', 'referral', 'profile_completion', 'class_attended'];
+
+const GamificationRule = sequelize.define('GamificationRule', {
+  eventType: {
+    type: DataTypes.ENUM(...EVENT_TYPES),
+    primaryKey: true,
+    allowNull: false
+  },
+
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 10000
+    },
+    comment: 'Puntos base por evento'
+  },
+
+  dailyCap: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Máximo de puntos por día para este evento (null = sin tope)'
+  },
+
+  multipliers: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Multiplicadores por día de la semana y horario'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Una regla inactiva no otorga puntos'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Administrador que modificó la regla por última vez'
+  }
+
+}, {
+  sequelize,
+  modelName: 'GamificationRule',
+  tableName: 'gamification_rules',
+  timestamps: true
+});
+
+GamificationRule.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = GamificationRule;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Puntos por tipo de evento
+ * ✅ Tope diario y multiplicadores por horario
+ */
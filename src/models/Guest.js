@@ -0,0 +1,124 @@
+/**
+ * MODELO DE INVITADOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo de las personas que entran al gimnasio sin ser miembros:
+ * visitantes que pagan un pase de día y amigos que trae un miembro
+ * Mi responsabilidad es conservar sus datos de contacto y, si se inscriben,
+ * el enlace con su nueva cuenta de cliente para no perder su historial
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Guest = sequelize.define('Guest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  firstName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+
+  lastName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    }
+  },
+
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      is: /^[+]?[\d\s\-\(\)]+$/
+    }
+  },
+
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'Miembro que trajo al invitado la primera vez'
+  },
+
+  convertedClientId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'Cuenta de cliente creada al inscribirse'
+  },
+
+  convertedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario de recepción que lo registró'
+  }
+
+}, {
+  sequelize,
+  modelName: 'Guest',
+  tableName: 'guests',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['phone']
+    },
+    {
+      fields: ['invitedBy']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+Guest.prototype.getFullName = function() {
+  return `${this.firstName} ${this.lastName}`;
+};
+
+Guest.prototype.isConverted = function() {
+  return !!this.convertedClientId;
+};
+
+module.exports = Guest;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Datos de contacto del invitado
+ * ✅ Miembro que lo invitó
+ * ✅ Enlace con la cuenta de cliente al inscribirse
+ */
@@ -0,0 +1,129 @@
+/**
+ * MODELO DE PASES DE INVITADO - ELITE FITNESS CLUB
+ *
+ * Soy el modelo de los pases que permiten a un invitado entrar un día
+ * Mi responsabilidad es registrar quién lo emitió, si lo pagó el invitado
+ * (pase de día) o lo patrocina un miembro (cuenta contra su cupo mensual),
+ * y el momento en que se usó en la puerta
+ *
+ * Estados:
+ * - issued: emitido, válido solo el día validOn
+ * - used: el invitado ya entró (checkedInAt)
+ * - cancelled: anulado, no cuenta para el cupo del miembro
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GuestPass = sequelize.define('GuestPass', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  guestId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'guests',
+      key: 'id'
+    }
+  },
+
+  passType: {
+    type: DataTypes.ENUM('day_pass', 'member_guest'),
+    allowNull: false
+  },
+
+  sponsorClientId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'Miembro que patrocina el pase (member_guest)'
+  },
+
+  validOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Día (hora de Guatemala) en que el pase es válido'
+  },
+
+  status: {
+    type: DataTypes.ENUM('issued', 'used', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'issued'
+  },
+
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    comment: 'Cobro del pase de día'
+  },
+
+  issuedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+
+  checkedInAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  checkedInBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+
+  cancelReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+
+}, {
+  sequelize,
+  modelName: 'GuestPass',
+  tableName: 'guest_passes',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['guestId', 'validOn']
+    },
+    {
+      fields: ['sponsorClientId', 'validOn']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Invitados dentro del gimnasio: no registran salida, cuentan hasta cumplir la estancia máxima
+GuestPass.countOpen = async function(maxStayMinutes) {
+  return await this.count({
+    where: {
+      status: 'used',
+      checkedInAt: { [Op.gt]: new Date(Date.now() - maxStayMinutes * 60 * 1000) }
+    }
+  });
+};
+
+module.exports = GuestPass;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Pases de día pagados y pases patrocinados por miembros
+ * ✅ Validez por día y registro de entrada
+ * ✅ Cancelación que libera el cupo del miembro
+ * ✅ Conteo de invitados dentro para el aforo
+ */
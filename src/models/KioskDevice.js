@@ -0,0 +1,132 @@
+/**
+ * MODELO DE KIOSCOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo de los dispositivos de entrada (kioscos y lectores QR)
+ * Mi responsabilidad es guardar la credencial de cada dispositivo para que
+ * pueda registrar check-ins sin una sesión de staff
+ *
+ * Características implementadas:
+ * - Credencial por dispositivo: solo se guarda el hash SHA-256 del secreto
+ * - Ubicación que queda registrada en cada check-in
+ * - Desactivación y rotación de la credencial sin borrar el historial
+ */
+
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const KioskDevice = sequelize.define('KioskDevice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [2, 100]
+    },
+    comment: 'Nombre visible del dispositivo (ej: Lector entrada principal)'
+  },
+
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Ubicación que se registra en los check-ins del dispositivo'
+  },
+
+  secretHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Hash SHA-256 del secreto del dispositivo'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Última vez que el dispositivo se autenticó'
+  },
+
+  keyRotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Administrador que dio de alta el dispositivo'
+  }
+
+}, {
+  sequelize,
+  modelName: 'KioskDevice',
+  tableName: 'kiosk_devices',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['isActive']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+KioskDevice.hashSecret = function(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+// Generar un secreto nuevo; devuelve el secreto en claro y su hash
+KioskDevice.generateSecret = function() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, secretHash: this.hashSecret(secret) };
+};
+
+// Credencial que se configura en el dispositivo: <id>.<secreto>
+KioskDevice.buildKey = function(deviceId, secret) {
+  return `${deviceId}.${secret}`;
+};
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+// Comparar el secreto en tiempo constante
+KioskDevice.prototype.verifySecret = function(secret) {
+  const expected = Buffer.from(this.secretHash || '', 'hex');
+  const received = Buffer.from(KioskDevice.hashSecret(secret), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Nunca exponer el hash en las respuestas
+KioskDevice.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.secretHash;
+  return values;
+};
+
+module.exports = KioskDevice;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Credencial por dispositivo guardada como hash
+ * ✅ Verificación en tiempo constante
+ * ✅ Rotación y desactivación de credenciales
+ */
@@ -0,0 +1,61 @@
+/**
+ * MODELO DE NIVELES - ELITE FITNESS CLUB
+ *
+ * Soy el modelo de la curva de niveles de la gamificación
+ * Mi responsabilidad es decir desde cuántos puntos empieza cada nivel y
+ * cómo se llama, para que el nivel de un cliente salga siempre de aquí
+ *
+ * Reglas:
+ * - El nivel 1 empieza en 0 puntos
+ * - minPoints crece con el nivel
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LevelTier = sequelize.define('LevelTier', {
+  level: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      len: [2, 50]
+    }
+  },
+
+  minPoints: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Puntos acumulados desde los que se alcanza el nivel'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+
+}, {
+  sequelize,
+  modelName: 'LevelTier',
+  tableName: 'level_tiers',
+  timestamps: true
+});
+
+module.exports = LevelTier;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Curva de niveles configurable con nombres
+ */
@@ -0,0 +1,167 @@
+/**
+ * MODELO DE MEMBRESÍAS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que registra la membresía que un cliente compró
+ * Mi responsabilidad es saber desde y hasta cuándo puede entrar un miembro,
+ * con qué plan, y en qué estado está su suscripción
+ *
+ * Estados:
+ * - active: vigente (o programada si startsAt es futura)
+ * - frozen: congelada; al descongelar se extiende endsAt por los días congelados
+ * - expired: terminó su periodo (lo marca la tarea programada)
+ * - cancelled: cancelada por un administrador
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Membership = sequelize.define('Membership', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  planId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'membership_plans',
+      key: 'id'
+    }
+  },
+
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'expired', 'frozen', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+
+  pricePaid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Precio del plan al momento de la venta (GTQ)'
+  },
+
+  frozenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Inicio del congelamiento vigente'
+  },
+
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  cancelReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario que registró la venta'
+  }
+
+}, {
+  sequelize,
+  modelName: 'Membership',
+  tableName: 'memberships',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['clientId', 'status']
+    },
+    {
+      fields: ['status', 'endsAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+// Días completos que le quedan a la membresía
+Membership.prototype.getDaysRemaining = function(at = new Date()) {
+  const end = this.status === 'frozen' && this.frozenAt ? new Date(this.frozenAt) : new Date(this.endsAt);
+  const reference = new Date(Math.max(at.getTime(), new Date(this.startsAt).getTime()));
+  return Math.max(0, Math.ceil((end - reference) / (24 * 60 * 60 * 1000)));
+};
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Membresía que cubre una fecha (activa o congelada), null si no hay
+Membership.findCurrentForClient = async function(clientId, at = new Date(), options = {}) {
+  return await this.findOne({
+    where: {
+      clientId,
+      status: ['active', 'frozen'],
+      startsAt: { [Op.lte]: at },
+      endsAt: { [Op.gt]: at }
+    },
+    order: [['endsAt', 'DESC']],
+    ...options
+  });
+};
+
+// Membresías activas o congeladas que se traslapan con un periodo
+Membership.findOverlapping = async function(clientId, startsAt, endsAt, options = {}) {
+  return await this.findOne({
+    where: {
+      clientId,
+      status: ['active', 'frozen'],
+      startsAt: { [Op.lt]: endsAt },
+      endsAt: { [Op.gt]: startsAt }
+    },
+    ...options
+  });
+};
+
+// Marcar como vencidas las membresías activas cuyo periodo terminó
+Membership.expireOverdue = async function() {
+  const [count] = await this.update(
+    { status: 'expired' },
+    { where: { status: 'active', endsAt: { [Op.lte]: new Date() } } }
+  );
+  return count;
+};
+
+module.exports = Membership;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Periodo de vigencia y estado de la suscripción
+ * ✅ Precio congelado al momento de la venta
+ * ✅ Búsqueda de membresía vigente y traslapes
+ * ✅ Vencimiento automático
+ */
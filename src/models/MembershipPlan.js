@@ -0,0 +1,125 @@
+/**
+ * MODELO DE PLANES DE MEMBRESÍA - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que define los planes que el gimnasio vende
+ * (mensual, trimestral, anual, solo mañanas, etc.)
+ * Mi responsabilidad es guardar precio en quetzales, duración y las reglas
+ * de acceso que se verifican al hacer check-in
+ *
+ * Características implementadas:
+ * - Precio en GTQ con dos decimales
+ * - Duración en días
+ * - Reglas de acceso: días de la semana y horario (hora de Guatemala)
+ * - Cupo mensual de pases de invitado (guestPassesPerMonth)
+ * - Planes retirados (isActive = false) que ya no se venden pero siguen
+ *   respaldando las membresías vendidas
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MembershipPlan = sequelize.define('MembershipPlan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Nombre comercial del plan'
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Precio en quetzales (GTQ)'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'GTQ'
+  },
+
+  durationDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 730
+    },
+    comment: 'Duración de la membresía en días'
+  },
+
+  accessRules: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    validate: {
+      isValidRules(rules) {
+        const { daysOfWeek, startTime, endTime, guestPassesPerMonth } = rules || {};
+
+        if (daysOfWeek !== undefined &&
+            (!Array.isArray(daysOfWeek) || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+          throw new Error('daysOfWeek debe ser una lista de días 0-6 (0 = domingo)');
+        }
+
+        if ((startTime !== undefined && !TIME_PATTERN.test(startTime)) ||
+            (endTime !== undefined && !TIME_PATTERN.test(endTime))) {
+          throw new Error('startTime y endTime deben tener formato HH:MM');
+        }
+
+        if (guestPassesPerMonth !== undefined && (!Number.isInteger(guestPassesPerMonth) || guestPassesPerMonth < 0)) {
+          throw new Error('guestPassesPerMonth debe ser un entero mayor o igual a 0');
+        }
+      }
+    },
+    comment: 'Reglas de acceso: { daysOfWeek, startTime, endTime, guestPassesPerMonth }'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'false = plan retirado, ya no se vende'
+  },
+
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+
+}, {
+  sequelize,
+  modelName: 'MembershipPlan',
+  tableName: 'membership_plans',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['isActive']
+    }
+  ]
+});
+
+module.exports = MembershipPlan;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Planes con precio en GTQ y duración
+ * ✅ Reglas de acceso validadas
+ * ✅ Retiro de planes sin afectar membresías vendidas
+ */
@@ -0,0 +1,187 @@
+/**
+ * MODELO DE COLA DE NOTIFICACIONES - ELITE FITNESS CLUB
+ *
+ * Soy el modelo donde se encolan los mensajes para los miembros
+ * Mi responsabilidad es guardar qué se envía, a quién, por qué canal y
+ * a qué hora, para que una tarea programada los despache cuando toque
+ *
+ * Características implementadas:
+ * - Un registro por canal (email, sms, push, whatsapp)
+ * - Hora programada respetando las preferencias del miembro
+ * - Clave de deduplicación para no encolar dos veces el mismo aviso
+ * - Estado de envío con intentos y último error
+ * - Reclamo de avisos vencidos (pending -> sending) antes de despacharlos
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Tipo de aviso (workout_reminder, membership_reminder, ...)'
+  },
+
+  channel: {
+    type: DataTypes.ENUM('email', 'sms', 'push', 'whatsapp'),
+    allowNull: false
+  },
+
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: 'es'
+  },
+
+  subject: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+
+  scheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  lastError: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  dedupeKey: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    unique: true,
+    comment: 'Evita encolar dos veces el mismo aviso por el mismo canal'
+  },
+
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  }
+
+}, {
+  sequelize,
+  modelName: 'Notification',
+  tableName: 'notifications',
+  timestamps: true,
+
+  indexes: [
+    {
+      fields: ['status', 'scheduledFor']
+    },
+    {
+      fields: ['clientId', 'type', 'createdAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Un aviso que quedó en sending más de esto se da por abandonado (el proceso
+// que lo reclamó murió antes de marcarlo) y se vuelve a reclamar
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Reclamar las notificaciones cuya hora ya llegó: las pasa a sending dentro
+// de una transacción con SKIP LOCKED, así dos despachadores simultáneos
+// nunca se llevan la misma fila ni envían dos veces el mismo aviso
+Notification.claimDue = async function(limit = 100) {
+  return await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+
+    const due = await this.findAll({
+      attributes: ['id'],
+      where: {
+        [Op.or]: [
+          { status: 'pending', scheduledFor: { [Op.lte]: now } },
+          { status: 'sending', updatedAt: { [Op.lt]: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      order: [['scheduledFor', 'ASC']],
+      limit,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true
+    });
+
+    if (due.length === 0) {
+      return [];
+    }
+
+    const [, claimed] = await this.update({ status: 'sending' }, {
+      where: { id: due.map(notification => notification.id) },
+      returning: true,
+      transaction
+    });
+
+    return claimed.sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+  });
+};
+
+// Último aviso de un tipo encolado para un cliente
+Notification.findLastForClient = async function(clientId, type) {
+  return await this.findOne({
+    where: { clientId, type, status: { [Op.ne]: 'cancelled' } },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+// Eliminar notificaciones ya procesadas hace más de N días
+Notification.purgeOld = async function(days = 90) {
+  return await this.destroy({
+    where: {
+      status: { [Op.notIn]: ['pending', 'sending'] },
+      updatedAt: { [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    }
+  });
+};
+
+module.exports = Notification;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Cola de notificaciones por canal y hora programada
+ * ✅ Deduplicación de avisos
+ * ✅ Seguimiento de envíos, fallos e intentos
+ */
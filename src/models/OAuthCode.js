@@ -0,0 +1,140 @@
+/**
+ * MODELO DE CÓDIGOS DE AUTORIZACIÓN OAUTH - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda los códigos de un solo uso que se entregan al
+ * frontend después de un login con Google o Facebook
+ * Mi responsabilidad es que los tokens nunca viajen en la URL de redirección:
+ * el frontend recibe un código y lo canjea por tokens con una petición POST
+ *
+ * Características implementadas:
+ * - Solo se guarda el hash SHA-256 del código
+ * - Un solo uso (usedAt) y vida muy corta (expiresAt)
+ * - Desafío PKCE (S256) para aplicaciones móviles
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OAuthCode = sequelize.define('OAuthCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Hash SHA-256 del código entregado en la redirección'
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'Cliente que completó el login OAuth'
+  },
+
+  provider: {
+    type: DataTypes.ENUM('google', 'facebook'),
+    allowNull: false,
+    comment: 'Proveedor con el que se autenticó'
+  },
+
+  clientType: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'web',
+    comment: 'Tipo de aplicación que inició el flujo (web, mobile)'
+  },
+
+  codeChallenge: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'Desafío PKCE S256 (obligatorio en móvil)'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha límite para canjear el código'
+  },
+
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se canjeó el código (null = sin usar)'
+  }
+
+}, {
+  sequelize,
+  modelName: 'OAuthCode',
+  tableName: 'oauth_codes',
+  timestamps: true,
+  updatedAt: false,
+
+  // Índices para optimización
+  indexes: [
+    {
+      unique: true,
+      fields: ['codeHash']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Hash que se guarda en base de datos para un código en texto plano
+OAuthCode.hashCode = function(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+// Marcar como canjeado un código vigente; devuelve el registro o null
+// La condición usedAt = null en el UPDATE evita canjes simultáneos
+OAuthCode.consume = async function(code) {
+  const codeHash = this.hashCode(code);
+
+  const [affected] = await this.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        codeHash,
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    }
+  );
+
+  if (affected === 0) {
+    return null;
+  }
+
+  return await this.findOne({ where: { codeHash } });
+};
+
+// Eliminar códigos expirados
+OAuthCode.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+module.exports = OAuthCode;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Códigos de un solo uso guardados como hash
+ * ✅ Expiración corta y canje atómico
+ * ✅ Desafío PKCE para móvil
+ */
@@ -0,0 +1,138 @@
+/**
+ * MODELO DE TOKENS DE RECUPERACIÓN DE CONTRASEÑA - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda las solicitudes de "olvidé mi contraseña"
+ * Mi responsabilidad es que cada enlace de recuperación sirva una sola vez
+ * y por tiempo limitado, sin guardar nunca el token en texto plano
+ *
+ * Características implementadas:
+ * - Solo se guarda el hash SHA-256 del token enviado por correo
+ * - Un solo uso (usedAt) y expiración (expiresAt)
+ * - Sirve tanto para clientes como para administradores
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Hash SHA-256 del token enviado por correo'
+  },
+
+  accountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'ID del cliente o usuario que solicitó la recuperación'
+  },
+
+  accountType: {
+    type: DataTypes.ENUM('user', 'client'),
+    allowNull: false,
+    comment: 'Tipo de cuenta que solicitó la recuperación'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha límite para usar el token'
+  },
+
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se usó el token (null = sin usar)'
+  },
+
+  requestedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'IP desde donde se solicitó la recuperación'
+  }
+
+}, {
+  sequelize,
+  modelName: 'PasswordResetToken',
+  tableName: 'password_reset_tokens',
+  timestamps: true,
+
+  // Índices para optimización
+  indexes: [
+    {
+      unique: true,
+      fields: ['tokenHash']
+    },
+    {
+      fields: ['accountId', 'accountType']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Hash que se guarda en base de datos para un token en texto plano
+PasswordResetToken.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Marcar como usado un token vigente; devuelve el registro o null
+// La condición usedAt = null en el UPDATE evita que dos peticiones lo usen a la vez
+PasswordResetToken.consume = async function(token) {
+  const tokenHash = this.hashToken(token);
+
+  const [affected] = await this.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        tokenHash,
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    }
+  );
+
+  if (affected === 0) {
+    return null;
+  }
+
+  return await this.findOne({ where: { tokenHash } });
+};
+
+// Invalidar los tokens pendientes de una cuenta (al emitir uno nuevo)
+PasswordResetToken.invalidatePending = async function(accountId, accountType) {
+  return await this.update(
+    { usedAt: new Date() },
+    { where: { accountId, accountType, usedAt: null } }
+  );
+};
+
+// Eliminar tokens expirados
+PasswordResetToken.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+module.exports = PasswordResetToken;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Tokens de un solo uso guardados como hash
+ * ✅ Expiración y consumo atómico
+ * ✅ Clientes y administradores
+ */
@@ -0,0 +1,175 @@
+/**
+ * MODELO DE PAGOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo del libro de pagos que se cobran en recepción
+ * Mi responsabilidad es registrar cada cobro en efectivo, tarjeta o depósito
+ * con su número de recibo, y que anulaciones y reembolsos queden como
+ * asientos compensatorios en lugar de editar o borrar el pago original
+ *
+ * Características implementadas:
+ * - Número de recibo correlativo por año (R-2026-000001)
+ * - Concepto de catálogo (mensualidad, inscripción, producto, pase de día, otro) más descripción libre
+ * - Montos con signo: los pagos suman, anulaciones y reembolsos restan
+ * - Nombre del cliente guardado para reimprimir recibos aunque la cuenta se purgue
+ * - Registros inmutables
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PAYMENT_CONCEPTS = ['membership', 'enrollment', 'product', 'day_pass', 'other'];
+const PAYMENT_METHODS = ['cash', 'card', 'bank_deposit'];
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  receiptNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: 'Número de recibo impreso (R-AAAA-NNNNNN)'
+  },
+
+  entryType: {
+    type: DataTypes.ENUM('payment', 'void', 'refund'),
+    allowNull: false,
+    defaultValue: 'payment',
+    comment: 'void y refund compensan un pago anterior'
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'null para invitados o si la cuenta del cliente fue purgada'
+  },
+
+  clientName: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    comment: 'Nombre del cliente o invitado al momento del cobro'
+  },
+
+  concept: {
+    type: DataTypes.ENUM(...PAYMENT_CONCEPTS),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Detalle libre del concepto (ej. "Mensualidad octubre")'
+  },
+
+  membershipId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'memberships',
+      key: 'id'
+    }
+  },
+
+  method: {
+    type: DataTypes.ENUM(...PAYMENT_METHODS),
+    allowNull: false
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Positivo para pagos, negativo para anulaciones y reembolsos'
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'GTQ'
+  },
+
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Boleta de depósito o autorización de tarjeta'
+  },
+
+  originalPaymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    comment: 'Pago que compensa esta anulación o reembolso'
+  },
+
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Motivo de la anulación o reembolso'
+  },
+
+  recordedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Usuario que registró el movimiento'
+  },
+
+  recordedByName: {
+    type: DataTypes.STRING(120),
+    allowNull: false
+  }
+
+}, {
+  sequelize,
+  modelName: 'Payment',
+  tableName: 'payments',
+
+  // El libro no se edita: solo fecha de creación
+  timestamps: true,
+  updatedAt: false,
+
+  indexes: [
+    {
+      fields: ['clientId', 'createdAt']
+    },
+    {
+      fields: ['originalPaymentId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+
+  hooks: {
+    // Las correcciones se hacen con asientos compensatorios
+    beforeUpdate: () => {
+      throw new Error('Los pagos no se pueden modificar, registra una anulación o reembolso');
+    },
+
+    beforeDestroy: () => {
+      throw new Error('Los pagos no se pueden eliminar, registra una anulación o reembolso');
+    }
+  }
+});
+
+Payment.PAYMENT_CONCEPTS = PAYMENT_CONCEPTS;
+Payment.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = Payment;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Libro de pagos con recibo correlativo
+ * ✅ Anulaciones y reembolsos como asientos compensatorios
+ * ✅ Datos del recibo preservados ante purgas
+ * ✅ Registros inmutables
+ */
@@ -0,0 +1,46 @@
+/**
+ * MODELO DE PERMISOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda el catálogo de permisos conocidos
+ * Mi responsabilidad es listar los permisos que las rutas verifican con
+ * requirePermission, para que los roles solo puedan recibir permisos reales
+ *
+ * Los permisos nacen en el código (una ruta nueva trae su permiso nuevo) y se
+ * siembran al arrancar; por eso aquí no hay alta manual de permisos
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Permission = sequelize.define('Permission', {
+  name: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Nombre técnico del permiso (ej: manage_points)'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Agrupación para mostrar el catálogo (users, clients, payments...)'
+  }
+
+}, {
+  sequelize,
+  modelName: 'Permission',
+  tableName: 'permissions',
+  timestamps: true
+});
+
+module.exports = Permission;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Catálogo de permisos sembrado desde el código
+ */
@@ -0,0 +1,186 @@
+/**
+ * MODELO DE VERIFICACIÓN DE TELÉFONO - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda los códigos SMS enviados para verificar
+ * el número de teléfono de un cliente
+ * Mi responsabilidad es que cada código expire pronto, tenga un número
+ * limitado de intentos y nunca quede guardado en texto plano
+ *
+ * Características implementadas:
+ * - Hash HMAC del código numérico (ligado al registro)
+ * - Expiración corta y límite de intentos fallidos
+ * - El número se guarda aquí hasta confirmarse; recién entonces pasa al cliente
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PhoneVerification = sequelize.define('PhoneVerification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    comment: 'Cliente que verifica su teléfono'
+  },
+
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Número a verificar en formato E.164'
+  },
+
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'HMAC-SHA256 del código enviado por SMS'
+  },
+
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Intentos fallidos de confirmación'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha límite para confirmar el código'
+  },
+
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha de confirmación exitosa'
+  },
+
+  invalidatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que el código dejó de servir (nuevo envío o demasiados intentos)'
+  }
+
+}, {
+  sequelize,
+  modelName: 'PhoneVerification',
+  tableName: 'phone_verifications',
+  timestamps: true,
+
+  // Índices para optimización
+  indexes: [
+    {
+      fields: ['clientId', 'createdAt']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+// Verificar si el código todavía puede confirmarse
+PhoneVerification.prototype.isPending = function() {
+  return !this.verifiedAt && !this.invalidatedAt && this.expiresAt > new Date();
+};
+
+// Comparar un código recibido contra el hash guardado
+PhoneVerification.prototype.matchesCode = function(code) {
+  const expected = Buffer.from(this.codeHash, 'hex');
+  const received = Buffer.from(PhoneVerification.hashCode(this.id, code), 'hex');
+  return crypto.timingSafeEqual(expected, received);
+};
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Secreto del HMAC; en producción no puede quedar el valor público del repositorio
+PhoneVerification.getHashSecret = function() {
+  const secret = process.env.PHONE_OTP_SECRET || process.env.JWT_SECRET;
+
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('PHONE_OTP_SECRET (o JWT_SECRET) es obligatoria para los códigos SMS en producción');
+  }
+
+  return secret || 'elite_fitness_super_secret_key_2024';
+};
+
+// HMAC del código usando el ID del registro como contexto
+// (un código de 6 dígitos se adivina por fuerza bruta si solo se usa SHA-256)
+PhoneVerification.hashCode = function(verificationId, code) {
+  return crypto.createHmac('sha256', this.getHashSecret())
+    .update(`${verificationId}:${String(code).trim()}`)
+    .digest('hex');
+};
+
+// Último código pendiente de un cliente
+PhoneVerification.findPendingForClient = function(clientId) {
+  return this.findOne({
+    where: {
+      clientId,
+      verifiedAt: null,
+      invalidatedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+// Reservar un intento de forma atómica; false si el código ya agotó sus intentos
+// (intentos en paralelo no pueden escribir todos el mismo contador)
+PhoneVerification.claimAttempt = async function(verificationId, maxAttempts) {
+  const [affected] = await this.update(
+    { attempts: sequelize.literal('"attempts" + 1') },
+    {
+      where: {
+        id: verificationId,
+        attempts: { [Op.lt]: maxAttempts },
+        verifiedAt: null,
+        invalidatedAt: null
+      }
+    }
+  );
+
+  return affected === 1;
+};
+
+// Envíos recientes de un cliente (para limitar SMS por hora)
+PhoneVerification.countRecentForClient = function(clientId, windowMs) {
+  return this.count({
+    where: {
+      clientId,
+      createdAt: { [Op.gt]: new Date(Date.now() - windowMs) }
+    }
+  });
+};
+
+// Eliminar registros vencidos hace más de un día
+PhoneVerification.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+  });
+};
+
+module.exports = PhoneVerification;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Códigos SMS con hash, expiración e intentos limitados
+ * ✅ Consultas para código pendiente y límite de envíos
+ * ✅ Intentos reservados de forma atómica
+ * ✅ Purga de registros vencidos
+ */
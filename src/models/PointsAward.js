@@ -0,0 +1,96 @@
+/**
+ * MODELO DE PUNTOS OTORGADOS POR REGLA - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que registra cada vez que una regla de gamificación se aplicó
+ * Mi responsabilidad es guardar cómo se calculó el premio (puntos base,
+ * multiplicador, tope) para poder aplicar los topes diarios y explicar
+ * de dónde salió cada punto
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PointsAward = sequelize.define('PointsAward', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  eventType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  basePoints: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  multiplier: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  multiplierLabel: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Puntos finalmente otorgados (después del tope diario)'
+  },
+
+  capped: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'El tope diario recortó el premio'
+  },
+
+  sourceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Registro que originó el evento (check-in, cliente referido, etc.)'
+  },
+
+  awardedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+
+}, {
+  sequelize,
+  modelName: 'PointsAward',
+  tableName: 'points_awards',
+
+  timestamps: true,
+  updatedAt: false,
+
+  indexes: [
+    {
+      fields: ['clientId', 'eventType', 'awardedAt']
+    }
+  ]
+});
+
+module.exports = PointsAward;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Detalle del cálculo de cada premio
+ * ✅ Índice para sumar lo otorgado en el día
+ */
@@ -0,0 +1,166 @@
+/**
+ * MODELO DE MOVIMIENTOS DE PUNTOS - ELITE FITNESS CLUB
+ *
+ * Soy el libro de puntos de cada cliente: un registro por cada cambio de saldo
+ * Mi responsabilidad es que el saldo de un cliente se pueda reconstruir y
+ * auditar (de dónde vino cada punto, quién lo movió y con qué saldo quedó)
+ *
+ * Características implementadas:
+ * - Monto con signo (créditos positivos, descuentos negativos)
+ * - Origen, motivo, actor y saldo después del movimiento
+ * - Reversión enlazada al movimiento original (una sola vez)
+ * - Vencimiento por crédito: remaining guarda lo que aún no se ha gastado
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SOURCES = [
+  'checkin', 'streak_milestone', 'referral', 'profile_completion', 'class_attended',
+  'manual', 'reversal', 'expiry'
+];
+
+const PointsTransaction = sequelize.define('PointsTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    }
+  },
+
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Puntos movidos (negativo = descuento)'
+  },
+
+  balanceAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Saldo del cliente después del movimiento'
+  },
+
+  source: {
+    type: DataTypes.ENUM(...SOURCES),
+    allowNull: false,
+    comment: 'Evento de gamificación, ajuste manual, reversión o vencimiento'
+  },
+
+  sourceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Registro que originó el movimiento (check-in, cliente referido, etc.)'
+  },
+
+  awardId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'points_awards',
+      key: 'id'
+    },
+    comment: 'Detalle del cálculo cuando el movimiento viene de una regla'
+  },
+
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Usuario o cliente que provocó el movimiento (null = sistema)'
+  },
+
+  actorType: {
+    type: DataTypes.ENUM('user', 'client', 'system'),
+    allowNull: false,
+    defaultValue: 'system'
+  },
+
+  reversedTransactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    comment: 'Movimiento que esta reversión anula'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Vencimiento de un crédito (null = no vence)'
+  },
+
+  remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Puntos del crédito que aún no se gastan ni vencen'
+  }
+
+}, {
+  sequelize,
+  modelName: 'PointsTransaction',
+  tableName: 'points_transactions',
+
+  timestamps: true,
+  updatedAt: false,
+
+  indexes: [
+    {
+      fields: ['clientId', 'createdAt']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+PointsTransaction.SOURCES = SOURCES;
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Créditos con saldo pendiente que aún no vencen, el más próximo a vencer primero
+PointsTransaction.findOpenCredits = async function(clientId, { transaction } = {}) {
+  return await this.findAll({
+    where: {
+      clientId,
+      remaining: { [Op.gt]: 0 },
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['expiresAt', 'ASC'], ['createdAt', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+};
+
+// Créditos vencidos con saldo pendiente (para la tarea de vencimiento)
+PointsTransaction.findExpiredCredits = async function(now = new Date()) {
+  return await this.findAll({
+    where: {
+      remaining: { [Op.gt]: 0 },
+      expiresAt: { [Op.lte]: now }
+    },
+    order: [['clientId', 'ASC'], ['expiresAt', 'ASC']]
+  });
+};
+
+module.exports = PointsTransaction;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Libro de movimientos con saldo después de cada uno
+ * ✅ Origen, motivo y actor de cada cambio
+ * ✅ Reversiones enlazadas y únicas
+ * ✅ Créditos con vencimiento y saldo pendiente
+ */
@@ -0,0 +1,58 @@
+/**
+ * MODELO DE CORRELATIVO DE RECIBOS - ELITE FITNESS CLUB
+ *
+ * Soy el contador que numera los recibos impresos
+ * Mi responsabilidad es entregar números consecutivos y sin repetir por año,
+ * incluso con varias cajas cobrando a la vez (la fila se bloquea dentro
+ * de la transacción del pago)
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ReceiptSequence = sequelize.define('ReceiptSequence', {
+  year: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  lastNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+
+}, {
+  sequelize,
+  modelName: 'ReceiptSequence',
+  tableName: 'receipt_sequences',
+  timestamps: true,
+  createdAt: false
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Reservar el siguiente número de recibo del año (requiere transacción)
+// El año es el de Guatemala: un cobro del 31/12 a las 20:00 no abre el año siguiente
+ReceiptSequence.next = async function(transaction, at = new Date()) {
+  const { getLocalTime } = require('../utils/memberships');
+  const year = parseInt(getLocalTime(at).date.slice(0, 4));
+
+  await this.findOrCreate({ where: { year }, defaults: { lastNumber: 0 }, transaction });
+
+  const sequence = await this.findByPk(year, { transaction, lock: transaction.LOCK.UPDATE });
+  await sequence.increment('lastNumber', { transaction });
+  await sequence.reload({ transaction });
+
+  return `R-${year}-${String(sequence.lastNumber).padStart(6, '0')}`;
+};
+
+module.exports = ReceiptSequence;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Correlativo anual de recibos sin duplicados
+ */
@@ -0,0 +1,106 @@
+/**
+ * MODELO DE REFRESH TOKENS USADOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que registra cada refresh token que ya fue canjeado
+ * Mi responsabilidad es detectar cuando alguien intenta usar de nuevo un
+ * refresh token que ya fue rotado, señal de que pudo haber sido robado
+ *
+ * Características implementadas:
+ * - Un registro por jti canjeado (la llave primaria impide canjear dos veces)
+ * - Familia de tokens (una por inicio de sesión) para revocarla completa
+ * - Enlace al refresh token que reemplazó al canjeado
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  jti: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+    comment: 'ID único (jti) del refresh token canjeado'
+  },
+
+  familyId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Familia de tokens a la que pertenece (una por inicio de sesión)'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'ID del usuario o cliente dueño del token'
+  },
+
+  userType: {
+    type: DataTypes.ENUM('user', 'client'),
+    allowNull: false,
+    comment: 'Tipo de cuenta dueña del token'
+  },
+
+  replacedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'jti del refresh token emitido al canjear este'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha en que el token expira y el registro puede purgarse'
+  }
+
+}, {
+  sequelize,
+  modelName: 'RefreshToken',
+  tableName: 'refresh_tokens',
+
+  // Solo necesitamos saber cuándo se canjeó
+  timestamps: true,
+  createdAt: 'usedAt',
+  updatedAt: false,
+
+  // Índices para optimización
+  indexes: [
+    {
+      fields: ['familyId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Marcar un refresh token como canjeado
+// Devuelve false si ya había sido canjeado antes (reutilización)
+RefreshToken.markAsUsed = async function(data) {
+  const [, created] = await this.findOrCreate({
+    where: { jti: data.jti },
+    defaults: data
+  });
+
+  return created;
+};
+
+// Eliminar registros de tokens que ya expiraron
+RefreshToken.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+module.exports = RefreshToken;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro de refresh tokens canjeados por jti
+ * ✅ Agrupación por familia de inicio de sesión
+ * ✅ Detección de reutilización al canjear
+ * ✅ Purga de registros expirados
+ */
@@ -0,0 +1,104 @@
+/**
+ * MODELO DE TOKENS REVOCADOS - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que persiste la lista negra de tokens JWT revocados
+ * Mi responsabilidad es que un logout siga vigente después de un reinicio
+ * y entre todas las instancias que atienden detrás del balanceador
+ *
+ * Características implementadas:
+ * - Registro por jti (ID único del token), nunca el token completo
+ * - Fecha de expiración para purgar entradas que ya no sirven
+ * - Metadatos del dueño del token para auditoría
+ * - Revocación de familias completas de tokens (el jti guarda el ID de familia)
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RevokedToken = sequelize.define('RevokedToken', {
+  jti: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+    comment: 'ID único (jti) del token revocado o ID de la familia revocada'
+  },
+
+  tokenType: {
+    type: DataTypes.ENUM('access', 'refresh', 'family'),
+    allowNull: false,
+    defaultValue: 'access',
+    comment: 'Tipo de token revocado (family = todos los tokens de un inicio de sesión)'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'ID del usuario o cliente dueño del token'
+  },
+
+  userType: {
+    type: DataTypes.ENUM('user', 'client'),
+    allowNull: true,
+    comment: 'Tipo de cuenta dueña del token'
+  },
+
+  reason: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    defaultValue: 'logout',
+    comment: 'Motivo de la revocación'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha en que el token expira y la entrada puede purgarse'
+  }
+
+}, {
+  sequelize,
+  modelName: 'RevokedToken',
+  tableName: 'revoked_tokens',
+
+  // Solo necesitamos saber cuándo se revocó
+  timestamps: true,
+  createdAt: 'revokedAt',
+  updatedAt: false,
+
+  // Índices para optimización
+  indexes: [
+    {
+      fields: ['expiresAt']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Verificar si un jti está revocado y aún no expira
+RevokedToken.isRevoked = async function(jti) {
+  const entry = await this.findByPk(jti, { attributes: ['jti', 'expiresAt'] });
+  return !!(entry && entry.expiresAt > new Date());
+};
+
+// Eliminar entradas cuyos tokens ya expiraron
+RevokedToken.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+module.exports = RevokedToken;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Lista negra persistente de tokens por jti
+ * ✅ Expiración para limpieza programada
+ * ✅ Métodos para consultar y purgar entradas
+ * ✅ Revocación de familias de tokens
+ */
@@ -0,0 +1,76 @@
+/**
+ * MODELO DE ROLES - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda los roles administrativos del sistema
+ * Mi responsabilidad es que los roles dejen de estar fijos en el código:
+ * los del sistema (super_admin, admin, staff, client) se siembran al arrancar
+ * y un super administrador puede crear roles propios (recepción, entrenador,
+ * contador...) con el conjunto de permisos que necesiten
+ *
+ * Características implementadas:
+ * - Nombre técnico inmutable como llave primaria (es lo que guarda User.role)
+ * - Nivel jerárquico usado por las reglas "no puedes gestionar a tu igual o superior"
+ * - Marca de rol del sistema (no se elimina ni cambia de nivel)
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Role = sequelize.define('Role', {
+  name: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+    allowNull: false,
+    validate: {
+      is: {
+        args: /^[a-z][a-z0-9_]{1,49}$/,
+        msg: 'El nombre del rol solo admite minúsculas, números y guion bajo'
+      }
+    },
+    comment: 'Nombre técnico del rol (valor guardado en User.role)'
+  },
+
+  displayName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Nombre visible del rol'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+
+  level: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    validate: {
+      min: 1,
+      max: 4
+    },
+    comment: 'Nivel jerárquico (4 = super_admin, 3 = admin, 2 = staff, 1 = client)'
+  },
+
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Rol sembrado desde el código: no se elimina ni cambia de nivel'
+  }
+
+}, {
+  sequelize,
+  modelName: 'Role',
+  tableName: 'roles',
+  timestamps: true
+});
+
+module.exports = Role;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Roles del sistema y roles personalizados en base de datos
+ * ✅ Nivel jerárquico por rol
+ * ✅ Protección de roles del sistema
+ */
@@ -0,0 +1,44 @@
+/**
+ * MODELO DE PERMISOS POR ROL - ELITE FITNESS CLUB
+ *
+ * Soy la tabla intermedia que indica qué permisos concede cada rol
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RolePermission = sequelize.define('RolePermission', {
+  roleName: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'roles',
+      key: 'name'
+    }
+  },
+
+  permissionName: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'permissions',
+      key: 'name'
+    }
+  }
+
+}, {
+  sequelize,
+  modelName: 'RolePermission',
+  tableName: 'role_permissions',
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = RolePermission;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Relación N:M entre roles y permisos
+ */
@@ -0,0 +1,175 @@
+/**
+ * MODELO DE SESIONES - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que representa cada inicio de sesión activo de un cliente
+ * o administrador (un teléfono, una tablet, un navegador)
+ * Mi responsabilidad es permitir que el dueño de la cuenta vea dónde tiene
+ * sesión abierta y pueda cerrarla a distancia
+ *
+ * Características implementadas:
+ * - El ID de la sesión es el ID de familia de sus tokens JWT
+ * - Datos del dispositivo tomados de req.clientInfo
+ * - Última actividad actualizada en cada renovación de tokens
+ * - Revocación con motivo (logout, cambio de contraseña, cierre remoto)
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'ID de la sesión (igual al familyId de sus tokens)'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'ID del usuario o cliente dueño de la sesión'
+  },
+
+  userType: {
+    type: DataTypes.ENUM('user', 'client'),
+    allowNull: false,
+    comment: 'Tipo de cuenta dueña de la sesión'
+  },
+
+  // ===========================================
+  // INFORMACIÓN DEL DISPOSITIVO
+  // ===========================================
+
+  clientType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    defaultValue: 'web',
+    comment: 'Tipo de cliente (web, mobile, admin)'
+  },
+
+  platform: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Plataforma del dispositivo (ios, android, web)'
+  },
+
+  appVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Versión de la app que inició la sesión'
+  },
+
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'IP desde donde se inició o renovó la sesión'
+  },
+
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'User-Agent del dispositivo'
+  },
+
+  authMethod: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'password',
+    comment: 'Método con el que se inició sesión (password, password_mfa, google, facebook, register)'
+  },
+
+  // ===========================================
+  // ESTADO DE LA SESIÓN
+  // ===========================================
+
+  lastActivityAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Última vez que la sesión renovó sus tokens'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha en que expira el último refresh token emitido'
+  },
+
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que la sesión fue cerrada'
+  },
+
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Motivo del cierre de la sesión'
+  }
+
+}, {
+  sequelize,
+  modelName: 'Session',
+  tableName: 'sessions',
+  timestamps: true,
+
+  // Índices para optimización
+  indexes: [
+    {
+      fields: ['userId', 'userType']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS DE INSTANCIA
+// ===========================================
+
+// Verificar si la sesión sigue vigente
+Session.prototype.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Sesiones vigentes de una cuenta, la más reciente primero
+Session.findActiveByOwner = function(userId, userType) {
+  return this.findAll({
+    where: {
+      userId,
+      userType,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['lastActivityAt', 'DESC']]
+  });
+};
+
+// Eliminar sesiones expiradas o cerradas hace más de los días indicados
+Session.purgeStale = async function(days = 30) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return await this.destroy({
+    where: {
+      [Op.or]: [
+        { expiresAt: { [Op.lt]: cutoff } },
+        { revokedAt: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+};
+
+module.exports = Session;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Una sesión por familia de tokens
+ * ✅ Información de dispositivo e IP
+ * ✅ Consulta de sesiones activas por dueño
+ * ✅ Purga de sesiones antiguas
+ */
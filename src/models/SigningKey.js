@@ -0,0 +1,127 @@
+/**
+ * MODELO DE LLAVES DE FIRMA JWT - ELITE FITNESS CLUB
+ *
+ * Soy el modelo que guarda las llaves asimétricas con las que se firman los JWT
+ * Mi responsabilidad es que todas las instancias compartan las mismas llaves
+ * y que una llave retirada siga verificando hasta que expiren sus tokens
+ *
+ * Características implementadas:
+ * - Identificación por kid (huella RFC 7638 de la llave pública)
+ * - Llave privada cifrada con AES-256-GCM, nunca en texto plano
+ * - Ciclo de vida: activa -> retirada (solo verifica) -> expirada (se purga)
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SigningKey = sequelize.define('SigningKey', {
+  kid: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identificador de la llave (header kid de los JWT)'
+  },
+
+  algorithm: {
+    type: DataTypes.ENUM('RS256', 'ES256'),
+    allowNull: false,
+    comment: 'Algoritmo de firma de la llave'
+  },
+
+  publicKey: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Llave pública en formato PEM (SPKI)'
+  },
+
+  privateKey: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Llave privada PEM (PKCS8) cifrada'
+  },
+
+  activatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Fecha desde la que la llave firma tokens'
+  },
+
+  retiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que dejó de firmar (null = llave activa)'
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que deja de verificar y puede purgarse'
+  }
+
+}, {
+  sequelize,
+  modelName: 'SigningKey',
+  tableName: 'signing_keys',
+  timestamps: true,
+  updatedAt: false,
+
+  // La llave privada solo se carga cuando se pide explícitamente
+  defaultScope: {
+    attributes: { exclude: ['privateKey'] }
+  },
+
+  scopes: {
+    withPrivateKey: {
+      attributes: { include: ['privateKey'] }
+    }
+  },
+
+  // Índices para optimización
+  indexes: [
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// ===========================================
+// MÉTODOS ESTÁTICOS (Clase)
+// ===========================================
+
+// Llaves que todavía verifican tokens (la más reciente primero)
+SigningKey.findUsable = async function() {
+  return await this.scope('withPrivateKey').findAll({
+    where: {
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: new Date() } }
+      ]
+    },
+    order: [['activatedAt', 'DESC']]
+  });
+};
+
+// Retirar todas las llaves activas excepto la indicada
+SigningKey.retireAllExcept = async function(kid, verifyUntil) {
+  return await this.update(
+    { retiredAt: new Date(), expiresAt: verifyUntil },
+    { where: { retiredAt: null, kid: { [Op.ne]: kid } } }
+  );
+};
+
+// Eliminar llaves que ya no verifican ningún token vigente
+SigningKey.purgeExpired = async function() {
+  return await this.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+};
+
+module.exports = SigningKey;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Llaves compartidas entre instancias
+ * ✅ Llave privada cifrada en reposo
+ * ✅ Retiro con periodo de verificación y purga
+ */
@@ -10,11 +10,13 @@
  * - Timestamps automáticos
  * - Validaciones de seguridad
  * - Soft delete preparado
+ * - Verificación en dos pasos (TOTP) opcional
  */
 
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { sequelize } = require('../config/database');
+const { verifyCode, decryptSecret, hashRecoveryCode } = require('../utils/totp');
 
 const User = sequelize.define('User', {
   id: {
@@ -66,10 +68,10 @@ const User = sequelize.define('User', {
   },
   
   role: {
-    type: DataTypes.ENUM('super_admin', 'admin', 'staff'),
+    type: DataTypes.STRING(50),
     allowNull: false,
     defaultValue: 'staff',
-    comment: 'Rol del usuario en el sistema'
+    comment: 'Rol del usuario en el sistema (Role.name: super_admin, admin, staff o personalizado)'
   },
   
   isActive: {
@@ -117,7 +119,46 @@ const User = sequelize.define('User', {
     type: DataTypes.JSON,
     allowNull: true,
     defaultValue: {},
-    comment: 'Permisos específicos del usuario'
+    comment: 'Overrides de permisos del usuario: { permiso: true (conceder) | false (negar) }'
+  },
+  
+  // Autenticación de dos factores (TOTP)
+  mfaEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Verificación en dos pasos activa'
+  },
+  
+  mfaSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Secreto TOTP cifrado (AES-256-GCM)'
+  },
+  
+  mfaPendingSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Secreto TOTP cifrado en proceso de activación'
+  },
+  
+  mfaRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: [],
+    comment: 'Hashes SHA-256 de los códigos de recuperación sin usar'
+  },
+  
+  mfaLastUsedStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Último intervalo TOTP aceptado (evita reusar un código)'
+  },
+  
+  mfaEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha de activación de la verificación en dos pasos'
   },
   
   // Campos de auditoría
@@ -172,13 +213,17 @@ const User = sequelize.define('User', {
   
   // Configuración adicional
   defaultScope: {
-    attributes: { exclude: ['password'] } // No incluir password por defecto
+    // No incluir password ni secretos de 2FA por defecto
+    attributes: { exclude: ['password', 'mfaSecret', 'mfaPendingSecret', 'mfaRecoveryCodes'] }
   },
   
   scopes: {
     withPassword: {
       attributes: { include: ['password'] }
     },
+    withMfa: {
+      attributes: { exclude: ['password'] }
+    },
     active: {
       where: { isActive: true }
     },
@@ -253,12 +298,48 @@ User.prototype.resetLoginAttempts = async function() {
   });
 };
 
-// Verificar permisos
+// Nunca serializar password ni secretos de 2FA en respuestas JSON
+User.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.password;
+  delete values.mfaSecret;
+  delete values.mfaPendingSecret;
+  delete values.mfaRecoveryCodes;
+  delete values.mfaLastUsedStep;
+  return values;
+};
+
+// Validar código TOTP de la app autenticadora (requiere scope withPassword o withMfa)
+User.prototype.verifyMfaCode = async function(code) {
+  if (!this.mfaEnabled || !this.mfaSecret) return false;
+  
+  const lastUsedStep = this.mfaLastUsedStep !== null ? Number(this.mfaLastUsedStep) : null;
+  const step = verifyCode(decryptSecret(this.mfaSecret), code, lastUsedStep);
+  
+  if (step === null) return false;
+  
+  await this.update({ mfaLastUsedStep: step });
+  return true;
+};
+
+// Usar un código de recuperación (cada código sirve una sola vez)
+User.prototype.consumeRecoveryCode = async function(code) {
+  const hash = hashRecoveryCode(code);
+  const remaining = this.mfaRecoveryCodes || [];
+  
+  if (!remaining.includes(hash)) return false;
+  
+  await this.update({ mfaRecoveryCodes: remaining.filter(existing => existing !== hash) });
+  return true;
+};
+
+// Verificar permisos (rol desde la tabla de roles + overrides del usuario)
 User.prototype.hasPermission = function(permission) {
   if (this.role === 'super_admin') return true;
-  if (this.role === 'admin' && !permission.includes('super_')) return true;
   
-  return this.permissions && this.permissions[permission] === true;
+  // Importación diferida para evitar dependencias circulares
+  const { getUserPermissions } = require('../middleware/authorize');
+  return getUserPermissions(this).includes(permission);
 };
 
 // ===========================================
@@ -311,6 +392,7 @@ module.exports = User;
  * ✅ Sistema de bloqueo por intentos fallidos
  * ✅ Roles y permisos granulares
  * ✅ Soft delete y auditoría preparados
+ * ✅ Verificación en dos pasos (TOTP) con códigos de recuperación
  * 
  * PENDIENTE EN SIGUIENTES SUB-FASES:
  * ⏳ Relaciones con otros modelos (2.1)
@@ -22,6 +22,31 @@ const { sequelize } = require('../config/database');
 const User = require('./User');
 const Client = require('./Client');
 const ClientPreference = require('./ClientPreference');
+const RevokedToken = require('./RevokedToken');
+const RefreshToken = require('./RefreshToken');
+const Session = require('./Session');
+const PasswordResetToken = require('./PasswordResetToken');
+const PhoneVerification = require('./PhoneVerification');
+const OAuthCode = require('./OAuthCode');
+const SigningKey = require('./SigningKey');
+const AuditLog = require('./AuditLog');
+const Permission = require('./Permission');
+const Role = require('./Role');
+const RolePermission = require('./RolePermission');
+const MembershipPlan = require('./MembershipPlan');
+const Membership = require('./Membership');
+const ReceiptSequence = require('./ReceiptSequence');
+const Payment = require('./Payment');
+const Guest = require('./Guest');
+const GuestPass = require('./GuestPass');
+const Notification = require('./Notification');
+const CheckIn = require('./CheckIn');
+const KioskDevice = require('./KioskDevice');
+const GamificationRule = require('./GamificationRule');
+const LevelTier = require('./LevelTier');
+const PointsAward = require('./PointsAward');
+const PointsTransaction = require('./PointsTransaction');
+const ClientBadge = require('./ClientBadge');
 
 // ===========================================
 // ESTABLECIMIENTO DE RELACIONES
@@ -39,6 +64,91 @@ const ClientPreference = require('./ClientPreference');
  * 
  * ClientPreference (Preferencias):
  * - Pertenece a un Client
+ * 
+ * RevokedToken (Lista negra de JWT):
+ * - Independiente, se consulta por jti
+ * 
+ * RefreshToken (Refresh tokens canjeados):
+ * - Independiente, se consulta por jti y se agrupa por familia
+ * 
+ * Session (Sesiones por dispositivo):
+ * - Pertenece a un User o Client (userId + userType, sin FK polimórfica)
+ * - Su ID es el familyId de los tokens emitidos en ese inicio de sesión
+ * 
+ * PasswordResetToken (Recuperación de contraseña):
+ * - Pertenece a un User o Client (accountId + accountType)
+ * 
+ * PhoneVerification (Códigos SMS):
+ * - Pertenece a un Client
+ * 
+ * OAuthCode (Códigos de canje del login OAuth):
+ * - Pertenece a un Client
+ * 
+ * SigningKey (Llaves de firma JWT):
+ * - Independiente, se consulta por kid
+ * 
+ * AuditLog:
+ * - Bitácora persistente de acciones administrativas (actor, objetivo, antes/después)
+ * - User 1:N AuditLog (actorId, sin FK: el actor puede ser un cliente)
+ * 
+ * Permission (Catálogo de permisos):
+ * - Sembrado desde DEFAULT_PERMISSIONS, se asigna a roles vía RolePermission
+ * 
+ * Role (Roles administrativos):
+ * - Role N:M Permission (a través de RolePermission)
+ * - User.role guarda Role.name (sin FK: los roles se siembran al arrancar)
+ * 
+ * RolePermission:
+ * - Tabla intermedia Role <-> Permission
+ * 
+ * MembershipPlan (Planes de membresía):
+ * - Precio en GTQ, duración en días y reglas de acceso
+ * 
+ * Membership (Suscripciones de clientes):
+ * - Client 1:N Membership
+ * - MembershipPlan 1:N Membership
+ * 
+ * ReceiptSequence (Correlativo de recibos):
+ * - Un contador por año, bloqueado dentro de la transacción del pago
+ * 
+ * Payment (Libro de pagos):
+ * - Client 1:N Payment (SET NULL al purgar)
+ * - Payment 1:N Payment (anulaciones y reembolsos)
+ * 
+ * Guest (Invitados y visitantes):
+ * - Client 1:N Guest (invitados)
+ * - Client 1:1 Guest (invitado convertido en cliente)
+ * 
+ * GuestPass (Pases de invitado):
+ * - Guest 1:N GuestPass (historial de visitas)
+ * - Client 1:N GuestPass (pases patrocinados)
+ * 
+ * Notification (Cola de notificaciones):
+ * - Client 1:N Notification
+ * 
+ * CheckIn (Historial de entradas):
+ * - Client 1:N CheckIn
+ * - User 1:N CheckIn (recepción que registra)
+ * 
+ * KioskDevice (Dispositivos de entrada):
+ * - User 1:N KioskDevice (administrador que lo dio de alta)
+ * 
+ * GamificationRule (Reglas de puntos por evento):
+ * - Sin relaciones (una fila por tipo de evento)
+ * 
+ * LevelTier (Curva de niveles):
+ * - Sin relaciones (Client.level se calcula con esta tabla)
+ * 
+ * PointsAward (Puntos otorgados por reglas):
+ * - Client 1:N PointsAward
+ * 
+ * PointsTransaction (Libro de movimientos de puntos):
+ * - Client 1:N PointsTransaction
+ * - PointsTransaction N:1 PointsAward (cuando viene de una regla)
+ * - PointsTransaction N:1 PointsTransaction (reversión)
+ * 
+ * ClientBadge (Insignias de asistencia):
+ * - Client 1:N ClientBadge
  */
 
 // User -> Client (Auditoría)
@@ -94,6 +204,336 @@ ClientPreference.belongsTo(User, {
   constraints: false
 });
 
+// Client -> PhoneVerification (Códigos de verificación por SMS)
+Client.hasMany(PhoneVerification, {
+  foreignKey: 'clientId',
+  as: 'phoneVerifications',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+PhoneVerification.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> OAuthCode (Códigos de canje del login OAuth)
+Client.hasMany(OAuthCode, {
+  foreignKey: 'clientId',
+  as: 'oauthCodes',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+OAuthCode.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// User -> AuditLog (Acciones administrativas registradas)
+User.hasMany(AuditLog, {
+  foreignKey: 'actorId',
+  as: 'auditEntries',
+  constraints: false
+});
+
+AuditLog.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actorUser',
+  constraints: false
+});
+
+// Role <-> Permission (Permisos concedidos por rol)
+Role.belongsToMany(Permission, {
+  through: RolePermission,
+  foreignKey: 'roleName',
+  otherKey: 'permissionName',
+  as: 'permissions'
+});
+
+Permission.belongsToMany(Role, {
+  through: RolePermission,
+  foreignKey: 'permissionName',
+  otherKey: 'roleName',
+  as: 'roles'
+});
+
+// Client -> Membership (Membresías compradas)
+Client.hasMany(Membership, {
+  foreignKey: 'clientId',
+  as: 'memberships',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+Membership.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// MembershipPlan -> Membership (un plan con ventas no se elimina, se retira)
+MembershipPlan.hasMany(Membership, {
+  foreignKey: 'planId',
+  as: 'memberships',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+Membership.belongsTo(MembershipPlan, {
+  foreignKey: 'planId',
+  as: 'plan',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> Payment (los pagos sobreviven a la purga de la cuenta)
+Client.hasMany(Payment, {
+  foreignKey: 'clientId',
+  as: 'payments',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+Payment.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Membership -> Payment (cobro de una membresía)
+Membership.hasMany(Payment, {
+  foreignKey: 'membershipId',
+  as: 'payments',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+Payment.belongsTo(Membership, {
+  foreignKey: 'membershipId',
+  as: 'membership',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Payment -> Payment (anulaciones y reembolsos del pago original)
+Payment.hasMany(Payment, {
+  foreignKey: 'originalPaymentId',
+  as: 'adjustments',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+Payment.belongsTo(Payment, {
+  foreignKey: 'originalPaymentId',
+  as: 'originalPayment',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+// User -> Payment (quién registró el cobro)
+User.hasMany(Payment, {
+  foreignKey: 'recordedBy',
+  as: 'recordedPayments',
+  constraints: false
+});
+
+Payment.belongsTo(User, {
+  foreignKey: 'recordedBy',
+  as: 'recorder',
+  constraints: false
+});
+
+// Client -> Guest (miembro que invita; cuenta creada al convertir)
+Client.hasMany(Guest, {
+  foreignKey: 'invitedBy',
+  as: 'invitedGuests',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+Guest.belongsTo(Client, {
+  foreignKey: 'invitedBy',
+  as: 'inviter',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+Client.hasOne(Guest, {
+  foreignKey: 'convertedClientId',
+  as: 'guestProfile',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+Guest.belongsTo(Client, {
+  foreignKey: 'convertedClientId',
+  as: 'convertedClient',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Guest -> GuestPass (historial de visitas)
+Guest.hasMany(GuestPass, {
+  foreignKey: 'guestId',
+  as: 'passes',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+GuestPass.belongsTo(Guest, {
+  foreignKey: 'guestId',
+  as: 'guest',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> GuestPass (pases patrocinados, cuentan para el cupo mensual)
+Client.hasMany(GuestPass, {
+  foreignKey: 'sponsorClientId',
+  as: 'sponsoredPasses',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+GuestPass.belongsTo(Client, {
+  foreignKey: 'sponsorClientId',
+  as: 'sponsor',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Payment -> GuestPass (cobro del pase de día)
+GuestPass.belongsTo(Payment, {
+  foreignKey: 'paymentId',
+  as: 'payment',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> Notification (cola de avisos)
+Client.hasMany(Notification, {
+  foreignKey: 'clientId',
+  as: 'notifications',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+Notification.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> CheckIn (historial de entradas)
+Client.hasMany(CheckIn, {
+  foreignKey: 'clientId',
+  as: 'checkIns',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+CheckIn.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// User -> CheckIn (quién registró la entrada)
+User.hasMany(CheckIn, {
+  foreignKey: 'recordedBy',
+  as: 'recordedCheckIns',
+  constraints: false
+});
+
+CheckIn.belongsTo(User, {
+  foreignKey: 'recordedBy',
+  as: 'recorder',
+  constraints: false
+});
+
+// Membership -> CheckIn (membresía usada en la entrada)
+CheckIn.belongsTo(Membership, {
+  foreignKey: 'membershipId',
+  as: 'membership',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// User -> KioskDevice (administrador que dio de alta el dispositivo)
+KioskDevice.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator',
+  constraints: false
+});
+
+// Client -> PointsAward (puntos otorgados por reglas)
+Client.hasMany(PointsAward, {
+  foreignKey: 'clientId',
+  as: 'pointsAwards',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+PointsAward.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Client -> PointsTransaction (libro de puntos)
+Client.hasMany(PointsTransaction, {
+  foreignKey: 'clientId',
+  as: 'pointsTransactions',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+PointsTransaction.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// PointsTransaction -> PointsAward (detalle del cálculo)
+PointsTransaction.belongsTo(PointsAward, {
+  foreignKey: 'awardId',
+  as: 'award',
+  constraints: false
+});
+
+// PointsTransaction -> PointsTransaction (reversión del movimiento original)
+PointsTransaction.belongsTo(PointsTransaction, {
+  foreignKey: 'reversedTransactionId',
+  as: 'reversedTransaction',
+  constraints: false
+});
+
+// Client -> ClientBadge (insignias de asistencia)
+Client.hasMany(ClientBadge, {
+  foreignKey: 'clientId',
+  as: 'badges',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+ClientBadge.belongsTo(Client, {
+  foreignKey: 'clientId',
+  as: 'client',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
 // ===========================================
 // FUNCIONES DE UTILIDAD
 // ===========================================
@@ -151,7 +591,7 @@ const validateModels = () => {
   console.log(`📝 Modelos encontrados: ${modelNames.join(', ')}`);
   
   // Verificar que los modelos esperados estén presentes
-  const expectedModels = ['User', 'Client', 'ClientPreference'];
+  const expectedModels = ['User', 'Client', 'ClientPreference', 'RevokedToken', 'RefreshToken', 'Session', 'PasswordResetToken', 'PhoneVerification', 'OAuthCode', 'SigningKey', 'AuditLog', 'Permission', 'Role', 'RolePermission', 'MembershipPlan', 'Membership', 'ReceiptSequence', 'Payment', 'Guest', 'GuestPass', 'Notification', 'CheckIn', 'KioskDevice', 'GamificationRule', 'LevelTier', 'PointsAward', 'PointsTransaction', 'ClientBadge'];
   const missingModels = expectedModels.filter(name => !modelNames.includes(name));
   
   if (missingModels.length > 0) {
@@ -291,6 +731,31 @@ module.exports = {
   User,
   Client,
   ClientPreference,
+  RevokedToken,
+  RefreshToken,
+  Session,
+  PasswordResetToken,
+  PhoneVerification,
+  OAuthCode,
+  SigningKey,
+  AuditLog,
+  Permission,
+  Role,
+  RolePermission,
+  MembershipPlan,
+  Membership,
+  ReceiptSequence,
+  Payment,
+  Guest,
+  GuestPass,
+  Notification,
+  CheckIn,
+  KioskDevice,
+  GamificationRule,
+  LevelTier,
+  PointsAward,
+  PointsTransaction,
+  ClientBadge,
   
   // Instancia de Sequelize
   sequelize,
@@ -307,7 +772,32 @@ module.exports = {
   models: {
     User,
     Client,
-    ClientPreference
+    ClientPreference,
+    RevokedToken,
+    RefreshToken,
+    Session,
+    PasswordResetToken,
+    PhoneVerification,
+    OAuthCode,
+    SigningKey,
+    AuditLog,
+    Permission,
+    Role,
+    RolePermission,
+    MembershipPlan,
+    Membership,
+    ReceiptSequence,
+    Payment,
+    Guest,
+    GuestPass,
+    Notification,
+    CheckIn,
+    KioskDevice,
+    GamificationRule,
+    LevelTier,
+    PointsAward,
+    PointsTransaction,
+    ClientBadge
   }
 };
 
@@ -0,0 +1,41 @@
+/**
+ * RUTAS DE ANALÍTICA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone los reportes para gerencia
+ * Mi responsabilidad es que solo personal con view_analytics los consulte
+ *
+ * Rutas implementadas:
+ * - GET /attendance - Horas pico, mapa de calor, miembros activos y cohortes
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { getAttendance } = require('../controllers/analyticsController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requirePermission, logAuthorization } = require('../middleware/authorize');
+const { validateAnalyticsQuery } = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ */
+router.use([
+  requireAuth,
+  requireUserType('user'),
+  requirePermission('view_analytics'),
+  logAuthorization('analytics')
+]);
+
+/**
+ * ANALÍTICA DE ASISTENCIA
+ * GET /api/analytics/attendance?from=AAAA-MM-DD&to=AAAA-MM-DD
+ */
+router.get('/attendance', validateAnalyticsQuery, getAttendance);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Reportes de asistencia solo con view_analytics
+ */
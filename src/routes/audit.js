@@ -0,0 +1,36 @@
+/**
+ * RUTAS DE AUDITORÍA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone la bitácora de acciones administrativas
+ * Mi responsabilidad es que solo un super administrador pueda consultarla
+ *
+ * Rutas implementadas:
+ * - GET / - Consultar bitácora con filtros (actorId, targetType, targetId, action, from, to)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { getAuditLogs } = require('../controllers/auditController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { validateAuditQuery } = require('../middleware/validation');
+
+/**
+ * CONSULTAR BITÁCORA DE AUDITORÍA
+ * GET /api/audit
+ */
+router.get('/', [
+  requireAuth,
+  requireUserType('user'),
+  requireRole('super_admin'),
+  validateAuditQuery
+], getAuditLogs);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ GET /api/audit - Consulta de bitácora (solo super_admin)
+ */
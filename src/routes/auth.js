@@ -15,10 +15,23 @@
  * - GET /google/callback - Callback de Google OAuth
  * - GET /facebook - Iniciar Facebook OAuth
  * - GET /facebook/callback - Callback de Facebook OAuth
- * - POST /refresh - Renovar access token
+ * - POST /oauth/exchange - Canjear el código OAuth por tokens (PKCE en móvil)
+ * - POST /refresh - Renovar tokens (rota el refresh token)
  * - POST /logout - Cerrar sesión segura
  * - GET /me - Obtener usuario actual
  * - POST /change-password - Cambiar contraseña
+ * - GET /sessions - Listar sesiones activas por dispositivo
+ * - DELETE /sessions/:id - Cerrar una sesión remotamente
+ * - DELETE /sessions - Cerrar sesión en todos los dispositivos
+ * - POST /verify-email/resend - Reenviar email de verificación
+ * - GET /verify-email/:token - Confirmar email con enlace
+ * - POST /forgot-password - Solicitar enlace de recuperación de contraseña
+ * - POST /reset-password - Restablecer contraseña con el enlace
+ * - POST /login/admin/mfa - Segundo paso del login administrativo (2FA)
+ * - POST /mfa/setup | /mfa/enable | /mfa/disable | /mfa/recovery-codes - Gestión de 2FA
+ * - GET /login-methods - Métodos de acceso del cliente
+ * - POST /link/:provider | DELETE /link/:provider - Vincular/desvincular Google o Facebook
+ * - POST /password/set - Crear contraseña local (cuentas solo-OAuth)
  */
 
 const express = require('express');
@@ -32,15 +45,40 @@ const {
   registerClient,
   googleCallback,
   facebookCallback,
+  exchangeOAuthCodeForTokens,
   refreshToken,
   logout,
   getCurrentUser,
-  changePassword
+  changePassword,
+  listSessions,
+  deleteSession,
+  deleteAllSessions,
+  resendVerificationEmail,
+  verifyEmail,
+  forgotPassword,
+  resetPasswordWithToken
 } = require('../controllers/authController');
 
+const {
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyAdminLoginMfa
+} = require('../controllers/mfaController');
+
+const {
+  listLoginMethods,
+  startProviderLink,
+  unlinkProvider,
+  setLocalPassword
+} = require('../controllers/accountLinkController');
+
 // Importar middleware
 const { 
   requireAuth,
+  requireClient,
+  requireAdmin,
   optionalAuth,
   logAuthAttempts,
   extractClientInfo
@@ -50,9 +88,41 @@ const {
   validateLogin,
   validateClientRegister,
   validatePasswordChange,
+  validatePasswordSet,
+  validateOAuthExchange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateMfaCode,
+  validateMfaLogin,
+  validateMfaDisable,
+  validateUUID,
+  handleValidationErrors,
+  validateRateLimit,
   sanitizeInput
 } = require('../middleware/validation');
 
+/**
+ * Iniciar flujo OAuth con state firmado
+ * Query opcional: client_type, code_challenge (+ code_challenge_method=S256),
+ * link=1 (vinculación iniciada con POST /api/auth/link/:provider)
+ */
+const startOAuthFlow = (provider, scope) => (req, res, next) => {
+  const { buildOAuthState } = require('../utils/oauth');
+  let state;
+  
+  try {
+    state = buildOAuthState(req, res, provider);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Solicitud OAuth inválida',
+      message: error.message,
+      code: error.code
+    });
+  }
+  
+  passport.authenticate(provider, { scope, session: false, state })(req, res, next);
+};
+
 /**
  * ENDPOINT INFORMATIVO DE AUTENTICACIÓN
  * GET /api/auth
@@ -76,11 +146,36 @@ router.get('/', (req, res) => {
           refresh: 'POST /api/auth/refresh',
           logout: 'POST /api/auth/logout',
           me: 'GET /api/auth/me',
-          changePassword: 'POST /api/auth/change-password'
+          changePassword: 'POST /api/auth/change-password',
+          forgotPassword: 'POST /api/auth/forgot-password',
+          resetPassword: 'POST /api/auth/reset-password'
+        },
+        sessions: {
+          list: 'GET /api/auth/sessions',
+          revoke: 'DELETE /api/auth/sessions/:id',
+          revokeAll: 'DELETE /api/auth/sessions'
+        },
+        mfa: {
+          verifyLogin: 'POST /api/auth/login/admin/mfa',
+          setup: 'POST /api/auth/mfa/setup',
+          enable: 'POST /api/auth/mfa/enable',
+          disable: 'POST /api/auth/mfa/disable',
+          recoveryCodes: 'POST /api/auth/mfa/recovery-codes'
+        },
+        emailVerification: {
+          resend: 'POST /api/auth/verify-email/resend',
+          confirm: 'GET /api/auth/verify-email/:token'
         },
         oauth: {
           google: 'GET /api/auth/google',
-          facebook: 'GET /api/auth/facebook'
+          facebook: 'GET /api/auth/facebook',
+          exchange: 'POST /api/auth/oauth/exchange'
+        },
+        accountLinking: {
+          loginMethods: 'GET /api/auth/login-methods',
+          link: 'POST /api/auth/link/:provider',
+          unlink: 'DELETE /api/auth/link/:provider',
+          setPassword: 'POST /api/auth/password/set'
         }
       },
       security: {
@@ -128,6 +223,18 @@ router.post('/login/admin', [
   validateLogin
 ], loginAdmin);
 
+/**
+ * SEGUNDO PASO DEL LOGIN ADMINISTRATIVO (2FA)
+ * POST /api/auth/login/admin/mfa
+ */
+router.post('/login/admin/mfa', [
+  extractClientInfo,
+  logAuthAttempts,
+  validateRateLimit(15 * 60 * 1000, 10, 'Demasiados intentos de verificación en dos pasos'),
+  sanitizeInput,
+  validateMfaLogin
+], verifyAdminLoginMfa);
+
 /**
  * REGISTRO DE NUEVOS CLIENTES
  * POST /api/auth/register
@@ -145,10 +252,7 @@ router.post('/register', [
  */
 router.get('/google', 
   extractClientInfo,
-  passport.authenticate('google', { 
-    scope: ['profile', 'email'],
-    session: false 
-  })
+  startOAuthFlow('google', ['profile', 'email'])
 );
 
 /**
@@ -165,10 +269,7 @@ router.get('/google/callback', [
  */
 router.get('/facebook',
   extractClientInfo,
-  passport.authenticate('facebook', { 
-    scope: ['email', 'public_profile'],
-    session: false 
-  })
+  startOAuthFlow('facebook', ['email', 'public_profile'])
 );
 
 /**
@@ -180,10 +281,21 @@ router.get('/facebook/callback', [
 ], facebookCallback);
 
 /**
- * RENOVAR ACCESS TOKEN
+ * CANJEAR CÓDIGO OAUTH POR TOKENS
+ * POST /api/auth/oauth/exchange
+ */
+router.post('/oauth/exchange', [
+  extractClientInfo,
+  validateRateLimit(15 * 60 * 1000, 20, 'Demasiados intentos de canje, intenta más tarde'),
+  validateOAuthExchange
+], exchangeOAuthCodeForTokens);
+
+/**
+ * RENOVAR TOKENS (ROTACIÓN DE REFRESH TOKEN)
  * POST /api/auth/refresh
  */
 router.post('/refresh', [
+  extractClientInfo,
   sanitizeInput
 ], refreshToken);
 
@@ -213,6 +325,151 @@ router.post('/change-password', [
   validatePasswordChange
 ], changePassword);
 
+/**
+ * CREAR CONTRASEÑA LOCAL (CUENTAS SOLO-OAUTH)
+ * POST /api/auth/password/set
+ */
+router.post('/password/set', [
+  requireClient,
+  sanitizeInput,
+  validatePasswordSet
+], setLocalPassword);
+
+/**
+ * MÉTODOS DE ACCESO DEL CLIENTE
+ * GET /api/auth/login-methods
+ */
+router.get('/login-methods', [
+  requireClient
+], listLoginMethods);
+
+/**
+ * INICIAR VINCULACIÓN DE GOOGLE O FACEBOOK
+ * POST /api/auth/link/:provider
+ */
+router.post('/link/:provider', [
+  requireClient,
+  extractClientInfo
+], startProviderLink);
+
+/**
+ * DESVINCULAR GOOGLE O FACEBOOK
+ * DELETE /api/auth/link/:provider
+ */
+router.delete('/link/:provider', [
+  requireClient
+], unlinkProvider);
+
+/**
+ * LISTAR SESIONES ACTIVAS DEL USUARIO
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', [
+  requireAuth
+], listSessions);
+
+/**
+ * CERRAR SESIÓN EN TODOS LOS DISPOSITIVOS
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', [
+  requireAuth
+], deleteAllSessions);
+
+/**
+ * CERRAR UNA SESIÓN ESPECÍFICA
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', [
+  requireAuth,
+  validateUUID('id'),
+  handleValidationErrors
+], deleteSession);
+
+/**
+ * REENVIAR EMAIL DE VERIFICACIÓN
+ * POST /api/auth/verify-email/resend
+ */
+router.post('/verify-email/resend', [
+  requireClient,
+  validateRateLimit(15 * 60 * 1000, 3, 'Ya solicitaste varios enlaces, revisa tu correo o intenta en 15 minutos')
+], resendVerificationEmail);
+
+/**
+ * CONFIRMAR EMAIL CON ENLACE
+ * GET /api/auth/verify-email/:token
+ */
+router.get('/verify-email/:token', [
+  validateRateLimit(15 * 60 * 1000, 20, 'Demasiados intentos de verificación')
+], verifyEmail);
+
+/**
+ * SOLICITAR RECUPERACIÓN DE CONTRASEÑA
+ * POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', [
+  extractClientInfo,
+  validateRateLimit(15 * 60 * 1000, 10, 'Demasiadas solicitudes de recuperación desde esta conexión'),
+  sanitizeInput,
+  validateForgotPassword,
+  // Límite por email para que nadie llene de correos la bandeja de otra persona
+  validateRateLimit(
+    60 * 60 * 1000,
+    3,
+    'Ya solicitaste varios enlaces para este email, revisa tu correo o intenta en una hora',
+    (req) => `forgot:${req.body.accountType}:${req.body.email}`
+  )
+], forgotPassword);
+
+/**
+ * RESTABLECER CONTRASEÑA CON TOKEN
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', [
+  validateRateLimit(15 * 60 * 1000, 10, 'Demasiados intentos de restablecimiento'),
+  sanitizeInput,
+  validatePasswordReset
+], resetPasswordWithToken);
+
+/**
+ * INICIAR INSCRIPCIÓN DE 2FA (SOLO ADMINISTRATIVOS)
+ * POST /api/auth/mfa/setup
+ */
+router.post('/mfa/setup', [
+  requireAdmin
+], setupMfa);
+
+/**
+ * ACTIVAR 2FA CONFIRMANDO UN CÓDIGO
+ * POST /api/auth/mfa/enable
+ */
+router.post('/mfa/enable', [
+  requireAdmin,
+  sanitizeInput,
+  validateMfaCode
+], enableMfa);
+
+/**
+ * DESACTIVAR 2FA
+ * POST /api/auth/mfa/disable
+ */
+router.post('/mfa/disable', [
+  requireAdmin,
+  validateRateLimit(15 * 60 * 1000, 5, 'Demasiados intentos para desactivar 2FA'),
+  sanitizeInput,
+  validateMfaDisable
+], disableMfa);
+
+/**
+ * REGENERAR CÓDIGOS DE RECUPERACIÓN
+ * POST /api/auth/mfa/recovery-codes
+ */
+router.post('/mfa/recovery-codes', [
+  requireAdmin,
+  sanitizeInput,
+  validateMfaCode
+], regenerateRecoveryCodes);
+
 /**
  * VERIFICAR ESTADO DE TOKEN (UTILIDAD)
  * GET /api/auth/verify
@@ -338,10 +595,23 @@ module.exports = router;
  * ✅ GET /api/auth/google/callback - Callback Google
  * ✅ GET /api/auth/facebook - OAuth Facebook
  * ✅ GET /api/auth/facebook/callback - Callback Facebook
+ * ✅ POST /api/auth/oauth/exchange - Canje de código OAuth (PKCE)
  * ✅ POST /api/auth/refresh - Renovar tokens
  * ✅ POST /api/auth/logout - Logout seguro
  * ✅ GET /api/auth/me - Usuario actual
  * ✅ POST /api/auth/change-password - Cambiar contraseña
+ * ✅ GET /api/auth/sessions - Sesiones activas
+ * ✅ DELETE /api/auth/sessions/:id - Cerrar sesión remota
+ * ✅ DELETE /api/auth/sessions - Logout en todos los dispositivos
+ * ✅ POST /api/auth/verify-email/resend - Reenviar verificación
+ * ✅ GET /api/auth/verify-email/:token - Confirmar email
+ * ✅ POST /api/auth/forgot-password - Solicitar recuperación
+ * ✅ POST /api/auth/reset-password - Restablecer contraseña
+ * ✅ POST /api/auth/login/admin/mfa - Login administrativo con 2FA
+ * ✅ POST /api/auth/mfa/* - Inscripción y gestión de 2FA
+ * ✅ GET /api/auth/login-methods - Métodos de acceso del cliente
+ * ✅ POST|DELETE /api/auth/link/:provider - Vincular/desvincular OAuth
+ * ✅ POST /api/auth/password/set - Contraseña local para cuentas OAuth
  * ✅ GET /api/auth/verify - Verificar token
  * ✅ GET /api/auth/providers - Proveedores disponibles
  * 
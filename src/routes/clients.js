@@ -11,11 +11,34 @@
  * - GET / - Listar clientes (solo admins)
  * - GET /stats - Estadísticas de clientes (solo admins)
  * - GET /me - Perfil del cliente actual (solo clientes)
+ * - GET /me/membership - Membresía vigente del cliente actual (solo clientes)
+ * - GET /me/payments - Historial de pagos del cliente actual (solo clientes)
+ * - GET /me/guest-passes - Cupo y pases de invitado del cliente actual (solo clientes)
+ * - GET /me/checkins - Historial de check-ins del cliente actual (solo clientes)
+ * - GET /me/checkin-code - Código QR de check-in del cliente actual (solo clientes)
+ * - GET /me/points/history - Movimientos de puntos del cliente actual (solo clientes)
+ * - GET /me/achievements - Rachas e insignias del cliente actual (solo clientes)
+ * - POST /me/phone/verify/start - Enviar código SMS (solo clientes)
+ * - POST /me/phone/verify/confirm - Confirmar código SMS (solo clientes)
  * - GET /:id - Obtener cliente específico (admins o propietario)
  * - PUT /:id - Actualizar cliente (admins o propietario)
  * - PUT /:id/preferences - Actualizar preferencias (admins o propietario)
  * - POST /:id/checkin - Realizar check-in (solo admins)
- * - POST /:id/points - Agregar puntos (solo admins)
+ * - GET /:id/checkins - Historial de check-ins (staff)
+ * - POST /:id/checkout - Registrar salida (staff de check-ins)
+ * - POST /:id/points - Agregar o descontar puntos con motivo (solo admins)
+ * - GET /:id/points/history - Movimientos de puntos de un cliente (staff)
+ * - POST /:id/points/transactions/:transactionId/reverse - Revertir movimiento (solo admins)
+ * - GET /:id/memberships - Historial de membresías (staff de pagos)
+ * - POST /:id/memberships - Vender membresía (staff de pagos)
+ * - GET /:id/payments - Historial de pagos (staff de pagos)
+ * - POST /:id/payments - Registrar cobro con recibo (staff de pagos)
+ * - POST /:id/suspend - Suspender cliente con motivo y fechas (solo admins)
+ * - POST /:id/reactivate - Reactivar cliente (solo admins)
+ * - DELETE /:id - Eliminar cliente (soft delete, solo admins)
+ * - GET /deleted - Listar clientes eliminados (solo admins)
+ * - POST /:id/restore - Restaurar cliente eliminado (solo admins)
+ * - DELETE /:id/purge - Eliminar definitivamente (solo super_admin)
  */
 
 /**
@@ -32,16 +55,42 @@ const {
   getClients,
   getClient,
   updateClient,
+  suspendClientAccount,
+  reactivateClientAccount,
+  deleteClient,
+  getDeletedClients,
+  restoreClient,
+  purgeClient,
   updateClientPreferences,
   clientCheckIn,
   addPointsToClient,
   getClientProfile,
+  startClientPhoneVerification,
+  confirmClientPhoneVerification,
   getClientStats,
   getLeaderboard,
   searchClients,
   getClientsInfo
 } = require('../controllers/clientController');
 
+const {
+  getMyMembership,
+  getClientMemberships,
+  createClientMembership
+} = require('../controllers/membershipController');
+
+const {
+  getMyPayments,
+  getClientPayments,
+  createClientPayment
+} = require('../controllers/paymentController');
+
+const { getMyGuestPasses } = require('../controllers/guestController');
+
+const { getClientCheckIns, clientCheckOut, getMyCheckIns, getMyCheckInCode } = require('../controllers/checkInController');
+const { getMyPointsHistory, getClientPointsHistory, reversePointsTransaction } = require('../controllers/pointsController');
+const { getMyAchievements } = require('../controllers/gamificationController');
+
 // Importar middleware de autenticación y autorización
 const { 
   requireAuth,
@@ -63,7 +112,20 @@ const {
   validateSchema,
   schemas,
   handleValidationErrors,
-  sanitizeInput
+  sanitizeInput,
+  validateRateLimit,
+  validatePhoneVerifyStart,
+  validatePhoneVerifyConfirm,
+  validateClientSuspend,
+  validateClientStatusReason,
+  validateMembershipCreate,
+  validatePaymentCreate,
+  validatePaymentQuery,
+  validateCheckIn,
+  validateCheckInQuery,
+  validatePointsAdjustment,
+  validatePointsReversal,
+  validatePointsHistoryQuery
 } = require('../middleware/validation');
 
 /**
@@ -97,12 +159,72 @@ router.get('/me', [
   requireClient // Solo clientes pueden acceder a este endpoint
 ], getClientProfile);
 
+/**
+ * MEMBRESÍA DEL CLIENTE ACTUAL
+ * GET /api/clients/me/membership
+ */
+router.get('/me/membership', [
+  requireClient
+], getMyMembership);
+
+/**
+ * PAGOS DEL CLIENTE ACTUAL
+ * GET /api/clients/me/payments
+ */
+router.get('/me/payments', [
+  requireClient,
+  validatePaymentQuery
+], getMyPayments);
+
+/**
+ * PASES DE INVITADO DEL CLIENTE ACTUAL
+ * GET /api/clients/me/guest-passes
+ */
+router.get('/me/guest-passes', [
+  requireClient
+], getMyGuestPasses);
+
+/**
+ * HISTORIAL DE CHECK-INS DEL CLIENTE ACTUAL
+ * GET /api/clients/me/checkins
+ */
+router.get('/me/checkins', [
+  requireClient,
+  validateCheckInQuery
+], getMyCheckIns);
+
+/**
+ * CÓDIGO QR DE CHECK-IN DEL CLIENTE ACTUAL
+ * GET /api/clients/me/checkin-code
+ */
+router.get('/me/checkin-code', [
+  requireClient
+], getMyCheckInCode);
+
+/**
+ * HISTORIAL DE PUNTOS DEL CLIENTE ACTUAL
+ * GET /api/clients/me/points/history
+ */
+router.get('/me/points/history', [
+  requireClient,
+  validatePointsHistoryQuery
+], getMyPointsHistory);
+
+/**
+ * RACHAS E INSIGNIAS DEL CLIENTE ACTUAL
+ * GET /api/clients/me/achievements
+ */
+router.get('/me/achievements', [
+  requireClient
+], getMyAchievements);
+
 /**
  * ACTUALIZAR PERFIL DEL CLIENTE ACTUAL
  * PUT /api/clients/me
  */
 router.put('/me', [
   requireClient,
+  flexibleAuth({ requireVerification: true }),
   sanitizeInput,
   validateSchema(schemas.profileUpdate)
 ], async (req, res, next) => {
@@ -117,6 +239,7 @@ router.put('/me', [
  */
 router.put('/me/preferences', [
   requireClient,
+  flexibleAuth({ requireVerification: true }),
   sanitizeInput,
   validateSchema(schemas.preferences)
 ], async (req, res, next) => {
@@ -125,6 +248,27 @@ router.put('/me/preferences', [
   updateClientPreferences(req, res, next);
 });
 
+/**
+ * ENVIAR CÓDIGO DE VERIFICACIÓN DEL TELÉFONO POR SMS
+ * POST /api/clients/me/phone/verify/start
+ */
+router.post('/me/phone/verify/start', [
+  requireClient,
+  validateRateLimit(60 * 60 * 1000, 10, 'Demasiadas solicitudes de código, intenta más tarde'),
+  sanitizeInput,
+  validatePhoneVerifyStart
+], startClientPhoneVerification);
+
+/**
+ * CONFIRMAR CÓDIGO DE VERIFICACIÓN DEL TELÉFONO
+ * POST /api/clients/me/phone/verify/confirm
+ */
+router.post('/me/phone/verify/confirm', [
+  requireClient,
+  validateRateLimit(15 * 60 * 1000, 20, 'Demasiados intentos de verificación, intenta más tarde'),
+  validatePhoneVerifyConfirm
+], confirmClientPhoneVerification);
+
 /**
  * OBTENER TOP CLIENTES POR PUNTOS (LEADERBOARD)
  * GET /api/clients/leaderboard
@@ -139,6 +283,14 @@ router.get('/search', [
   requirePermission('view_clients')
 ], searchClients);
 
+/**
+ * LISTAR CLIENTES ELIMINADOS (SOFT DELETE)
+ * GET /api/clients/deleted
+ */
+router.get('/deleted', [
+  requirePermission('manage_clients')
+], getDeletedClients);
+
 /**
  * LISTAR TODOS LOS CLIENTES
  * GET /api/clients
@@ -189,7 +341,7 @@ router.put('/:id', [
   validateSchema(schemas.profileUpdate),
   flexibleAuth({
     allowGuest: false,
-    requireVerification: false
+    requireVerification: true // Los clientes deben verificar su email para editar su perfil
   })
 ], async (req, res, next) => {
   // Los clientes solo pueden actualizar su propio perfil
@@ -222,7 +374,7 @@ router.put('/:id/preferences', [
   validateSchema(schemas.preferences),
   flexibleAuth({
     allowGuest: false,
-    requireVerification: false
+    requireVerification: true
   })
 ], async (req, res, next) => {
   // Los clientes solo pueden actualizar sus propias preferencias
@@ -252,20 +404,172 @@ router.post('/:id/checkin', [
   validateUUID('id'),
   handleValidationErrors,
   requirePermission('process_checkins'), // Solo staff+ pueden hacer check-ins manuales
-  sanitizeInput
+  sanitizeInput,
+  validateCheckIn
 ], clientCheckIn);
 
 /**
- * AGREGAR PUNTOS A CLIENTE
+ * HISTORIAL DE CHECK-INS DE UN CLIENTE
+ * GET /api/clients/:id/checkins
+ */
+router.get('/:id/checkins', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['view_clients', 'process_checkins']),
+  validateCheckInQuery
+], getClientCheckIns);
+
+/**
+ * REGISTRAR SALIDA DE CLIENTE
+ * POST /api/clients/:id/checkout
+ */
+router.post('/:id/checkout', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('process_checkins')
+], clientCheckOut);
+
+/**
+ * AGREGAR O DESCONTAR PUNTOS A CLIENTE
  * POST /api/clients/:id/points
  */
 router.post('/:id/points', [
   validateUUID('id'),
   handleValidationErrors,
-  requirePermission('manage_points'), // Solo admins pueden agregar puntos manualmente
-  sanitizeInput
+  requirePermission('manage_points'), // Solo admins pueden ajustar puntos manualmente
+  requireRole('admin', { requireMfa: true }), // Acción sensible: exige 2FA si aplica
+  sanitizeInput,
+  validatePointsAdjustment
 ], addPointsToClient);
 
+/**
+ * HISTORIAL DE PUNTOS DE UN CLIENTE
+ * GET /api/clients/:id/points/history
+ */
+router.get('/:id/points/history', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['view_clients', 'manage_points']),
+  validatePointsHistoryQuery
+], getClientPointsHistory);
+
+/**
+ * REVERTIR MOVIMIENTO DE PUNTOS
+ * POST /api/clients/:id/points/transactions/:transactionId/reverse
+ */
+router.post('/:id/points/transactions/:transactionId/reverse', [
+  validateUUID('id'),
+  validateUUID('transactionId'),
+  handleValidationErrors,
+  requirePermission('manage_points'),
+  requireRole('admin', { requireMfa: true }),
+  sanitizeInput,
+  validatePointsReversal
+], reversePointsTransaction);
+
+/**
+ * HISTORIAL DE MEMBRESÍAS DE UN CLIENTE
+ * GET /api/clients/:id/memberships
+ */
+router.get('/:id/memberships', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['manage_payments', 'process_payments'])
+], getClientMemberships);
+
+/**
+ * VENDER MEMBRESÍA A UN CLIENTE
+ * POST /api/clients/:id/memberships
+ */
+router.post('/:id/memberships', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['manage_payments', 'process_payments']),
+  sanitizeInput,
+  validateMembershipCreate
+], createClientMembership);
+
+/**
+ * HISTORIAL DE PAGOS DE UN CLIENTE
+ * GET /api/clients/:id/payments
+ */
+router.get('/:id/payments', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['manage_payments', 'process_payments']),
+  validatePaymentQuery
+], getClientPayments);
+
+/**
+ * REGISTRAR COBRO A UN CLIENTE
+ * POST /api/clients/:id/payments
+ */
+router.post('/:id/payments', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['manage_payments', 'process_payments']),
+  sanitizeInput,
+  validatePaymentCreate
+], createClientPayment);
+
+/**
+ * SUSPENDER CLIENTE
+ * POST /api/clients/:id/suspend
+ */
+router.post('/:id/suspend', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('manage_clients'),
+  sanitizeInput,
+  validateClientSuspend
+], suspendClientAccount);
+
+/**
+ * REACTIVAR CLIENTE
+ * POST /api/clients/:id/reactivate
+ */
+router.post('/:id/reactivate', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('manage_clients'),
+  sanitizeInput,
+  validateClientStatusReason
+], reactivateClientAccount);
+
+/**
+ * ELIMINAR CLIENTE (SOFT DELETE)
+ * DELETE /api/clients/:id
+ */
+router.delete('/:id', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('manage_clients'),
+  requireRole('admin', { requireMfa: true }),
+  sanitizeInput,
+  validateClientStatusReason
+], deleteClient);
+
+/**
+ * RESTAURAR CLIENTE ELIMINADO
+ * POST /api/clients/:id/restore
+ */
+router.post('/:id/restore', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('manage_clients'),
+  requireRole('admin', { requireMfa: true })
+], restoreClient);
+
+/**
+ * ELIMINAR CLIENTE DEFINITIVAMENTE
+ * DELETE /api/clients/:id/purge
+ */
+router.delete('/:id/purge', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireRole('super_admin', { requireMfa: true }) // Irreversible: solo super_admin
+], purgeClient);
+
 /**
  * MIDDLEWARE DE MANEJO DE ERRORES ESPECÍFICO PARA CLIENTES
  */
@@ -334,10 +638,13 @@ module.exports = router;
  * ✅ GET /api/clients/me - Perfil propio (solo clientes)
  * ✅ PUT /api/clients/me - Actualizar perfil propio (solo clientes)
  * ✅ PUT /api/clients/me/preferences - Preferencias propias (solo clientes)
+ * ✅ POST /api/clients/me/phone/verify/start - Enviar código SMS (solo clientes)
+ * ✅ POST /api/clients/me/phone/verify/confirm - Confirmar código SMS (solo clientes)
  * ✅ GET /api/clients/:id - Ver cliente (admins o propietario)
  * ✅ PUT /api/clients/:id - Actualizar (admins o propietario)
  * ✅ PUT /api/clients/:id/preferences - Preferencias (admins o propietario)
  * ✅ POST /api/clients/:id/checkin - Check-in manual (solo staff+)
+ * ✅ POST /api/clients/:id/checkout - Salida manual (solo staff+)
  * ✅ POST /api/clients/:id/points - Agregar puntos (solo admins)
  * ✅ GET /api/clients/leaderboard - Top clientes (todos)
  * ✅ GET /api/clients/search - Buscar clientes (solo admins)
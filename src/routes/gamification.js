@@ -0,0 +1,82 @@
+/**
+ * RUTAS DE GAMIFICACIÓN - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone las reglas de puntos y la curva de niveles
+ * Mi responsabilidad es que cualquier cuenta autenticada vea los niveles y
+ * que solo quien tiene manage_points cambie reglas y niveles
+ *
+ * Rutas implementadas:
+ * - GET /levels - Curva de niveles (y progreso si es cliente)
+ * - PUT /levels - Reemplazar la curva (manage_points)
+ * - GET /rules - Reglas de puntos (manage_points)
+ * - PUT /rules/:eventType - Editar regla (manage_points)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getLevels,
+  updateLevels,
+  listRules,
+  editRule
+} = require('../controllers/gamificationController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requirePermission, logAuthorization } = require('../middleware/authorize');
+const {
+  validateGamificationRuleUpdate,
+  validateLevelTiersUpdate,
+  sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ */
+router.use(requireAuth);
+
+const requirePointsManager = [
+  requireUserType('user'),
+  requirePermission('manage_points'),
+  logAuthorization('gamification_management')
+];
+
+/**
+ * CURVA DE NIVELES
+ * GET /api/gamification/levels
+ */
+router.get('/levels', getLevels);
+
+/**
+ * REEMPLAZAR CURVA DE NIVELES
+ * PUT /api/gamification/levels
+ */
+router.put('/levels', [
+  ...requirePointsManager,
+  sanitizeInput,
+  validateLevelTiersUpdate
+], updateLevels);
+
+/**
+ * REGLAS DE PUNTOS
+ * GET /api/gamification/rules
+ */
+router.get('/rules', requirePointsManager, listRules);
+
+/**
+ * EDITAR REGLA DE PUNTOS
+ * PUT /api/gamification/rules/:eventType
+ */
+router.put('/rules/:eventType', [
+  ...requirePointsManager,
+  sanitizeInput,
+  validateGamificationRuleUpdate
+], editRule);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Niveles visibles para todos los autenticados
+ * ✅ Reglas y niveles editables solo con manage_points
+ */
@@ -0,0 +1,127 @@
+/**
+ * RUTAS DE INVITADOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone la atención de invitados en recepción
+ * Mi responsabilidad es que solo el personal que registra check-ins
+ * maneje invitados y pases
+ *
+ * Rutas implementadas:
+ * - POST / - Registrar invitado
+ * - GET / - Listar o buscar invitados
+ * - GET /:id - Invitado con historial de pases
+ * - POST /:id/passes - Emitir pase de día o de miembro
+ * - POST /:id/convert - Convertir en cliente
+ * - POST /passes/:passId/checkin - Registrar entrada
+ * - POST /passes/:passId/cancel - Cancelar pase sin usar
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  createGuest,
+  getGuests,
+  getGuest,
+  createGuestPass,
+  checkInGuest,
+  cancelPass,
+  convertGuest
+} = require('../controllers/guestController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requirePermission, requireAnyPermission, logAuthorization } = require('../middleware/authorize');
+const {
+  validateUUID,
+  handleValidationErrors,
+  validateGuestCreate,
+  validateGuestQuery,
+  validateGuestPassIssue,
+  validateGuestConvert,
+  validateClientStatusReason,
+  sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ * Los invitados los atiende el personal de recepción
+ */
+router.use([
+  requireAuth,
+  requireUserType('user'),
+  requirePermission('process_checkins'),
+  logAuthorization('guest_management')
+]);
+
+/**
+ * REGISTRAR INVITADO
+ * POST /api/guests
+ */
+router.post('/', [
+  sanitizeInput,
+  validateGuestCreate
+], createGuest);
+
+/**
+ * LISTAR O BUSCAR INVITADOS
+ * GET /api/guests
+ */
+router.get('/', validateGuestQuery, getGuests);
+
+/**
+ * REGISTRAR ENTRADA CON PASE
+ * POST /api/guests/passes/:passId/checkin
+ */
+router.post('/passes/:passId/checkin', [
+  validateUUID('passId'),
+  handleValidationErrors
+], checkInGuest);
+
+/**
+ * CANCELAR PASE SIN USAR
+ * POST /api/guests/passes/:passId/cancel
+ */
+router.post('/passes/:passId/cancel', [
+  validateUUID('passId'),
+  handleValidationErrors,
+  sanitizeInput,
+  validateClientStatusReason
+], cancelPass);
+
+/**
+ * OBTENER INVITADO
+ * GET /api/guests/:id
+ */
+router.get('/:id', [
+  validateUUID('id'),
+  handleValidationErrors
+], getGuest);
+
+/**
+ * EMITIR PASE
+ * POST /api/guests/:id/passes
+ */
+router.post('/:id/passes', [
+  validateUUID('id'),
+  handleValidationErrors,
+  sanitizeInput,
+  validateGuestPassIssue
+], createGuestPass);
+
+/**
+ * CONVERTIR INVITADO EN CLIENTE
+ * POST /api/guests/:id/convert
+ */
+router.post('/:id/convert', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireAnyPermission(['manage_clients', 'update_clients']),
+  sanitizeInput,
+  validateGuestConvert
+], convertGuest);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Gestión de invitados y pases para recepción
+ */
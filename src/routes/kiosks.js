@@ -0,0 +1,108 @@
+/**
+ * RUTAS DE KIOSCOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone los dispositivos de entrada del gimnasio
+ * Mi responsabilidad es separar el check-in por QR, que se autentica con
+ * la credencial del dispositivo, de la gestión de kioscos, que es solo
+ * para administración
+ *
+ * Rutas implementadas:
+ * - POST /checkin - Check-in con el código QR del miembro (header X-Kiosk-Key)
+ * - POST /checkout - Salida con el código QR del miembro (header X-Kiosk-Key)
+ * - GET / - Listar kioscos (admins)
+ * - POST / - Dar de alta kiosco y obtener su credencial (admins)
+ * - POST /:id/rotate-key - Rotar credencial (admins)
+ * - DELETE /:id - Desactivar kiosco (admins)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listKiosks,
+  createKiosk,
+  rotateKioskKey,
+  deactivateKiosk,
+  kioskCheckIn,
+  kioskCheckOut
+} = require('../controllers/kioskController');
+
+const { requireAuth, requireUserType, requireKioskDevice } = require('../middleware/auth');
+const { requireRole, logAuthorization } = require('../middleware/authorize');
+const {
+  validateUUID,
+  handleValidationErrors,
+  validateKioskCheckIn,
+  validateKioskCreate,
+  sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * CHECK-IN POR CÓDIGO QR
+ * POST /api/kiosks/checkin
+ * Se declara antes del middleware de administración: el kiosco no tiene JWT
+ */
+router.post('/checkin', [
+  requireKioskDevice,
+  validateKioskCheckIn
+], kioskCheckIn);
+
+/**
+ * SALIDA POR CÓDIGO QR
+ * POST /api/kiosks/checkout
+ */
+router.post('/checkout', [
+  requireKioskDevice,
+  validateKioskCheckIn
+], kioskCheckOut);
+
+/**
+ * APLICAR MIDDLEWARE DE ADMINISTRACIÓN AL RESTO DE RUTAS
+ */
+router.use([
+  requireAuth,
+  requireUserType('user'),
+  requireRole('admin'),
+  logAuthorization('kiosk_management')
+]);
+
+/**
+ * LISTAR KIOSCOS
+ * GET /api/kiosks
+ */
+router.get('/', listKiosks);
+
+/**
+ * DAR DE ALTA KIOSCO
+ * POST /api/kiosks
+ */
+router.post('/', [
+  sanitizeInput,
+  validateKioskCreate
+], createKiosk);
+
+/**
+ * ROTAR CREDENCIAL
+ * POST /api/kiosks/:id/rotate-key
+ */
+router.post('/:id/rotate-key', [
+  validateUUID('id'),
+  handleValidationErrors
+], rotateKioskKey);
+
+/**
+ * DESACTIVAR KIOSCO
+ * DELETE /api/kiosks/:id
+ */
+router.delete('/:id', [
+  validateUUID('id'),
+  handleValidationErrors
+], deactivateKiosk);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Check-in y salida QR autenticados por dispositivo
+ * ✅ Gestión de kioscos solo para administración
+ */
@@ -0,0 +1,120 @@
+/**
+ * RUTAS DE MEMBRESÍAS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone los planes de membresía y las acciones
+ * sobre membresías ya vendidas
+ * Mi responsabilidad es que cualquiera autenticado vea los planes a la venta
+ * y que solo quien administra pagos los edite o cambie el estado de una membresía
+ *
+ * Rutas implementadas:
+ * - GET /plans - Planes a la venta
+ * - POST /plans - Crear plan
+ * - PUT /plans/:id - Actualizar plan
+ * - DELETE /plans/:id - Retirar o eliminar plan
+ * - POST /:id/freeze - Congelar membresía
+ * - POST /:id/unfreeze - Descongelar membresía
+ * - POST /:id/cancel - Cancelar membresía
+ *
+ * La venta e historial por cliente viven en /api/clients/:id/memberships
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  freezeClientMembership,
+  unfreezeClientMembership,
+  cancelClientMembership
+} = require('../controllers/membershipController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requirePermission, logAuthorization } = require('../middleware/authorize');
+const {
+  validateMembershipPlanCreate,
+  validateMembershipPlanUpdate,
+  validateMembershipFreeze,
+  validateClientStatusReason,
+  sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ */
+router.use(requireAuth);
+
+// Middleware común para la administración de membresías
+const requireMembershipAdmin = [
+  requireUserType('user'),
+  requirePermission('manage_payments'),
+  logAuthorization('membership_management')
+];
+
+/**
+ * LISTAR PLANES
+ * GET /api/memberships/plans
+ */
+router.get('/plans', listPlans);
+
+/**
+ * CREAR PLAN
+ * POST /api/memberships/plans
+ */
+router.post('/plans', [
+  ...requireMembershipAdmin,
+  sanitizeInput,
+  validateMembershipPlanCreate
+], createPlan);
+
+/**
+ * ACTUALIZAR PLAN
+ * PUT /api/memberships/plans/:id
+ */
+router.put('/plans/:id', [
+  ...requireMembershipAdmin,
+  sanitizeInput,
+  validateMembershipPlanUpdate
+], updatePlan);
+
+/**
+ * RETIRAR O ELIMINAR PLAN
+ * DELETE /api/memberships/plans/:id
+ */
+router.delete('/plans/:id', requireMembershipAdmin, deletePlan);
+
+/**
+ * CONGELAR MEMBRESÍA
+ * POST /api/memberships/:id/freeze
+ */
+router.post('/:id/freeze', [
+  ...requireMembershipAdmin,
+  sanitizeInput,
+  validateMembershipFreeze
+], freezeClientMembership);
+
+/**
+ * DESCONGELAR MEMBRESÍA
+ * POST /api/memberships/:id/unfreeze
+ */
+router.post('/:id/unfreeze', requireMembershipAdmin, unfreezeClientMembership);
+
+/**
+ * CANCELAR MEMBRESÍA
+ * POST /api/memberships/:id/cancel
+ */
+router.post('/:id/cancel', [
+  ...requireMembershipAdmin,
+  sanitizeInput,
+  validateClientStatusReason
+], cancelClientMembership);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Catálogo de planes para cualquier usuario autenticado
+ * ✅ Administración de planes y membresías con manage_payments
+ */
@@ -0,0 +1,81 @@
+/**
+ * RUTAS DE AFORO - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone el aforo del gimnasio
+ * Mi responsabilidad es que lo consulten los miembros y el personal con su
+ * token, y las pantallas del lobby con la credencial de kiosco
+ *
+ * Rutas implementadas:
+ * - GET / - Aforo actual
+ * - POST /stream-token - Token corto para abrir el stream desde el navegador
+ * - GET /stream - Aforo en vivo (Server-Sent Events), con headers o ?token=
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCurrentOccupancy,
+  createStreamToken,
+  streamOccupancy
+} = require('../controllers/occupancyController');
+const { requireAuth, requireKioskDevice } = require('../middleware/auth');
+const { verifyStreamToken } = require('../utils/occupancy');
+
+/**
+ * Token de usuario o cliente, o credencial de kiosco (pantalla del lobby)
+ */
+const requireAccountOrKiosk = (req, res, next) => {
+  if (req.get('X-Kiosk-Key')) {
+    return requireKioskDevice(req, res, next);
+  }
+
+  requireAuth(req, res, next);
+};
+
+/**
+ * EventSource no manda headers: se acepta el token corto en ?token=
+ */
+const requireStreamAccess = (req, res, next) => {
+  if (!req.query.token) {
+    return requireAccountOrKiosk(req, res, next);
+  }
+
+  try {
+    req.streamSubject = verifyStreamToken(req.query.token);
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      error: 'No autorizado',
+      message: error.message,
+      code: error.code || 'INVALID_STREAM_TOKEN'
+    });
+  }
+};
+
+/**
+ * AFORO ACTUAL
+ * GET /api/occupancy
+ */
+router.get('/', requireAccountOrKiosk, getCurrentOccupancy);
+
+/**
+ * TOKEN PARA EL STREAM
+ * POST /api/occupancy/stream-token
+ */
+router.post('/stream-token', requireAccountOrKiosk, createStreamToken);
+
+/**
+ * AFORO EN VIVO
+ * GET /api/occupancy/stream
+ */
+router.get('/stream', requireStreamAccess, streamOccupancy);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Aforo para miembros, personal y pantallas del lobby
+ * ✅ Stream en vivo sin consultas repetidas
+ * ✅ Stream accesible desde EventSource con token corto
+ */
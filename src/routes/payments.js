@@ -0,0 +1,92 @@
+/**
+ * RUTAS DE PAGOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone los recibos y las correcciones del libro de pagos
+ * Mi responsabilidad es que solo administración anule o reembolse, y que
+ * cada recibo lo vea el staff de caja o el cliente al que pertenece
+ *
+ * Rutas implementadas:
+ * - GET /:id - Recibo con sus anulaciones y reembolsos
+ * - POST /:id/void - Anular pago completo
+ * - POST /:id/refund - Reembolso total o parcial
+ *
+ * El cobro y el historial por cliente viven en /api/clients/:id/payments
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPaymentReceipt,
+  voidPayment,
+  refundPayment
+} = require('../controllers/paymentController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requirePermission, requireAnyPermission, requireRole, logAuthorization } = require('../middleware/authorize');
+const {
+  validateUUID,
+  handleValidationErrors,
+  validatePaymentVoid,
+  validatePaymentRefund,
+  sanitizeInput
+} = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ */
+router.use(requireAuth);
+
+/**
+ * OBTENER RECIBO
+ * GET /api/payments/:id
+ */
+router.get('/:id', [
+  validateUUID('id'),
+  handleValidationErrors
+], (req, res, next) => {
+  // Los clientes ven sus propios recibos (se valida en el controlador)
+  if (req.user.constructor.name.toLowerCase() === 'user') {
+    return requireAnyPermission(['manage_payments', 'process_payments'])(req, res, next);
+  }
+
+  next();
+}, getPaymentReceipt);
+
+/**
+ * ANULAR PAGO
+ * POST /api/payments/:id/void
+ */
+router.post('/:id/void', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireUserType('user'),
+  requirePermission('manage_payments'),
+  requireRole('admin', { requireMfa: true }), // Mueve dinero: exige 2FA si aplica
+  logAuthorization('payment_management'),
+  sanitizeInput,
+  validatePaymentVoid
+], voidPayment);
+
+/**
+ * REEMBOLSAR PAGO
+ * POST /api/payments/:id/refund
+ */
+router.post('/:id/refund', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireUserType('user'),
+  requirePermission('manage_payments'),
+  requireRole('admin', { requireMfa: true }),
+  logAuthorization('payment_management'),
+  sanitizeInput,
+  validatePaymentRefund
+], refundPayment);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Recibos para staff y para el cliente dueño
+ * ✅ Anulaciones y reembolsos solo con manage_payments y 2FA
+ */
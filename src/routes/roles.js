@@ -0,0 +1,83 @@
+/**
+ * RUTAS DE ROLES Y PERMISOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que expone el editor de roles y permisos
+ * Mi responsabilidad es que solo un super administrador pueda cambiar
+ * qué puede hacer cada rol
+ *
+ * Rutas implementadas:
+ * - GET / - Listar roles con sus permisos
+ * - GET /permissions - Catálogo de permisos
+ * - POST / - Crear rol personalizado
+ * - PUT /:name - Actualizar rol
+ * - DELETE /:name - Eliminar rol personalizado
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+const { requireAuth, requireUserType } = require('../middleware/auth');
+const { requireRole, logAuthorization } = require('../middleware/authorize');
+const { validateRoleCreate, validateRoleUpdate, sanitizeInput } = require('../middleware/validation');
+
+/**
+ * APLICAR MIDDLEWARE BASE A TODAS LAS RUTAS
+ * Solo super_admin gestiona roles
+ */
+router.use([
+  requireAuth,
+  requireUserType('user'),
+  requireRole('super_admin'),
+  logAuthorization('role_management')
+]);
+
+/**
+ * LISTAR ROLES
+ * GET /api/roles
+ */
+router.get('/', listRoles);
+
+/**
+ * CATÁLOGO DE PERMISOS
+ * GET /api/roles/permissions
+ */
+router.get('/permissions', listPermissions);
+
+/**
+ * CREAR ROL PERSONALIZADO
+ * POST /api/roles
+ */
+router.post('/', [
+  sanitizeInput,
+  validateRoleCreate
+], createRole);
+
+/**
+ * ACTUALIZAR ROL
+ * PUT /api/roles/:name
+ */
+router.put('/:name', [
+  sanitizeInput,
+  validateRoleUpdate
+], updateRole);
+
+/**
+ * ELIMINAR ROL PERSONALIZADO
+ * DELETE /api/roles/:name
+ */
+router.delete('/:name', deleteRole);
+
+module.exports = router;
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Editor de roles y permisos (solo super_admin)
+ */
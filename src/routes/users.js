@@ -15,6 +15,9 @@
  * - POST / - Crear nuevo usuario administrativo
  * - PUT /:id - Actualizar usuario administrativo
  * - DELETE /:id - Eliminar usuario (soft delete)
+ * - GET /deleted - Listar usuarios eliminados
+ * - POST /:id/restore - Restaurar usuario eliminado
+ * - DELETE /:id/purge - Eliminar definitivamente (solo super_admin)
  */
 
 const express = require('express');
@@ -27,6 +30,9 @@ const {
   createUser,
   updateUser,
   deleteUser,
+  getDeletedUsers,
+  restoreUser,
+  purgeUser,
   getUserProfile,
   getUserStats
 } = require('../controllers/userController');
@@ -103,6 +109,14 @@ router.post('/', [
   sanitizeInput
 ], createUser);
 
+/**
+ * LISTAR USUARIOS ELIMINADOS (SOFT DELETE)
+ * GET /api/users/deleted
+ */
+router.get('/deleted', [
+  requirePermission('delete_users')
+], getDeletedUsers);
+
 /**
  * OBTENER USUARIO ESPECÍFICO
  * GET /api/users/:id
@@ -131,9 +145,31 @@ router.put('/:id', [
 router.delete('/:id', [
   validateUUID('id'),
   handleValidationErrors,
-  requirePermission('delete_users')
+  requirePermission('delete_users'),
+  requireRole('admin', { requireMfa: true }) // Acción sensible: exige 2FA si aplica
 ], deleteUser);
 
+/**
+ * RESTAURAR USUARIO ELIMINADO
+ * POST /api/users/:id/restore
+ */
+router.post('/:id/restore', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requirePermission('delete_users'),
+  requireRole('admin', { requireMfa: true })
+], restoreUser);
+
+/**
+ * ELIMINAR USUARIO DEFINITIVAMENTE
+ * DELETE /api/users/:id/purge
+ */
+router.delete('/:id/purge', [
+  validateUUID('id'),
+  handleValidationErrors,
+  requireRole('super_admin', { requireMfa: true }) // Irreversible: solo super_admin
+], purgeUser);
+
 /**
  * ENDPOINT DE INFORMACIÓN DE GESTIÓN DE USUARIOS
  * GET /api/users/info
@@ -142,10 +178,11 @@ router.get('/info', [
   requirePermission('view_users')
 ], (req, res) => {
   try {
-    const { getUserPermissions, ROLE_HIERARCHY, DEFAULT_PERMISSIONS } = require('../middleware/authorize');
+    const { getUserPermissions, getRoleLevel } = require('../middleware/authorize');
+    const { getRoleHierarchy } = require('../utils/roles');
     
     const userPermissions = getUserPermissions(req.user);
-    const userLevel = ROLE_HIERARCHY[req.user.role] || 0;
+    const userLevel = getRoleLevel(req.user.role);
     
     res.json({
       message: '👥 Elite Fitness Club - Gestión de Usuarios Administrativos',
@@ -165,7 +202,10 @@ router.get('/info', [
         create: 'POST /api/users - Crear nuevo admin',
         view: 'GET /api/users/:id - Ver usuario específico',
         update: 'PUT /api/users/:id - Actualizar usuario',
-        delete: 'DELETE /api/users/:id - Eliminar usuario'
+        delete: 'DELETE /api/users/:id - Eliminar usuario',
+        deleted: 'GET /api/users/deleted - Usuarios eliminados',
+        restore: 'POST /api/users/:id/restore - Restaurar usuario',
+        purge: 'DELETE /api/users/:id/purge - Eliminar definitivamente (super_admin)'
       },
       capabilities: {
         canViewUsers: userPermissions.includes('view_users'),
@@ -174,12 +214,12 @@ router.get('/info', [
         canDeleteUsers: userPermissions.includes('delete_users'),
         canViewStats: req.user.role === 'super_admin' || req.user.role === 'admin'
       },
-      roleHierarchy: ROLE_HIERARCHY,
+      roleHierarchy: getRoleHierarchy(),
       queryParameters: {
         list: {
           page: 'Número de página (default: 1)',
           limit: 'Items por página (default: 10)',
-          role: 'Filtrar por rol (super_admin, admin, staff)',
+          role: 'Filtrar por rol (super_admin, admin, staff o rol personalizado)',
           isActive: 'Filtrar por estado (true/false)',
           search: 'Buscar en nombre, apellido o email',
           sortBy: 'Campo de ordenamiento (default: createdAt)',
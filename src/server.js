@@ -20,6 +20,11 @@
 require('dotenv').config();
 const app = require('./app');
 const { testConnection, closeConnection } = require('./config/database');
+const { registerJob, startScheduledJobs, stopScheduledJobs } = require('./utils/scheduler');
+const { assertKeyConfiguration, initializeSigningKeys, rotateSigningKeys } = require('./utils/keyManager');
+const { assertMfaConfiguration } = require('./utils/totp');
+const { assertPhoneOtpConfiguration } = require('./utils/phoneVerification');
+const { initializeRoles } = require('./utils/roles');
 
 // Configuración del puerto
 const PORT = process.env.PORT || 3000;
@@ -131,6 +136,118 @@ const detectCurrentPhase = () => {
   }
 };
 
+/**
+ * Registrar tareas programadas de mantenimiento
+ */
+const scheduleMaintenanceJobs = () => {
+  const { cleanupRevokedTokens } = require('./utils/jwt');
+  const { Session, PasswordResetToken, PhoneVerification, OAuthCode } = require('./models');
+  
+  // Purga de tokens revocados que ya expiraron
+  const tokenCleanupMinutes = parseInt(process.env.TOKEN_CLEANUP_INTERVAL_MINUTES) || 60;
+  registerJob('revoked-token-cleanup', tokenCleanupMinutes * 60 * 1000, cleanupRevokedTokens, {
+    runOnStart: true
+  });
+  
+  // Purga diaria de sesiones expiradas o cerradas hace más de 30 días
+  registerJob('stale-session-cleanup', 24 * 60 * 60 * 1000, async () => {
+    const purged = await Session.purgeStale(30);
+    
+    if (purged > 0) {
+      console.log(`🧹 ${purged} sesiones antiguas eliminadas`);
+    }
+  });
+  
+  // Purga diaria de enlaces de recuperación de contraseña vencidos
+  registerJob('password-reset-token-cleanup', 24 * 60 * 60 * 1000, async () => {
+    await PasswordResetToken.purgeExpired();
+  });
+  
+  // Rotación de llaves JWT: cada hora revisa si toca rotar y recarga las de otras instancias
+  registerJob('jwt-key-rotation', 60 * 60 * 1000, async () => {
+    const { rotated, kid } = await rotateSigningKeys();
+    
+    if (rotated) {
+      console.log(`🔑 Llave de firma JWT rotada, nuevo kid: ${kid}`);
+    }
+  });
+  
+  // Purga horaria de códigos OAuth no canjeados (viven segundos)
+  registerJob('oauth-code-cleanup', 60 * 60 * 1000, async () => {
+    await OAuthCode.purgeExpired();
+  });
+  
+  // Purga diaria de códigos SMS vencidos
+  registerJob('phone-verification-cleanup', 24 * 60 * 60 * 1000, async () => {
+    await PhoneVerification.purgeExpired();
+  });
+  
+  // Reactivación automática de clientes cuya suspensión ya venció
+  registerJob('client-suspension-release', 15 * 60 * 1000, async () => {
+    const { releaseExpiredSuspensions } = require('./utils/clientStatus');
+    const released = await releaseExpiredSuspensions();
+    
+    if (released > 0) {
+      console.log(`▶️  ${released} clientes reactivados al vencer su suspensión`);
+    }
+  }, { runOnStart: true });
+  
+  // Purga diaria de cuentas eliminadas cuyo periodo de retención terminó
+  registerJob('soft-delete-retention', 24 * 60 * 60 * 1000, async () => {
+    const { purgeExpiredSoftDeletes } = require('./utils/softDelete');
+    const { users, clients } = await purgeExpiredSoftDeletes();
+    
+    if (users + clients > 0) {
+      console.log(`🔥 Cuentas purgadas por retención: ${users} usuarios, ${clients} clientes`);
+    }
+  });
+  
+  // Vencimiento de membresías cuyo periodo ya terminó
+  registerJob('membership-expiry', 60 * 60 * 1000, async () => {
+    const { expireMemberships } = require('./utils/memberships');
+    await expireMemberships();
+  }, {
+    runOnStart: true
+  });
+  
+  // Recordatorios para miembros inactivos según sus preferencias
+  const inactivityCheckHours = parseInt(process.env.INACTIVITY_CHECK_INTERVAL_HOURS) || 6;
+  registerJob('inactivity-reminders', inactivityCheckHours * 60 * 60 * 1000, async () => {
+    const { queueInactivityReminders } = require('./utils/engagement');
+    await queueInactivityReminders();
+  });
+  
+  // Despacho de la cola de notificaciones
+  registerJob('notification-dispatch', 60 * 1000, async () => {
+    const { dispatchDueNotifications } = require('./utils/notifications');
+    await dispatchDueNotifications();
+  });
+  
+  // Salida automática de visitas que superaron la estancia máxima
+  registerJob('occupancy-auto-checkout', 15 * 60 * 1000, async () => {
+    const { autoCheckOut } = require('./utils/occupancy');
+    await autoCheckOut();
+  }, {
+    runOnStart: true
+  });
+  
+  // Vencimiento de puntos (solo si POINTS_EXPIRY_MONTHS está configurado)
+  registerJob('points-expiry', 24 * 60 * 60 * 1000, async () => {
+    const { expirePoints } = require('./utils/points');
+    await expirePoints();
+  }, {
+    runOnStart: true
+  });
+  
+  // Purga diaria de notificaciones procesadas hace más de 90 días
+  registerJob('notification-cleanup', 24 * 60 * 60 * 1000, async () => {
+    const { Notification } = require('./models');
+    await Notification.purgeOld(90);
+  });
+  
+  startScheduledJobs();
+};
+
 /**
  * Función para inicializar el servidor de forma segura
  */
@@ -139,6 +256,11 @@ const startServer = async () => {
     console.log('🚀 Iniciando Elite Fitness Club Backend...');
     console.log(`📍 Entorno: ${process.env.NODE_ENV || 'development'}`);
     
+    // Sin llave de firma JWT ni secretos de 2FA y SMS el servidor no arranca en producción
+    assertKeyConfiguration();
+    assertMfaConfiguration();
+    assertPhoneOtpConfiguration();
+    
     // Verificar conexión a base de datos
     console.log('🔗 Verificando conexión a base de datos...');
     const dbConnected = await testConnection();
@@ -162,6 +284,26 @@ const startServer = async () => {
       console.log('💡 Ejecuta migración para crear las tablas: npm run migrate');
     }
     
+    // Cargar llaves de firma JWT (en modo managed se crean o rotan aquí)
+    await initializeSigningKeys();
+    
+    // Sembrar y cargar roles/permisos (sin tablas se usan los valores semilla)
+    try {
+      await initializeRoles();
+    } catch (error) {
+      console.log('⚠️  Roles no disponibles en base de datos:', error.message);
+      console.log('💡 Se usan los roles y permisos por defecto hasta ejecutar la migración');
+    }
+    
+    // Sembrar y cargar reglas de gamificación y curva de niveles
+    try {
+      const { initializeGamification } = require('./utils/gamification');
+      await initializeGamification();
+    } catch (error) {
+      console.log('⚠️  Reglas de gamificación no disponibles en base de datos:', error.message);
+      console.log('💡 Se usan los puntos y niveles por defecto hasta ejecutar la migración');
+    }
+    
     // Verificar controladores y rutas (Sub-fase 2.3)
     console.log('🎛️  Verificando controladores y rutas...');
     try {
@@ -236,6 +378,9 @@ const startServer = async () => {
     // Configurar timeout del servidor
     server.timeout = 30000; // 30 segundos
     
+    // Iniciar tareas programadas de mantenimiento
+    scheduleMaintenanceJobs();
+    
   } catch (error) {
     console.error('💥 Error crítico iniciando servidor:', error.message);
     process.exit(1);
@@ -249,6 +394,13 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Señal ${signal} recibida. Cerrando servidor...`);
   
   try {
+    // Detener tareas programadas
+    stopScheduledJobs();
+    
+    // Cerrar streams de aforo en vivo (si no, server.close espera para siempre)
+    const { closeOccupancyStreams } = require('./utils/occupancy');
+    closeOccupancyStreams();
+    
     // Cerrar servidor HTTP
     if (server) {
       await new Promise((resolve) => {
@@ -313,6 +465,7 @@ module.exports = { app, startServer, gracefulShutdown };
  * ✅ Rutas completas con middleware aplicado
  * ✅ APIs RESTful operativas (25+ endpoints)
  * ✅ Manejo seguro de cierre del servidor
+ * ✅ Tareas programadas de mantenimiento (purga de tokens revocados)
  * ✅ Error handling para excepciones no capturadas
  * ✅ Logging detallado del estado del sistema
  * ✅ Configuración para múltiples entornos
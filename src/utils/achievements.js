@@ -0,0 +1,296 @@
+/**
+ * LOGROS DE ASISTENCIA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que calcula rachas e insignias a partir del historial de check-ins
+ * Mi responsabilidad es evaluar, después de cada entrada, qué insignias ganó
+ * el miembro y si alcanzó un hito de racha (que otorga la regla streak_milestone)
+ *
+ * Rachas (en fechas locales de Guatemala):
+ * - Diaria: días con visita seguidos; hasta STREAK_GRACE_DAYS días sin venir
+ *   entre visitas no la rompen (por defecto 1)
+ * - Semanal: semanas (lunes a domingo) seguidas con al menos
+ *   STREAK_WEEKLY_MIN_VISITS visitas (por defecto 1); la semana en curso
+ *   todavía no rompe la racha
+ *
+ * Las insignias se evalúan con la historia completa, así que un miembro
+ * antiguo recibe las que ya merecía en su siguiente check-in
+ */
+
+const { QueryTypes } = require('sequelize');
+const { GYM_TIMEZONE, getLocalTime } = require('./memberships');
+const { awardPoints } = require('./gamification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARLY_BIRD_BEFORE = '07:00';
+
+/**
+ * Definiciones de insignias
+ * metric: checkIns (total de visitas), weeklyStreak (mejor racha semanal),
+ * earlyBird (visitas antes de EARLY_BIRD_BEFORE)
+ */
+const BADGES = [
+  { code: 'first_visit', name: 'Primera visita', description: 'Tu primer check-in en el gimnasio', metric: 'checkIns', target: 1 },
+  { code: 'checkins_10', name: '10 visitas', description: 'Completaste 10 check-ins', metric: 'checkIns', target: 10 },
+  { code: 'checkins_50', name: '50 visitas', description: 'Completaste 50 check-ins', metric: 'checkIns', target: 50 },
+  { code: 'checkins_100', name: '100 visitas', description: 'Completaste 100 check-ins', metric: 'checkIns', target: 100 },
+  {
+    code: 'weekly_streak_4',
+    name: 'Racha de 4 semanas',
+    description: 'Entrenaste 4 semanas seguidas',
+    metric: 'weeklyStreak',
+    target: 4,
+    streakMilestone: true
+  },
+  { code: 'early_bird', name: 'Madrugador', description: `Hiciste check-in antes de las ${EARLY_BIRD_BEFORE}`, metric: 'earlyBird', target: 1 }
+];
+
+const getStreakSettings = () => ({
+  graceDays: Math.max(0, parseInt(process.env.STREAK_GRACE_DAYS ?? 1) || 0),
+  weeklyMinVisits: Math.max(1, parseInt(process.env.STREAK_WEEKLY_MIN_VISITS) || 1)
+});
+
+// Número de día desde 1970-01-01 para una fecha local YYYY-MM-DD
+const toDayNumber = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+// Semana que empieza en lunes (el día 0 fue jueves)
+const toWeekNumber = (dayNumber) => Math.floor((dayNumber + 3) / 7);
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Calcular rachas diaria y semanal
+ * days: fechas locales YYYY-MM-DD con al menos una visita
+ * today: fecha local de referencia
+ */
+const computeStreaks = (days, today = getLocalTime().date, settings = getStreakSettings()) => {
+  const { graceDays, weeklyMinVisits } = settings;
+  const dayNumbers = [...new Set(days)].map(toDayNumber).sort((a, b) => a - b);
+  const todayNumber = toDayNumber(today);
+
+  // Racha diaria con días de gracia
+  let dailyRun = 0;
+  let dailyLongest = 0;
+  let previous = null;
+
+  for (const day of dayNumbers) {
+    dailyRun = previous !== null && day - previous - 1 <= graceDays ? dailyRun + 1 : 1;
+    dailyLongest = Math.max(dailyLongest, dailyRun);
+    previous = day;
+  }
+
+  const lastVisit = dayNumbers.length > 0 ? dayNumbers[dayNumbers.length - 1] : null;
+  const dailyAlive = lastVisit !== null && todayNumber - lastVisit - 1 <= graceDays;
+
+  // Racha semanal: semanas seguidas que cumplen el mínimo de visitas
+  const visitsPerWeek = new Map();
+
+  for (const day of dayNumbers) {
+    const week = toWeekNumber(day);
+    visitsPerWeek.set(week, (visitsPerWeek.get(week) || 0) + 1);
+  }
+
+  const weeks = [...visitsPerWeek.entries()]
+    .filter(([, visits]) => visits >= weeklyMinVisits)
+    .map(([week]) => week)
+    .sort((a, b) => a - b);
+
+  let weeklyRun = 0;
+  let weeklyLongest = 0;
+  let previousWeek = null;
+
+  for (const week of weeks) {
+    weeklyRun = previousWeek !== null && week === previousWeek + 1 ? weeklyRun + 1 : 1;
+    weeklyLongest = Math.max(weeklyLongest, weeklyRun);
+    previousWeek = week;
+  }
+
+  const currentWeek = toWeekNumber(todayNumber);
+  const weeklyAlive = previousWeek !== null && currentWeek - previousWeek <= 1;
+
+  return {
+    daily: {
+      current: dailyAlive ? dailyRun : 0,
+      longest: dailyLongest,
+      lastVisit: lastVisit !== null ? fromDayNumber(lastVisit) : null,
+      graceDays
+    },
+    weekly: {
+      current: weeklyAlive ? weeklyRun : 0,
+      longest: weeklyLongest,
+      thisWeekVisits: visitsPerWeek.get(currentWeek) || 0,
+      minVisits: weeklyMinVisits
+    }
+  };
+};
+
+/**
+ * Días con visita y cantidad de visitas tempranas de un cliente (un agregado SQL)
+ */
+const getAttendanceHistory = async (clientId) => {
+  const { sequelize } = require('../models');
+
+  const rows = await sequelize.query(`
+    SELECT to_char("checkedInAt" AT TIME ZONE :tz, 'YYYY-MM-DD') AS "day",
+           COUNT(*) FILTER (WHERE ("checkedInAt" AT TIME ZONE :tz)::time < CAST(:earlyBefore AS time))::int AS "earlyVisits"
+    FROM check_ins
+    WHERE "clientId" = :clientId
+    GROUP BY 1
+    ORDER BY 1
+  `, {
+    replacements: { tz: GYM_TIMEZONE, earlyBefore: EARLY_BIRD_BEFORE, clientId },
+    type: QueryTypes.SELECT
+  });
+
+  return {
+    days: rows.map(row => row.day),
+    earlyVisits: rows.reduce((sum, row) => sum + row.earlyVisits, 0)
+  };
+};
+
+/**
+ * Valores de cada métrica de insignias
+ */
+const buildMetrics = (client, history, streaks) => ({
+  checkIns: client.totalCheckIns,
+  weeklyStreak: streaks.weekly.longest,
+  earlyBird: history.earlyVisits
+});
+
+const describeBadge = ({ code, name, description }) => ({ code, name, description });
+
+/**
+ * Evaluar rachas e insignias después de un check-in
+ * Las insignias de hito de racha otorgan la regla streak_milestone
+ */
+const evaluateAchievements = async (client, checkIn = null) => {
+  const { ClientBadge } = require('../models');
+
+  const history = await getAttendanceHistory(client.id);
+  const streaks = computeStreaks(history.days);
+  const metrics = buildMetrics(client, history, streaks);
+
+  const earned = await ClientBadge.findAll({ where: { clientId: client.id }, attributes: ['badgeCode'] });
+  const earnedCodes = new Set(earned.map(badge => badge.badgeCode));
+
+  const newBadges = [];
+  let streakAward = null;
+
+  for (const badge of BADGES) {
+    if (earnedCodes.has(badge.code) || metrics[badge.metric] < badge.target) continue;
+
+    let record;
+
+    try {
+      record = await ClientBadge.create({
+        clientId: client.id,
+        badgeCode: badge.code,
+        checkInId: checkIn ? checkIn.id : null
+      });
+    } catch (error) {
+      // Otro check-in simultáneo ya la registró
+      if (error.name === 'SequelizeUniqueConstraintError') continue;
+      throw error;
+    }
+
+    newBadges.push({ ...describeBadge(badge), earnedAt: record.earnedAt });
+
+    if (badge.streakMilestone) {
+      streakAward = await awardPoints(client, 'streak_milestone', { sourceId: record.id });
+    }
+  }
+
+  if (newBadges.length > 0) {
+    console.log(`🏅 Insignias para ${client.email}: ${newBadges.map(badge => badge.code).join(', ')}`);
+  }
+
+  return { streaks, newBadges, streakAward };
+};
+
+/**
+ * Resumen de premios de un check-in para la respuesta (nivel, rachas, insignias)
+ */
+const summarizeCheckInRewards = (record) => {
+  const achievements = record.achievements || { streaks: null, newBadges: [], streakAward: null };
+  const { streakAward } = achievements;
+  const lastChange = streakAward || record.award;
+  const leveledUp = record.award.leveledUp || !!(streakAward && streakAward.leveledUp);
+
+  const events = [];
+
+  if (leveledUp) {
+    events.push({ type: 'level_up', level: lastChange.levelAfter, levelName: lastChange.levelName });
+  }
+
+  for (const badge of achievements.newBadges) {
+    events.push({ type: 'badge_earned', badge });
+  }
+
+  if (streakAward && streakAward.points > 0) {
+    events.push({ type: 'streak_milestone', weeks: achievements.streaks.weekly.longest, points: streakAward.points });
+  }
+
+  return {
+    levelName: lastChange.levelName,
+    leveledUp,
+    streaks: achievements.streaks,
+    newBadges: achievements.newBadges,
+    events
+  };
+};
+
+/**
+ * Logros de un cliente: rachas actuales y todas las insignias con su progreso
+ */
+const getClientAchievements = async (client) => {
+  const { ClientBadge } = require('../models');
+
+  const history = await getAttendanceHistory(client.id);
+  const streaks = computeStreaks(history.days);
+  const metrics = buildMetrics(client, history, streaks);
+
+  const earned = await ClientBadge.findAll({ where: { clientId: client.id } });
+  const earnedByCode = new Map(earned.map(badge => [badge.badgeCode, badge]));
+
+  const badges = BADGES.map(badge => {
+    const record = earnedByCode.get(badge.code);
+
+    return {
+      ...describeBadge(badge),
+      earned: !!record,
+      earnedAt: record ? record.earnedAt : null,
+      progress: {
+        current: Math.min(metrics[badge.metric], badge.target),
+        target: badge.target
+      }
+    };
+  });
+
+  return {
+    streaks,
+    badges,
+    summary: {
+      earned: badges.filter(badge => badge.earned).length,
+      total: badges.length
+    }
+  };
+};
+
+module.exports = {
+  BADGES,
+  EARLY_BIRD_BEFORE,
+  computeStreaks,
+  evaluateAchievements,
+  summarizeCheckInRewards,
+  getClientAchievements
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Rachas diaria (con días de gracia) y semanal desde el historial
+ * ✅ Insignias evaluadas en cada check-in, una sola vez cada una
+ * ✅ Hito de racha con puntos de la regla streak_milestone
+ * ✅ Eventos de subida de nivel e insignias para la respuesta del check-in
+ */
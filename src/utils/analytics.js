@@ -0,0 +1,242 @@
+/**
+ * ANALÍTICA DE ASISTENCIA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que resume cómo usan el gimnasio los miembros
+ * Mi responsabilidad es calcular, con agregados SQL sobre check_ins y clients
+ * (nunca cargando todos los registros en memoria), las horas pico, el mapa
+ * de calor por día de la semana, los miembros activos por mes y la retención
+ * por cohorte de ingreso
+ *
+ * Todas las fechas se agrupan en la hora local del gimnasio (America/Guatemala);
+ * from y to son fechas locales YYYY-MM-DD, ambas incluidas. Los filtros se hacen
+ * sobre las columnas crudas con los límites ya pasados a UTC, para que Postgres
+ * pueda usar los índices de "checkedInAt" y "joinDate"
+ */
+
+const { QueryTypes } = require('sequelize');
+const { GYM_TIMEZONE, getLocalTime } = require('./memberships');
+
+const DEFAULT_MONTHS = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Rango por defecto: los últimos DEFAULT_MONTHS meses completos hasta hoy
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const today = getLocalTime().date;
+  const end = to || today;
+
+  let start = from;
+
+  if (!start) {
+    const [year, month] = end.split('-').map(Number);
+    const index = year * 12 + (month - 1) - (DEFAULT_MONTHS - 1);
+    start = `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}-01`;
+  }
+
+  if (start > end) {
+    throw statusError(400, 'INVALID_DATE_RANGE', 'La fecha inicial no puede ser posterior a la final');
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Instante UTC en que empieza una fecha local YYYY-MM-DD en el gimnasio
+ */
+const localMidnightToUtc = (date) => {
+  const guess = new Date(`${date}T00:00:00Z`);
+  const local = getLocalTime(guess);
+  const localAsUtc = new Date(`${local.date}T${local.time}:00Z`);
+
+  return new Date(guess.getTime() + (guess - localAsUtc));
+};
+
+/**
+ * Parámetros de las consultas: límites del rango en UTC (fin excluido) y el
+ * inicio del mes de from para las cohortes
+ */
+const buildReplacements = ({ from, to }) => {
+  const dayAfterTo = new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+
+  return {
+    tz: GYM_TIMEZONE,
+    fromAt: localMidnightToUtc(from),
+    toAt: localMidnightToUtc(dayAfterTo),
+    cohortFromAt: localMidnightToUtc(`${from.slice(0, 7)}-01`)
+  };
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Check-ins por día de la semana × hora del día
+ */
+const getWeekdayHourHeatmap = async (sequelize, replacements) => {
+  const rows = await sequelize.query(`
+    SELECT EXTRACT(DOW FROM local_at)::int AS "dayOfWeek",
+           EXTRACT(HOUR FROM local_at)::int AS "hour",
+           COUNT(*)::int AS "checkIns"
+    FROM (
+      SELECT "checkedInAt" AT TIME ZONE :tz AS local_at
+      FROM check_ins
+      WHERE "checkedInAt" >= :fromAt
+        AND "checkedInAt" < :toAt
+    ) visits
+    GROUP BY 1, 2
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const heatmap = DAY_NAMES.map((day, dayOfWeek) => ({
+    dayOfWeek,
+    day,
+    hours: Array(24).fill(0),
+    total: 0
+  }));
+  const hourlyTotals = Array(24).fill(0);
+
+  for (const row of rows) {
+    heatmap[row.dayOfWeek].hours[row.hour] = row.checkIns;
+    heatmap[row.dayOfWeek].total += row.checkIns;
+    hourlyTotals[row.hour] += row.checkIns;
+  }
+
+  const peakHours = [...rows]
+    .sort((a, b) => b.checkIns - a.checkIns)
+    .slice(0, 5)
+    .map(row => ({ ...row, day: DAY_NAMES[row.dayOfWeek] }));
+
+  return { heatmap, hourlyTotals, peakHours };
+};
+
+/**
+ * Miembros activos (al menos un check-in) y visitas por mes
+ */
+const getMonthlyActivity = async (sequelize, replacements) => {
+  const months = await sequelize.query(`
+    SELECT to_char(date_trunc('month', "checkedInAt" AT TIME ZONE :tz), 'YYYY-MM') AS "month",
+           COUNT(DISTINCT "clientId")::int AS "activeMembers",
+           COUNT(*)::int AS "checkIns"
+    FROM check_ins
+    WHERE "checkedInAt" >= :fromAt
+      AND "checkedInAt" < :toAt
+    GROUP BY 1
+    ORDER BY 1
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const [totals] = await sequelize.query(`
+    SELECT COUNT(DISTINCT "clientId")::int AS "activeMembers",
+           COUNT(*)::int AS "checkIns"
+    FROM check_ins
+    WHERE "checkedInAt" >= :fromAt
+      AND "checkedInAt" < :toAt
+  `, { replacements, type: QueryTypes.SELECT });
+
+  return {
+    monthlyActiveMembers: months.map(month => ({
+      ...month,
+      averageVisitsPerMember: month.activeMembers ? round(month.checkIns / month.activeMembers) : 0
+    })),
+    totals: {
+      ...totals,
+      averageVisitsPerMember: totals.activeMembers ? round(totals.checkIns / totals.activeMembers) : 0
+    }
+  };
+};
+
+/**
+ * Retención por cohorte: de quienes ingresaron en un mes (joinDate),
+ * cuántos vinieron al menos una vez en cada mes posterior
+ * Las cuentas eliminadas siguen contando en su cohorte (se fueron, no desaparecen)
+ */
+const getRetentionCohorts = async (sequelize, replacements) => {
+  const sizes = await sequelize.query(`
+    SELECT to_char(date_trunc('month', "joinDate" AT TIME ZONE :tz), 'YYYY-MM') AS "cohort",
+           COUNT(*)::int AS "size"
+    FROM clients
+    WHERE "joinDate" >= :cohortFromAt
+      AND "joinDate" < :toAt
+    GROUP BY 1
+    ORDER BY 1
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const activity = await sequelize.query(`
+    WITH cohorts AS (
+      SELECT id, date_trunc('month', "joinDate" AT TIME ZONE :tz) AS cohort_month
+      FROM clients
+      WHERE "joinDate" >= :cohortFromAt
+        AND "joinDate" < :toAt
+    ),
+    visits AS (
+      SELECT DISTINCT "clientId", date_trunc('month', "checkedInAt" AT TIME ZONE :tz) AS visit_month
+      FROM check_ins
+      WHERE "checkedInAt" >= :cohortFromAt
+        AND "checkedInAt" < :toAt
+    )
+    SELECT to_char(c.cohort_month, 'YYYY-MM') AS "cohort",
+           ((EXTRACT(YEAR FROM v.visit_month) - EXTRACT(YEAR FROM c.cohort_month)) * 12
+             + EXTRACT(MONTH FROM v.visit_month) - EXTRACT(MONTH FROM c.cohort_month))::int AS "monthOffset",
+           COUNT(*)::int AS "activeMembers"
+    FROM cohorts c
+    JOIN visits v ON v."clientId" = c.id AND v.visit_month >= c.cohort_month
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  `, { replacements, type: QueryTypes.SELECT });
+
+  return sizes.map(({ cohort, size }) => ({
+    cohort,
+    size,
+    retention: activity
+      .filter(row => row.cohort === cohort)
+      .map(row => ({
+        monthOffset: row.monthOffset,
+        activeMembers: row.activeMembers,
+        rate: size ? round((row.activeMembers / size) * 100, 1) : 0
+      }))
+  }));
+};
+
+/**
+ * Reporte completo de asistencia
+ */
+const getAttendanceAnalytics = async (filters = {}) => {
+  const { sequelize } = require('../models');
+  const range = resolveRange(filters);
+  const replacements = buildReplacements(range);
+
+  const [heatmap, activity, cohorts] = await Promise.all([
+    getWeekdayHourHeatmap(sequelize, replacements),
+    getMonthlyActivity(sequelize, replacements),
+    getRetentionCohorts(sequelize, replacements)
+  ]);
+
+  return {
+    range: { ...range, timezone: GYM_TIMEZONE },
+    ...heatmap,
+    ...activity,
+    cohorts
+  };
+};
+
+module.exports = {
+  resolveRange,
+  getAttendanceAnalytics
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Mapa de calor día × hora y horas pico en hora de Guatemala
+ * ✅ Miembros activos y visitas promedio por mes
+ * ✅ Retención por cohorte de ingreso
+ * ✅ Agregados en SQL, sin cargar clientes en memoria
+ */
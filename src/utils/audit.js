@@ -0,0 +1,129 @@
+/**
+ * REGISTRO DE AUDITORÍA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que escribe la bitácora de acciones administrativas
+ * Mi responsabilidad es ofrecer un único punto para registrar quién hizo qué,
+ * sobre qué entidad, qué cambió y desde dónde, sin que los controladores
+ * tengan que armar el registro a mano
+ *
+ * Características implementadas:
+ * - Actor tomado de req.user y cliente HTTP tomado de req.clientInfo
+ * - Diferencia antes/después limitada a los campos que cambiaron
+ * - Ocultamiento de campos sensibles (contraseñas, secretos MFA)
+ * - Registro de mejor esfuerzo: un fallo de auditoría nunca rompe la acción
+ */
+
+// Campos que nunca se guardan en claro en la bitácora (secretos y hashes de tokens)
+const REDACTED_FIELDS = [
+  'password', 'mfaSecret', 'mfaPendingSecret', 'mfaRecoveryCodes', 'privateKey',
+  'tokenHash', 'codeHash', 'secretHash'
+];
+
+/**
+ * Normalizar un valor para compararlo y guardarlo como JSON
+ */
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * Tomar una instantánea plana de una instancia o un objeto
+ */
+const snapshot = (source, fields = null) => {
+  if (!source) return {};
+
+  const data = typeof source.get === 'function' ? source.get({ plain: true }) : source;
+  const keys = fields || Object.keys(data);
+
+  return keys.reduce((result, key) => {
+    if (data[key] !== undefined) {
+      result[key] = normalizeValue(data[key]);
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Calcular la diferencia entre dos instantáneas: { campo: { from, to } }
+ */
+const diffChanges = (before = {}, after = {}) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const from = normalizeValue(before?.[key]);
+    const to = normalizeValue(after?.[key]);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[key] = REDACTED_FIELDS.includes(key)
+      ? { from: '[REDACTED]', to: '[REDACTED]' }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Obtener los datos del actor a partir de la request
+ */
+const getActor = (req) => {
+  const account = req?.user;
+
+  if (!account) {
+    return { actorId: null, actorType: 'system', actorEmail: null, actorRole: null };
+  }
+
+  const actorType = account.constructor.name.toLowerCase() === 'user' ? 'user' : 'client';
+
+  return {
+    actorId: account.id,
+    actorType,
+    actorEmail: account.email || null,
+    actorRole: actorType === 'user' ? account.role : 'client'
+  };
+};
+
+/**
+ * Registrar una acción en la bitácora de auditoría
+ * Nunca lanza: si la escritura falla se reporta en consola y la acción sigue
+ */
+const recordAudit = async (req, { action, targetType = null, targetId = null, before = null, after = null, metadata = {} }) => {
+  try {
+    const { AuditLog } = require('../models');
+    const clientInfo = req?.clientInfo || {};
+
+    return await AuditLog.create({
+      ...getActor(req),
+      action,
+      targetType,
+      targetId: targetId !== null && targetId !== undefined ? String(targetId) : null,
+      changes: before || after ? diffChanges(before || {}, after || {}) : null,
+      metadata,
+      ipAddress: clientInfo.ip || null,
+      userAgent: clientInfo.userAgent || null,
+      clientType: clientInfo.clientType || null,
+      platform: clientInfo.platform || null,
+      appVersion: clientInfo.version || null
+    });
+  } catch (error) {
+    console.error(`❌ No se pudo registrar auditoría '${action}':`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges,
+  snapshot,
+  REDACTED_FIELDS
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro centralizado de acciones con actor, objetivo y cliente HTTP
+ * ✅ Diferencia antes/después con campos sensibles ocultos
+ * ✅ Fallos de auditoría aislados de la acción principal
+ */
@@ -0,0 +1,207 @@
+/**
+ * CHECK-INS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo con las reglas comunes para registrar la entrada de un miembro
+ * Mi responsabilidad es que recepción (check-in manual) y los kioscos con
+ * lector QR apliquen exactamente las mismas validaciones antes de dejar pasar
+ *
+ * Reglas de entrada:
+ * - El cliente debe existir, estar activo y no estar suspendido
+ * - Debe tener una membresía vigente, no congelada y dentro de las reglas del plan
+ * - Solo un check-in por día
+ * - Con aforo configurado y lleno, la entrada se bloquea (ver occupancy.js)
+ * - Cada entrada registrada evalúa rachas e insignias (ver achievements.js)
+ *
+ * Códigos QR de autoservicio:
+ * - Token firmado con la llave rotativa (propósito 'checkin'), vida corta
+ *   (CHECKIN_CODE_TTL_SECONDS, por defecto 60 segundos)
+ * - De un solo uso: al registrarse la entrada su jti queda revocado
+ */
+
+const { recordAudit, snapshot } = require('./audit');
+const { checkMembershipAccess, getLocalTime } = require('./memberships');
+const { buildSuspendedError } = require('./clientStatus');
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+const { getRevocationStore } = require('./revocationStore');
+const { checkCapacity, publishOccupancy } = require('./occupancy');
+const { evaluateAchievements } = require('./achievements');
+
+const CHECKIN_CODE_TTL_SECONDS = parseInt(process.env.CHECKIN_CODE_TTL_SECONDS) || 60;
+const CHECKIN_FIELDS = ['totalCheckIns', 'points', 'level', 'lastCheckIn'];
+
+/**
+ * ¿El cliente ya hizo check-in hoy? (día local del gimnasio, no del servidor)
+ */
+const hasCheckedInToday = (client, now = new Date()) => {
+  if (!client.lastCheckIn) return false;
+
+  return getLocalTime(new Date(client.lastCheckIn)).date === getLocalTime(now).date;
+};
+
+/**
+ * Validar si un cliente puede entrar ahora
+ * Devuelve { membership } o { status, error } con el cuerpo de la respuesta
+ */
+const checkCheckInEligibility = async (client) => {
+  if (!client) {
+    return {
+      status: 404,
+      error: {
+        error: 'Cliente no encontrado',
+        message: 'No existe un cliente con el ID especificado',
+        code: 'CLIENT_NOT_FOUND'
+      }
+    };
+  }
+
+  if (!client.isActive) {
+    return {
+      status: 400,
+      error: {
+        error: 'Cliente inactivo',
+        message: 'No se puede hacer check-in de un cliente inactivo',
+        code: 'CLIENT_INACTIVE'
+      }
+    };
+  }
+
+  if (client.isSuspended()) {
+    return { status: 403, error: buildSuspendedError(client) };
+  }
+
+  // Verificar membresía vigente, no congelada y dentro de las reglas del plan
+  const access = await checkMembershipAccess(client.id);
+
+  if (access.error) {
+    return { status: 403, error: access.error };
+  }
+
+  if (hasCheckedInToday(client)) {
+    return {
+      status: 400,
+      error: {
+        error: 'Check-in ya realizado',
+        message: 'El cliente ya realizó check-in el día de hoy',
+        code: 'CHECKIN_ALREADY_DONE_TODAY'
+      }
+    };
+  }
+
+  const capacity = await checkCapacity();
+
+  if (capacity.error) {
+    return { status: capacity.status, error: capacity.error };
+  }
+
+  return { membership: access.membership };
+};
+
+/**
+ * Registrar el check-in ya validado, recargar al cliente y auditar
+ */
+const registerCheckIn = async (req, client, membership, details = {}, auditMetadata = {}) => {
+  const before = snapshot(client, CHECKIN_FIELDS);
+
+  // Queda en el historial con el método, quién lo registró y dónde
+  const record = await client.checkIn({
+    ...details,
+    membershipId: membership.id
+  });
+
+  // Rachas e insignias: si fallan, la entrada ya quedó registrada igual
+  try {
+    record.achievements = await evaluateAchievements(client, record);
+  } catch (error) {
+    console.error('💥 Error al evaluar logros del check-in:', error.message);
+  }
+
+  await client.reload();
+
+  await recordAudit(req, {
+    action: 'client.checkin',
+    targetType: 'client',
+    targetId: client.id,
+    before,
+    after: snapshot(client, CHECKIN_FIELDS),
+    metadata: {
+      checkInId: record.id,
+      method: record.method,
+      notes: details.notes || null,
+      badges: record.achievements ? record.achievements.newBadges.map(badge => badge.code) : [],
+      ...auditMetadata
+    }
+  });
+
+  publishOccupancy();
+
+  return record;
+};
+
+/**
+ * Emitir el código QR de un cliente
+ */
+const issueCheckInCode = (client) => {
+  const code = generatePurposeToken('checkin', client.id, {}, `${CHECKIN_CODE_TTL_SECONDS}s`);
+
+  return {
+    code,
+    expiresAt: new Date(Date.now() + CHECKIN_CODE_TTL_SECONDS * 1000),
+    // El cliente pide uno nuevo un poco antes de que venza el actual
+    refreshInSeconds: Math.max(1, CHECKIN_CODE_TTL_SECONDS - 10)
+  };
+};
+
+/**
+ * Validar un código QR escaneado
+ * Devuelve el payload o lanza un error con status y code
+ */
+const verifyCheckInCode = async (code) => {
+  let decoded;
+
+  try {
+    decoded = verifyPurposeToken(code, 'checkin');
+  } catch (error) {
+    const expired = error.message === 'Token expirado';
+    const failure = new Error(expired ? 'El código QR expiró, genera uno nuevo' : 'El código QR no es válido');
+    failure.status = 401;
+    failure.code = expired ? 'CHECKIN_CODE_EXPIRED' : 'CHECKIN_CODE_INVALID';
+    throw failure;
+  }
+
+  if (await getRevocationStore().isRevoked(decoded.jti)) {
+    const failure = new Error('El código QR ya fue utilizado');
+    failure.status = 401;
+    failure.code = 'CHECKIN_CODE_USED';
+    throw failure;
+  }
+
+  return decoded;
+};
+
+/**
+ * Marcar un código QR como usado hasta que expire
+ */
+const consumeCheckInCode = async (decoded) => {
+  await getRevocationStore().revoke(decoded.jti, new Date(decoded.exp * 1000), {
+    tokenType: 'access',
+    userId: decoded.sub,
+    userType: 'client',
+    reason: 'checkin_code_used'
+  });
+};
+
+module.exports = {
+  CHECKIN_CODE_TTL_SECONDS,
+  hasCheckedInToday,
+  checkCheckInEligibility,
+  registerCheckIn,
+  issueCheckInCode,
+  verifyCheckInCode,
+  consumeCheckInCode
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Reglas de entrada compartidas entre recepción y kioscos
+ * ✅ Códigos QR firmados, de vida corta y de un solo uso
+ */
@@ -0,0 +1,170 @@
+/**
+ * SUSPENSIÓN DE CLIENTES - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que maneja la suspensión y reactivación de miembros
+ * Mi responsabilidad es registrar suspensiones con motivo y fechas, dar el
+ * mismo error CLIENT_SUSPENDED en check-in, login, refresh y OAuth, y
+ * levantar automáticamente las suspensiones que ya vencieron
+ *
+ * Características implementadas:
+ * - Suspensión inmediata o programada, con fecha de fin o indefinida
+ * - Cierre de sesiones cuando la suspensión empieza de inmediato
+ * - Reactivación manual (también reactiva cuentas con isActive = false)
+ * - Reactivación automática al vencer el periodo (tarea programada)
+ */
+
+const { Op } = require('sequelize');
+const { revokeAllSessions } = require('./sessions');
+const { recordAudit } = require('./audit');
+
+const SUSPENSION_FIELDS = ['suspendedFrom', 'suspendedUntil', 'suspensionReason', 'suspendedBy'];
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Cuerpo de respuesta estándar para un cliente suspendido
+ */
+const buildSuspendedError = (client) => ({
+  error: 'Cuenta suspendida',
+  message: client.suspendedUntil
+    ? `Tu membresía está suspendida hasta el ${new Date(client.suspendedUntil).toLocaleDateString('es-GT')}`
+    : 'Tu membresía está suspendida, comunícate con recepción',
+  suspendedUntil: client.suspendedUntil || null,
+  code: 'CLIENT_SUSPENDED'
+});
+
+/**
+ * Suspender un cliente
+ * startsAt por defecto es ahora; sin endsAt la suspensión dura hasta reactivar
+ */
+const suspendClient = async (req, client, { reason, startsAt, endsAt, durationDays }) => {
+  const now = new Date();
+  const from = startsAt ? new Date(startsAt) : now;
+  const until = endsAt
+    ? new Date(endsAt)
+    : (durationDays ? new Date(from.getTime() + durationDays * 24 * 60 * 60 * 1000) : null);
+
+  if (client.hasPendingSuspension(now)) {
+    throw statusError(409, 'CLIENT_ALREADY_SUSPENDED', 'El cliente ya tiene una suspensión vigente o programada');
+  }
+
+  if (until && until <= from) {
+    throw statusError(400, 'INVALID_SUSPENSION_DATES', 'La fecha de fin debe ser posterior a la de inicio');
+  }
+
+  await client.update({
+    suspendedFrom: from,
+    suspendedUntil: until,
+    suspensionReason: reason,
+    suspendedBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  // Si empieza ya, cerrar las sesiones abiertas del miembro
+  if (from <= now) {
+    await revokeAllSessions(client.id, 'client', { reason: 'client_suspended' });
+  }
+
+  await recordAudit(req, {
+    action: 'client.suspend',
+    targetType: 'client',
+    targetId: client.id,
+    after: { suspendedFrom: from, suspendedUntil: until },
+    metadata: { reason }
+  });
+
+  return client;
+};
+
+/**
+ * Reactivar un cliente suspendido o desactivado
+ */
+const reactivateClient = async (req, client, { reason }) => {
+  if (!client.hasPendingSuspension() && client.isActive) {
+    throw statusError(400, 'CLIENT_NOT_SUSPENDED', 'El cliente no está suspendido ni desactivado');
+  }
+
+  const before = {
+    isActive: client.isActive,
+    suspendedFrom: client.suspendedFrom,
+    suspendedUntil: client.suspendedUntil
+  };
+
+  await client.update({
+    isActive: true,
+    suspendedFrom: null,
+    suspendedUntil: null,
+    suspensionReason: null,
+    suspendedBy: null,
+    updatedBy: req.user.id
+  });
+
+  await recordAudit(req, {
+    action: 'client.reactivate',
+    targetType: 'client',
+    targetId: client.id,
+    before,
+    after: { isActive: true, suspendedFrom: null, suspendedUntil: null },
+    metadata: { reason }
+  });
+
+  return client;
+};
+
+/**
+ * Levantar las suspensiones cuyo periodo terminó (tarea programada)
+ * Devuelve cuántos clientes se reactivaron
+ */
+const releaseExpiredSuspensions = async () => {
+  const { Client } = require('../models');
+
+  const expired = await Client.findAll({
+    where: { suspendedUntil: { [Op.lte]: new Date() } },
+    attributes: ['id', ...SUSPENSION_FIELDS]
+  });
+
+  for (const client of expired) {
+    const before = { suspendedFrom: client.suspendedFrom, suspendedUntil: client.suspendedUntil };
+
+    await client.update({
+      suspendedFrom: null,
+      suspendedUntil: null,
+      suspensionReason: null,
+      suspendedBy: null
+    });
+
+    // Sin req: la bitácora lo registra como acción del sistema
+    await recordAudit(null, {
+      action: 'client.reactivate',
+      targetType: 'client',
+      targetId: client.id,
+      before,
+      after: { suspendedFrom: null, suspendedUntil: null },
+      metadata: { automatic: true }
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  buildSuspendedError,
+  suspendClient,
+  reactivateClient,
+  releaseExpiredSuspensions
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Suspensión con motivo, fecha de inicio y fin
+ * ✅ Reactivación manual y automática
+ * ✅ Error uniforme CLIENT_SUSPENDED
+ */
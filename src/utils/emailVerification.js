@@ -0,0 +1,105 @@
+/**
+ * VERIFICACIÓN DE EMAIL - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que genera y valida los enlaces de verificación de email
+ * Mi responsabilidad es enviar el correo con el enlace firmado y marcar
+ * al cliente como verificado cuando lo abre
+ *
+ * Características implementadas:
+ * - Tokens firmados con expiración (EMAIL_VERIFICATION_EXPIRES_IN)
+ * - El token queda amarrado al email: si el cliente lo cambia, deja de servir
+ * - Correo de verificación en texto y HTML
+ */
+
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+const { sendMail, escapeHtml } = require('./mailer');
+
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+const EMAIL_VERIFICATION_EXPIRY = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+/**
+ * Generar token de verificación para un cliente
+ */
+const createEmailVerificationToken = (client) => {
+  return generatePurposeToken(
+    EMAIL_VERIFICATION_PURPOSE,
+    client.id,
+    { email: client.email },
+    EMAIL_VERIFICATION_EXPIRY
+  );
+};
+
+/**
+ * Construir URL pública de verificación
+ */
+const buildVerificationUrl = (token) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${apiUrl}/api/auth/verify-email/${token}`;
+};
+
+/**
+ * Enviar correo de verificación
+ */
+const sendVerificationEmail = async (client) => {
+  const verificationUrl = buildVerificationUrl(createEmailVerificationToken(client));
+
+  await sendMail({
+    to: client.email,
+    subject: 'Verifica tu email - Elite Fitness Club',
+    text: [
+      `Hola ${client.firstName},`,
+      '',
+      'Confirma tu email abriendo el siguiente enlace:',
+      verificationUrl,
+      '',
+      `El enlace vence en ${EMAIL_VERIFICATION_EXPIRY}. Si no creaste esta cuenta, ignora este correo.`
+    ].join('\n'),
+    html: `
+      <p>Hola ${escapeHtml(client.firstName)},</p>
+      <p>Confirma tu email haciendo clic en el siguiente botón:</p>
+      <p><a href="${verificationUrl}">Verificar mi email</a></p>
+      <p>El enlace vence en ${EMAIL_VERIFICATION_EXPIRY}. Si no creaste esta cuenta, ignora este correo.</p>
+    `
+  });
+
+  console.log(`📧 Correo de verificación enviado a: ${client.email}`);
+};
+
+/**
+ * Validar token y marcar el email del cliente como verificado
+ * Devuelve { client, alreadyVerified }
+ */
+const confirmEmailVerification = async (token) => {
+  const { Client } = require('../models');
+
+  const decoded = verifyPurposeToken(token, EMAIL_VERIFICATION_PURPOSE);
+  const client = await Client.findByPk(decoded.sub);
+
+  // Si el email cambió después de emitir el enlace, el enlace ya no aplica
+  if (!client || client.email !== decoded.email) {
+    throw new Error('Token inválido');
+  }
+
+  if (client.isEmailVerified) {
+    return { client, alreadyVerified: true };
+  }
+
+  await client.update({ isEmailVerified: true });
+
+  console.log(`✅ Email verificado: ${client.email}`);
+  return { client, alreadyVerified: false };
+};
+
+module.exports = {
+  createEmailVerificationToken,
+  buildVerificationUrl,
+  sendVerificationEmail,
+  confirmEmailVerification
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Enlaces firmados con expiración
+ * ✅ Envío por el transporte de correo configurado
+ * ✅ Confirmación idempotente
+ */
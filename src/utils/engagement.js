@@ -0,0 +1,226 @@
+/**
+ * REACTIVACIÓN DE MIEMBROS INACTIVOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que detecta a los miembros que dejaron de venir
+ * Mi responsabilidad es revisar Client.lastCheckIn contra los umbrales de
+ * INACTIVITY_REMINDER_DAYS y encolar un recordatorio de entrenamiento
+ * respetando lo que cada miembro configuró en sus preferencias
+ *
+ * Preferencias que se respetan:
+ * - workoutReminders: si está apagado no se envía nada
+ * - mondayReminders...sundayReminders: días permitidos
+ * - getBestNotificationTime(): ventana horaria y horas de silencio
+ * - reminderFrequency: separación mínima entre recordatorios
+ * - getActiveChannels(): un aviso por canal activo
+ * - notificationLanguage, messageStyle e includeEmojis: redacción
+ */
+
+const { Op } = require('sequelize');
+const { enqueueNotification } = require('./notifications');
+const { getLocalTime } = require('./memberships');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const FREQUENCY_DAYS = {
+  daily: 1,
+  every_2_days: 2,
+  weekly: 7
+};
+
+/**
+ * Umbrales de inactividad en días (ordenados de menor a mayor)
+ */
+const getInactivityThresholds = () => {
+  const raw = process.env.INACTIVITY_REMINDER_DAYS || '5,10,21';
+
+  return raw.split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(value => Number.isInteger(value) && value > 0)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Textos por idioma y estilo ({name} y {days} se reemplazan)
+ */
+const TEMPLATES = {
+  es: {
+    subject: 'Te extrañamos en Elite Fitness Club',
+    formal: 'Estimado(a) {name}, han pasado {days} días desde su última visita. Le esperamos para continuar con su entrenamiento.',
+    casual: '¡Hola {name}! Ya son {days} días sin verte por el gym. ¿Te animas a venir esta semana?',
+    motivational: '{name}, cada día cuenta. Llevas {days} días sin entrenar: hoy es el día perfecto para volver y superarte.',
+    minimal: '{name}: {days} días sin entrenar. Te esperamos.',
+    emoji: '💪'
+  },
+  en: {
+    subject: 'We miss you at Elite Fitness Club',
+    formal: 'Dear {name}, it has been {days} days since your last visit. We look forward to seeing you continue your training.',
+    casual: 'Hi {name}! It\'s been {days} days since we saw you at the gym. Coming by this week?',
+    motivational: '{name}, every day counts. It\'s been {days} days: today is the perfect day to come back and beat your best.',
+    minimal: '{name}: {days} days without training. See you soon.',
+    emoji: '💪'
+  }
+};
+
+/**
+ * Redactar el recordatorio según idioma, estilo y uso de emojis
+ */
+const composeInactivityMessage = ({ firstName, days, language, messageStyle, includeEmojis }) => {
+  const templates = TEMPLATES[language] || TEMPLATES.es;
+  const template = templates[messageStyle] || templates.motivational;
+  const text = template.replace('{name}', firstName).replace('{days}', days);
+
+  return {
+    language: TEMPLATES[language] ? language : 'es',
+    subject: templates.subject,
+    body: includeEmojis ? `${templates.emoji} ${text}` : text
+  };
+};
+
+/**
+ * Próxima hora permitida: la mejor ventana del miembro movida al primer
+ * día de la semana que tenga habilitado; null si no acepta recordatorios
+ */
+const findReminderSlot = (preference) => {
+  const allowedDays = preference.getActiveReminderDays();
+  const base = preference.getBestNotificationTime();
+
+  if (!base || allowedDays.length === 0) return null;
+
+  for (let offset = 0; offset < 7; offset++) {
+    const candidate = new Date(base.getTime() + offset * DAY_MS);
+
+    if (allowedDays.includes(WEEKDAY_NAMES[getLocalTime(candidate).dayOfWeek])) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Separación mínima en días entre recordatorios de entrenamiento
+ */
+const getFrequencyDays = (preference) => {
+  if (preference.reminderFrequency === 'custom') {
+    return parseInt(preference.customReminderTimes?.intervalDays) || FREQUENCY_DAYS.every_2_days;
+  }
+
+  return FREQUENCY_DAYS[preference.reminderFrequency] || FREQUENCY_DAYS.every_2_days;
+};
+
+/**
+ * Encolar recordatorios para un cliente inactivo
+ * Devuelve cuántos avisos se encolaron (uno por canal)
+ */
+const queueReminderForClient = async (client, thresholds, now = new Date()) => {
+  const { Notification } = require('../models');
+  const preference = client.preferences;
+
+  if (!preference || !preference.workoutReminders || client.isSuspended(now)) return 0;
+
+  // Sin check-ins se cuenta desde el alta
+  const reference = new Date(client.lastCheckIn || client.createdAt);
+  const days = Math.floor((now - reference) / DAY_MS);
+  const threshold = thresholds.filter(value => value <= days).pop();
+
+  if (!threshold) return 0;
+
+  const channels = preference.getActiveChannels();
+  if (channels.length === 0) return 0;
+
+  const last = await Notification.findLastForClient(client.id, 'workout_reminder');
+
+  if (last && now - new Date(last.createdAt) < getFrequencyDays(preference) * DAY_MS) return 0;
+
+  const scheduledFor = findReminderSlot(preference);
+  if (!scheduledFor) return 0;
+
+  const message = composeInactivityMessage({
+    firstName: client.firstName,
+    days,
+    language: preference.notificationLanguage,
+    messageStyle: preference.messageStyle,
+    includeEmojis: preference.includeEmojis
+  });
+
+  let queued = 0;
+
+  for (const channel of channels) {
+    // Un aviso por umbral y periodo de inactividad: al volver a entrenar cambia la referencia
+    const created = await enqueueNotification({
+      clientId: client.id,
+      type: 'workout_reminder',
+      channel,
+      ...message,
+      scheduledFor,
+      dedupeKey: `inactivity:${client.id}:${reference.toISOString().slice(0, 10)}:${threshold}:${channel}`,
+      metadata: { daysInactive: days, threshold }
+    });
+
+    if (created) queued++;
+  }
+
+  return queued;
+};
+
+/**
+ * Revisar a todos los miembros activos y encolar recordatorios (tarea programada)
+ */
+const queueInactivityReminders = async (now = new Date()) => {
+  const { Client, ClientPreference } = require('../models');
+
+  const thresholds = getInactivityThresholds();
+  if (thresholds.length === 0) return 0;
+
+  const cutoff = new Date(now.getTime() - thresholds[0] * DAY_MS);
+  let offset = 0;
+  let queued = 0;
+
+  // Por lotes para no cargar a todos los miembros en memoria
+  for (;;) {
+    const clients = await Client.findAll({
+      where: {
+        isActive: true,
+        [Op.or]: [
+          { lastCheckIn: { [Op.lt]: cutoff } },
+          { lastCheckIn: null, createdAt: { [Op.lt]: cutoff } }
+        ]
+      },
+      include: [{ model: ClientPreference, as: 'preferences', where: { workoutReminders: true } }],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      offset
+    });
+
+    for (const client of clients) {
+      queued += await queueReminderForClient(client, thresholds, now);
+    }
+
+    if (clients.length < BATCH_SIZE) break;
+    offset += BATCH_SIZE;
+  }
+
+  if (queued > 0) {
+    console.log(`🔔 ${queued} recordatorios de inactividad encolados`);
+  }
+
+  return queued;
+};
+
+module.exports = {
+  getInactivityThresholds,
+  composeInactivityMessage,
+  findReminderSlot,
+  queueReminderForClient,
+  queueInactivityReminders
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Detección de inactividad por umbrales configurables
+ * ✅ Respeto de días, horarios, frecuencia y canales del miembro
+ * ✅ Mensajes por idioma y estilo
+ * ✅ Deduplicación por umbral y periodo de inactividad
+ */
@@ -0,0 +1,602 @@
+/**
+ * MOTOR DE GAMIFICACIÓN - ELITE FITNESS CLUB
+ *
+ * Soy el archivo por el que pasa todo cambio de puntos y nivel de un cliente
+ * Mi responsabilidad es leer las reglas (gamification_rules) y la curva de
+ * niveles (level_tiers), calcular cuántos puntos vale cada evento y dejar el
+ * nivel del cliente siempre de acuerdo con la curva
+ *
+ * Características implementadas:
+ * - Valores semilla iguales al comportamiento anterior (10 puntos por check-in,
+ *   un nivel cada 100 puntos) con nombres para los diez primeros niveles
+ * - Multiplicadores por día y horario (hora de Guatemala), el mayor que aplique
+ * - Tope diario de puntos por tipo de evento
+ * - Caché en memoria con vencimiento (GAMIFICATION_CACHE_TTL_SECONDS) como en roles.js
+ * - Recalcular el nivel de todos los clientes cuando cambia la curva
+ * - Libro de puntos (points_transactions): cada cambio de saldo queda registrado
+ *   con origen, actor y saldo; los créditos vencen a los POINTS_EXPIRY_MONTHS meses
+ */
+
+const { Op } = require('sequelize');
+const { recordAudit, snapshot } = require('./audit');
+const { getLocalTime, GYM_TIMEZONE } = require('./memberships');
+
+/**
+ * Reglas semilla por tipo de evento
+ */
+const DEFAULT_RULES = {
+  checkin: { points: 10, dailyCap: null, description: 'Entrada al gimnasio' },
+  streak_milestone: { points: 50, dailyCap: null, description: 'Racha de asistencia alcanzada' },
+  referral: { points: 100, dailyCap: null, description: 'Invitado que se inscribió como cliente' },
+  profile_completion: { points: 25, dailyCap: null, description: 'Perfil completo (una sola vez)' },
+  class_attended: { points: 15, dailyCap: 30, description: 'Asistencia a una clase' }
+};
+
+/**
+ * Curva semilla: un nivel cada 100 puntos
+ */
+const DEFAULT_LEVEL_TIERS = [
+  'Principiante', 'Novato', 'Constante', 'Dedicado', 'Atleta',
+  'Avanzado', 'Experto', 'Élite', 'Campeón', 'Leyenda'
+].map((name, index) => ({ level: index + 1, name, minPoints: index * 100 }));
+
+/**
+ * Campos que deben estar llenos para el premio de perfil completo
+ */
+const PROFILE_FIELDS = ['phone', 'dateOfBirth', 'emergencyContactName', 'emergencyContactPhone'];
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// ===========================================
+// CACHÉ EN MEMORIA
+// ===========================================
+
+const getCacheTtlMs = () => (parseInt(process.env.GAMIFICATION_CACHE_TTL_SECONDS) || 60) * 1000;
+
+let cache = {
+  rules: new Map(Object.entries(DEFAULT_RULES).map(([eventType, rule]) => [
+    eventType, { eventType, ...rule, multipliers: [], isActive: true }
+  ])),
+  tiers: DEFAULT_LEVEL_TIERS
+};
+let loadedAt = 0;
+let pendingRefresh = null;
+
+/**
+ * Sembrar reglas y curva (idempotente: no pisa lo que editó administración)
+ */
+const seedGamification = async () => {
+  const { GamificationRule, LevelTier } = require('../models');
+
+  await GamificationRule.bulkCreate(
+    Object.entries(DEFAULT_RULES).map(([eventType, rule]) => ({ eventType, ...rule, multipliers: [] })),
+    { ignoreDuplicates: true }
+  );
+
+  if (await LevelTier.count() === 0) {
+    await LevelTier.bulkCreate(DEFAULT_LEVEL_TIERS, { ignoreDuplicates: true });
+  }
+};
+
+/**
+ * Recargar la caché desde la base de datos
+ */
+const refreshGamificationCache = async () => {
+  const { GamificationRule, LevelTier } = require('../models');
+
+  const [rules, tiers] = await Promise.all([
+    GamificationRule.findAll({ raw: true }),
+    LevelTier.findAll({ order: [['minPoints', 'ASC']], raw: true })
+  ]);
+
+  if (rules.length === 0 || tiers.length === 0) {
+    await seedGamification();
+    return await refreshGamificationCache();
+  }
+
+  cache = {
+    rules: new Map(rules.map(rule => [rule.eventType, rule])),
+    tiers
+  };
+  loadedAt = Date.now();
+
+  return cache;
+};
+
+/**
+ * Asegurar que la caché no esté vencida (una sola recarga a la vez)
+ */
+const ensureGamificationCache = async () => {
+  if (Date.now() - loadedAt < getCacheTtlMs()) {
+    return cache;
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = refreshGamificationCache()
+      .catch(error => {
+        loadedAt = Date.now();
+        console.error('❌ No se pudieron recargar las reglas de gamificación:', error.message);
+        return cache;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return await pendingRefresh;
+};
+
+/**
+ * Sembrar y cargar reglas al iniciar el servidor
+ */
+const initializeGamification = async () => {
+  await seedGamification();
+  await refreshGamificationCache();
+  console.log(`🎮 Gamificación cargada: ${cache.rules.size} reglas, ${cache.tiers.length} niveles`);
+};
+
+// ===========================================
+// NIVELES
+// ===========================================
+
+/**
+ * Nivel que corresponde a una cantidad de puntos, con el siguiente por alcanzar
+ * tiers: curva a usar (por defecto la de la caché)
+ */
+const getLevelInfo = (points, tiers = cache.tiers) => {
+  let index = 0;
+
+  tiers.forEach((tier, i) => {
+    if (points >= tier.minPoints) index = i;
+  });
+
+  const current = tiers[index];
+  const next = tiers[index + 1] || null;
+
+  return {
+    level: current.level,
+    name: current.name,
+    minPoints: current.minPoints,
+    next: next
+      ? { level: next.level, name: next.name, minPoints: next.minPoints, pointsNeeded: next.minPoints - points }
+      : null
+  };
+};
+
+// ===========================================
+// LIBRO DE PUNTOS
+// ===========================================
+
+/**
+ * Meses de vigencia de los puntos ganados (0 = no vencen)
+ */
+const getPointsExpiryMonths = () => Math.max(0, parseInt(process.env.POINTS_EXPIRY_MONTHS) || 0);
+
+/**
+ * Fecha de vencimiento para un crédito creado ahora (null si no vencen)
+ */
+const getCreditExpiry = (from = new Date()) => {
+  const months = getPointsExpiryMonths();
+
+  if (months === 0) {
+    return null;
+  }
+
+  const expiresAt = new Date(from);
+  expiresAt.setMonth(expiresAt.getMonth() + months);
+  return expiresAt;
+};
+
+/**
+ * Descontar puntos gastados de los créditos pendientes (el más próximo a vencer primero)
+ * preferredId: crédito que se consume antes que los demás (reversión de ese crédito)
+ */
+const consumeCredits = async (clientId, points, { transaction, preferredId = null } = {}) => {
+  const { PointsTransaction } = require('../models');
+
+  const credits = await PointsTransaction.findOpenCredits(clientId, { transaction });
+
+  if (preferredId) {
+    credits.sort((a, b) => (b.id === preferredId) - (a.id === preferredId));
+  }
+
+  let pending = points;
+
+  for (const credit of credits) {
+    if (pending <= 0) break;
+
+    const used = Math.min(credit.remaining, pending);
+    await credit.update({ remaining: credit.remaining - used }, { transaction });
+    pending -= used;
+  }
+};
+
+/**
+ * Aplicar un cambio de puntos, registrarlo en el libro y dejar el nivel según la curva
+ * Todo cambio de saldo pasa por aquí (reglas, ajustes, reversiones y vencimientos)
+ * updates: otros campos del cliente a guardar en el mismo update
+ * actor: { id, type } de quien provocó el cambio (sin actor = sistema)
+ */
+const applyPointsChange = async (client, delta, options = {}) => {
+  const { Client, PointsTransaction, sequelize } = require('../models');
+  const {
+    transaction,
+    updates = {},
+    source = 'manual',
+    sourceId = null,
+    awardId = null,
+    reason = null,
+    actor = null,
+    reversedTransactionId = null,
+    consumeFrom = null,
+    consume = true
+  } = options;
+
+  await ensureGamificationCache();
+
+  const run = async (t) => {
+    // Bloquear la fila del cliente para que dos cambios simultáneos no pisen el saldo
+    const current = await Client.findByPk(client.id, {
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (!current) {
+      throw statusError(404, 'CLIENT_NOT_FOUND', 'Cliente no encontrado');
+    }
+
+    const pointsBefore = current.points;
+    const levelBefore = current.level;
+    const pointsAfter = Math.max(0, pointsBefore + delta);
+    const amount = pointsAfter - pointsBefore;
+    const levelInfo = getLevelInfo(pointsAfter);
+    const values = {
+      ...updates,
+      points: pointsAfter,
+      level: levelInfo.level
+    };
+
+    // Escribir sobre la fila bloqueada (la instancia recibida puede traer un
+    // saldo viejo) y reflejar el resultado en memoria para quien la siga usando
+    await current.update(values, { transaction: t });
+    client.set(values, { raw: true });
+
+    let ledgerEntry = null;
+
+    if (amount !== 0) {
+      const expiresAt = amount > 0 ? getCreditExpiry() : null;
+
+      ledgerEntry = await PointsTransaction.create({
+        clientId: client.id,
+        amount,
+        balanceAfter: pointsAfter,
+        source,
+        sourceId,
+        awardId,
+        reason,
+        actorId: actor ? actor.id : null,
+        actorType: actor ? actor.type : 'system',
+        reversedTransactionId,
+        expiresAt,
+        remaining: expiresAt ? amount : null
+      }, { transaction: t });
+
+      if (amount < 0 && consume) {
+        await consumeCredits(client.id, -amount, { transaction: t, preferredId: consumeFrom });
+      }
+    }
+
+    return {
+      pointsBefore,
+      pointsAfter,
+      levelBefore,
+      levelAfter: levelInfo.level,
+      levelName: levelInfo.name,
+      leveledUp: levelInfo.level > levelBefore,
+      ledgerEntry
+    };
+  };
+
+  return transaction ? await run(transaction) : await sequelize.transaction(run);
+};
+
+// ===========================================
+// REGLAS
+// ===========================================
+
+/**
+ * Mayor multiplicador de la regla que aplica en un momento
+ */
+const resolveMultiplier = (rule, at = new Date()) => {
+  const { dayOfWeek, time } = getLocalTime(at);
+  let best = { multiplier: 1, label: null };
+
+  for (const entry of rule.multipliers || []) {
+    const { daysOfWeek, startTime, endTime } = entry;
+
+    if (Array.isArray(daysOfWeek) && daysOfWeek.length > 0 && !daysOfWeek.includes(dayOfWeek)) continue;
+    // Comparación lexicográfica válida por el formato HH:MM (fin excluido)
+    if ((startTime && time < startTime) || (endTime && time >= endTime)) continue;
+
+    if (entry.multiplier > best.multiplier) {
+      best = { multiplier: entry.multiplier, label: entry.label || null };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Puntos ya otorgados hoy (hora de Guatemala) a un cliente por un tipo de evento
+ */
+const getAwardedToday = async (clientId, eventType, at, transaction) => {
+  const { PointsAward, sequelize } = require('../models');
+
+  const total = await PointsAward.sum('points', {
+    where: {
+      clientId,
+      eventType,
+      [Op.and]: sequelize.where(
+        sequelize.literal(`("awardedAt" AT TIME ZONE '${GYM_TIMEZONE}')::date`),
+        getLocalTime(at).date
+      )
+    },
+    transaction
+  });
+
+  return total || 0;
+};
+
+/**
+ * Recortar los puntos de un premio a lo que queda del tope diario
+ * dailyCap null o undefined = sin tope
+ */
+const applyDailyCap = (points, dailyCap, awardedToday) => {
+  if (dailyCap === null || dailyCap === undefined) {
+    return { points, capped: false };
+  }
+
+  const remaining = Math.max(0, dailyCap - awardedToday);
+
+  return points > remaining
+    ? { points: remaining, capped: true }
+    : { points, capped: false };
+};
+
+/**
+ * Calcular el premio de un evento sin guardarlo
+ */
+const computeAward = async (clientId, eventType, { at = new Date(), transaction } = {}) => {
+  await ensureGamificationCache();
+
+  const rule = cache.rules.get(eventType);
+
+  if (!rule || !rule.isActive || rule.points <= 0) {
+    return { eventType, basePoints: 0, multiplier: 1, multiplierLabel: null, points: 0, capped: false };
+  }
+
+  const { multiplier, label } = resolveMultiplier(rule, at);
+  const awardedToday = rule.dailyCap !== null && rule.dailyCap !== undefined
+    ? await getAwardedToday(clientId, eventType, at, transaction)
+    : 0;
+  const { points, capped } = applyDailyCap(Math.round(rule.points * multiplier), rule.dailyCap, awardedToday);
+
+  return { eventType, basePoints: rule.points, multiplier, multiplierLabel: label, points, capped };
+};
+
+/**
+ * Otorgar los puntos de un evento según su regla
+ * Guarda el detalle del cálculo y el movimiento en el libro de puntos
+ */
+const awardPoints = async (client, eventType, { at = new Date(), sourceId = null, transaction, updates = {} } = {}) => {
+  const { PointsAward, sequelize } = require('../models');
+
+  const run = async (t) => {
+    const award = await computeAward(client.id, eventType, { at, transaction: t });
+
+    let record = null;
+
+    if (award.basePoints > 0) {
+      record = await PointsAward.create({
+        clientId: client.id,
+        eventType,
+        basePoints: award.basePoints,
+        multiplier: award.multiplier,
+        multiplierLabel: award.multiplierLabel,
+        points: award.points,
+        capped: award.capped,
+        sourceId,
+        awardedAt: at
+      }, { transaction: t });
+    }
+
+    const change = await applyPointsChange(client, award.points, {
+      transaction: t,
+      updates,
+      source: eventType,
+      sourceId,
+      awardId: record ? record.id : null
+    });
+
+    return { ...award, ...change };
+  };
+
+  return transaction ? await run(transaction) : await sequelize.transaction(run);
+};
+
+/**
+ * Premio único por perfil completo (se llama después de actualizar el perfil)
+ */
+const awardProfileCompletion = async (client) => {
+  const { PointsAward } = require('../models');
+
+  if (PROFILE_FIELDS.some(field => !client[field])) {
+    return null;
+  }
+
+  const alreadyAwarded = await PointsAward.count({
+    where: { clientId: client.id, eventType: 'profile_completion' }
+  });
+
+  if (alreadyAwarded > 0) {
+    return null;
+  }
+
+  return await awardPoints(client, 'profile_completion', { sourceId: client.id });
+};
+
+// ===========================================
+// ADMINISTRACIÓN DE REGLAS Y NIVELES
+// ===========================================
+
+/**
+ * Reglas actuales (incluye inactivas)
+ */
+const getRules = async () => {
+  await ensureGamificationCache();
+  return Array.from(cache.rules.values());
+};
+
+/**
+ * Curva de niveles actual
+ */
+const getLevelTiers = async () => {
+  await ensureGamificationCache();
+  return cache.tiers;
+};
+
+/**
+ * Actualizar la regla de un tipo de evento
+ */
+const updateRule = async (req, eventType, data) => {
+  const { GamificationRule } = require('../models');
+
+  await ensureGamificationCache();
+
+  const rule = GamificationRule.EVENT_TYPES.includes(eventType)
+    ? await GamificationRule.findByPk(eventType)
+    : null;
+
+  if (!rule) {
+    throw statusError(404, 'RULE_NOT_FOUND', 'No existe una regla para ese tipo de evento');
+  }
+
+  const fields = ['points', 'dailyCap', 'multipliers', 'isActive', 'description'];
+  const before = snapshot(rule, fields);
+
+  await rule.update({ ...data, updatedBy: req.user.id });
+  await refreshGamificationCache();
+
+  await recordAudit(req, {
+    action: 'gamification.rule.update',
+    targetType: 'gamification_rule',
+    targetId: eventType,
+    before,
+    after: snapshot(rule, fields)
+  });
+
+  return rule;
+};
+
+/**
+ * Reemplazar la curva de niveles y recalcular el nivel de todos los clientes
+ * tiers: [{ name, minPoints, description }] en cualquier orden
+ */
+const replaceLevelTiers = async (req, tiers) => {
+  const { LevelTier, Client, sequelize } = require('../models');
+
+  const sorted = [...tiers].sort((a, b) => a.minPoints - b.minPoints);
+
+  if (sorted[0].minPoints !== 0) {
+    throw statusError(400, 'INVALID_LEVEL_CURVE', 'El primer nivel debe empezar en 0 puntos');
+  }
+
+  if (sorted.some((tier, i) => i > 0 && tier.minPoints === sorted[i - 1].minPoints)) {
+    throw statusError(400, 'INVALID_LEVEL_CURVE', 'Dos niveles no pueden empezar en los mismos puntos');
+  }
+
+  const previous = await getLevelTiers();
+  const next = sorted.map((tier, index) => ({
+    level: index + 1,
+    name: tier.name,
+    minPoints: tier.minPoints,
+    description: tier.description || null
+  }));
+
+  const clientsUpdated = await sequelize.transaction(async (transaction) => {
+    await LevelTier.destroy({ where: {}, transaction });
+    await LevelTier.bulkCreate(next, { transaction });
+
+    let updated = 0;
+
+    for (const [index, tier] of next.entries()) {
+      const upper = next[index + 1];
+      const [count] = await Client.update({ level: tier.level }, {
+        where: {
+          level: { [Op.ne]: tier.level },
+          points: upper
+            ? { [Op.gte]: tier.minPoints, [Op.lt]: upper.minPoints }
+            : { [Op.gte]: tier.minPoints }
+        },
+        paranoid: false,
+        transaction
+      });
+      updated += count;
+    }
+
+    return updated;
+  });
+
+  await refreshGamificationCache();
+
+  await recordAudit(req, {
+    action: 'gamification.levels.update',
+    targetType: 'level_tiers',
+    targetId: null,
+    before: { tiers: previous.map(({ level, name, minPoints }) => ({ level, name, minPoints })) },
+    after: { tiers: next.map(({ level, name, minPoints }) => ({ level, name, minPoints })) },
+    metadata: { clientsUpdated }
+  });
+
+  console.log(`🎮 Curva de niveles actualizada por ${req.user.email}: ${next.length} niveles, ${clientsUpdated} clientes recalculados`);
+
+  return { tiers: next, clientsUpdated };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_LEVEL_TIERS,
+  PROFILE_FIELDS,
+  initializeGamification,
+  refreshGamificationCache,
+  ensureGamificationCache,
+  getLevelInfo,
+  getPointsExpiryMonths,
+  getCreditExpiry,
+  applyPointsChange,
+  resolveMultiplier,
+  applyDailyCap,
+  computeAward,
+  awardPoints,
+  awardProfileCompletion,
+  getRules,
+  getLevelTiers,
+  updateRule,
+  replaceLevelTiers
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Reglas y curva de niveles en base de datos con caché
+ * ✅ Multiplicadores por horario y topes diarios
+ * ✅ Un único camino para cambiar puntos y nivel
+ * ✅ Libro de movimientos con vencimiento de créditos
+ */
@@ -0,0 +1,325 @@
+/**
+ * INVITADOS Y PASES - ELITE FITNESS CLUB
+ *
+ * Soy el archivo con la lógica de invitados del gimnasio
+ * Mi responsabilidad es emitir pases de día pagados y pases patrocinados
+ * por miembros (con cupo mensual), registrar la entrada en la puerta y
+ * convertir a un invitado en cliente conservando su historial
+ *
+ * Reglas:
+ * - Un pase solo sirve el día validOn (hora de Guatemala) y una sola vez
+ * - El invitado cuenta en el aforo y no entra si el gimnasio está lleno
+ * - El cupo mensual sale de accessRules.guestPassesPerMonth del plan del
+ *   miembro, o de GUEST_PASSES_PER_MONTH (por defecto 2)
+ * - El pase de día se cobra en el libro de pagos (DAY_PASS_PRICE, por defecto Q50)
+ * - Al convertirse, el miembro que lo invitó recibe los puntos de la regla 'referral'
+ */
+
+const { recordAudit } = require('./audit');
+const { recordPayment } = require('./payments');
+const { getLocalTime } = require('./memberships');
+const { sendAccountSetupLink } = require('./passwordReset');
+const { awardPoints } = require('./gamification');
+const { checkCapacity, publishOccupancy } = require('./occupancy');
+
+const DEFAULT_MONTHLY_QUOTA = parseInt(process.env.GUEST_PASSES_PER_MONTH) || 2;
+const DAY_PASS_PRICE = parseFloat(process.env.DAY_PASS_PRICE) || 50;
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Primer día del mes de una fecha YYYY-MM-DD y primer día del mes siguiente
+ */
+const getMonthRange = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  const next = month === 12 ? [year + 1, 1] : [year, month + 1];
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    start: `${year}-${pad(month)}-01`,
+    end: `${next[0]}-${pad(next[1])}-01`
+  };
+};
+
+/**
+ * Cupo de pases de invitado de un miembro para el mes de una fecha
+ * Exige que el miembro tenga una membresía activa
+ * options.transaction permite contar dentro de la emisión (con el miembro bloqueado)
+ */
+const getGuestPassQuota = async (clientId, date = getLocalTime().date, { transaction } = {}) => {
+  const { Membership, MembershipPlan, GuestPass } = require('../models');
+  const { Op } = require('sequelize');
+
+  const membership = await Membership.findCurrentForClient(clientId, new Date(), {
+    include: [{ model: MembershipPlan, as: 'plan' }],
+    transaction
+  });
+
+  if (!membership || membership.status !== 'active') {
+    throw statusError(403, 'NO_ACTIVE_MEMBERSHIP', 'Solo miembros con membresía activa pueden invitar');
+  }
+
+  const planQuota = membership.plan.accessRules?.guestPassesPerMonth;
+  const limit = Number.isInteger(planQuota) ? planQuota : DEFAULT_MONTHLY_QUOTA;
+  const { start, end } = getMonthRange(date);
+
+  const used = await GuestPass.count({
+    where: {
+      sponsorClientId: clientId,
+      status: ['issued', 'used'],
+      validOn: { [Op.gte]: start, [Op.lt]: end }
+    },
+    transaction
+  });
+
+  return {
+    month: start.slice(0, 7),
+    limit,
+    used,
+    remaining: Math.max(0, limit - used)
+  };
+};
+
+/**
+ * Emitir un pase para un invitado
+ * day_pass: se cobra al invitado; member_guest: consume cupo del miembro
+ */
+const issueGuestPass = async (req, guest, { passType, sponsorClientId, validOn, payment = {} }) => {
+  const { Client, GuestPass, sequelize } = require('../models');
+
+  const today = getLocalTime().date;
+  const passDate = validOn || today;
+
+  if (passDate < today) {
+    throw statusError(400, 'INVALID_PASS_DATE', 'No se pueden emitir pases para días pasados');
+  }
+
+  let sponsor = null;
+
+  if (passType === 'member_guest') {
+    sponsor = await Client.findByPk(sponsorClientId);
+
+    if (!sponsor || !sponsor.isActive) {
+      throw statusError(404, 'SPONSOR_NOT_FOUND', 'El miembro que invita no existe o está inactivo');
+    }
+
+    if (sponsor.isSuspended()) {
+      throw statusError(403, 'CLIENT_SUSPENDED', 'El miembro que invita está suspendido');
+    }
+  }
+
+  const pass = await sequelize.transaction(async (transaction) => {
+    let paymentId = null;
+
+    if (sponsor) {
+      // Bloquear al miembro para que dos pases emitidos a la vez no superen el cupo
+      await Client.findByPk(sponsor.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const quota = await getGuestPassQuota(sponsor.id, passDate, { transaction });
+
+      if (quota.remaining <= 0) {
+        throw statusError(409, 'GUEST_QUOTA_EXCEEDED',
+          `${sponsor.getFullName()} ya usó sus ${quota.limit} pases de invitado de ${quota.month}`);
+      }
+    }
+
+    if (passType === 'day_pass') {
+      const charged = await recordPayment(req, null, {
+        concept: 'day_pass',
+        description: `Pase de día ${passDate} - ${guest.getFullName()}`,
+        method: payment.method,
+        amount: payment.amount !== undefined ? payment.amount : DAY_PASS_PRICE,
+        reference: payment.reference
+      }, { payerName: guest.getFullName(), transaction });
+
+      paymentId = charged.id;
+    }
+
+    return await GuestPass.create({
+      guestId: guest.id,
+      passType,
+      sponsorClientId: sponsor ? sponsor.id : null,
+      validOn: passDate,
+      paymentId,
+      issuedBy: req.user.id
+    }, { transaction });
+  });
+
+  // El primer miembro que lo trae queda como quien lo invitó
+  if (sponsor && !guest.invitedBy) {
+    await guest.update({ invitedBy: sponsor.id });
+  }
+
+  await recordAudit(req, {
+    action: 'guest.pass.issue',
+    targetType: 'guest',
+    targetId: guest.id,
+    after: { passId: pass.id, passType, validOn: passDate },
+    metadata: { sponsorClientId: pass.sponsorClientId, paymentId: pass.paymentId }
+  });
+
+  return pass;
+};
+
+/**
+ * Registrar la entrada de un invitado con su pase
+ */
+const checkInGuestPass = async (req, pass) => {
+  if (pass.status !== 'issued') {
+    throw statusError(409, pass.status === 'used' ? 'GUEST_PASS_ALREADY_USED' : 'GUEST_PASS_CANCELLED',
+      pass.status === 'used' ? 'El pase ya fue usado' : 'El pase fue cancelado');
+  }
+
+  const today = getLocalTime().date;
+
+  if (pass.validOn !== today) {
+    throw statusError(403, 'GUEST_PASS_NOT_VALID_TODAY', `El pase es válido solo el ${pass.validOn}`);
+  }
+
+  const capacity = await checkCapacity();
+
+  if (capacity.error) {
+    throw statusError(capacity.status, capacity.error.code, capacity.error.message);
+  }
+
+  await pass.update({
+    status: 'used',
+    checkedInAt: new Date(),
+    checkedInBy: req.user.id
+  });
+
+  await recordAudit(req, {
+    action: 'guest.checkin',
+    targetType: 'guest',
+    targetId: pass.guestId,
+    metadata: { passId: pass.id, passType: pass.passType, sponsorClientId: pass.sponsorClientId }
+  });
+
+  publishOccupancy();
+
+  return pass;
+};
+
+/**
+ * Cancelar un pase sin usar (libera el cupo del miembro)
+ * El dinero de un pase de día se devuelve aparte con /api/payments/:id/refund
+ */
+const cancelGuestPass = async (req, pass, { reason }) => {
+  if (pass.status !== 'issued') {
+    throw statusError(409, 'GUEST_PASS_NOT_CANCELLABLE', 'Solo se pueden cancelar pases sin usar');
+  }
+
+  await pass.update({ status: 'cancelled', cancelReason: reason });
+
+  await recordAudit(req, {
+    action: 'guest.pass.cancel',
+    targetType: 'guest',
+    targetId: pass.guestId,
+    before: { status: 'issued' },
+    after: { status: 'cancelled' },
+    metadata: { passId: pass.id, reason, paymentId: pass.paymentId }
+  });
+
+  return pass;
+};
+
+/**
+ * Convertir a un invitado en cliente
+ * El historial de pases queda enlazado por convertedClientId y el cliente
+ * recibe un correo para elegir su contraseña
+ */
+const convertGuestToClient = async (req, guest, { email, dateOfBirth, gender }) => {
+  const { Client, ClientPreference, sequelize } = require('../models');
+
+  if (guest.isConverted()) {
+    throw statusError(409, 'GUEST_ALREADY_CONVERTED', 'El invitado ya tiene una cuenta de cliente');
+  }
+
+  const normalizedEmail = (email || guest.email || '').toLowerCase();
+
+  if (!normalizedEmail) {
+    throw statusError(400, 'EMAIL_REQUIRED', 'Se necesita un email para crear la cuenta de cliente');
+  }
+
+  const existing = await Client.findOne({ where: { email: normalizedEmail }, paranoid: false });
+
+  if (existing) {
+    throw statusError(409, 'EMAIL_ALREADY_EXISTS', 'Ya existe una cuenta de cliente con este email');
+  }
+
+  const client = await sequelize.transaction(async (transaction) => {
+    const created = await Client.create({
+      email: normalizedEmail,
+      firstName: guest.firstName,
+      lastName: guest.lastName,
+      phone: guest.phone,
+      dateOfBirth,
+      gender,
+      authProvider: 'local',
+      isActive: true,
+      isEmailVerified: false,
+      createdBy: req.user.id
+    }, { transaction });
+
+    await ClientPreference.create({ clientId: created.id }, { transaction });
+
+    await guest.update({
+      email: normalizedEmail,
+      convertedClientId: created.id,
+      convertedAt: new Date()
+    }, { transaction });
+
+    return created;
+  });
+
+  // El miembro que lo invitó recibe los puntos de referido
+  if (guest.invitedBy) {
+    const sponsor = await Client.findByPk(guest.invitedBy);
+
+    if (sponsor) {
+      await awardPoints(sponsor, 'referral', { sourceId: client.id });
+    }
+  }
+
+  await recordAudit(req, {
+    action: 'guest.convert',
+    targetType: 'guest',
+    targetId: guest.id,
+    after: { convertedClientId: client.id },
+    metadata: { email: normalizedEmail }
+  });
+
+  // Un fallo de correo no revierte la conversión: puede usar "Olvidé mi contraseña" después
+  try {
+    await sendAccountSetupLink(client, 'client');
+  } catch (mailError) {
+    console.error('⚠️  No se pudo enviar enlace de activación:', mailError.message);
+  }
+
+  return client;
+};
+
+module.exports = {
+  DAY_PASS_PRICE,
+  getGuestPassQuota,
+  issueGuestPass,
+  checkInGuestPass,
+  cancelGuestPass,
+  convertGuestToClient
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Pases de día cobrados en el libro de pagos
+ * ✅ Pases patrocinados con cupo mensual por miembro
+ * ✅ Entrada en la puerta válida solo el día del pase y dentro del aforo
+ * ✅ Conversión a cliente con historial y enlace de activación
+ */
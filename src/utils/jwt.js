@@ -9,25 +9,69 @@
  * - Generación de Access Tokens
  * - Generación de Refresh Tokens
  * - Verificación y validación de tokens
- * - Blacklist de tokens revocados
+ * - Blacklist persistente de tokens revocados (por jti)
+ * - Rotación de refresh tokens con detección de reutilización
+ * - Tokens firmados de propósito específico (verificación de email, etc.)
  * - Configuración de expiración
+ * - Firma HS256/RS256/ES256 con kid a través del gestor de llaves
  */
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-
-// Set para almacenar tokens revocados (en producción usar Redis)
-const revokedTokens = new Set();
+const { getRevocationStore } = require('./revocationStore');
+const { getSigningKey, getVerificationKey, findVerificationKey } = require('./keyManager');
 
 // Configuración de JWT desde variables de entorno
+// (las llaves de firma las administra keyManager.js)
 const JWT_CONFIG = {
-  secret: process.env.JWT_SECRET || 'elite_fitness_super_secret_key_2024',
   accessTokenExpiry: process.env.JWT_EXPIRES_IN || '24h',
   refreshTokenExpiry: '7d', // Refresh tokens duran una semana
   issuer: 'elite-fitness-club',
   audience: ['web', 'mobile']
 };
 
+// Duración del refresh token en milisegundos (debe coincidir con refreshTokenExpiry)
+const REFRESH_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Firmar con la llave activa del llavero (agrega kid al header)
+ */
+const signJwt = (payload, options) => {
+  const { kid, algorithm, key } = getSigningKey();
+  return jwt.sign(payload, key, { ...options, algorithm, keyid: kid });
+};
+
+/**
+ * Verificar con la llave indicada por el kid del token
+ * El algoritmo se fija al de la llave para evitar confusión de algoritmos
+ */
+const verifyJwt = (token, options, verificationKey = null) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const entry = verificationKey || (decoded && getVerificationKey(decoded.header.kid));
+  
+  if (!entry) {
+    throw new jwt.JsonWebTokenError('Llave de firma desconocida');
+  }
+  
+  if (decoded && decoded.header.alg !== entry.algorithm) {
+    throw new jwt.JsonWebTokenError('El algoritmo del token no corresponde a su llave');
+  }
+  
+  return jwt.verify(token, entry.key, { ...options, algorithms: [entry.algorithm] });
+};
+
+/**
+ * Obtener la llave de verificación de un token (recarga llaves rotadas por otra instancia)
+ * Solo se devuelve si el alg del header es el de la llave elegida por el kid
+ */
+const resolveTokenKey = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) return null;
+  
+  const entry = await findVerificationKey(decoded.header.kid);
+  return entry && entry.algorithm === decoded.header.alg ? entry : null;
+};
+
 /**
  * Generar Access Token JWT
  */
@@ -39,6 +83,8 @@ const generateAccessToken = (payload, options = {}) => {
       type: payload.type || 'client', // 'client' o 'user'
       role: payload.role || null,
       permissions: payload.permissions || {},
+      familyId: payload.familyId || null, // Familia del inicio de sesión
+      mfa: payload.mfa === true, // Inicio de sesión confirmado con segundo factor
       iat: Math.floor(Date.now() / 1000)
     };
     
@@ -51,7 +97,7 @@ const generateAccessToken = (payload, options = {}) => {
       ...options
     };
     
-    const token = jwt.sign(tokenPayload, JWT_CONFIG.secret, tokenOptions);
+    const token = signJwt(tokenPayload, tokenOptions);
     
     console.log(`✅ Access token generado para: ${payload.email} (${payload.type})`);
     
@@ -69,29 +115,37 @@ const generateAccessToken = (payload, options = {}) => {
 
 /**
  * Generar Refresh Token
+ * Cada inicio de sesión abre una familia nueva; las rotaciones la conservan
  */
-const generateRefreshToken = (userId, userType = 'client') => {
+const generateRefreshToken = (userId, userType = 'client', familyId = crypto.randomUUID(), options = {}) => {
   try {
     const payload = {
       userId,
       userType,
       tokenType: 'refresh',
+      familyId,
+      mfa: options.mfa === true, // La rotación conserva el segundo factor del login
       iat: Math.floor(Date.now() / 1000)
     };
     
-    const options = {
+    const jti = crypto.randomUUID();
+    
+    const signOptions = {
       expiresIn: JWT_CONFIG.refreshTokenExpiry,
       issuer: JWT_CONFIG.issuer,
+      audience: JWT_CONFIG.audience, // verifyToken exige audiencia también al renovar
       subject: userId,
-      jwtid: crypto.randomUUID()
+      jwtid: jti
     };
     
-    const token = jwt.sign(payload, JWT_CONFIG.secret, options);
+    const token = signJwt(payload, signOptions);
     
     console.log(`✅ Refresh token generado para usuario: ${userId}`);
     
     return {
       token,
+      jti,
+      familyId,
       expiresIn: JWT_CONFIG.refreshTokenExpiry
     };
     
@@ -101,23 +155,38 @@ const generateRefreshToken = (userId, userType = 'client') => {
   }
 };
 
+/**
+ * Verificar si un token (por su payload decodificado) fue revocado
+ * Un token queda revocado si lo está su jti o la familia a la que pertenece
+ */
+const isTokenRevoked = async (decoded) => {
+  if (!decoded || !decoded.jti) {
+    return false;
+  }
+  
+  const store = getRevocationStore();
+  
+  if (await store.isRevoked(decoded.jti)) {
+    return true;
+  }
+  
+  return decoded.familyId ? await store.isRevoked(decoded.familyId) : false;
+};
+
 /**
  * Verificar y decodificar token JWT
  */
-const verifyToken = (token, options = {}) => {
+const verifyToken = async (token, options = {}) => {
+  let decoded;
+  
   try {
-    // Verificar si el token está en la blacklist
-    if (revokedTokens.has(token)) {
-      throw new Error('Token revocado');
-    }
-    
     const verifyOptions = {
       issuer: JWT_CONFIG.issuer,
       audience: JWT_CONFIG.audience,
       ...options
     };
     
-    const decoded = jwt.verify(token, JWT_CONFIG.secret, verifyOptions);
+    decoded = verifyJwt(token, verifyOptions, await resolveTokenKey(token));
     
     // Verificar que no haya expirado (doble verificación)
     const now = Math.floor(Date.now() / 1000);
@@ -125,8 +194,6 @@ const verifyToken = (token, options = {}) => {
       throw new Error('Token expirado');
     }
     
-    return decoded;
-    
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token expirado');
@@ -138,15 +205,39 @@ const verifyToken = (token, options = {}) => {
       throw new Error(`Error verificando token: ${error.message}`);
     }
   }
+  
+  // Verificar si el token está en la blacklist
+  if (await isTokenRevoked(decoded)) {
+    throw new Error('Token revocado');
+  }
+  
+  return decoded;
 };
 
 /**
- * Revocar token (agregarlo a blacklist)
+ * Revocar token (agregarlo a blacklist persistente)
  */
-const revokeToken = (token) => {
+const revokeToken = async (token, reason = 'logout') => {
   try {
-    // En producción, esto debería almacenarse en Redis o base de datos
-    revokedTokens.add(token);
+    const decoded = jwt.decode(token);
+    
+    if (!decoded || !decoded.jti) {
+      console.log('⚠️  Token sin jti, no se puede revocar');
+      return false;
+    }
+    
+    // Guardar solo hasta que el token expire por sí mismo
+    const expiresAt = decoded.exp
+      ? new Date(decoded.exp * 1000)
+      : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    
+    await getRevocationStore().revoke(decoded.jti, expiresAt, {
+      tokenType: decoded.tokenType === 'refresh' ? 'refresh' : 'access',
+      userId: decoded.userId || decoded.id || null,
+      userType: decoded.userType || decoded.type || null,
+      reason
+    });
+    
     console.log('✅ Token revocado exitosamente');
     return true;
   } catch (error) {
@@ -156,19 +247,70 @@ const revokeToken = (token) => {
 };
 
 /**
- * Renovar Access Token usando Refresh Token
+ * Revocar todos los tokens de una familia (un inicio de sesión completo)
+ */
+const revokeTokenFamily = async (familyId, metadata = {}) => {
+  if (!familyId) {
+    return false;
+  }
+  
+  // El último refresh de la familia puede vivir hasta su duración completa
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS);
+  
+  await getRevocationStore().revoke(familyId, expiresAt, {
+    tokenType: 'family',
+    userId: metadata.userId || null,
+    userType: metadata.userType || null,
+    reason: metadata.reason || 'logout'
+  });
+  
+  console.log(`🔒 Familia de tokens revocada: ${familyId} (${metadata.reason || 'logout'})`);
+  return true;
+};
+
+/**
+ * Renovar tokens usando Refresh Token (rotación)
+ * El refresh token canjeado queda inutilizado y se emite uno nuevo de la misma familia
+ * Si llega un refresh token que ya fue canjeado se revoca la familia completa
  */
 const refreshAccessToken = async (refreshToken) => {
   try {
     // Verificar refresh token
-    const decoded = verifyToken(refreshToken);
+    const decoded = await verifyToken(refreshToken);
     
     if (decoded.tokenType !== 'refresh') {
       throw new Error('Token de renovación inválido');
     }
     
+    const { User, Client, RefreshToken } = require('../models');
+    
+    // Tokens emitidos antes de la rotación no traen familia: se les abre una
+    const familyId = decoded.familyId || crypto.randomUUID();
+    
+    // Marcar el refresh token como canjeado (solo se permite una vez)
+    const firstUse = await RefreshToken.markAsUsed({
+      jti: decoded.jti,
+      familyId,
+      userId: decoded.userId,
+      userType: decoded.userType,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+    
+    if (!firstUse) {
+      console.log(`🚨 Reutilización de refresh token detectada para usuario: ${decoded.userId}`);
+      
+      await revokeTokenFamily(familyId, {
+        userId: decoded.userId,
+        userType: decoded.userType,
+        reason: 'refresh_token_reuse'
+      });
+      
+      const reuseError = new Error('Refresh token reutilizado, la sesión fue revocada');
+      reuseError.code = 'REFRESH_TOKEN_REUSED';
+      throw reuseError;
+    }
+    
     // Buscar usuario en base de datos
-    const { User, Client } = require('../models');
     let user = null;
     
     if (decoded.userType === 'user') {
@@ -181,22 +323,38 @@ const refreshAccessToken = async (refreshToken) => {
       throw new Error('Usuario no encontrado o inactivo');
     }
     
-    // Generar nuevo access token
-    const newAccessToken = generateAccessToken({
+    if (decoded.userType === 'client' && user.isSuspended()) {
+      const suspendedError = new Error('Tu membresía está suspendida, comunícate con recepción');
+      suspendedError.code = 'CLIENT_SUSPENDED';
+      throw suspendedError;
+    }
+    
+    // Generar nuevo par de tokens dentro de la misma familia
+    const newTokens = generateTokenPair({
       id: user.id,
       email: user.email,
       type: decoded.userType,
       role: user.role,
-      permissions: user.permissions
+      permissions: user.permissions,
+      familyId,
+      mfa: decoded.mfa === true
     });
     
-    console.log(`✅ Access token renovado para: ${user.email}`);
+    await RefreshToken.update(
+      { replacedBy: newTokens.refreshTokenId },
+      { where: { jti: decoded.jti } }
+    );
+    
+    console.log(`✅ Tokens rotados para: ${user.email}`);
     
-    return newAccessToken;
+    return newTokens;
     
   } catch (error) {
     console.error('❌ Error renovando token:', error.message);
-    throw new Error('Error renovando token de acceso');
+    
+    const refreshError = new Error('Error renovando token de acceso');
+    refreshError.code = error.code || 'INVALID_REFRESH_TOKEN';
+    throw refreshError;
   }
 };
 
@@ -205,12 +363,17 @@ const refreshAccessToken = async (refreshToken) => {
  */
 const generateTokenPair = (userPayload) => {
   try {
-    const accessToken = generateAccessToken(userPayload);
-    const refreshToken = generateRefreshToken(userPayload.id, userPayload.type);
+    const familyId = userPayload.familyId || crypto.randomUUID();
+    const accessToken = generateAccessToken({ ...userPayload, familyId });
+    const refreshToken = generateRefreshToken(userPayload.id, userPayload.type, familyId, {
+      mfa: userPayload.mfa
+    });
     
     return {
       accessToken: accessToken.token,
       refreshToken: refreshToken.token,
+      refreshTokenId: refreshToken.jti,
+      familyId,
       accessTokenExpiry: accessToken.expiresIn,
       refreshTokenExpiry: refreshToken.expiresIn,
       tokenType: 'Bearer'
@@ -222,6 +385,37 @@ const generateTokenPair = (userPayload) => {
   }
 };
 
+/**
+ * Generar token firmado de propósito específico (ej. verificación de email)
+ * La audiencia es el propósito, así que nunca sirve como access token
+ */
+const generatePurposeToken = (purpose, subject, claims = {}, expiresIn = '24h') => {
+  return signJwt({ ...claims, purpose }, {
+    expiresIn,
+    issuer: JWT_CONFIG.issuer,
+    audience: purpose,
+    subject: String(subject),
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Verificar token de propósito específico
+ */
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    return verifyJwt(token, {
+      issuer: JWT_CONFIG.issuer,
+      audience: purpose
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token expirado');
+    }
+    throw new Error('Token inválido');
+  }
+};
+
 /**
  * Extraer token del header Authorization
  */
@@ -294,23 +488,23 @@ const isTokenExpiringSoon = (token, minutesThreshold = 30) => {
 
 /**
  * Limpiar tokens revocados expirados (housekeeping)
+ * Se ejecuta como tarea programada desde el servidor
  */
-const cleanupRevokedTokens = () => {
-  // En producción, esto sería un job programado que limpia Redis/BD
-  const now = Math.floor(Date.now() / 1000);
-  let cleaned = 0;
+const cleanupRevokedTokens = async () => {
+  const { RefreshToken } = require('../models');
   
-  for (const token of revokedTokens) {
-    const tokenInfo = getTokenInfo(token);
-    if (tokenInfo && tokenInfo.expiresAt.getTime() / 1000 < now) {
-      revokedTokens.delete(token);
-      cleaned++;
-    }
+  const cleaned = await getRevocationStore().purgeExpired();
+  const usedRefreshTokens = await RefreshToken.purgeExpired();
+  
+  if (usedRefreshTokens > 0) {
+    console.log(`🧹 ${usedRefreshTokens} refresh tokens canjeados expirados limpiados`);
   }
   
   if (cleaned > 0) {
     console.log(`🧹 ${cleaned} tokens revocados expirados limpiados`);
   }
+  
+  return cleaned;
 };
 
 module.exports = {
@@ -318,14 +512,20 @@ module.exports = {
   generateRefreshToken,
   generateTokenPair,
   verifyToken,
+  isTokenRevoked,
   revokeToken,
+  revokeTokenFamily,
   refreshAccessToken,
+  generatePurposeToken,
+  verifyPurposeToken,
   extractTokenFromHeader,
   decodeTokenWithoutVerification,
   getTokenInfo,
   isTokenExpiringSoon,
   cleanupRevokedTokens,
-  JWT_CONFIG
+  resolveTokenKey,
+  JWT_CONFIG,
+  REFRESH_TOKEN_LIFETIME_MS
 };
 
 /**
@@ -333,8 +533,11 @@ module.exports = {
  * ✅ Generación de Access Tokens con payload completo
  * ✅ Generación de Refresh Tokens para renovación
  * ✅ Verificación robusta con manejo de errores
- * ✅ Sistema de blacklist para tokens revocados
- * ✅ Renovación automática de tokens
+ * ✅ Sistema de blacklist persistente para tokens revocados (por jti)
+ * ✅ Limpieza programada de revocaciones expiradas
+ * ✅ Rotación de refresh tokens por familia con detección de reutilización
+ * ✅ Tokens de propósito específico con audiencia propia
+ * ✅ Firma asimétrica con kid y rotación de llaves (keyManager)
  * ✅ Utilidades para manejo de headers
  * ✅ Información de tokens sin verificación
  * ✅ Detección de expiración próxima
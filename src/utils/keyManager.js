@@ -0,0 +1,437 @@
+/**
+ * GESTOR DE LLAVES DE FIRMA JWT - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que decide con qué llave se firma y verifica cada JWT
+ * Mi responsabilidad es mantener el llavero (kid -> llave), rotar la llave
+ * activa y publicar las llaves públicas para que la app móvil y otros
+ * servicios verifiquen tokens sin conocer ningún secreto
+ *
+ * Modos de operación (según variables de entorno):
+ * - hmac: JWT_ALGORITHM=HS256 (por defecto fuera de producción) con JWT_SECRET
+ * - static: JWT_ALGORITHM=RS256|ES256 con JWT_PRIVATE_KEY (PEM) o JWT_PRIVATE_KEY_FILE
+ * - managed: JWT_ALGORITHM=RS256|ES256 sin llave configurada; las llaves se generan,
+ *            se guardan cifradas en signing_keys y rotan cada JWT_KEY_ROTATION_DAYS
+ *
+ * Una llave retirada deja de firmar pero sigue verificando hasta que expira
+ * el último token que pudo firmar (la vida del refresh token)
+ *
+ * En producción el servidor no arranca sin una llave configurada
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// Solo para desarrollo: en producción se exige JWT_SECRET o una llave asimétrica
+const DEV_FALLBACK_SECRET = 'elite_fitness_super_secret_key_2024';
+
+// Vida máxima de un token firmado (refresh token de 7 días)
+const MAX_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Espera mínima entre recargas desde la base de datos por kid desconocido
+const RELOAD_THROTTLE_MS = 60 * 1000;
+
+const ring = {
+  keys: new Map(),
+  activeKid: null,
+  loaded: false,
+  lastReloadAt: 0
+};
+
+/**
+ * Leer configuración de llaves desde el entorno
+ */
+const getKeyConfig = () => {
+  const privateKeyFile = process.env.JWT_PRIVATE_KEY_FILE || null;
+  let privateKey = process.env.JWT_PRIVATE_KEY ? process.env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+
+  if (!privateKey && privateKeyFile) {
+    privateKey = fs.readFileSync(privateKeyFile, 'utf8');
+  }
+
+  const algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+
+  let mode = 'hmac';
+  if (algorithm !== 'HS256') {
+    mode = privateKey ? 'static' : 'managed';
+  }
+
+  return {
+    algorithm,
+    mode,
+    privateKey,
+    keyId: process.env.JWT_KEY_ID || null,
+    secret: process.env.JWT_SECRET || null,
+    rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+    encryptionKey: process.env.JWT_KEY_ENCRYPTION_KEY || null,
+    isProduction: process.env.NODE_ENV === 'production'
+  };
+};
+
+/**
+ * Validar la configuración; lanza error si el servidor no debe arrancar
+ */
+const assertKeyConfiguration = () => {
+  const config = getKeyConfig();
+
+  if (!SUPPORTED_ALGORITHMS.includes(config.algorithm)) {
+    throw new Error(`JWT_ALGORITHM no soportado: ${config.algorithm} (usa ${SUPPORTED_ALGORITHMS.join(', ')})`);
+  }
+
+  if (config.isProduction && config.mode === 'hmac' && !config.secret) {
+    throw new Error('No hay llave JWT configurada: define JWT_SECRET o JWT_ALGORITHM=RS256/ES256 en producción');
+  }
+
+  if (config.isProduction && config.mode === 'managed' && !config.encryptionKey) {
+    throw new Error('JWT_KEY_ENCRYPTION_KEY es obligatoria para guardar llaves de firma en producción');
+  }
+
+  if (config.mode === 'static') {
+    // Falla aquí (al arrancar) si la llave no corresponde al algoritmo
+    buildAsymmetricEntry(crypto.createPrivateKey(config.privateKey), config.algorithm, config.keyId);
+  }
+
+  return config;
+};
+
+// ===========================================
+// CONSTRUCCIÓN DE ENTRADAS DEL LLAVERO
+// ===========================================
+
+/**
+ * Huella RFC 7638 de una llave pública JWK (se usa como kid)
+ */
+const computeThumbprint = (jwk) => {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+/**
+ * Crear entrada asimétrica validando que la llave corresponda al algoritmo
+ */
+const buildAsymmetricEntry = (privateKey, algorithm, kid = null, lifecycle = {}) => {
+  const expectedType = algorithm === 'ES256' ? 'ec' : 'rsa';
+
+  if (privateKey.asymmetricKeyType !== expectedType) {
+    throw new Error(`La llave privada es ${privateKey.asymmetricKeyType}, pero JWT_ALGORITHM=${algorithm} requiere ${expectedType}`);
+  }
+
+  if (algorithm === 'ES256' && privateKey.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw new Error('ES256 requiere una llave EC en la curva P-256');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: 'jwk' });
+  const resolvedKid = kid || computeThumbprint(jwk);
+
+  return {
+    kid: resolvedKid,
+    algorithm,
+    signingKey: privateKey,
+    verifyKey: publicKey,
+    jwk: { ...jwk, kid: resolvedKid, alg: algorithm, use: 'sig' },
+    retiredAt: lifecycle.retiredAt || null,
+    expiresAt: lifecycle.expiresAt || null
+  };
+};
+
+/**
+ * Crear entrada simétrica (HS256); nunca se publica en JWKS
+ */
+const buildHmacEntry = (secret, kid) => {
+  const key = crypto.createSecretKey(Buffer.from(secret, 'utf8'));
+
+  return {
+    kid: kid || 'hs256',
+    algorithm: 'HS256',
+    signingKey: key,
+    verifyKey: key,
+    jwk: null,
+    retiredAt: null,
+    expiresAt: null
+  };
+};
+
+// ===========================================
+// CIFRADO DE LLAVES PRIVADAS EN REPOSO
+// ===========================================
+
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.JWT_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET || DEV_FALLBACK_SECRET;
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+const sealPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const openPrivateKey = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ===========================================
+// CARGA DEL LLAVERO
+// ===========================================
+
+/**
+ * Reemplazar el contenido del llavero
+ */
+const replaceRing = (entries, activeKid) => {
+  ring.keys = new Map(entries.map(entry => [entry.kid, entry]));
+  ring.activeKid = activeKid;
+  ring.loaded = true;
+};
+
+/**
+ * Cargar llaves que no requieren base de datos (hmac y static)
+ */
+const loadLocalKeys = () => {
+  const config = assertKeyConfiguration();
+
+  if (config.mode === 'hmac') {
+    if (!config.secret) {
+      console.warn('⚠️  JWT_SECRET no configurado, usando secreto de desarrollo (no usar en producción)');
+    }
+
+    const entry = buildHmacEntry(config.secret || DEV_FALLBACK_SECRET, config.keyId);
+    replaceRing([entry], entry.kid);
+    return;
+  }
+
+  const entry = buildAsymmetricEntry(crypto.createPrivateKey(config.privateKey), config.algorithm, config.keyId);
+  replaceRing([entry], entry.kid);
+};
+
+/**
+ * Cargar llaves administradas desde signing_keys
+ */
+const loadManagedKeys = async () => {
+  const { SigningKey } = require('../models');
+  const rows = await SigningKey.findUsable();
+
+  const entries = rows.map(row => buildAsymmetricEntry(
+    crypto.createPrivateKey(openPrivateKey(row.privateKey)),
+    row.algorithm,
+    row.kid,
+    { retiredAt: row.retiredAt, expiresAt: row.expiresAt }
+  ));
+
+  const active = entries.find(entry => !entry.retiredAt);
+  replaceRing(entries, active ? active.kid : null);
+  ring.lastReloadAt = Date.now();
+
+  return rows;
+};
+
+/**
+ * Generar una llave nueva, activarla y retirar las anteriores
+ */
+const createManagedKey = async (algorithm) => {
+  const { SigningKey } = require('../models');
+
+  const { privateKey } = algorithm === 'ES256'
+    ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+    : await generateKeyPair('rsa', { modulusLength: 2048 });
+
+  const entry = buildAsymmetricEntry(privateKey, algorithm);
+
+  await SigningKey.create({
+    kid: entry.kid,
+    algorithm,
+    publicKey: entry.verifyKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: sealPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+    activatedAt: new Date()
+  });
+
+  await SigningKey.retireAllExcept(entry.kid, new Date(Date.now() + MAX_TOKEN_LIFETIME_MS));
+
+  console.log(`🔑 Nueva llave de firma JWT activada: ${entry.kid} (${algorithm})`);
+  return entry.kid;
+};
+
+/**
+ * Rotar la llave activa si ya cumplió JWT_KEY_ROTATION_DAYS (solo modo managed)
+ * En los demás modos solo recarga la configuración
+ */
+const rotateSigningKeys = async ({ force = false } = {}) => {
+  const config = assertKeyConfiguration();
+
+  if (config.mode !== 'managed') {
+    loadLocalKeys();
+    return { rotated: false, kid: ring.activeKid };
+  }
+
+  const { SigningKey } = require('../models');
+  await SigningKey.purgeExpired();
+
+  const rows = await loadManagedKeys();
+  const active = rows.find(row => !row.retiredAt);
+  const rotationMs = config.rotationDays * 24 * 60 * 60 * 1000;
+
+  const isDue = !active ||
+    active.algorithm !== config.algorithm ||
+    Date.now() - new Date(active.activatedAt).getTime() >= rotationMs;
+
+  if (!force && !isDue) {
+    return { rotated: false, kid: ring.activeKid };
+  }
+
+  await createManagedKey(config.algorithm);
+  await loadManagedKeys();
+
+  return { rotated: true, kid: ring.activeKid };
+};
+
+/**
+ * Inicializar llaves al arrancar el servidor
+ */
+const initializeSigningKeys = async () => {
+  const config = assertKeyConfiguration();
+
+  if (config.mode === 'managed') {
+    await rotateSigningKeys();
+  } else {
+    loadLocalKeys();
+  }
+
+  console.log(`🔑 Firma JWT: ${ring.keys.get(ring.activeKid).algorithm} (modo ${config.mode}, kid ${ring.activeKid}, ${ring.keys.size} llaves verificando)`);
+};
+
+// ===========================================
+// CONSULTAS DEL LLAVERO
+// ===========================================
+
+const ensureLoaded = () => {
+  if (ring.loaded) return;
+
+  if (getKeyConfig().mode === 'managed') {
+    throw new Error('Las llaves de firma JWT aún no se cargan (initializeSigningKeys)');
+  }
+
+  loadLocalKeys();
+};
+
+/**
+ * Llave activa para firmar
+ */
+const getSigningKey = () => {
+  ensureLoaded();
+
+  const entry = ring.keys.get(ring.activeKid);
+
+  if (!entry) {
+    throw new Error('No hay una llave de firma JWT activa');
+  }
+
+  return { kid: entry.kid, algorithm: entry.algorithm, key: entry.signingKey };
+};
+
+/**
+ * Llave para verificar un token según su kid (síncrono, sin recargar)
+ */
+const getVerificationKey = (kid) => {
+  ensureLoaded();
+
+  // Tokens sin kid (emitidos antes del llavero) solo valen con la llave HS256 activa
+  const active = ring.keys.get(ring.activeKid);
+  const entry = kid ? ring.keys.get(kid) : (active?.algorithm === 'HS256' ? active : null);
+
+  if (!entry || (entry.expiresAt && entry.expiresAt <= new Date())) {
+    return null;
+  }
+
+  return { kid: entry.kid, algorithm: entry.algorithm, key: entry.verifyKey };
+};
+
+/**
+ * Igual que getVerificationKey, pero recarga desde la base de datos si otra
+ * instancia rotó la llave y este proceso aún no la conoce
+ */
+const findVerificationKey = async (kid) => {
+  const found = getVerificationKey(kid);
+
+  if (found || !kid || getKeyConfig().mode !== 'managed') {
+    return found;
+  }
+
+  if (Date.now() - ring.lastReloadAt < RELOAD_THROTTLE_MS) {
+    return null;
+  }
+
+  await loadManagedKeys();
+  return getVerificationKey(kid);
+};
+
+/**
+ * Reemplazar la llave de firma (llaves en un KMS o HSM, pruebas)
+ * La llave anterior sigue verificando durante la vida máxima de un token
+ */
+const setSigningKey = ({ privateKey, algorithm, kid = null }) => {
+  ensureLoaded();
+
+  const entry = algorithm === 'HS256'
+    ? buildHmacEntry(privateKey, kid)
+    : buildAsymmetricEntry(crypto.createPrivateKey(privateKey), algorithm, kid);
+
+  const previous = ring.keys.get(ring.activeKid);
+  if (previous && previous.kid !== entry.kid) {
+    previous.retiredAt = new Date();
+    previous.expiresAt = new Date(Date.now() + MAX_TOKEN_LIFETIME_MS);
+  }
+
+  ring.keys.set(entry.kid, entry);
+  ring.activeKid = entry.kid;
+
+  console.log(`🔑 Llave de firma JWT reemplazada: ${entry.kid} (${entry.algorithm})`);
+  return entry.kid;
+};
+
+/**
+ * Documento JWKS con las llaves públicas que aún verifican
+ */
+const getJwks = () => {
+  ensureLoaded();
+
+  const now = new Date();
+  const keys = Array.from(ring.keys.values())
+    .filter(entry => entry.jwk && (!entry.expiresAt || entry.expiresAt > now))
+    .map(entry => entry.jwk);
+
+  return { keys };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  assertKeyConfiguration,
+  initializeSigningKeys,
+  rotateSigningKeys,
+  getSigningKey,
+  getVerificationKey,
+  findVerificationKey,
+  setSigningKey,
+  getJwks
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ HS256, RS256 y ES256 con kid en cada token
+ * ✅ Rotación programada con periodo de verificación de llaves retiradas
+ * ✅ Llaves compartidas entre instancias (signing_keys)
+ * ✅ JWKS para verificadores externos
+ * ✅ Arranque bloqueado en producción sin llave configurada
+ */
@@ -0,0 +1,191 @@
+/**
+ * SERVICIO DE CORREO - ELITE FITNESS CLUB
+ *
+ * Soy el archivo encargado de enviar todos los correos del sistema
+ * Mi responsabilidad es ofrecer una sola función sendMail() y decidir
+ * por qué transporte sale cada mensaje según el entorno
+ *
+ * Transportes incluidos (variable MAIL_TRANSPORT):
+ * - smtp: Envío real con nodemailer (por defecto en producción)
+ * - file: Guarda cada correo como .eml en MAIL_OUTPUT_DIR (desarrollo)
+ * - console: Muestra el correo en consola y lo guarda en memoria (por defecto fuera de producción)
+ *
+ * Un transporte propio (SendGrid, SES, etc.) solo necesita implementar
+ * send(message) y registrarse con setMailTransport()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_CONFIG = {
+  from: process.env.MAIL_FROM || 'Elite Fitness Club <no-reply@elitefitnessclub.com>',
+  outputDir: process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'temp', 'mails'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  }
+};
+
+// Máximo de correos que conserva el transporte de consola
+const CONSOLE_OUTBOX_LIMIT = 50;
+
+/**
+ * Transporte SMTP real
+ */
+const createSmtpTransport = () => {
+  if (!MAIL_CONFIG.smtp.host) {
+    throw new Error('SMTP_HOST es requerido para MAIL_TRANSPORT=smtp');
+  }
+
+  const transporter = nodemailer.createTransport(MAIL_CONFIG.smtp);
+
+  return {
+    name: 'smtp',
+    send: async (message) => await transporter.sendMail(message)
+  };
+};
+
+/**
+ * Transporte a archivos .eml (se pueden abrir con cualquier cliente de correo)
+ */
+const createFileTransport = () => {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      await fs.promises.mkdir(MAIL_CONFIG.outputDir, { recursive: true });
+      const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(MAIL_CONFIG.outputDir, `${Date.now()}-${safeRecipient}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+
+      console.log(`📁 Correo guardado en: ${filePath}`);
+      return { ...info, filePath };
+    }
+  };
+};
+
+/**
+ * Transporte de consola con bandeja en memoria (desarrollo y tests)
+ */
+const createConsoleTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'console',
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      if (outbox.length > CONSOLE_OUTBOX_LIMIT) {
+        outbox.shift();
+      }
+
+      console.log(`📧 [correo] Para: ${message.to} | Asunto: ${message.subject}`);
+      if (process.env.NODE_ENV !== 'test') {
+        console.log(message.text);
+      }
+
+      return { messageId: `console-${Date.now()}`, accepted: [message.to] };
+    }
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let currentTransport = null;
+
+/**
+ * Obtener el transporte activo (se crea según MAIL_TRANSPORT la primera vez)
+ */
+const getMailTransport = () => {
+  if (!currentTransport) {
+    const defaultTransport = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const transportName = process.env.MAIL_TRANSPORT || defaultTransport;
+    const factory = TRANSPORT_FACTORIES[transportName];
+
+    if (!factory) {
+      throw new Error(`Transporte de correo desconocido: ${transportName}`);
+    }
+
+    currentTransport = factory();
+    console.log(`📮 Transporte de correo: ${currentTransport.name}`);
+  }
+
+  return currentTransport;
+};
+
+/**
+ * Reemplazar el transporte activo (proveedores externos)
+ */
+const setMailTransport = (transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error('Transporte de correo inválido, falta el método send');
+  }
+
+  currentTransport = transport;
+  console.log(`📮 Transporte de correo reemplazado: ${transport.name || 'personalizado'}`);
+  return currentTransport;
+};
+
+/**
+ * Escapar texto que va dentro del HTML de un correo (nombres u otros datos del usuario)
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Enviar correo
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await getMailTransport().send({
+      from: MAIL_CONFIG.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    console.log(`✅ Correo enviado a: ${to}`);
+    return info;
+
+  } catch (error) {
+    console.error(`❌ Error enviando correo a ${to}:`, error.message);
+    throw new Error('No se pudo enviar el correo');
+  }
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  getMailTransport,
+  setMailTransport,
+  MAIL_CONFIG
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Interfaz única sendMail()
+ * ✅ Transportes SMTP, archivo y consola
+ * ✅ Punto de extensión para proveedores externos
+ */
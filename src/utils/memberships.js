@@ -0,0 +1,381 @@
+/**
+ * MEMBRESÍAS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo con la lógica de negocio de las membresías
+ * Mi responsabilidad es vender, congelar, descongelar y cancelar membresías,
+ * y decidir si un miembro puede entrar al gimnasio en un momento dado
+ *
+ * Características implementadas:
+ * - Venta con precio congelado y sin traslapes (una renovación arranca
+ *   cuando termina la membresía vigente)
+ * - Congelamiento que extiende la fecha de fin al descongelar y corre las
+ *   renovaciones ya vendidas por el mismo tiempo
+ * - Evaluación de reglas de acceso en hora de Guatemala
+ * - Vencimiento automático (tarea programada)
+ */
+
+const { Op } = require('sequelize');
+const { recordAudit } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GYM_TIMEZONE = 'America/Guatemala';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fecha YYYY-MM-DD, día de la semana (0 = domingo) y hora HH:MM en la zona del gimnasio
+ */
+const getLocalTime = (at = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: GYM_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    dayOfWeek: WEEKDAYS.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`
+  };
+};
+
+/**
+ * Verificar las reglas de acceso de un plan
+ * Devuelve null si puede entrar o el motivo del rechazo
+ */
+const checkAccessRules = (plan, at = new Date()) => {
+  const { daysOfWeek, startTime, endTime } = plan.accessRules || {};
+  const { dayOfWeek, time } = getLocalTime(at);
+
+  if (Array.isArray(daysOfWeek) && daysOfWeek.length > 0 && !daysOfWeek.includes(dayOfWeek)) {
+    return `El plan ${plan.name} no incluye acceso este día`;
+  }
+
+  // Comparación lexicográfica válida por el formato HH:MM
+  if ((startTime && time < startTime) || (endTime && time > endTime)) {
+    return `El plan ${plan.name} permite acceso de ${startTime || '00:00'} a ${endTime || '23:59'}`;
+  }
+
+  return null;
+};
+
+/**
+ * Verificar que un cliente puede entrar ahora
+ * Devuelve { membership } o { error } con el cuerpo de respuesta 403
+ */
+const checkMembershipAccess = async (clientId, at = new Date()) => {
+  const { Membership, MembershipPlan } = require('../models');
+
+  const membership = await Membership.findCurrentForClient(clientId, at, {
+    include: [{ model: MembershipPlan, as: 'plan' }]
+  });
+
+  if (!membership) {
+    return {
+      error: {
+        error: 'Sin membresía activa',
+        message: 'El cliente no tiene una membresía vigente, debe renovar en recepción',
+        code: 'NO_ACTIVE_MEMBERSHIP'
+      }
+    };
+  }
+
+  if (membership.status === 'frozen') {
+    return {
+      error: {
+        error: 'Membresía congelada',
+        message: 'La membresía está congelada, debe descongelarse antes de entrar',
+        code: 'MEMBERSHIP_FROZEN'
+      }
+    };
+  }
+
+  const denied = checkAccessRules(membership.plan, at);
+
+  if (denied) {
+    return {
+      error: {
+        error: 'Acceso fuera del plan',
+        message: denied,
+        accessRules: membership.plan.accessRules,
+        code: 'MEMBERSHIP_ACCESS_DENIED'
+      }
+    };
+  }
+
+  return { membership };
+};
+
+/**
+ * Vender una membresía a un cliente
+ * Sin startsAt arranca ahora o al terminar la membresía vigente (renovación)
+ */
+const sellMembership = async (req, client, { planId, startsAt, notes }) => {
+  const { Client, Membership, MembershipPlan, sequelize } = require('../models');
+
+  const plan = await MembershipPlan.findByPk(planId);
+
+  if (!plan) {
+    throw statusError(404, 'PLAN_NOT_FOUND', 'No existe un plan con el ID especificado');
+  }
+
+  if (!plan.isActive) {
+    throw statusError(400, 'PLAN_INACTIVE', 'El plan está retirado y ya no se vende');
+  }
+
+  const membership = await sequelize.transaction(async (transaction) => {
+    // Bloquear la fila del cliente: dos ventas simultáneas se hacen en fila y
+    // la segunda ya ve la membresía que creó la primera
+    await Client.findByPk(client.id, {
+      attributes: ['id'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    let start = startsAt ? new Date(startsAt) : new Date();
+
+    if (!startsAt) {
+      const latest = await Membership.findOne({
+        where: { clientId: client.id, status: ['active', 'frozen'] },
+        order: [['endsAt', 'DESC']],
+        transaction
+      });
+
+      if (latest && latest.endsAt > start) {
+        start = new Date(latest.endsAt);
+      }
+    }
+
+    const end = new Date(start.getTime() + plan.durationDays * DAY_MS);
+
+    const overlapping = await Membership.findOverlapping(client.id, start, end, { transaction });
+
+    if (overlapping) {
+      throw statusError(409, 'MEMBERSHIP_OVERLAP',
+        `El periodo se traslapa con la membresía vigente hasta el ${new Date(overlapping.endsAt).toLocaleDateString('es-GT')}`);
+    }
+
+    return await Membership.create({
+      clientId: client.id,
+      planId: plan.id,
+      startsAt: start,
+      endsAt: end,
+      pricePaid: plan.price,
+      notes: notes || null,
+      createdBy: req.user.id
+    }, { transaction });
+  });
+
+  await recordAudit(req, {
+    action: 'membership.sell',
+    targetType: 'client',
+    targetId: client.id,
+    after: { membershipId: membership.id, planId: plan.id, startsAt: membership.startsAt, endsAt: membership.endsAt },
+    metadata: { planName: plan.name, pricePaid: plan.price }
+  });
+
+  membership.plan = plan;
+  return membership;
+};
+
+/**
+ * Congelar una membresía activa
+ */
+const freezeMembership = async (req, membership, { reason }) => {
+  if (membership.status !== 'active') {
+    throw statusError(400, 'MEMBERSHIP_NOT_ACTIVE', 'Solo se pueden congelar membresías activas');
+  }
+
+  const now = new Date();
+
+  if (membership.endsAt <= now) {
+    throw statusError(400, 'MEMBERSHIP_NOT_ACTIVE', 'La membresía ya terminó su periodo');
+  }
+
+  await membership.update({ status: 'frozen', frozenAt: now });
+
+  await recordAudit(req, {
+    action: 'membership.freeze',
+    targetType: 'membership',
+    targetId: membership.id,
+    before: { status: 'active' },
+    after: { status: 'frozen' },
+    metadata: { clientId: membership.clientId, reason }
+  });
+
+  return membership;
+};
+
+/**
+ * Descongelar una membresía: el tiempo congelado se suma a la fecha de fin
+ * Las renovaciones que arrancaban al terminar esta se corren el mismo tiempo
+ * para que no se traslapen con el nuevo fin
+ */
+const unfreezeMembership = async (req, membership) => {
+  const { Membership, sequelize } = require('../models');
+
+  const { previousEnd, frozenMs, renewals } = await sequelize.transaction(async (transaction) => {
+    // Bloquear la membresía para que dos descongelamientos no extiendan dos veces
+    const current = await Membership.findByPk(membership.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!current || current.status !== 'frozen') {
+      throw statusError(400, 'MEMBERSHIP_NOT_FROZEN', 'La membresía no está congelada');
+    }
+
+    const frozenFrom = new Date(Math.max(new Date(current.frozenAt).getTime(), new Date(current.startsAt).getTime()));
+    const shiftMs = Math.max(0, Date.now() - frozenFrom);
+    const end = current.endsAt;
+
+    const queued = await Membership.findAll({
+      where: {
+        clientId: current.clientId,
+        id: { [Op.ne]: current.id },
+        status: ['active', 'frozen'],
+        startsAt: { [Op.gte]: end }
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const values = {
+      status: 'active',
+      frozenAt: null,
+      endsAt: new Date(new Date(end).getTime() + shiftMs)
+    };
+
+    await current.update(values, { transaction });
+    membership.set(values, { raw: true });
+
+    if (shiftMs > 0) {
+      for (const renewal of queued) {
+        await renewal.update({
+          startsAt: new Date(new Date(renewal.startsAt).getTime() + shiftMs),
+          endsAt: new Date(new Date(renewal.endsAt).getTime() + shiftMs)
+        }, { transaction });
+      }
+    }
+
+    return { previousEnd: end, frozenMs: shiftMs, renewals: queued };
+  });
+
+  await recordAudit(req, {
+    action: 'membership.unfreeze',
+    targetType: 'membership',
+    targetId: membership.id,
+    before: { status: 'frozen', endsAt: previousEnd },
+    after: { status: 'active', endsAt: membership.endsAt },
+    metadata: {
+      clientId: membership.clientId,
+      frozenDays: Math.round(frozenMs / DAY_MS),
+      shiftedRenewals: frozenMs > 0 ? renewals.map(renewal => renewal.id) : []
+    }
+  });
+
+  return membership;
+};
+
+/**
+ * Cancelar una membresía activa o congelada
+ */
+const cancelMembership = async (req, membership, { reason }) => {
+  if (!['active', 'frozen'].includes(membership.status)) {
+    throw statusError(400, 'MEMBERSHIP_NOT_CANCELLABLE', `No se puede cancelar una membresía en estado ${membership.status}`);
+  }
+
+  const previousStatus = membership.status;
+
+  await membership.update({
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancelReason: reason
+  });
+
+  await recordAudit(req, {
+    action: 'membership.cancel',
+    targetType: 'membership',
+    targetId: membership.id,
+    before: { status: previousStatus },
+    after: { status: 'cancelled' },
+    metadata: { clientId: membership.clientId, reason }
+  });
+
+  return membership;
+};
+
+/**
+ * Marcar como vencidas las membresías cuyo periodo terminó (tarea programada)
+ */
+const expireMemberships = async () => {
+  const { Membership } = require('../models');
+
+  const expired = await Membership.expireOverdue();
+
+  if (expired > 0) {
+    console.log(`📅 ${expired} membresías marcadas como vencidas`);
+  }
+
+  return expired;
+};
+
+/**
+ * Representación pública de una membresía
+ */
+const formatMembership = (membership, at = new Date()) => ({
+  id: membership.id,
+  status: membership.status,
+  startsAt: membership.startsAt,
+  endsAt: membership.endsAt,
+  daysRemaining: membership.getDaysRemaining(at),
+  pricePaid: membership.pricePaid,
+  frozenAt: membership.frozenAt,
+  cancelledAt: membership.cancelledAt,
+  cancelReason: membership.cancelReason,
+  plan: membership.plan ? {
+    id: membership.plan.id,
+    name: membership.plan.name,
+    durationDays: membership.plan.durationDays,
+    accessRules: membership.plan.accessRules
+  } : null,
+  createdAt: membership.createdAt
+});
+
+module.exports = {
+  GYM_TIMEZONE,
+  getLocalTime,
+  checkAccessRules,
+  checkMembershipAccess,
+  sellMembership,
+  freezeMembership,
+  unfreezeMembership,
+  cancelMembership,
+  expireMemberships,
+  formatMembership
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Venta y renovación sin traslapes
+ * ✅ Congelamiento con extensión de la fecha de fin y de las renovaciones
+ * ✅ Cancelación con motivo
+ * ✅ Reglas de acceso por día y horario
+ * ✅ Vencimiento automático
+ */
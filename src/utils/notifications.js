@@ -0,0 +1,187 @@
+/**
+ * COLA DE NOTIFICACIONES - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que encola y despacha avisos a los miembros
+ * Mi responsabilidad es que los módulos solo digan "avísale a este cliente"
+ * y que el envío real ocurra después, por el canal correcto y a la hora
+ * que el miembro prefiere
+ *
+ * Canales incluidos:
+ * - email: utils/mailer
+ * - sms: utils/sms (solo a teléfonos verificados)
+ *
+ * push y whatsapp no tienen proveedor todavía: sus avisos quedan como
+ * skipped hasta que alguien registre un emisor con setChannelSender()
+ */
+
+const { UniqueConstraintError } = require('sequelize');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Preferencia que debe seguir encendida al enviar cada tipo de aviso
+const PREFERENCE_BY_TYPE = {
+  workout_reminder: 'workoutReminders'
+};
+
+/**
+ * Emisores por canal: async (notification, client) -> void
+ * Lanzan un error con code = 'UNDELIVERABLE' cuando reintentar no sirve
+ */
+const channelSenders = {
+  email: async (notification, client) => {
+    await sendMail({
+      to: client.email,
+      subject: notification.subject || 'Elite Fitness Club',
+      text: notification.body
+    });
+  },
+
+  sms: async (notification, client) => {
+    if (!client.phone || !client.isPhoneVerified) {
+      const error = new Error('El cliente no tiene un teléfono verificado');
+      error.code = 'UNDELIVERABLE';
+      throw error;
+    }
+
+    await sendSms({ to: client.phone, body: notification.body });
+  }
+};
+
+/**
+ * Registrar o reemplazar el emisor de un canal (push, whatsapp, ...)
+ */
+const setChannelSender = (channel, sender) => {
+  if (typeof sender !== 'function') {
+    throw new Error(`Emisor inválido para el canal ${channel}`);
+  }
+
+  channelSenders[channel] = sender;
+  console.log(`📨 Emisor de notificaciones registrado para: ${channel}`);
+};
+
+/**
+ * Encolar un aviso
+ * Devuelve null si la clave de deduplicación ya existía
+ */
+const enqueueNotification = async ({ clientId, type, channel, language, subject, body, scheduledFor, dedupeKey, metadata }) => {
+  const { Notification } = require('../models');
+
+  try {
+    return await Notification.create({
+      clientId,
+      type,
+      channel,
+      language: language || 'es',
+      subject: subject || null,
+      body,
+      scheduledFor: scheduledFor || new Date(),
+      dedupeKey: dedupeKey || null,
+      metadata: metadata || {}
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Motivo para no enviar un aviso ya encolado (null = se puede enviar)
+ * El estado y las preferencias pudieron cambiar desde que se encoló
+ */
+const getCancelReason = (notification, client) => {
+  if (!client || !client.isActive) {
+    return 'Cliente inactivo o inexistente';
+  }
+
+  if (client.isSuspended()) {
+    return 'Cliente suspendido';
+  }
+
+  const preference = client.preferences;
+  const flag = PREFERENCE_BY_TYPE[notification.type];
+
+  if (flag && (!preference || !preference[flag])) {
+    return 'El miembro desactivó este tipo de aviso';
+  }
+
+  if (preference && !preference.getActiveChannels().includes(notification.channel)) {
+    return `El miembro desactivó el canal ${notification.channel}`;
+  }
+
+  return null;
+};
+
+/**
+ * Despachar los avisos pendientes cuya hora ya llegó (tarea programada)
+ * Solo envía los que este proceso logró reclamar; cada uno termina en un
+ * estado final o vuelve a pending para reintentarse
+ */
+const dispatchDueNotifications = async (limit = 100) => {
+  const { Notification, Client, ClientPreference } = require('../models');
+
+  const due = await Notification.claimDue(limit);
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const notification of due) {
+    const client = await Client.findByPk(notification.clientId, {
+      include: [{ model: ClientPreference, as: 'preferences' }]
+    });
+    const sender = channelSenders[notification.channel];
+    const cancelReason = getCancelReason(notification, client);
+
+    if (cancelReason) {
+      await notification.update({ status: 'cancelled', lastError: cancelReason });
+      summary.skipped++;
+      continue;
+    }
+
+    if (!sender) {
+      await notification.update({ status: 'skipped', lastError: `Canal ${notification.channel} sin proveedor configurado` });
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      await sender(notification, client);
+      await notification.update({ status: 'sent', sentAt: new Date(), attempts: notification.attempts + 1, lastError: null });
+      summary.sent++;
+    } catch (error) {
+      const attempts = notification.attempts + 1;
+      const giveUp = error.code === 'UNDELIVERABLE' || attempts >= MAX_ATTEMPTS;
+
+      await notification.update({
+        status: giveUp ? (error.code === 'UNDELIVERABLE' ? 'skipped' : 'failed') : 'pending',
+        attempts,
+        lastError: error.message.slice(0, 500),
+        scheduledFor: giveUp ? notification.scheduledFor : new Date(Date.now() + RETRY_DELAY_MS)
+      });
+
+      if (giveUp) summary[error.code === 'UNDELIVERABLE' ? 'skipped' : 'failed']++;
+    }
+  }
+
+  if (summary.sent + summary.failed + summary.skipped > 0) {
+    console.log(`📨 Notificaciones: ${summary.sent} enviadas, ${summary.failed} fallidas, ${summary.skipped} omitidas`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  enqueueNotification,
+  dispatchDueNotifications,
+  setChannelSender
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Encolado con deduplicación
+ * ✅ Despacho por email y SMS con reintentos
+ * ✅ Cancelación si el miembro se suspendió o apagó el aviso o el canal
+ * ✅ Punto de extensión para push y WhatsApp
+ */
@@ -11,10 +11,49 @@
  * - Procesamiento de perfiles OAuth
  * - Manejo de errores de OAuth
  * - URLs de redirección configurables
+ * - Vinculación y desvinculación explícita de proveedores desde el perfil
+ * - State atado al navegador que inició el flujo (nonce en cookie httpOnly)
+ * - Código de un solo uso en la redirección (los tokens nunca viajan en la URL)
+ * - PKCE (S256) obligatorio para la app móvil
  */
 
 require('dotenv').config();
 
+const crypto = require('crypto');
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+
+// Token firmado que autoriza vincular un proveedor desde el perfil
+const OAUTH_LINK_PURPOSE = 'oauth-link';
+const OAUTH_LINK_EXPIRY = '10m';
+
+// Token firmado que viaja en el parámetro state durante todo el flujo OAuth
+const OAUTH_STATE_PURPOSE = 'oauth-state';
+const OAUTH_STATE_EXPIRY = '10m';
+
+// Cookies httpOnly del flujo: el nonce ata el state al navegador que lo inició
+// y la de vinculación lleva el token de vinculación fuera de la URL
+const OAUTH_NONCE_COOKIE = 'elite-oauth-nonce';
+const OAUTH_LINK_COOKIE = 'elite-oauth-link';
+const OAUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax', // el callback llega por navegación desde el proveedor
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth'
+};
+const OAUTH_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Vida del código que se canjea por tokens en POST /api/auth/oauth/exchange
+const OAUTH_CODE_TTL_SECONDS = parseInt(process.env.OAUTH_CODE_EXPIRES_SECONDS) || 60;
+
+// code_challenge S256 = SHA-256 en base64url (43 caracteres)
+const PKCE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Campo del modelo Client que guarda el ID de cada proveedor
+const PROVIDER_FIELDS = {
+  google: 'googleId',
+  facebook: 'facebookId'
+};
+
 // Configuración OAuth desde variables de entorno
 const OAUTH_CONFIG = {
   google: {
@@ -36,9 +75,10 @@ const OAUTH_CONFIG = {
   
   // URLs de redirección del frontend
   redirectUrls: {
-    success: process.env.FRONTEND_URL + '/auth/success' || 'http://localhost:3001/auth/success',
-    failure: process.env.FRONTEND_URL + '/auth/failure' || 'http://localhost:3001/auth/failure',
-    mobile: process.env.MOBILE_APP_URL + 'auth/callback' || 'elitefitnessapp://auth/callback'
+    success: (process.env.FRONTEND_URL || 'http://localhost:3001') + '/auth/success',
+    failure: (process.env.FRONTEND_URL || 'http://localhost:3001') + '/auth/failure',
+    linked: (process.env.FRONTEND_URL || 'http://localhost:3001') + '/auth/linked',
+    mobile: (process.env.MOBILE_APP_URL || 'elitefitnessapp://') + 'auth/callback'
   }
 };
 
@@ -145,6 +185,247 @@ const processFacebookProfile = (profile) => {
   }
 };
 
+/**
+ * Calcular authProvider según los métodos de acceso que quedan en la cuenta
+ * (password local, Google y/o Facebook)
+ */
+const computeAuthProvider = ({ password, googleId, facebookId }) => {
+  const methods = [];
+  
+  if (password) methods.push('local');
+  if (googleId) methods.push('google');
+  if (facebookId) methods.push('facebook');
+  
+  if (methods.length > 1) return 'multiple';
+  return methods[0] || 'local';
+};
+
+/**
+ * Resumen de los métodos de acceso de un cliente (requiere scope withPassword)
+ */
+const getLoginMethods = (client) => {
+  return {
+    password: !!client.password,
+    google: !!client.googleId,
+    facebook: !!client.facebookId,
+    authProvider: client.authProvider
+  };
+};
+
+/**
+ * Error de flujo OAuth con código para la respuesta
+ */
+const oauthError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Leer una cookie del header (la app no usa cookie-parser)
+ */
+const readCookie = (req, name) => {
+  const header = req.headers?.cookie;
+  if (!header) return null;
+  
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    
+    if (separator > -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  
+  return null;
+};
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('base64url');
+
+/**
+ * Guardar en cookie httpOnly el token que autoriza vincular un proveedor
+ * al cliente autenticado (nunca viaja en la URL)
+ */
+const setLinkCookie = (res, client, provider) => {
+  const linkToken = generatePurposeToken(OAUTH_LINK_PURPOSE, client.id, { provider }, OAUTH_LINK_EXPIRY);
+  res.cookie(OAUTH_LINK_COOKIE, linkToken, { ...OAUTH_COOKIE_OPTIONS, maxAge: OAUTH_COOKIE_MAX_AGE_MS });
+};
+
+/**
+ * Borrar las cookies del flujo al volver del proveedor
+ */
+const clearOAuthCookies = (res) => {
+  res.clearCookie(OAUTH_NONCE_COOKIE, OAUTH_COOKIE_OPTIONS);
+  res.clearCookie(OAUTH_LINK_COOKIE, OAUTH_COOKIE_OPTIONS);
+};
+
+/**
+ * Construir el state firmado al iniciar el flujo OAuth
+ * Lleva el tipo de cliente, el desafío PKCE, el hash del nonce del navegador
+ * y, si aplica (?link=1 con la cookie de vinculación), la cuenta a vincular
+ */
+const buildOAuthState = (req, res, provider) => {
+  const clientType = req.query.client_type || req.clientInfo?.clientType || 'web';
+  const codeChallenge = req.query.code_challenge || null;
+  const challengeMethod = req.query.code_challenge_method || 'S256';
+  
+  if (codeChallenge && (challengeMethod !== 'S256' || !PKCE_CHALLENGE_PATTERN.test(codeChallenge))) {
+    throw oauthError('INVALID_CODE_CHALLENGE', 'code_challenge debe ser SHA-256 en base64url (método S256)');
+  }
+  
+  if (clientType === 'mobile' && !codeChallenge) {
+    throw oauthError('CODE_CHALLENGE_REQUIRED', 'La app móvil debe enviar code_challenge (PKCE S256)');
+  }
+  
+  let linkClientId = null;
+  
+  if (req.query.link) {
+    const linkToken = readCookie(req, OAUTH_LINK_COOKIE);
+    let decoded;
+    
+    try {
+      decoded = verifyPurposeToken(linkToken, OAUTH_LINK_PURPOSE);
+    } catch (error) {
+      throw oauthError('INVALID_LINK_TOKEN', 'La vinculación es inválida o expiró, iníciala de nuevo desde tu perfil');
+    }
+    
+    if (decoded.provider !== provider) {
+      throw oauthError('INVALID_LINK_TOKEN', 'La vinculación iniciada es para otro proveedor');
+    }
+    
+    linkClientId = decoded.sub;
+  }
+  
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  res.cookie(OAUTH_NONCE_COOKIE, nonce, { ...OAUTH_COOKIE_OPTIONS, maxAge: OAUTH_COOKIE_MAX_AGE_MS });
+  
+  return generatePurposeToken(OAUTH_STATE_PURPOSE, provider, {
+    provider,
+    clientType,
+    codeChallenge,
+    linkClientId,
+    nonceHash: hashNonce(nonce)
+  }, OAUTH_STATE_EXPIRY);
+};
+
+/**
+ * Leer el state del callback; null si falta, expiró, es de otro proveedor
+ * o el navegador que vuelve no es el que inició el flujo
+ */
+const readOAuthState = (req, provider) => {
+  const state = req.query?.state;
+  if (!state) return null;
+  
+  let decoded;
+  
+  try {
+    decoded = verifyPurposeToken(state, OAUTH_STATE_PURPOSE);
+  } catch (error) {
+    console.warn(`⚠️  State OAuth inválido (${provider}): ${error.message}`);
+    return null;
+  }
+  
+  if (decoded.provider !== provider) return null;
+  
+  const nonce = readCookie(req, OAUTH_NONCE_COOKIE);
+  
+  if (!nonce || hashNonce(nonce) !== decoded.nonceHash) {
+    console.warn(`⚠️  State OAuth de otro navegador rechazado (${provider})`);
+    return null;
+  }
+  
+  return decoded;
+};
+
+/**
+ * Vincular un proveedor OAuth a un cliente existente
+ */
+const linkOAuthProvider = async (clientId, profile, provider) => {
+  const { Client } = require('../models');
+  const field = PROVIDER_FIELDS[provider];
+  
+  const client = await Client.scope('withPassword').findByPk(clientId);
+  
+  if (!client || !client.isActive) {
+    throw new Error('La cuenta a vincular no existe o está inactiva');
+  }
+  
+  const owner = await Client.findByOAuthId(provider, profile.id);
+  
+  if (owner && owner.id !== client.id) {
+    throw new Error(`Esta cuenta de ${provider} ya está vinculada a otro miembro`);
+  }
+  
+  await client.update({
+    [field]: profile.id,
+    authProvider: computeAuthProvider({
+      password: client.password,
+      googleId: client.googleId,
+      facebookId: client.facebookId,
+      [field]: profile.id
+    })
+  });
+  
+  console.log(`🔗 ${provider} vinculado a: ${client.email}`);
+  
+  // Marca para que el callback no emita tokens de login
+  client.linkedProvider = provider;
+  return client;
+};
+
+/**
+ * Desvincular un proveedor OAuth sin dejar la cuenta sin métodos de acceso
+ */
+const unlinkOAuthProvider = async (client, provider) => {
+  const field = PROVIDER_FIELDS[provider];
+  
+  if (!client[field]) {
+    const error = new Error(`Tu cuenta no tiene ${provider} vinculado`);
+    error.code = 'PROVIDER_NOT_LINKED';
+    throw error;
+  }
+  
+  const remaining = {
+    password: client.password,
+    googleId: client.googleId,
+    facebookId: client.facebookId,
+    [field]: null
+  };
+  
+  if (!remaining.password && !remaining.googleId && !remaining.facebookId) {
+    const error = new Error('No puedes quitar tu único método de inicio de sesión, crea una contraseña primero');
+    error.code = 'LAST_LOGIN_METHOD';
+    throw error;
+  }
+  
+  await client.update({
+    [field]: null,
+    authProvider: computeAuthProvider(remaining)
+  });
+  
+  console.log(`🔓 ${provider} desvinculado de: ${client.email}`);
+  return client;
+};
+
+/**
+ * Resolver el cliente del callback OAuth: vinculación explícita o login
+ */
+const resolveOAuthClient = async (req, profile, provider) => {
+  const oauthState = readOAuthState(req, provider);
+  
+  // Sin state válido el callback no viene de un flujo iniciado por nosotros
+  if (!oauthState) {
+    throw new Error('La solicitud de inicio de sesión expiró, intenta de nuevo');
+  }
+  
+  req.oauthState = oauthState;
+  
+  if (oauthState.linkClientId) {
+    return await linkOAuthProvider(oauthState.linkClientId, profile, provider);
+  }
+  
+  return await findOrCreateOAuthClient(profile, provider);
+};
+
 /**
  * Encontrar o crear cliente con OAuth
  */
@@ -163,21 +444,22 @@ const findOrCreateOAuthClient = async (profile, provider) => {
     }
     
     // Buscar por email para vincular cuentas
-    client = await Client.findActiveByEmail(profile.email);
+    client = await Client.scope('withPassword').findActiveByEmail(profile.email);
     
     if (client) {
       // Cliente existe con email pero sin OAuth - vincular cuenta
       const updateData = {
-        authProvider: client.authProvider === 'local' ? provider : 'multiple',
+        [PROVIDER_FIELDS[provider]]: profile.id,
         isEmailVerified: true,
         lastLogin: new Date()
       };
       
-      if (provider === 'google') {
-        updateData.googleId = profile.id;
-      } else if (provider === 'facebook') {
-        updateData.facebookId = profile.id;
-      }
+      updateData.authProvider = computeAuthProvider({
+        password: client.password,
+        googleId: client.googleId,
+        facebookId: client.facebookId,
+        ...updateData
+      });
       
       await client.update(updateData);
       console.log(`✅ Cuenta vinculada con ${provider}: ${client.email}`);
@@ -217,21 +499,16 @@ const findOrCreateOAuthClient = async (profile, provider) => {
 };
 
 /**
- * Generar URL de redirección con tokens
+ * Generar URL de redirección con parámetros de consulta
+ * Solo lleva el código de un solo uso: nunca tokens ni datos personales
  */
-const generateRedirectUrl = (baseUrl, tokens, userInfo = {}) => {
+const generateRedirectUrl = (baseUrl, params = {}) => {
   try {
     const url = new URL(baseUrl);
     
-    // Agregar tokens como parámetros de consulta
-    url.searchParams.set('access_token', tokens.accessToken);
-    url.searchParams.set('refresh_token', tokens.refreshToken);
-    url.searchParams.set('expires_in', tokens.accessTokenExpiry);
-    
-    // Agregar información básica del usuario
-    if (userInfo.id) url.searchParams.set('user_id', userInfo.id);
-    if (userInfo.email) url.searchParams.set('email', userInfo.email);
-    if (userInfo.firstName) url.searchParams.set('first_name', userInfo.firstName);
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
     
     return url.toString();
     
@@ -243,42 +520,32 @@ const generateRedirectUrl = (baseUrl, tokens, userInfo = {}) => {
 
 /**
  * Manejar callback exitoso de OAuth
+ * Emite un código de un solo uso; los tokens se entregan al canjearlo
  */
-const handleOAuthSuccess = async (client, clientType = 'web') => {
+const handleOAuthSuccess = async (client, provider, oauthState = {}) => {
   try {
-    const { generateTokenPair } = require('./jwt');
+    const { OAuthCode } = require('../models');
     
-    // Generar tokens para el cliente
-    const tokens = generateTokenPair({
-      id: client.id,
-      email: client.email,
-      type: 'client',
-      role: null,
-      permissions: {}
-    });
+    const clientType = oauthState.clientType || 'web';
+    const code = crypto.randomBytes(32).toString('hex');
     
-    const userInfo = {
-      id: client.id,
-      email: client.email,
-      firstName: client.firstName,
-      lastName: client.lastName
-    };
+    await OAuthCode.create({
+      codeHash: OAuthCode.hashCode(code),
+      clientId: client.id,
+      provider,
+      clientType,
+      codeChallenge: oauthState.codeChallenge || null,
+      expiresAt: new Date(Date.now() + OAUTH_CODE_TTL_SECONDS * 1000)
+    });
     
     // Generar URL de redirección según tipo de cliente
-    let redirectUrl;
-    
-    if (clientType === 'mobile') {
-      redirectUrl = generateRedirectUrl(OAUTH_CONFIG.redirectUrls.mobile, tokens, userInfo);
-    } else {
-      redirectUrl = generateRedirectUrl(OAUTH_CONFIG.redirectUrls.success, tokens, userInfo);
-    }
+    const baseUrl = clientType === 'mobile' ? OAUTH_CONFIG.redirectUrls.mobile : OAUTH_CONFIG.redirectUrls.success;
+    const redirectUrl = generateRedirectUrl(baseUrl, { code });
     
-    console.log(`✅ OAuth exitoso para: ${client.email} (${clientType})`);
+    console.log(`✅ OAuth exitoso para: ${client.email} (${clientType}), código emitido`);
     
     return {
       success: true,
-      tokens,
-      user: userInfo,
       redirectUrl
     };
     
@@ -288,6 +555,61 @@ const handleOAuthSuccess = async (client, clientType = 'web') => {
   }
 };
 
+/**
+ * Verificar el code_verifier PKCE contra el desafío guardado
+ */
+const verifyPkce = (codeVerifier, codeChallenge) => {
+  const computed = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  
+  return computed.length === codeChallenge.length &&
+    crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(codeChallenge));
+};
+
+/**
+ * Canjear un código de un solo uso por el par de tokens
+ */
+const exchangeOAuthCode = async (code, codeVerifier, clientInfo = {}) => {
+  const { OAuthCode, Client } = require('../models');
+  const { startSession } = require('./sessions');
+  
+  // Se consume antes de validar el verifier: un intento fallido quema el código
+  const entry = await OAuthCode.consume(code);
+  
+  if (!entry) {
+    throw oauthError('INVALID_OAUTH_CODE', 'El código es inválido, expiró o ya fue utilizado');
+  }
+  
+  if (entry.codeChallenge && (!codeVerifier || !verifyPkce(codeVerifier, entry.codeChallenge))) {
+    throw oauthError('INVALID_CODE_VERIFIER', 'El code_verifier no corresponde al code_challenge');
+  }
+  
+  const client = await Client.findByPk(entry.clientId);
+  
+  if (!client || !client.isActive) {
+    throw oauthError('INVALID_OAUTH_CODE', 'La cuenta asociada al código no está disponible');
+  }
+  
+  if (client.isSuspended()) {
+    throw oauthError('CLIENT_SUSPENDED', 'Tu membresía está suspendida, comunícate con recepción');
+  }
+  
+  const tokens = await startSession(client, 'client', { ...clientInfo, clientType: entry.clientType }, entry.provider);
+  
+  console.log(`🔄 Código OAuth canjeado: ${client.email} (${entry.provider})`);
+  
+  return { client, tokens };
+};
+
+/**
+ * URL de regreso después de vincular un proveedor desde el perfil
+ */
+const handleOAuthLinked = (provider, clientType = 'web') => {
+  const baseUrl = clientType === 'mobile' ? OAUTH_CONFIG.redirectUrls.mobile : OAUTH_CONFIG.redirectUrls.linked;
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  
+  return `${baseUrl}${separator}linked=${encodeURIComponent(provider)}`;
+};
+
 /**
  * Manejar error de OAuth
  */
@@ -373,9 +695,21 @@ module.exports = {
   processGoogleProfile,
   processFacebookProfile,
   findOrCreateOAuthClient,
+  resolveOAuthClient,
+  computeAuthProvider,
+  getLoginMethods,
+  setLinkCookie,
+  clearOAuthCookies,
+  buildOAuthState,
+  readOAuthState,
+  exchangeOAuthCode,
+  linkOAuthProvider,
+  unlinkOAuthProvider,
+  PROVIDER_FIELDS,
   generateRedirectUrl,
   handleOAuthSuccess,
   handleOAuthError,
+  handleOAuthLinked,
   getPassportConfig,
   isOAuthAvailable,
   getAvailableProviders
@@ -386,8 +720,11 @@ module.exports = {
  * ✅ Configuración OAuth para Google y Facebook
  * ✅ Procesamiento de perfiles OAuth
  * ✅ Vinculación automática de cuentas existentes
+ * ✅ Vinculación y desvinculación explícita con state firmado
+ * ✅ State atado al navegador con nonce en cookie httpOnly (sin tokens en la URL)
+ * ✅ Código de un solo uso + PKCE en lugar de tokens en la URL
  * ✅ Creación automática de clientes OAuth
- * ✅ Generación de URLs de redirección con tokens
+ * ✅ Generación de URLs de redirección con código de canje
  * ✅ Manejo de errores OAuth
  * ✅ Configuración para Passport strategies
  * ✅ Detección de providers disponibles
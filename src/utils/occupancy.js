@@ -0,0 +1,259 @@
+/**
+ * AFORO DEL GIMNASIO - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que sabe cuánta gente hay dentro del gimnasio
+ * Mi responsabilidad es contar las visitas abiertas (check-in sin check-out
+ * de clientes e invitados que entraron con su pase),
+ * aplicar el límite de aforo, registrar salidas y avisar en vivo a quien esté
+ * suscrito (pantalla del lobby y app móvil vía Server-Sent Events)
+ *
+ * Configuración:
+ * - GYM_CAPACITY: aforo máximo (0 = sin límite, por defecto)
+ * - GYM_CAPACITY_BLOCK_CHECKIN: si es 'false' el aforo lleno solo se informa
+ * - OCCUPANCY_MAX_STAY_HOURS: estancia máxima antes de la salida automática (por defecto 4)
+ * - OCCUPANCY_STREAM_TOKEN_EXPIRY: vigencia del token para abrir el stream (por defecto 60s)
+ *
+ * Los invitados no registran salida: cuentan desde la entrada con su pase
+ * hasta cumplir la estancia máxima
+ *
+ * El conteo siempre sale de la base de datos; los avisos en vivo son del
+ * proceso, por eso los suscriptores también reciben un refresco periódico
+ * que cubre las salidas y entradas registradas en otras instancias
+ *
+ * EventSource no permite headers propios: el navegador pide primero un token
+ * corto de propósito 'occupancy-stream' y lo manda en ?token= al abrir el stream
+ */
+
+const { EventEmitter } = require('events');
+const { recordAudit } = require('./audit');
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+
+const STREAM_REFRESH_MS = 30 * 1000;
+const STREAM_TOKEN_PURPOSE = 'occupancy-stream';
+const STREAM_TOKEN_EXPIRY = process.env.OCCUPANCY_STREAM_TOKEN_EXPIRY || '60s';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let refreshTimer = null;
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Configuración de aforo leída en cada uso (se puede cambiar sin reiniciar tests)
+ */
+const getCapacitySettings = () => ({
+  capacity: Math.max(0, parseInt(process.env.GYM_CAPACITY) || 0),
+  blockWhenFull: process.env.GYM_CAPACITY_BLOCK_CHECKIN !== 'false',
+  maxStayMinutes: Math.round((parseFloat(process.env.OCCUPANCY_MAX_STAY_HOURS) || 4) * 60)
+});
+
+/**
+ * Foto del aforo actual
+ */
+const getOccupancy = async () => {
+  const { CheckIn, GuestPass } = require('../models');
+  const { capacity, maxStayMinutes } = getCapacitySettings();
+
+  const [members, guests] = await Promise.all([
+    CheckIn.countOpen(maxStayMinutes),
+    GuestPass.countOpen(maxStayMinutes)
+  ]);
+  const current = members + guests;
+
+  return {
+    current,
+    members,
+    guests,
+    capacity: capacity || null,
+    available: capacity ? Math.max(0, capacity - current) : null,
+    percentage: capacity ? Math.min(100, Math.round((current / capacity) * 100)) : null,
+    isFull: capacity ? current >= capacity : false,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Enviar la foto actual a los suscriptores (nunca interrumpe a quien la llama)
+ */
+const publishOccupancy = async () => {
+  if (emitter.listenerCount('occupancy') === 0) return null;
+
+  try {
+    const occupancy = await getOccupancy();
+    emitter.emit('occupancy', occupancy);
+    return occupancy;
+  } catch (error) {
+    console.error('⚠️  No se pudo publicar el aforo:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Suscribirse a los cambios de aforo; devuelve la función para desuscribirse
+ */
+const subscribeOccupancy = (onUpdate, onClose = () => {}) => {
+  emitter.on('occupancy', onUpdate);
+  emitter.on('close', onClose);
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(publishOccupancy, STREAM_REFRESH_MS);
+    refreshTimer.unref();
+  }
+
+  return () => {
+    emitter.off('occupancy', onUpdate);
+    emitter.off('close', onClose);
+
+    if (emitter.listenerCount('occupancy') === 0 && refreshTimer) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    }
+  };
+};
+
+/**
+ * Cerrar todas las suscripciones (cierre del servidor)
+ */
+const closeOccupancyStreams = () => {
+  const open = emitter.listenerCount('close');
+  emitter.emit('close');
+  emitter.removeAllListeners();
+
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+
+  return open;
+};
+
+/**
+ * Token corto para abrir el stream sin headers (usuario, cliente o kiosco)
+ */
+const issueStreamToken = ({ user, kiosk }) => {
+  const subject = kiosk
+    ? `kiosk:${kiosk.id}`
+    : `${user.constructor.name.toLowerCase()}:${user.id}`;
+
+  return {
+    token: generatePurposeToken(STREAM_TOKEN_PURPOSE, subject, {}, STREAM_TOKEN_EXPIRY),
+    expiresIn: STREAM_TOKEN_EXPIRY
+  };
+};
+
+/**
+ * Validar el token del stream; devuelve el sujeto o lanza 401
+ */
+const verifyStreamToken = (token) => {
+  try {
+    return verifyPurposeToken(token, STREAM_TOKEN_PURPOSE).sub;
+  } catch (error) {
+    throw statusError(401, 'INVALID_STREAM_TOKEN', `Token del stream inválido: ${error.message}`);
+  }
+};
+
+/**
+ * Verificar si hay cupo para una entrada más
+ * Devuelve { occupancy } o { status, error } con el cuerpo de la respuesta
+ */
+const checkCapacity = async () => {
+  const { capacity, blockWhenFull } = getCapacitySettings();
+
+  if (!capacity) {
+    return { occupancy: null };
+  }
+
+  const occupancy = await getOccupancy();
+
+  if (occupancy.isFull && blockWhenFull) {
+    return {
+      status: 409,
+      error: {
+        error: 'Aforo completo',
+        message: `El gimnasio está al máximo de su capacidad (${occupancy.current}/${capacity}). Intenta en unos minutos`,
+        code: 'GYM_AT_CAPACITY',
+        occupancy
+      }
+    };
+  }
+
+  return { occupancy };
+};
+
+/**
+ * Registrar la salida de un cliente que está dentro
+ */
+const checkOutClient = async (req, client, { method = 'manual', recordedBy = null } = {}) => {
+  const { CheckIn } = require('../models');
+  const { maxStayMinutes } = getCapacitySettings();
+
+  const visit = await CheckIn.findOpenForClient(client.id, maxStayMinutes);
+
+  if (!visit) {
+    throw statusError(409, 'NOT_CHECKED_IN', 'El cliente no tiene una entrada abierta');
+  }
+
+  await visit.update({
+    checkedOutAt: new Date(),
+    checkOutMethod: method,
+    checkedOutBy: recordedBy
+  });
+
+  await recordAudit(req, {
+    action: 'client.checkout',
+    targetType: 'client',
+    targetId: client.id,
+    metadata: { checkInId: visit.id, method, stayMinutes: visit.getStayMinutes() }
+  });
+
+  publishOccupancy();
+
+  return visit;
+};
+
+/**
+ * Cerrar visitas que superaron la estancia máxima (tarea programada)
+ */
+const autoCheckOut = async () => {
+  const { CheckIn } = require('../models');
+  const { maxStayMinutes } = getCapacitySettings();
+
+  const closed = await CheckIn.closeStale(maxStayMinutes);
+
+  if (closed > 0) {
+    console.log(`🚪 ${closed} visitas cerradas por estancia máxima (${maxStayMinutes} min)`);
+    publishOccupancy();
+  }
+
+  return closed;
+};
+
+module.exports = {
+  getCapacitySettings,
+  getOccupancy,
+  publishOccupancy,
+  subscribeOccupancy,
+  closeOccupancyStreams,
+  issueStreamToken,
+  verifyStreamToken,
+  checkCapacity,
+  checkOutClient,
+  autoCheckOut
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Conteo de visitas abiertas (clientes e invitados) y límite de aforo
+ * ✅ Salida manual, por kiosco y automática
+ * ✅ Avisos en vivo para Server-Sent Events
+ * ✅ Token corto para abrir el stream desde el navegador
+ */
@@ -0,0 +1,203 @@
+/**
+ * RECUPERACIÓN DE CONTRASEÑA - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que maneja el flujo de "olvidé mi contraseña"
+ * Mi responsabilidad es emitir enlaces de recuperación de un solo uso
+ * y aplicar la nueva contraseña cerrando todas las sesiones abiertas
+ *
+ * Características implementadas:
+ * - Tokens aleatorios de 256 bits, en base de datos solo su hash
+ * - Expiración configurable (PASSWORD_RESET_EXPIRES_MINUTES)
+ * - Un token nuevo invalida los anteriores de la misma cuenta
+ * - Desbloqueo de la cuenta (loginAttempts / lockedUntil) al restablecer
+ * - Clientes con contraseña local y administradores
+ */
+
+const crypto = require('crypto');
+const { sendMail, escapeHtml } = require('./mailer');
+const { revokeAllSessions } = require('./sessions');
+
+const RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const SETUP_EXPIRY_HOURS = parseInt(process.env.SETUP_LINK_EXPIRES_HOURS) || 72;
+
+/**
+ * Buscar cuenta activa por email según el tipo
+ */
+const findAccountByEmail = async (email, accountType) => {
+  const { User, Client } = require('../models');
+  const normalizedEmail = email.toLowerCase();
+
+  if (accountType === 'user') {
+    return await User.findOne({ where: { email: normalizedEmail, isActive: true } });
+  }
+
+  const client = await Client.scope('withPassword').findOne({
+    where: { email: normalizedEmail, isActive: true }
+  });
+
+  // Las cuentas creadas solo con Google/Facebook no tienen contraseña que recuperar
+  return client && client.password ? client : null;
+};
+
+/**
+ * URL del frontend donde el usuario escribe su nueva contraseña
+ */
+const buildResetUrl = (token, accountType) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+  const path = accountType === 'user' ? '/admin/reset-password' : '/auth/reset-password';
+  return `${frontendUrl}${path}?token=${token}`;
+};
+
+/**
+ * Crear un token de un solo uso (invalida los pendientes de la cuenta)
+ */
+const issueResetToken = async (account, accountType, expiryMinutes, requestedIp = null) => {
+  const { PasswordResetToken } = require('../models');
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await PasswordResetToken.invalidatePending(account.id, accountType);
+  await PasswordResetToken.create({
+    tokenHash: PasswordResetToken.hashToken(token),
+    accountId: account.id,
+    accountType,
+    expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+    requestedIp
+  });
+
+  return token;
+};
+
+/**
+ * Enviar enlace para elegir contraseña a una cuenta creada por el staff
+ * (por ejemplo, un invitado convertido en cliente); usa el mismo flujo
+ * de /reset-password pero con vigencia de SETUP_LINK_EXPIRES_HOURS
+ */
+const sendAccountSetupLink = async (account, accountType = 'client') => {
+  const token = await issueResetToken(account, accountType, SETUP_EXPIRY_HOURS * 60);
+  const setupUrl = buildResetUrl(token, accountType);
+
+  await sendMail({
+    to: account.email,
+    subject: 'Bienvenido a Elite Fitness Club - Activa tu cuenta',
+    text: [
+      `Hola ${account.firstName},`,
+      '',
+      'Creamos tu cuenta de miembro. Abre este enlace para elegir tu contraseña:',
+      setupUrl,
+      '',
+      `El enlace vence en ${SETUP_EXPIRY_HOURS} horas. Si vence, usa "Olvidé mi contraseña" en la app.`
+    ].join('\n'),
+    html: `
+      <p>Hola ${escapeHtml(account.firstName)},</p>
+      <p>Creamos tu cuenta de miembro.</p>
+      <p><a href="${setupUrl}">Elegir mi contraseña</a></p>
+      <p>El enlace vence en ${SETUP_EXPIRY_HOURS} horas.</p>
+    `
+  });
+
+  console.log(`🔑 Enlace de activación enviado a: ${account.email} (${accountType})`);
+};
+
+/**
+ * Solicitar recuperación de contraseña
+ * No revela si el email existe: si no hay cuenta simplemente no se envía nada
+ */
+const requestPasswordReset = async (email, accountType = 'client', requestedIp = null) => {
+  const account = await findAccountByEmail(email, accountType);
+
+  if (!account) {
+    console.log(`⚠️  Recuperación solicitada para cuenta inexistente o sin contraseña: ${email} (${accountType})`);
+    return false;
+  }
+
+  const token = await issueResetToken(account, accountType, RESET_EXPIRY_MINUTES, requestedIp);
+  const resetUrl = buildResetUrl(token, accountType);
+
+  await sendMail({
+    to: account.email,
+    subject: 'Recupera tu contraseña - Elite Fitness Club',
+    text: [
+      `Hola ${account.firstName},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña. Abre este enlace para elegir una nueva:',
+      resetUrl,
+      '',
+      `El enlace vence en ${RESET_EXPIRY_MINUTES} minutos y solo puede usarse una vez.`,
+      'Si no fuiste tú, ignora este correo: tu contraseña actual sigue funcionando.'
+    ].join('\n'),
+    html: `
+      <p>Hola ${escapeHtml(account.firstName)},</p>
+      <p>Recibimos una solicitud para restablecer tu contraseña.</p>
+      <p><a href="${resetUrl}">Elegir nueva contraseña</a></p>
+      <p>El enlace vence en ${RESET_EXPIRY_MINUTES} minutos y solo puede usarse una vez.</p>
+      <p>Si no fuiste tú, ignora este correo: tu contraseña actual sigue funcionando.</p>
+    `
+  });
+
+  console.log(`🔑 Enlace de recuperación enviado a: ${account.email} (${accountType})`);
+  return true;
+};
+
+/**
+ * Restablecer contraseña con un token de recuperación
+ */
+const resetPassword = async (token, newPassword) => {
+  const { User, Client, PasswordResetToken } = require('../models');
+
+  const resetToken = await PasswordResetToken.consume(token);
+
+  if (!resetToken) {
+    const error = new Error('El enlace de recuperación no es válido o ya expiró');
+    error.code = 'INVALID_RESET_TOKEN';
+    throw error;
+  }
+
+  const Model = resetToken.accountType === 'user' ? User : Client;
+  const account = await Model.findByPk(resetToken.accountId);
+
+  if (!account || !account.isActive) {
+    const error = new Error('La cuenta ya no está disponible');
+    error.code = 'INVALID_RESET_TOKEN';
+    throw error;
+  }
+
+  // El hook beforeUpdate se encarga del hash; también se desbloquea la cuenta
+  await account.update({
+    password: newPassword,
+    loginAttempts: 0,
+    lockedUntil: null
+  });
+
+  const revokedSessions = await revokeAllSessions(account.id, resetToken.accountType, {
+    reason: 'password_reset'
+  });
+
+  console.log(`✅ Contraseña restablecida: ${account.email} (${resetToken.accountType})`);
+
+  // Aviso de seguridad (un fallo de correo no revierte el cambio)
+  try {
+    await sendMail({
+      to: account.email,
+      subject: 'Tu contraseña fue cambiada - Elite Fitness Club',
+      text: `Hola ${account.firstName}, tu contraseña fue restablecida y cerramos tus sesiones abiertas. Si no fuiste tú, contacta al gimnasio de inmediato.`
+    });
+  } catch (mailError) {
+    console.error('⚠️  No se pudo enviar aviso de contraseña cambiada:', mailError.message);
+  }
+
+  return { account, accountType: resetToken.accountType, revokedSessions };
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendAccountSetupLink
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Solicitud de recuperación sin enumeración de cuentas
+ * ✅ Tokens de un solo uso con expiración
+ * ✅ Desbloqueo de cuenta y cierre de sesiones al restablecer
+ */
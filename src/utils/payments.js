@@ -0,0 +1,210 @@
+/**
+ * PAGOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo con la lógica del libro de pagos
+ * Mi responsabilidad es registrar cobros con su número de recibo y
+ * corregirlos solo con asientos compensatorios (anulación o reembolso)
+ *
+ * Reglas:
+ * - Una anulación compensa el pago completo y solo si no tiene reembolsos
+ * - Los reembolsos pueden ser parciales, sin superar lo que queda del pago
+ * - Anulaciones y reembolsos también llevan número de recibo propio
+ */
+
+const { recordAudit } = require('./audit');
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Los montos DECIMAL llegan como texto desde PostgreSQL
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Registrar un cobro a un cliente
+ * Para invitados client es null y options.payerName lleva el nombre del recibo;
+ * options.transaction permite cobrar dentro de una operación mayor (la
+ * auditoría se registra solo cuando esa operación confirma)
+ */
+const recordPayment = async (req, client, { concept, description, membershipId, method, amount, reference }, options = {}) => {
+  const { Payment, Membership, ReceiptSequence, sequelize } = require('../models');
+
+  if (membershipId && client) {
+    const membership = await Membership.findOne({ where: { id: membershipId, clientId: client.id } });
+
+    if (!membership) {
+      throw statusError(400, 'MEMBERSHIP_NOT_FOUND', 'La membresía no existe o no pertenece al cliente');
+    }
+  }
+
+  const create = async (transaction) => {
+    const receiptNumber = await ReceiptSequence.next(transaction);
+
+    return await Payment.create({
+      receiptNumber,
+      entryType: 'payment',
+      clientId: client ? client.id : null,
+      clientName: client ? client.getFullName() : options.payerName,
+      concept,
+      description,
+      membershipId: (client && membershipId) || null,
+      method,
+      amount: fromCents(toCents(amount)),
+      reference: reference || null,
+      recordedBy: req.user.id,
+      recordedByName: req.user.getFullName()
+    }, { transaction });
+  };
+
+  const audit = async (created) => await recordAudit(req, {
+    action: 'payment.create',
+    targetType: client ? 'client' : 'payment',
+    targetId: client ? client.id : created.id,
+    metadata: { paymentId: created.id, receiptNumber: created.receiptNumber, amount: created.amount, method }
+  });
+
+  if (options.transaction) {
+    const created = await create(options.transaction);
+    // Si la operación mayor se revierte, el cobro nunca existió
+    options.transaction.afterCommit(() => audit(created));
+    return created;
+  }
+
+  const payment = await sequelize.transaction(create);
+  await audit(payment);
+
+  return payment;
+};
+
+/**
+ * Registrar una anulación o reembolso de un pago
+ * Sin amount, el reembolso devuelve todo lo que queda del pago
+ */
+const compensatePayment = async (req, paymentId, { entryType, amount, reason, method }) => {
+  const { Payment, ReceiptSequence, sequelize } = require('../models');
+
+  const { original, entry } = await sequelize.transaction(async (transaction) => {
+    // Bloquear el pago original para que dos cajas no lo compensen a la vez
+    const payment = await Payment.findByPk(paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!payment) {
+      throw statusError(404, 'PAYMENT_NOT_FOUND', 'No existe un pago con el ID especificado');
+    }
+
+    if (payment.entryType !== 'payment') {
+      throw statusError(400, 'NOT_A_PAYMENT', 'Solo se pueden anular o reembolsar pagos, no otros ajustes');
+    }
+
+    const adjustments = await Payment.findAll({ where: { originalPaymentId: payment.id }, transaction });
+
+    if (adjustments.some(adjustment => adjustment.entryType === 'void')) {
+      throw statusError(409, 'PAYMENT_ALREADY_VOIDED', 'El pago ya fue anulado');
+    }
+
+    const remaining = toCents(payment.amount) + adjustments.reduce((sum, adjustment) => sum + toCents(adjustment.amount), 0);
+    let cents;
+
+    if (entryType === 'void') {
+      if (adjustments.length > 0) {
+        throw statusError(409, 'PAYMENT_HAS_REFUNDS', 'El pago tiene reembolsos, no se puede anular');
+      }
+
+      cents = remaining;
+    } else {
+      cents = amount !== undefined ? toCents(amount) : remaining;
+
+      if (remaining <= 0) {
+        throw statusError(409, 'PAYMENT_FULLY_REFUNDED', 'El pago ya fue reembolsado por completo');
+      }
+
+      if (cents > remaining) {
+        throw statusError(400, 'REFUND_EXCEEDS_BALANCE', `El reembolso no puede superar Q${fromCents(remaining)}`);
+      }
+    }
+
+    const receiptNumber = await ReceiptSequence.next(transaction);
+
+    const compensation = await Payment.create({
+      receiptNumber,
+      entryType,
+      clientId: payment.clientId,
+      clientName: payment.clientName,
+      concept: payment.concept,
+      description: `${entryType === 'void' ? 'Anulación' : 'Reembolso'} de ${payment.receiptNumber}`,
+      membershipId: payment.membershipId,
+      method: method || payment.method,
+      amount: fromCents(-cents),
+      currency: payment.currency,
+      originalPaymentId: payment.id,
+      reason,
+      recordedBy: req.user.id,
+      recordedByName: req.user.getFullName()
+    }, { transaction });
+
+    return { original: payment, entry: compensation };
+  });
+
+  // Los pases de día de invitados no tienen cliente: se auditan sobre el pago
+  await recordAudit(req, {
+    action: `payment.${entryType}`,
+    targetType: original.clientId ? 'client' : 'payment',
+    targetId: original.clientId || original.id,
+    metadata: {
+      paymentId: original.id,
+      receiptNumber: original.receiptNumber,
+      adjustmentReceipt: entry.receiptNumber,
+      amount: entry.amount,
+      reason
+    }
+  });
+
+  return { original, entry };
+};
+
+/**
+ * Sumar montos de una lista de movimientos (en quetzales)
+ */
+const sumPayments = (payments) => fromCents(payments.reduce((sum, payment) => sum + toCents(payment.amount), 0));
+
+/**
+ * Representación imprimible de un movimiento
+ */
+const formatReceipt = (payment) => ({
+  id: payment.id,
+  receiptNumber: payment.receiptNumber,
+  entryType: payment.entryType,
+  date: payment.createdAt,
+  clientId: payment.clientId,
+  clientName: payment.clientName,
+  concept: payment.concept,
+  description: payment.description,
+  membershipId: payment.membershipId,
+  method: payment.method,
+  amount: payment.amount,
+  currency: payment.currency,
+  reference: payment.reference,
+  originalPaymentId: payment.originalPaymentId,
+  reason: payment.reason,
+  recordedBy: payment.recordedByName
+});
+
+module.exports = {
+  recordPayment,
+  compensatePayment,
+  sumPayments,
+  formatReceipt
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Cobros con recibo correlativo
+ * ✅ Anulaciones y reembolsos parciales como asientos compensatorios
+ * ✅ Formato de recibo imprimible
+ */
@@ -0,0 +1,204 @@
+/**
+ * VERIFICACIÓN DE TELÉFONO POR SMS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que maneja el envío y la confirmación de códigos SMS
+ * Mi responsabilidad es marcar el teléfono del cliente como verificado
+ * solo cuando demuestra que recibe mensajes en ese número
+ *
+ * Características implementadas:
+ * - Códigos numéricos cortos (PHONE_OTP_LENGTH, por defecto 6)
+ * - Expiración (PHONE_OTP_EXPIRES_MINUTES) e intentos limitados (PHONE_OTP_MAX_ATTEMPTS)
+ * - Espera mínima entre reenvíos y máximo de envíos por hora
+ * - Un número verificado no puede verificarse en otra cuenta
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sendSms, normalizePhone } = require('./sms');
+
+const PHONE_OTP_CONFIG = {
+  length: parseInt(process.env.PHONE_OTP_LENGTH) || 6,
+  expiresMinutes: parseInt(process.env.PHONE_OTP_EXPIRES_MINUTES) || 10,
+  maxAttempts: parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5,
+  resendSeconds: parseInt(process.env.PHONE_OTP_RESEND_SECONDS) || 60,
+  maxPerHour: parseInt(process.env.PHONE_OTP_MAX_PER_HOUR) || 5
+};
+
+/**
+ * Error con código y estado HTTP para que el controlador responda
+ */
+const phoneError = (status, code, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Ocultar el número para respuestas (+502****5678)
+ */
+const maskPhone = (phone) => phone.replace(/^(\+\d{3})\d+(\d{4})$/, '$1****$2');
+
+/**
+ * Generar código numérico aleatorio
+ */
+const generateOtp = () => {
+  return String(crypto.randomInt(0, 10 ** PHONE_OTP_CONFIG.length)).padStart(PHONE_OTP_CONFIG.length, '0');
+};
+
+/**
+ * Enviar código de verificación al teléfono del cliente
+ * Si se indica un número nuevo, se verifica ese y pasa al perfil al confirmar
+ */
+const startPhoneVerification = async (client, requestedPhone = null) => {
+  const { Client, PhoneVerification } = require('../models');
+
+  const rawPhone = requestedPhone || client.phone;
+  if (!rawPhone) {
+    throw phoneError(400, 'PHONE_REQUIRED', 'Agrega un número de teléfono para verificarlo');
+  }
+
+  const phone = normalizePhone(rawPhone);
+
+  if (client.isPhoneVerified && client.phone && normalizePhone(client.phone) === phone) {
+    throw phoneError(400, 'PHONE_ALREADY_VERIFIED', 'Este número ya está verificado en tu cuenta');
+  }
+
+  const phoneInUse = await Client.findOne({
+    where: { phone, isPhoneVerified: true, id: { [Op.ne]: client.id } }
+  });
+
+  if (phoneInUse) {
+    throw phoneError(409, 'PHONE_IN_USE', 'Este número ya está verificado en otra cuenta');
+  }
+
+  // Espera mínima entre reenvíos
+  const pending = await PhoneVerification.findPendingForClient(client.id);
+  if (pending) {
+    const secondsSinceLast = (Date.now() - pending.createdAt.getTime()) / 1000;
+
+    if (secondsSinceLast < PHONE_OTP_CONFIG.resendSeconds) {
+      const retryAfter = Math.ceil(PHONE_OTP_CONFIG.resendSeconds - secondsSinceLast);
+      throw phoneError(429, 'PHONE_CODE_COOLDOWN', `Espera ${retryAfter} segundos para pedir otro código`, { retryAfter });
+    }
+  }
+
+  // Máximo de SMS por hora
+  const recent = await PhoneVerification.countRecentForClient(client.id, 60 * 60 * 1000);
+  if (recent >= PHONE_OTP_CONFIG.maxPerHour) {
+    throw phoneError(429, 'PHONE_CODE_LIMIT', 'Solicitaste demasiados códigos, intenta de nuevo en una hora', {
+      retryAfter: 3600
+    });
+  }
+
+  // Un código nuevo invalida los anteriores
+  await PhoneVerification.update(
+    { invalidatedAt: new Date() },
+    { where: { clientId: client.id, verifiedAt: null, invalidatedAt: null } }
+  );
+
+  const id = crypto.randomUUID();
+  const code = generateOtp();
+  const expiresAt = new Date(Date.now() + PHONE_OTP_CONFIG.expiresMinutes * 60 * 1000);
+
+  await PhoneVerification.create({
+    id,
+    clientId: client.id,
+    phone,
+    codeHash: PhoneVerification.hashCode(id, code),
+    expiresAt
+  });
+
+  await sendSms({
+    to: phone,
+    body: `Tu código de verificación de Elite Fitness Club es ${code}. Vence en ${PHONE_OTP_CONFIG.expiresMinutes} minutos.`
+  });
+
+  console.log(`📱 Código de verificación enviado a ${maskPhone(phone)} (cliente ${client.email})`);
+
+  return {
+    phone: maskPhone(phone),
+    expiresAt,
+    resendAfterSeconds: PHONE_OTP_CONFIG.resendSeconds
+  };
+};
+
+/**
+ * Validar el secreto de los códigos; lanza error si el servidor no debe arrancar
+ */
+const assertPhoneOtpConfiguration = () => {
+  const { PhoneVerification } = require('../models');
+  PhoneVerification.getHashSecret();
+};
+
+/**
+ * Confirmar código recibido por SMS
+ */
+const confirmPhoneVerification = async (client, code) => {
+  const { Client, PhoneVerification, sequelize } = require('../models');
+
+  const pending = await PhoneVerification.findPendingForClient(client.id);
+
+  if (!pending) {
+    throw phoneError(400, 'PHONE_CODE_EXPIRED', 'No hay un código vigente, solicita uno nuevo');
+  }
+
+  // El intento se reserva antes de comparar: adivinanzas en paralelo no pasan del máximo
+  const claimed = await PhoneVerification.claimAttempt(pending.id, PHONE_OTP_CONFIG.maxAttempts);
+
+  if (!claimed) {
+    throw phoneError(400, 'PHONE_CODE_ATTEMPTS_EXCEEDED', 'Demasiados intentos fallidos, solicita un código nuevo');
+  }
+
+  await pending.reload();
+
+  if (!pending.matchesCode(code)) {
+    const exhausted = pending.attempts >= PHONE_OTP_CONFIG.maxAttempts;
+
+    if (exhausted) {
+      await pending.update({ invalidatedAt: new Date() });
+      throw phoneError(400, 'PHONE_CODE_ATTEMPTS_EXCEEDED', 'Demasiados intentos fallidos, solicita un código nuevo');
+    }
+
+    throw phoneError(400, 'INVALID_PHONE_CODE', 'El código no es correcto', {
+      attemptsRemaining: PHONE_OTP_CONFIG.maxAttempts - pending.attempts
+    });
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    // Otra cuenta pudo verificar el mismo número mientras este código estaba pendiente
+    const phoneInUse = await Client.findOne({
+      where: { phone: pending.phone, isPhoneVerified: true, id: { [Op.ne]: client.id } },
+      transaction
+    });
+
+    if (phoneInUse) {
+      throw phoneError(409, 'PHONE_IN_USE', 'Este número ya está verificado en otra cuenta');
+    }
+
+    await pending.update({ verifiedAt: new Date() }, { transaction });
+    await client.update({
+      phone: pending.phone,
+      isPhoneVerified: true
+    }, { transaction });
+  });
+
+  console.log(`✅ Teléfono verificado: ${maskPhone(pending.phone)} (cliente ${client.email})`);
+
+  return { phone: pending.phone };
+};
+
+module.exports = {
+  assertPhoneOtpConfiguration,
+  startPhoneVerification,
+  confirmPhoneVerification,
+  PHONE_OTP_CONFIG
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Envío de códigos con espera y límite por hora
+ * ✅ Confirmación con intentos limitados (reservados de forma atómica)
+ * ✅ Número único verificado por cuenta
+ */
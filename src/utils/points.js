@@ -0,0 +1,307 @@
+/**
+ * UTILIDADES DEL LIBRO DE PUNTOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que administra el libro de puntos (points_transactions)
+ * Mi responsabilidad es ofrecer los ajustes manuales, las reversiones, el
+ * historial y el vencimiento de puntos; el cambio de saldo en sí siempre pasa
+ * por applyPointsChange de gamification.js
+ *
+ * Características implementadas:
+ * - Ajustes manuales positivos o negativos (los descuentos exigen motivo)
+ * - Reversión de cualquier movimiento una sola vez
+ * - Historial paginado con lo que está por vencer
+ * - Vencimiento de créditos con más de POINTS_EXPIRY_MONTHS meses
+ */
+
+const { Op } = require('sequelize');
+const { recordAudit } = require('./audit');
+const { applyPointsChange, getLevelInfo, getPointsExpiryMonths } = require('./gamification');
+
+// Días hacia adelante que se muestran como "por vencer" en el historial
+const EXPIRY_WARNING_DAYS = 30;
+
+/**
+ * Error con código para que los controladores elijan el status HTTP
+ */
+const statusError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Actor del movimiento a partir de la petición (usuario del staff o cliente)
+ */
+const getActor = (req) => {
+  if (!req || !req.user) {
+    return null;
+  }
+
+  return { id: req.user.id, type: req.user.constructor.name.toLowerCase() };
+};
+
+/**
+ * Ajuste manual de puntos por un admin
+ */
+const adjustPoints = async (req, client, points, reason) => {
+  if (!Number.isInteger(points) || points === 0) {
+    throw statusError(400, 'INVALID_POINTS', 'Debes especificar una cantidad de puntos distinta de cero');
+  }
+
+  if (points < 0 && !reason) {
+    throw statusError(400, 'REASON_REQUIRED', 'Los descuentos de puntos requieren un motivo');
+  }
+
+  if (points < 0 && client.points + points < 0) {
+    throw statusError(400, 'INSUFFICIENT_POINTS', `El cliente solo tiene ${client.points} puntos`);
+  }
+
+  const change = await applyPointsChange(client, points, {
+    source: 'manual',
+    reason,
+    actor: getActor(req)
+  });
+
+  await recordAudit(req, {
+    action: points > 0 ? 'client.points.add' : 'client.points.deduct',
+    targetType: 'client',
+    targetId: client.id,
+    before: { points: change.pointsBefore, level: change.levelBefore },
+    after: { points: change.pointsAfter, level: change.levelAfter },
+    metadata: { points, reason, transactionId: change.ledgerEntry ? change.ledgerEntry.id : null }
+  });
+
+  return change;
+};
+
+/**
+ * Revertir un movimiento del libro (crea el movimiento contrario)
+ */
+const reverseTransaction = async (req, client, transactionId, reason) => {
+  const { PointsTransaction } = require('../models');
+
+  const original = await PointsTransaction.findOne({
+    where: { id: transactionId, clientId: client.id }
+  });
+
+  if (!original) {
+    throw statusError(404, 'POINTS_TRANSACTION_NOT_FOUND', 'No existe ese movimiento de puntos para el cliente');
+  }
+
+  if (original.source === 'reversal') {
+    throw statusError(400, 'REVERSAL_NOT_ALLOWED', 'Una reversión no se puede revertir');
+  }
+
+  const existing = await PointsTransaction.count({ where: { reversedTransactionId: original.id } });
+
+  if (existing > 0) {
+    throw statusError(409, 'ALREADY_REVERSED', 'Este movimiento ya fue revertido');
+  }
+
+  if (original.amount > 0 && client.points < original.amount) {
+    throw statusError(400, 'INSUFFICIENT_POINTS', `El cliente solo tiene ${client.points} puntos para revertir ${original.amount}`);
+  }
+
+  let change;
+
+  try {
+    change = await applyPointsChange(client, -original.amount, {
+      source: 'reversal',
+      sourceId: original.sourceId,
+      reason,
+      actor: getActor(req),
+      reversedTransactionId: original.id,
+      consumeFrom: original.id
+    });
+  } catch (error) {
+    // Dos reversiones simultáneas: el índice único deja pasar solo una
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw statusError(409, 'ALREADY_REVERSED', 'Este movimiento ya fue revertido');
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'client.points.reverse',
+    targetType: 'client',
+    targetId: client.id,
+    before: { points: change.pointsBefore, level: change.levelBefore },
+    after: { points: change.pointsAfter, level: change.levelAfter },
+    metadata: {
+      reversedTransactionId: original.id,
+      reversedSource: original.source,
+      reversedAmount: original.amount,
+      reason,
+      transactionId: change.ledgerEntry.id
+    }
+  });
+
+  return { original, change };
+};
+
+/**
+ * Historial paginado del libro de un cliente con saldo y puntos por vencer
+ */
+const getPointsHistory = async (client, { page = 1, limit = 20, source } = {}, { includeActor = false } = {}) => {
+  const { PointsTransaction } = require('../models');
+
+  const where = { clientId: client.id };
+
+  if (source) {
+    where.source = source;
+  }
+
+  const { count, rows } = await PointsTransaction.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const reversals = rows.length > 0
+    ? await PointsTransaction.findAll({
+      where: { reversedTransactionId: { [Op.in]: rows.map(row => row.id) } },
+      attributes: ['id', 'reversedTransactionId']
+    })
+    : [];
+  const reversedBy = new Map(reversals.map(entry => [entry.reversedTransactionId, entry.id]));
+
+  const warningLimit = new Date(Date.now() + EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+  const expiring = await PointsTransaction.findOne({
+    where: {
+      clientId: client.id,
+      remaining: { [Op.gt]: 0 },
+      expiresAt: { [Op.gt]: new Date(), [Op.lte]: warningLimit }
+    },
+    attributes: [
+      [PointsTransaction.sequelize.fn('SUM', PointsTransaction.sequelize.col('remaining')), 'points'],
+      [PointsTransaction.sequelize.fn('MIN', PointsTransaction.sequelize.col('expiresAt')), 'nextExpiresAt']
+    ],
+    raw: true
+  });
+
+  const totalPages = Math.ceil(count / limit);
+  const levelInfo = getLevelInfo(client.points);
+
+  return {
+    balance: {
+      points: client.points,
+      level: client.level,
+      levelName: levelInfo.name,
+      expiryMonths: getPointsExpiryMonths() || null,
+      expiringSoon: {
+        days: EXPIRY_WARNING_DAYS,
+        points: parseInt(expiring?.points) || 0,
+        nextExpiresAt: expiring?.nextExpiresAt || null
+      }
+    },
+    transactions: rows.map(entry => ({
+      id: entry.id,
+      amount: entry.amount,
+      balanceAfter: entry.balanceAfter,
+      source: entry.source,
+      sourceId: entry.sourceId,
+      reason: entry.reason,
+      actorType: entry.actorType,
+      ...(includeActor && { actorId: entry.actorId }),
+      reversedTransactionId: entry.reversedTransactionId,
+      reversedBy: reversedBy.get(entry.id) || null,
+      expiresAt: entry.expiresAt,
+      remaining: entry.remaining,
+      createdAt: entry.createdAt
+    })),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: count,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    },
+    filters: { source: source || null }
+  };
+};
+
+/**
+ * Vencer los créditos cuyo plazo terminó (tarea programada)
+ * Cada cliente recibe un solo movimiento 'expiry' por lo que le quedaba
+ */
+const expirePoints = async () => {
+  const { Client, PointsTransaction, sequelize } = require('../models');
+
+  const now = new Date();
+  const credits = await PointsTransaction.findExpiredCredits(now);
+  const clientIds = [...new Set(credits.map(credit => credit.clientId))];
+
+  let expiredPoints = 0;
+  let clientsAffected = 0;
+
+  for (const clientId of clientIds) {
+    const client = await Client.findByPk(clientId);
+
+    if (!client) continue;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Releer con bloqueo: un gasto simultáneo pudo consumir parte del crédito
+      const pending = await PointsTransaction.findAll({
+        where: { clientId, remaining: { [Op.gt]: 0 }, expiresAt: { [Op.lte]: now } },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const total = pending.reduce((sum, credit) => sum + credit.remaining, 0);
+
+      if (total === 0) {
+        return null;
+      }
+
+      for (const credit of pending) {
+        await credit.update({ remaining: 0 }, { transaction });
+      }
+
+      return await applyPointsChange(client, -total, {
+        transaction,
+        source: 'expiry',
+        reason: `Vencimiento de ${pending.length} crédito(s) de puntos`,
+        consume: false
+      });
+    });
+
+    if (!result || !result.ledgerEntry) continue;
+
+    expiredPoints += -result.ledgerEntry.amount;
+    clientsAffected++;
+
+    await recordAudit(null, {
+      action: 'client.points.expire',
+      targetType: 'client',
+      targetId: client.id,
+      before: { points: result.pointsBefore, level: result.levelBefore },
+      after: { points: result.pointsAfter, level: result.levelAfter },
+      metadata: { transactionId: result.ledgerEntry.id }
+    });
+  }
+
+  if (clientsAffected > 0) {
+    console.log(`⌛ Puntos vencidos: ${expiredPoints} puntos de ${clientsAffected} clientes`);
+  }
+
+  return { clientsAffected, expiredPoints };
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  adjustPoints,
+  reverseTransaction,
+  getPointsHistory,
+  expirePoints
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Ajustes manuales con motivo y actor
+ * ✅ Reversiones enlazadas al movimiento original
+ * ✅ Historial paginado con puntos por vencer
+ * ✅ Vencimiento programado de créditos
+ */
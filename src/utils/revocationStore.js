@@ -0,0 +1,150 @@
+/**
+ * ALMACÉN DE REVOCACIÓN DE TOKENS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que define dónde se guardan los tokens revocados
+ * Mi responsabilidad es ofrecer una interfaz única para revocar y consultar
+ * tokens, de modo que el backend pueda cambiar de almacén sin tocar jwt.js
+ *
+ * Interfaz que todo almacén debe implementar (todas las funciones son async):
+ * - revoke(jti, expiresAt, metadata) -> Registrar un jti como revocado
+ * - isRevoked(jti) -> true si el jti está revocado y no ha expirado
+ * - purgeExpired() -> Eliminar entradas expiradas, devuelve cuántas se eliminaron
+ *
+ * Almacenes incluidos:
+ * - database: Tabla revoked_tokens en PostgreSQL (por defecto)
+ * - memory: Map en memoria del proceso (solo para desarrollo y tests aislados)
+ *
+ * Un adaptador tipo Redis solo necesita implementar las tres funciones
+ * (por ejemplo SET con EX para revoke y EXISTS para isRevoked) y registrarse
+ * con setRevocationStore()
+ */
+
+const REQUIRED_METHODS = ['revoke', 'isRevoked', 'purgeExpired'];
+
+/**
+ * Almacén respaldado por la base de datos (tabla revoked_tokens)
+ */
+const createDatabaseStore = () => {
+  // Importación diferida para evitar dependencias circulares con los modelos
+  const getModel = () => require('../models').RevokedToken;
+
+  return {
+    name: 'database',
+
+    revoke: async (jti, expiresAt, metadata = {}) => {
+      await getModel().upsert({
+        jti,
+        expiresAt,
+        tokenType: metadata.tokenType || 'access',
+        userId: metadata.userId || null,
+        userType: metadata.userType || null,
+        reason: metadata.reason || 'logout'
+      });
+    },
+
+    isRevoked: async (jti) => {
+      return await getModel().isRevoked(jti);
+    },
+
+    purgeExpired: async () => {
+      return await getModel().purgeExpired();
+    }
+  };
+};
+
+/**
+ * Almacén en memoria (no sobrevive reinicios ni se comparte entre instancias)
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    revoke: async (jti, expiresAt) => {
+      entries.set(jti, new Date(expiresAt).getTime());
+    },
+
+    isRevoked: async (jti) => {
+      const expiresAt = entries.get(jti);
+      return expiresAt !== undefined && expiresAt > Date.now();
+    },
+
+    purgeExpired: async () => {
+      const now = Date.now();
+      let purged = 0;
+
+      for (const [jti, expiresAt] of entries) {
+        if (expiresAt <= now) {
+          entries.delete(jti);
+          purged++;
+        }
+      }
+
+      return purged;
+    }
+  };
+};
+
+const STORE_FACTORIES = {
+  database: createDatabaseStore,
+  memory: createMemoryStore
+};
+
+let currentStore = null;
+
+/**
+ * Validar que un almacén implementa la interfaz completa
+ */
+const validateStore = (store) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof store?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Almacén de revocación inválido, faltan métodos: ${missing.join(', ')}`);
+  }
+
+  return store;
+};
+
+/**
+ * Obtener el almacén activo (se crea según TOKEN_REVOCATION_STORE la primera vez)
+ */
+const getRevocationStore = () => {
+  if (!currentStore) {
+    const storeName = process.env.TOKEN_REVOCATION_STORE || 'database';
+    const factory = STORE_FACTORIES[storeName];
+
+    if (!factory) {
+      throw new Error(`Almacén de revocación desconocido: ${storeName}`);
+    }
+
+    currentStore = validateStore(factory());
+    console.log(`🗄️  Almacén de revocación de tokens: ${currentStore.name || storeName}`);
+  }
+
+  return currentStore;
+};
+
+/**
+ * Reemplazar el almacén activo (adaptadores externos como Redis)
+ */
+const setRevocationStore = (store) => {
+  currentStore = validateStore(store);
+  console.log(`🗄️  Almacén de revocación de tokens reemplazado: ${store.name || 'personalizado'}`);
+  return currentStore;
+};
+
+module.exports = {
+  getRevocationStore,
+  setRevocationStore,
+  createDatabaseStore,
+  createMemoryStore
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Interfaz común para almacenes de revocación
+ * ✅ Almacén persistente en PostgreSQL
+ * ✅ Almacén en memoria para desarrollo
+ * ✅ Punto de extensión para adaptadores externos (Redis)
+ */
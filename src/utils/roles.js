@@ -0,0 +1,313 @@
+/**
+ * ROLES Y PERMISOS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que resuelve qué nivel y qué permisos tiene cada rol
+ * Mi responsabilidad es sembrar las tablas roles/permissions con los valores
+ * que antes vivían fijos en authorize.js y mantener una copia en memoria
+ * para que getUserPermissions y requirePermission respondan sin consultar
+ * la base de datos en cada request
+ *
+ * Características implementadas:
+ * - Valores semilla (ROLE_HIERARCHY, DEFAULT_PERMISSIONS) y catálogo de permisos
+ * - Siembra idempotente: no re-agrega permisos que un super admin quitó
+ * - Caché en memoria con vencimiento (ROLE_CACHE_TTL_SECONDS) para que los
+ *   cambios hechos en otra instancia se vean en pocos segundos
+ * - Si la base de datos falla se conserva la última copia válida
+ */
+
+/**
+ * Jerarquía de roles del sistema (valores semilla)
+ */
+const ROLE_HIERARCHY = {
+  'super_admin': 4,
+  'admin': 3,
+  'staff': 2,
+  'client': 1
+};
+
+/**
+ * Permisos por defecto según rol (valores semilla)
+ */
+const DEFAULT_PERMISSIONS = {
+  'super_admin': [
+    'manage_all',
+    'delete_users',
+    'modify_system',
+    'view_analytics',
+    'manage_payments',
+    'manage_clients',
+    'manage_products',
+    'manage_promotions',
+    'create_users',
+    'view_users',
+    'update_users',
+    'view_clients',
+    'update_clients',
+    'process_checkins',
+    'manage_points'
+  ],
+  'admin': [
+    'manage_clients',
+    'manage_products',
+    'manage_payments',
+    'view_analytics',
+    'manage_promotions',
+    'create_users',
+    'view_users',
+    'update_users',
+    'view_clients',
+    'update_clients',
+    'process_checkins',
+    'manage_points'
+  ],
+  'staff': [
+    'view_clients',
+    'update_clients',
+    'process_payments',
+    'view_products',
+    'update_products',
+    'process_checkins'
+  ],
+  'client': [
+    'view_own_profile',
+    'update_own_profile',
+    'view_own_payments',
+    'make_payments',
+    'use_gym_services'
+  ]
+};
+
+const SYSTEM_ROLE_NAMES = {
+  'super_admin': 'Super administrador',
+  'admin': 'Administrador',
+  'staff': 'Personal',
+  'client': 'Cliente'
+};
+
+/**
+ * Catálogo de permisos conocidos: nombre -> [categoría, descripción]
+ */
+const PERMISSION_CATALOG = {
+  manage_all: ['system', 'Acceso total al sistema'],
+  modify_system: ['system', 'Cambiar configuración del sistema'],
+  view_analytics: ['system', 'Ver estadísticas y reportes'],
+  create_users: ['users', 'Crear usuarios administrativos'],
+  view_users: ['users', 'Ver usuarios administrativos'],
+  update_users: ['users', 'Actualizar usuarios administrativos'],
+  delete_users: ['users', 'Eliminar usuarios administrativos'],
+  manage_clients: ['clients', 'Gestión completa de clientes'],
+  view_clients: ['clients', 'Ver clientes'],
+  update_clients: ['clients', 'Actualizar clientes'],
+  process_checkins: ['clients', 'Registrar check-ins manuales'],
+  manage_points: ['clients', 'Ajustar puntos de clientes'],
+  manage_payments: ['payments', 'Gestión completa de pagos'],
+  process_payments: ['payments', 'Registrar pagos'],
+  manage_products: ['products', 'Gestión completa de productos'],
+  view_products: ['products', 'Ver productos'],
+  update_products: ['products', 'Actualizar productos'],
+  manage_promotions: ['promotions', 'Gestionar promociones'],
+  view_own_profile: ['self_service', 'Ver perfil propio'],
+  update_own_profile: ['self_service', 'Actualizar perfil propio'],
+  view_own_payments: ['self_service', 'Ver pagos propios'],
+  make_payments: ['self_service', 'Realizar pagos'],
+  use_gym_services: ['self_service', 'Usar servicios del gimnasio']
+};
+
+// ===========================================
+// CACHÉ EN MEMORIA
+// ===========================================
+
+const getCacheTtlMs = () => (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60) * 1000;
+
+/**
+ * Construir la caché a partir de los valores semilla (antes de leer la base)
+ */
+const buildDefaultCache = () => {
+  const roles = new Map();
+
+  Object.keys(ROLE_HIERARCHY).forEach(name => {
+    roles.set(name, {
+      name,
+      displayName: SYSTEM_ROLE_NAMES[name],
+      level: ROLE_HIERARCHY[name],
+      isSystem: true,
+      permissions: [...DEFAULT_PERMISSIONS[name]]
+    });
+  });
+
+  return roles;
+};
+
+let roleCache = buildDefaultCache();
+let loadedAt = 0;
+let pendingRefresh = null;
+
+/**
+ * Sembrar roles y permisos del sistema (idempotente)
+ * Los permisos semilla solo se asignan cuando el rol se crea por primera vez,
+ * así no se restauran permisos que un super administrador quitó
+ */
+const seedRolesAndPermissions = async () => {
+  const { Role, Permission, RolePermission } = require('../models');
+
+  await Permission.bulkCreate(
+    Object.entries(PERMISSION_CATALOG).map(([name, [category, description]]) => ({ name, category, description })),
+    { ignoreDuplicates: true }
+  );
+
+  for (const [name, level] of Object.entries(ROLE_HIERARCHY)) {
+    const [, created] = await Role.findOrCreate({
+      where: { name },
+      defaults: { name, displayName: SYSTEM_ROLE_NAMES[name], level, isSystem: true }
+    });
+
+    if (created) {
+      await RolePermission.bulkCreate(
+        DEFAULT_PERMISSIONS[name].map(permissionName => ({ roleName: name, permissionName })),
+        { ignoreDuplicates: true }
+      );
+    }
+  }
+};
+
+/**
+ * Recargar la caché desde la base de datos
+ */
+const refreshRoleCache = async () => {
+  const { Role, RolePermission } = require('../models');
+
+  const [roles, grants] = await Promise.all([
+    Role.findAll({ raw: true }),
+    RolePermission.findAll({ raw: true })
+  ]);
+
+  if (roles.length === 0) {
+    await seedRolesAndPermissions();
+    return await refreshRoleCache();
+  }
+
+  const next = new Map();
+
+  roles.forEach(role => {
+    next.set(role.name, {
+      name: role.name,
+      displayName: role.displayName,
+      level: role.level,
+      isSystem: role.isSystem,
+      permissions: []
+    });
+  });
+
+  grants.forEach(({ roleName, permissionName }) => {
+    next.get(roleName)?.permissions.push(permissionName);
+  });
+
+  roleCache = next;
+  loadedAt = Date.now();
+
+  return roleCache;
+};
+
+/**
+ * Asegurar que la caché no esté vencida (una sola recarga a la vez)
+ * Si la base de datos no responde se sigue usando la última copia
+ */
+const ensureRoleCache = async () => {
+  if (Date.now() - loadedAt < getCacheTtlMs()) {
+    return roleCache;
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = refreshRoleCache()
+      .catch(error => {
+        // Reintentar hasta el siguiente vencimiento, no en cada request
+        loadedAt = Date.now();
+        console.error('❌ No se pudieron recargar roles y permisos:', error.message);
+        return roleCache;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return await pendingRefresh;
+};
+
+/**
+ * Sembrar y cargar roles al iniciar el servidor
+ */
+const initializeRoles = async () => {
+  await seedRolesAndPermissions();
+  await refreshRoleCache();
+  console.log(`🛡️  Roles cargados: ${Array.from(roleCache.keys()).join(', ')}`);
+};
+
+// ===========================================
+// CONSULTAS (SÍNCRONAS SOBRE LA CACHÉ)
+// ===========================================
+
+const getRole = (name) => roleCache.get(name) || null;
+
+const getRoleLevel = (name) => roleCache.get(name)?.level || 0;
+
+const getRolePermissions = (name) => roleCache.get(name)?.permissions || [];
+
+/**
+ * Jerarquía actual { rol: nivel }, incluyendo roles personalizados
+ */
+const getRoleHierarchy = () => {
+  const hierarchy = {};
+  roleCache.forEach((role, name) => {
+    hierarchy[name] = role.level;
+  });
+  return hierarchy;
+};
+
+/**
+ * Un rol asignable a usuarios administrativos (client es solo para socios)
+ */
+const isAssignableRole = (name) => name !== 'client' && roleCache.has(name);
+
+/**
+ * Revisar overrides de User.permissions: { permiso: true (conceder) | false (negar) }
+ * Devuelve los nombres inválidos (permiso desconocido o valor no booleano)
+ */
+const findInvalidPermissionOverrides = async (overrides) => {
+  if (overrides === undefined || overrides === null) return [];
+
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['(se esperaba un objeto { permiso: true|false })'];
+  }
+
+  const names = Object.keys(overrides);
+  if (names.length === 0) return [];
+
+  const { Permission } = require('../models');
+  const known = await Permission.findAll({ where: { name: names }, attributes: ['name'], raw: true });
+  const knownNames = known.map(permission => permission.name);
+
+  return names.filter(name => typeof overrides[name] !== 'boolean' || !knownNames.includes(name));
+};
+
+module.exports = {
+  ROLE_HIERARCHY,
+  DEFAULT_PERMISSIONS,
+  PERMISSION_CATALOG,
+  seedRolesAndPermissions,
+  refreshRoleCache,
+  ensureRoleCache,
+  initializeRoles,
+  getRole,
+  getRoleLevel,
+  getRolePermissions,
+  getRoleHierarchy,
+  isAssignableRole,
+  findInvalidPermissionOverrides
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Roles y permisos sembrados desde los valores originales
+ * ✅ Caché en memoria con vencimiento y recarga única
+ * ✅ Roles personalizados visibles en jerarquía y permisos
+ */
@@ -0,0 +1,122 @@
+/**
+ * PROGRAMADOR DE TAREAS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo encargado de ejecutar tareas periódicas dentro del servidor
+ * Mi responsabilidad es registrar trabajos de mantenimiento, arrancarlos
+ * junto con el servidor y detenerlos limpiamente durante el cierre
+ *
+ * Características implementadas:
+ * - Registro de tareas con intervalo configurable
+ * - Ejecución sin solapamiento (una tarea no corre dos veces a la vez)
+ * - Timers que no bloquean el cierre del proceso
+ * - Arranque y detención centralizados
+ */
+
+const jobs = new Map();
+
+/**
+ * Registrar una tarea periódica
+ */
+const registerJob = (name, intervalMs, handler, options = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`La tarea programada '${name}' ya está registrada`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    runOnStart: options.runOnStart || false,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastError: null
+  });
+};
+
+/**
+ * Ejecutar una tarea evitando ejecuciones simultáneas
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+
+  try {
+    await job.handler();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ Error en tarea programada '${job.name}':`, error.message);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+/**
+ * Arrancar todas las tareas registradas
+ */
+const startScheduledJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      runJob(job);
+    }
+
+    console.log(`⏰ Tarea programada iniciada: ${job.name} (cada ${Math.round(job.intervalMs / 1000)}s)`);
+  }
+};
+
+/**
+ * Detener todas las tareas registradas
+ */
+const stopScheduledJobs = () => {
+  let stopped = 0;
+
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+      stopped++;
+    }
+  }
+
+  if (stopped > 0) {
+    console.log(`⏹️  ${stopped} tareas programadas detenidas`);
+  }
+};
+
+/**
+ * Obtener estado de las tareas (para monitoreo)
+ */
+const getScheduledJobs = () => {
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    intervalMs: job.intervalMs,
+    active: !!job.timer,
+    running: job.running,
+    lastRunAt: job.lastRunAt,
+    lastError: job.lastError
+  }));
+};
+
+module.exports = {
+  registerJob,
+  startScheduledJobs,
+  stopScheduledJobs,
+  getScheduledJobs
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro de tareas periódicas
+ * ✅ Arranque desde startServer y detención en gracefulShutdown
+ * ✅ Protección contra ejecuciones solapadas
+ */
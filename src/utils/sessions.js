@@ -0,0 +1,152 @@
+/**
+ * UTILIDADES DE SESIONES - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que abre, renueva y cierra sesiones por dispositivo
+ * Mi responsabilidad es que cada inicio de sesión (login, registro, OAuth)
+ * quede registrado y que cerrar una sesión invalide todos sus tokens
+ *
+ * Características implementadas:
+ * - Emisión de tokens y registro de la sesión en un solo paso
+ * - Actualización de actividad al renovar tokens
+ * - Cierre individual o de todas las sesiones de una cuenta
+ * - Formato de respuesta para el listado de sesiones
+ */
+
+const { generateTokenPair, revokeTokenFamily, REFRESH_TOKEN_LIFETIME_MS } = require('./jwt');
+
+// Importación diferida para evitar dependencias circulares con los modelos
+const getSessionModel = () => require('../models').Session;
+
+/**
+ * Abrir sesión: generar tokens y registrar el dispositivo
+ * options.mfa marca los tokens como confirmados con segundo factor
+ */
+const startSession = async (account, userType, clientInfo = {}, authMethod = 'password', options = {}) => {
+  const tokens = generateTokenPair({
+    id: account.id,
+    email: account.email,
+    type: userType,
+    role: userType === 'user' ? account.role : null,
+    permissions: userType === 'user' ? (account.permissions || {}) : {},
+    mfa: options.mfa === true
+  });
+
+  await getSessionModel().create({
+    id: tokens.familyId,
+    userId: account.id,
+    userType,
+    clientType: clientInfo.clientType || 'web',
+    platform: clientInfo.platform || null,
+    appVersion: clientInfo.version || null,
+    ipAddress: clientInfo.ip || null,
+    userAgent: clientInfo.userAgent || null,
+    authMethod,
+    lastActivityAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS)
+  });
+
+  console.log(`📱 Sesión iniciada para ${account.email} (${clientInfo.clientType || 'web'}/${clientInfo.platform || 'unknown'})`);
+
+  return tokens;
+};
+
+/**
+ * Registrar actividad de una sesión al renovar sus tokens
+ */
+const touchSession = async (sessionId, clientInfo = {}) => {
+  if (!sessionId) {
+    return;
+  }
+
+  const updates = {
+    lastActivityAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_LIFETIME_MS)
+  };
+
+  if (clientInfo.ip) updates.ipAddress = clientInfo.ip;
+  if (clientInfo.version && clientInfo.version !== 'unknown') updates.appVersion = clientInfo.version;
+
+  await getSessionModel().update(updates, {
+    where: { id: sessionId, revokedAt: null }
+  });
+};
+
+/**
+ * Cerrar una sesión e invalidar todos sus tokens
+ */
+const revokeSession = async (session, reason = 'logout') => {
+  if (session.revokedAt) {
+    return false;
+  }
+
+  await revokeTokenFamily(session.id, {
+    userId: session.userId,
+    userType: session.userType,
+    reason
+  });
+
+  await session.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return true;
+};
+
+/**
+ * Cerrar todas las sesiones activas de una cuenta
+ * Devuelve cuántas sesiones se cerraron
+ */
+const revokeAllSessions = async (userId, userType, options = {}) => {
+  const { exceptSessionId = null, reason = 'logout_all' } = options;
+
+  const sessions = await getSessionModel().findActiveByOwner(userId, userType);
+  let revoked = 0;
+
+  for (const session of sessions) {
+    if (session.id === exceptSessionId) continue;
+
+    if (await revokeSession(session, reason)) {
+      revoked++;
+    }
+  }
+
+  if (revoked > 0) {
+    console.log(`🔒 ${revoked} sesiones cerradas para ${userType} ${userId} (${reason})`);
+  }
+
+  return revoked;
+};
+
+/**
+ * Formatear sesión para respuesta de API
+ */
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  current: session.id === currentSessionId,
+  clientType: session.clientType,
+  platform: session.platform,
+  appVersion: session.appVersion,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  authMethod: session.authMethod,
+  createdAt: session.createdAt,
+  lastActivityAt: session.lastActivityAt,
+  expiresAt: session.expiresAt
+});
+
+module.exports = {
+  startSession,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+  formatSession
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Registro de sesión en login, registro y OAuth
+ * ✅ Renovación de actividad con cada refresh
+ * ✅ Cierre remoto de sesiones individuales
+ * ✅ Cierre de todas las sesiones (cambio de contraseña, logout global)
+ */
@@ -0,0 +1,122 @@
+/**
+ * SERVICIO DE SMS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo encargado de enviar mensajes de texto del sistema
+ * Mi responsabilidad es ofrecer una sola función sendSms() y delegar el
+ * envío real al proveedor configurado
+ *
+ * Interfaz que todo proveedor debe implementar:
+ * - send({ to, body }) -> Promesa con { messageId }
+ *
+ * Proveedores incluidos (variable SMS_PROVIDER):
+ * - log: No envía nada, muestra el mensaje en consola y lo guarda en memoria
+ *        (por defecto; para desarrollo y tests)
+ *
+ * Un proveedor real (Twilio, Vonage, un gateway local) se conecta
+ * implementando send() y registrándolo con setSmsProvider()
+ */
+
+// Máximo de mensajes que conserva el proveedor de consola
+const LOG_OUTBOX_LIMIT = 50;
+
+/**
+ * Proveedor stub que solo registra los mensajes
+ */
+const createLogProvider = () => {
+  const outbox = [];
+
+  return {
+    name: 'log',
+    outbox,
+    send: async ({ to, body }) => {
+      outbox.push({ to, body, sentAt: new Date() });
+      if (outbox.length > LOG_OUTBOX_LIMIT) {
+        outbox.shift();
+      }
+
+      console.log(`📱 [sms] Para: ${to}${process.env.NODE_ENV === 'test' ? '' : ` | ${body}`}`);
+      return { messageId: `log-${Date.now()}` };
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  log: createLogProvider
+};
+
+let currentProvider = null;
+
+/**
+ * Obtener el proveedor activo (se crea según SMS_PROVIDER la primera vez)
+ */
+const getSmsProvider = () => {
+  if (!currentProvider) {
+    const providerName = process.env.SMS_PROVIDER || 'log';
+    const factory = PROVIDER_FACTORIES[providerName];
+
+    if (!factory) {
+      throw new Error(`Proveedor de SMS desconocido: ${providerName}. Regístralo con setSmsProvider()`);
+    }
+
+    currentProvider = factory();
+    console.log(`📡 Proveedor de SMS: ${currentProvider.name}`);
+  }
+
+  return currentProvider;
+};
+
+/**
+ * Reemplazar el proveedor activo (Twilio, gateway local, etc.)
+ */
+const setSmsProvider = (provider) => {
+  if (typeof provider?.send !== 'function') {
+    throw new Error('Proveedor de SMS inválido, falta el método send');
+  }
+
+  currentProvider = provider;
+  console.log(`📡 Proveedor de SMS reemplazado: ${provider.name || 'personalizado'}`);
+  return currentProvider;
+};
+
+/**
+ * Normalizar teléfono a formato E.164 sin espacios ni guiones
+ * Los números de 8 dígitos se asumen de Guatemala (+502)
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+
+  if (/^\d{8}$/.test(digits)) {
+    return `+502${digits}`;
+  }
+
+  return digits.startsWith('+') ? digits : `+${digits}`;
+};
+
+/**
+ * Enviar SMS
+ */
+const sendSms = async ({ to, body }) => {
+  try {
+    const result = await getSmsProvider().send({ to: normalizePhone(to), body });
+    console.log(`✅ SMS enviado a: ${normalizePhone(to)}`);
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Error enviando SMS a ${to}:`, error.message);
+    throw new Error('No se pudo enviar el SMS');
+  }
+};
+
+module.exports = {
+  sendSms,
+  normalizePhone,
+  getSmsProvider,
+  setSmsProvider
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Interfaz única sendSms()
+ * ✅ Proveedor stub de consola para desarrollo
+ * ✅ Punto de extensión para proveedores reales
+ */
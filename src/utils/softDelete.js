@@ -0,0 +1,111 @@
+/**
+ * ELIMINACIÓN LÓGICA Y PURGA DE CUENTAS - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que administra las cuentas eliminadas de forma lógica
+ * (User y Client son paranoid: eliminar solo llena deletedAt)
+ * Mi responsabilidad es listarlas, restaurarlas y, pasado el periodo de
+ * retención, borrarlas definitivamente junto con sus datos de sesión
+ *
+ * Características implementadas:
+ * - Periodo de retención configurable (SOFT_DELETE_RETENTION_DAYS, por defecto 90)
+ * - Listado paginado con la fecha en que cada cuenta será purgada
+ * - Purga definitiva que limpia sesiones, refresh tokens y enlaces de recuperación
+ *   (preferencias, códigos SMS y códigos OAuth caen por CASCADE)
+ * - La bitácora de auditoría no se toca: guarda el ID como texto, sin FK
+ */
+
+const { Op } = require('sequelize');
+
+const getRetentionDays = () => parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 90;
+
+/**
+ * Fecha a partir de la cual una cuenta eliminada se purga
+ */
+const getPurgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Listar cuentas eliminadas lógicamente (más recientes primero)
+ */
+const findDeleted = async (Model, { page = 1, limit = 10, search } = {}) => {
+  const where = { deletedAt: { [Op.ne]: null } };
+
+  if (search) {
+    where[Op.or] = [
+      { firstName: { [Op.iLike]: `%${search}%` } },
+      { lastName: { [Op.iLike]: `%${search}%` } },
+      { email: { [Op.iLike]: `%${search}%` } }
+    ];
+  }
+
+  return await Model.findAndCountAll({
+    where,
+    paranoid: false,
+    order: [['deletedAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+};
+
+/**
+ * Buscar una cuenta eliminada por ID (null si no existe o no está eliminada)
+ */
+const findDeletedById = async (Model, id) => {
+  const account = await Model.findByPk(id, { paranoid: false });
+  return account && account.deletedAt ? account : null;
+};
+
+/**
+ * Borrar definitivamente una cuenta y los datos de sesión que la referencian
+ */
+const purgeAccount = async (account, accountType) => {
+  const { Session, RefreshToken, PasswordResetToken, sequelize } = require('../models');
+
+  await sequelize.transaction(async (transaction) => {
+    await Session.destroy({ where: { userId: account.id, userType: accountType }, transaction });
+    await RefreshToken.destroy({ where: { userId: account.id, userType: accountType }, transaction });
+    await PasswordResetToken.destroy({ where: { accountId: account.id, accountType }, transaction });
+    await account.destroy({ force: true, transaction });
+  });
+};
+
+/**
+ * Purgar las cuentas cuyo periodo de retención ya terminó
+ * Devuelve cuántas cuentas de cada tipo se borraron
+ */
+const purgeExpiredSoftDeletes = async () => {
+  const { User, Client } = require('../models');
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const purged = { users: 0, clients: 0 };
+
+  for (const [Model, accountType, key] of [[User, 'user', 'users'], [Client, 'client', 'clients']]) {
+    const expired = await Model.findAll({
+      where: { deletedAt: { [Op.lt]: cutoff } },
+      paranoid: false
+    });
+
+    for (const account of expired) {
+      await purgeAccount(account, accountType);
+      purged[key]++;
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  findDeleted,
+  findDeletedById,
+  purgeAccount,
+  purgeExpiredSoftDeletes
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ Listado y búsqueda de cuentas eliminadas
+ * ✅ Purga definitiva con limpieza de sesiones
+ * ✅ Retención configurable y purga programada
+ */
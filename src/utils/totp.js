@@ -0,0 +1,238 @@
+/**
+ * UTILIDADES TOTP (2FA) - ELITE FITNESS CLUB
+ *
+ * Soy el archivo que implementa los códigos de un solo uso basados en tiempo
+ * (RFC 6238) usados por Google Authenticator, Authy, 1Password, etc.
+ * Mi responsabilidad es generar secretos, validar códigos de 6 dígitos y
+ * manejar los códigos de recuperación de los administradores
+ *
+ * Características implementadas:
+ * - Secretos de 160 bits en Base32 y URI otpauth:// para el código QR
+ * - Validación con tolerancia de ±1 intervalo y protección contra reuso
+ * - Secretos cifrados en base de datos (AES-256-GCM)
+ * - Códigos de recuperación guardados como hash
+ */
+
+const crypto = require('crypto');
+
+const TOTP_CONFIG = {
+  issuer: process.env.MFA_ISSUER || 'Elite Fitness Club',
+  digits: 6,
+  period: 30, // segundos
+  window: 1, // intervalos aceptados antes y después del actual
+  recoveryCodes: 10
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ===========================================
+// BASE32 (formato estándar de secretos TOTP)
+// ===========================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto TOTP inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ===========================================
+// GENERACIÓN Y VALIDACIÓN DE CÓDIGOS
+// ===========================================
+
+/**
+ * Generar secreto nuevo (Base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcular código para un intervalo de tiempo (HOTP con contador = intervalo)
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+};
+
+/**
+ * Intervalo actual de 30 segundos
+ */
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_CONFIG.period);
+
+/**
+ * Validar código TOTP
+ * Devuelve el intervalo que coincidió (para impedir reuso) o null
+ */
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+
+  for (let offset = -TOTP_CONFIG.window; offset <= TOTP_CONFIG.window; offset++) {
+    const step = now + offset;
+
+    // Un código ya usado (o uno anterior a él) no se acepta de nuevo
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * URI otpauth:// para mostrar como código QR en la app autenticadora
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_CONFIG.issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.period)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ===========================================
+// CIFRADO DE SECRETOS EN BASE DE DATOS
+// ===========================================
+
+/**
+ * Validar la llave de cifrado; lanza error si el servidor no debe arrancar
+ * (en producción los secretos 2FA no pueden quedar cifrados con el valor del repositorio)
+ */
+const assertMfaConfiguration = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.MFA_ENCRYPTION_KEY) {
+    throw new Error('MFA_ENCRYPTION_KEY es obligatoria para cifrar los secretos 2FA en producción');
+  }
+};
+
+const getEncryptionKey = () => {
+  assertMfaConfiguration();
+
+  const keyMaterial = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'elite_fitness_super_secret_key_2024';
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Cifrar secreto TOTP (formato iv.tag.ciphertext en base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Descifrar secreto TOTP
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ===========================================
+// CÓDIGOS DE RECUPERACIÓN
+// ===========================================
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generar códigos de recuperación
+ * Devuelve los códigos en texto plano (se muestran una sola vez) y sus hashes
+ */
+const generateRecoveryCodes = (count = TOTP_CONFIG.recoveryCodes) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri,
+  assertMfaConfiguration,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  TOTP_CONFIG
+};
+
+/**
+ * ESTADO ACTUAL:
+ * ✅ TOTP compatible con RFC 6238 (SHA1, 6 dígitos, 30s)
+ * ✅ Protección contra reuso de códigos
+ * ✅ Secretos cifrados en reposo (llave propia obligatoria en producción)
+ * ✅ Códigos de recuperación con hash
+ */
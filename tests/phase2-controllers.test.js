@@ -27,6 +27,9 @@ const {
   User, 
   Client, 
   ClientPreference, 
+  MembershipPlan,
+  Membership,
+  Notification,
   sequelize,
   recreateDatabase 
 } = require('../src/models');
@@ -36,6 +39,26 @@ const {
   generateAccessToken 
 } = require('../src/utils/jwt');
 
+const { createEmailVerificationToken, sendVerificationEmail } = require('../src/utils/emailVerification');
+const { getMailTransport } = require('../src/utils/mailer');
+const { generateCode, currentStep } = require('../src/utils/totp');
+const { getSmsProvider } = require('../src/utils/sms');
+const { handleOAuthSuccess } = require('../src/utils/oauth');
+const { queueInactivityReminders, findReminderSlot, composeInactivityMessage } = require('../src/utils/engagement');
+const { dispatchDueNotifications } = require('../src/utils/notifications');
+const { hasCheckedInToday } = require('../src/utils/checkins');
+const { checkAccessRules } = require('../src/utils/memberships');
+const { checkCapacity, verifyStreamToken } = require('../src/utils/occupancy');
+const {
+  computeAward,
+  resolveMultiplier,
+  getLevelInfo,
+  applyDailyCap,
+  DEFAULT_LEVEL_TIERS
+} = require('../src/utils/gamification');
+const { computeStreaks, BADGES } = require('../src/utils/achievements');
+const crypto = require('crypto');
+
 describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () => {
   
   // Configuración de timeouts
@@ -115,6 +138,21 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       clientId: testClient2.id
     });
     
+    // Membresía vigente para el cliente 1 (el check-in la exige)
+    const monthlyPlan = await MembershipPlan.create({
+      name: 'Mensual de prueba',
+      price: 250,
+      durationDays: 30
+    });
+    
+    await Membership.create({
+      clientId: testClient1.id,
+      planId: monthlyPlan.id,
+      startsAt: new Date(),
+      endsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      pricePaid: monthlyPlan.price
+    });
+    
     // Generar tokens para todos los usuarios
     superAdminTokens = generateTokenPair({
       id: testSuperAdmin.id,
@@ -210,6 +248,48 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.error).toBe('Credenciales inválidas');
     });
     
+    test('Debe listar sesiones y permitir cerrar una remotamente', async () => {
+      const login = await request(app)
+        .post('/api/auth/login/client')
+        .set('X-Client-Type', 'mobile')
+        .set('X-Platform', 'android')
+        .send({
+          email: testClient1.email,
+          password: 'Client123!'
+        })
+        .expect(200);
+      
+      const phoneToken = login.body.tokens.accessToken;
+      
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(200);
+      
+      const phoneSession = list.body.data.find(session => session.current);
+      expect(phoneSession).toBeDefined();
+      expect(phoneSession.platform).toBe('android');
+      
+      // Cerrar el "teléfono perdido" desde otra sesión
+      const other = await request(app)
+        .post('/api/auth/login/client')
+        .send({
+          email: testClient1.email,
+          password: 'Client123!'
+        })
+        .expect(200);
+      
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${other.body.tokens.accessToken}`)
+        .expect(200);
+      
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(401);
+    });
+    
     test('Debe permitir registro de nuevo cliente', async () => {
       const newClientData = {
         email: 'newclient@controllertest.com',
@@ -244,6 +324,236 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.error).toBe('Email ya registrado');
     });
     
+    test('Debe exigir email verificado y verificarlo con enlace firmado', async () => {
+      const unverified = await Client.create({
+        email: 'unverified@controllertest.com',
+        password: 'Client123!',
+        firstName: 'Sin',
+        lastName: 'Verificar',
+        authProvider: 'local',
+        isEmailVerified: false
+      });
+      
+      const tokens = generateTokenPair({
+        id: unverified.id,
+        email: unverified.email,
+        type: 'client'
+      });
+      
+      const blocked = await request(app)
+        .put('/api/clients/me')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ firstName: 'Bloqueado' })
+        .expect(403);
+      
+      expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+      
+      await request(app)
+        .get(`/api/auth/verify-email/${createEmailVerificationToken(unverified)}`)
+        .expect(200);
+      
+      await request(app)
+        .put('/api/clients/me')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ firstName: 'Verificado' })
+        .expect(200);
+    });
+    
+    test('Debe escapar el nombre del cliente en el HTML del correo de verificación', async () => {
+      const client = Client.build({
+        id: crypto.randomUUID(),
+        email: 'html@controllertest.com',
+        firstName: '<a href="https://phish.example">Gana</a>'
+      });
+      
+      await sendVerificationEmail(client);
+      
+      const mail = getMailTransport().outbox.filter(message => message.to === client.email).pop();
+      expect(mail.html).not.toContain('<a href="https://phish.example">');
+      expect(mail.html).toContain('&lt;a href=&quot;https://phish.example&quot;&gt;Gana&lt;/a&gt;');
+    });
+    
+    test('Debe canjear el código OAuth de un solo uso con PKCE', async () => {
+      const codeVerifier = crypto.randomBytes(32).toString('base64url');
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+      
+      const issueCode = async () => {
+        const { redirectUrl } = await handleOAuthSuccess(testClient1, 'google', {
+          clientType: 'mobile',
+          codeChallenge
+        });
+        
+        const url = new URL(redirectUrl);
+        expect(url.searchParams.has('access_token')).toBe(false);
+        return url.searchParams.get('code');
+      };
+      
+      // Un verifier incorrecto quema el código
+      const burned = await issueCode();
+      const wrongVerifier = await request(app)
+        .post('/api/auth/oauth/exchange')
+        .send({ code: burned, codeVerifier: crypto.randomBytes(32).toString('base64url') })
+        .expect(400);
+      
+      expect(wrongVerifier.body.code).toBe('INVALID_CODE_VERIFIER');
+      
+      const code = await issueCode();
+      const exchanged = await request(app)
+        .post('/api/auth/oauth/exchange')
+        .send({ code, codeVerifier })
+        .expect(200);
+      
+      expect(exchanged.body.tokens).toHaveProperty('accessToken');
+      expect(exchanged.body.user.id).toBe(testClient1.id);
+      
+      const reused = await request(app)
+        .post('/api/auth/oauth/exchange')
+        .send({ code, codeVerifier })
+        .expect(400);
+      
+      expect(reused.body.code).toBe('INVALID_OAUTH_CODE');
+    });
+    
+    test('Debe proteger el último método de acceso al desvincular OAuth', async () => {
+      const oauthOnly = await Client.create({
+        email: 'oauthonly@controllertest.com',
+        firstName: 'Solo',
+        lastName: 'Google',
+        authProvider: 'google',
+        googleId: 'google-controller-test-id',
+        isEmailVerified: true
+      });
+      
+      const tokens = generateTokenPair({
+        id: oauthOnly.id,
+        email: oauthOnly.email,
+        type: 'client'
+      });
+      
+      const refused = await request(app)
+        .delete('/api/auth/link/google')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(400);
+      
+      expect(refused.body.code).toBe('LAST_LOGIN_METHOD');
+      
+      const passwordSet = await request(app)
+        .post('/api/auth/password/set')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ newPassword: 'OAuth123!', confirmPassword: 'OAuth123!' })
+        .expect(200);
+      
+      expect(passwordSet.body.loginMethods.authProvider).toBe('multiple');
+      
+      const unlinked = await request(app)
+        .delete('/api/auth/link/google')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(200);
+      
+      expect(unlinked.body.loginMethods).toMatchObject({
+        password: true,
+        google: false,
+        authProvider: 'local'
+      });
+    });
+    
+    test('Debe restablecer contraseña olvidada y desbloquear la cuenta', async () => {
+      const locked = await Client.create({
+        email: 'forgot@controllertest.com',
+        password: 'Client123!',
+        firstName: 'Olvido',
+        lastName: 'Clave',
+        authProvider: 'local',
+        isEmailVerified: true,
+        loginAttempts: 5,
+        lockedUntil: new Date(Date.now() + 30 * 60 * 1000)
+      });
+      
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: locked.email })
+        .expect(200);
+      
+      // En tests el correo sale por el transporte de consola
+      const mail = getMailTransport().outbox.filter(message => message.to === locked.email).pop();
+      const token = mail.text.match(/token=([a-f0-9]{64})/)[1];
+      
+      const resetData = {
+        token,
+        newPassword: 'Reset123!',
+        confirmPassword: 'Reset123!'
+      };
+      
+      await request(app).post('/api/auth/reset-password').send(resetData).expect(200);
+      
+      // El token es de un solo uso
+      const reused = await request(app).post('/api/auth/reset-password').send(resetData).expect(400);
+      expect(reused.body.code).toBe('INVALID_RESET_TOKEN');
+      
+      await request(app)
+        .post('/api/auth/login/client')
+        .send({ email: locked.email, password: 'Reset123!' })
+        .expect(200);
+    });
+    
+    test('Debe exigir 2FA a administradores que lo activaron', async () => {
+      await User.create({
+        email: 'mfa@controllertest.com',
+        password: 'Admin123!',
+        firstName: 'Doble',
+        lastName: 'Factor',
+        role: 'admin'
+      });
+      
+      const credentials = { email: 'mfa@controllertest.com', password: 'Admin123!' };
+      
+      const firstLogin = await request(app).post('/api/auth/login/admin').send(credentials).expect(200);
+      const passwordOnlyToken = firstLogin.body.tokens.accessToken;
+      
+      const setup = await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', `Bearer ${passwordOnlyToken}`)
+        .expect(200);
+      
+      const secret = setup.body.mfa.secret;
+      expect(setup.body.mfa.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      
+      const enabled = await request(app)
+        .post('/api/auth/mfa/enable')
+        .set('Authorization', `Bearer ${passwordOnlyToken}`)
+        .send({ code: generateCode(secret, currentStep()) })
+        .expect(200);
+      
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      
+      // Con 2FA activo, un token sin segundo factor no sirve para rutas sensibles
+      const denied = await request(app)
+        .post(`/api/clients/${testClient2.id}/points`)
+        .set('Authorization', `Bearer ${passwordOnlyToken}`)
+        .send({ points: 5, reason: 'Prueba 2FA' })
+        .expect(403);
+      
+      expect(denied.body.code).toBe('MFA_REQUIRED');
+      
+      const challenge = await request(app).post('/api/auth/login/admin').send(credentials).expect(200);
+      expect(challenge.body.mfaRequired).toBe(true);
+      expect(challenge.body.tokens).toBeUndefined();
+      
+      const verified = await request(app)
+        .post('/api/auth/login/admin/mfa')
+        .send({
+          mfaToken: challenge.body.mfaToken,
+          recoveryCode: enabled.body.recoveryCodes[0]
+        })
+        .expect(200);
+      
+      await request(app)
+        .post(`/api/clients/${testClient2.id}/points`)
+        .set('Authorization', `Bearer ${verified.body.tokens.accessToken}`)
+        .send({ points: 5, reason: 'Prueba 2FA' })
+        .expect(200);
+    });
+    
     test('Debe obtener usuario actual autenticado', async () => {
       const response = await request(app)
         .get('/api/auth/me')
@@ -371,6 +681,114 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.stats).toHaveProperty('roleDistribution');
     });
     
+    test('Super admin debe poder crear un rol personalizado y los permisos se resuelven desde la base', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ name: 'front_desk', displayName: 'Recepción', permissions: ['view_clients'] })
+        .expect(403);
+      
+      const created = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${superAdminTokens.accessToken}`)
+        .send({
+          name: 'front_desk',
+          displayName: 'Recepción',
+          level: 2,
+          permissions: ['view_clients', 'process_checkins']
+        })
+        .expect(201);
+      
+      expect(created.body.role.permissions).toEqual(['process_checkins', 'view_clients']);
+      
+      const receptionist = await User.create({
+        email: 'frontdesk@controllertest.com',
+        password: 'FrontDesk123!',
+        firstName: 'Recepción',
+        lastName: 'Test',
+        role: 'front_desk',
+        permissions: { process_checkins: false } // Negación explícita sobre el rol
+      });
+      
+      const receptionistTokens = generateTokenPair({
+        id: receptionist.id,
+        email: receptionist.email,
+        type: 'user',
+        role: receptionist.role,
+        permissions: {}
+      });
+      
+      await request(app)
+        .get('/api/clients')
+        .set('Authorization', `Bearer ${receptionistTokens.accessToken}`)
+        .expect(200);
+      
+      const denied = await request(app)
+        .post(`/api/clients/${testClient1.id}/checkin`)
+        .set('Authorization', `Bearer ${receptionistTokens.accessToken}`)
+        .expect(403);
+      
+      expect(denied.body.code).toBe('PERMISSION_DENIED');
+      
+      // Un rol con usuarios asignados no se puede eliminar
+      await request(app)
+        .delete('/api/roles/front_desk')
+        .set('Authorization', `Bearer ${superAdminTokens.accessToken}`)
+        .expect(409);
+    });
+    
+    test('Debe listar, restaurar y purgar usuarios eliminados', async () => {
+      const staffToDelete = await User.create({
+        email: 'softdelete@controllertest.com',
+        password: 'SoftDelete123!',
+        firstName: 'Eliminable',
+        lastName: 'Test',
+        role: 'staff'
+      });
+      
+      await request(app)
+        .delete(`/api/users/${staffToDelete.id}`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Prueba de restauración' })
+        .expect(200);
+      
+      const deleted = await request(app)
+        .get('/api/users/deleted')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(200);
+      
+      const listed = deleted.body.users.find(user => user.id === staffToDelete.id);
+      expect(listed).toBeDefined();
+      expect(listed.purgeAfter).toBeDefined();
+      
+      await request(app)
+        .post(`/api/users/${staffToDelete.id}/restore`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(200);
+      
+      expect(await User.findByPk(staffToDelete.id)).not.toBeNull();
+      
+      // Solo se purgan cuentas ya eliminadas, y solo super_admin puede hacerlo
+      await request(app)
+        .delete(`/api/users/${staffToDelete.id}/purge`)
+        .set('Authorization', `Bearer ${superAdminTokens.accessToken}`)
+        .expect(404);
+      
+      await staffToDelete.destroy();
+      
+      await request(app)
+        .delete(`/api/users/${staffToDelete.id}/purge`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(403);
+      
+      await request(app)
+        .delete(`/api/users/${staffToDelete.id}/purge`)
+        .set('Authorization', `Bearer ${superAdminTokens.accessToken}`)
+        .expect(200);
+      
+      expect(await User.findByPk(staffToDelete.id, { paranoid: false })).toBeNull();
+    });
+    
   });
   
   describe('👤 Controladores de Clientes', () => {
@@ -422,6 +840,46 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.preferences).toHaveProperty('smsNotifications', true);
     });
     
+    test('Cliente debe poder verificar su teléfono con código SMS', async () => {
+      const startResponse = await request(app)
+        .post('/api/clients/me/phone/verify/start')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .send({ phone: '5555-1234' })
+        .expect(200);
+      
+      expect(startResponse.body.verification).toHaveProperty('phone', '+502****1234');
+      
+      const sms = getSmsProvider().outbox.filter(message => message.to === '+50255551234').pop();
+      const code = sms.body.match(/\d{6}/)[0];
+      const wrongCode = code === '000000' ? '111111' : '000000';
+      
+      const wrongResponse = await request(app)
+        .post('/api/clients/me/phone/verify/confirm')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .send({ code: wrongCode })
+        .expect(400);
+      
+      expect(wrongResponse.body.code).toBe('INVALID_PHONE_CODE');
+      expect(wrongResponse.body.attemptsRemaining).toBe(4);
+      
+      // Reenviar antes de la espera mínima no está permitido
+      await request(app)
+        .post('/api/clients/me/phone/verify/start')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .send({ phone: '5555-1234' })
+        .expect(429);
+      
+      await request(app)
+        .post('/api/clients/me/phone/verify/confirm')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .send({ code })
+        .expect(200);
+      
+      await testClient2.reload();
+      expect(testClient2.isPhoneVerified).toBe(true);
+      expect(testClient2.phone).toBe('+50255551234');
+    });
+    
     test('Cliente no debe poder ver otros clientes', async () => {
       const response = await request(app)
         .get(`/api/clients/${testClient2.id}`)
@@ -469,6 +927,32 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.checkIn).toHaveProperty('totalCheckIns', 1);
     });
     
+    test('Debe guardar cada check-in en el historial con sus notas y filtrarlo por fechas', async () => {
+      const mine = await request(app)
+        .get('/api/clients/me/checkins')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(mine.body.checkIns).toHaveLength(1);
+      expect(mine.body.checkIns[0]).toMatchObject({ method: 'manual', notes: 'Check-in de prueba' });
+      expect(mine.body.checkIns[0]).not.toHaveProperty('recordedBy');
+      
+      const staffView = await request(app)
+        .get(`/api/clients/${testClient1.id}/checkins`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(200);
+      
+      expect(staffView.body.checkIns[0].recordedBy.id).toBe(testAdmin.id);
+      
+      const future = await request(app)
+        .get(`/api/clients/${testClient1.id}/checkins`)
+        .query({ from: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(200);
+      
+      expect(future.body.pagination.totalItems).toBe(0);
+    });
+    
     test('Admin debe poder agregar puntos a cliente', async () => {
       const response = await request(app)
         .post(`/api/clients/${testClient1.id}/points`)
@@ -484,6 +968,33 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.pointsTransaction).toHaveProperty('currentPoints');
     });
     
+    test('Debe registrar en auditoría quién ajustó puntos y solo super_admin puede consultarla', async () => {
+      const adjustment = await request(app)
+        .post(`/api/clients/${testClient1.id}/points`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ points: 15, reason: 'Ajuste auditado' })
+        .expect(200);
+      
+      const { previousPoints, currentPoints } = adjustment.body.pointsTransaction;
+      
+      await request(app)
+        .get(`/api/audit?targetId=${testClient1.id}`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(403);
+      
+      const response = await request(app)
+        .get(`/api/audit?targetId=${testClient1.id}&actorId=${testAdmin.id}&action=client.points.*`)
+        .set('Authorization', `Bearer ${superAdminTokens.accessToken}`)
+        .expect(200);
+      
+      const entry = response.body.entries.find(e => e.metadata?.reason === 'Ajuste auditado');
+      expect(entry).toBeDefined();
+      expect(entry.action).toBe('client.points.add');
+      expect(entry.actorEmail).toBe(testAdmin.email);
+      expect(entry.changes.points).toEqual({ from: previousPoints, to: currentPoints });
+      expect(entry.ipAddress).toBeTruthy();
+    });
+    
     test('Debe obtener leaderboard público', async () => {
       const response = await request(app)
         .get('/api/clients/leaderboard?limit=5')
@@ -515,6 +1026,642 @@ describe('🔐 Elite Fitness Club - Sub-fase 2.3: Controladores y Rutas', () =>
       expect(response.body.error).toContain('Permiso requerido no encontrado');
     });
     
+    test('Debe suspender un cliente con fecha de fin y rechazar check-in y acceso hasta reactivarlo', async () => {
+      await request(app)
+        .post(`/api/clients/${testClient2.id}/suspend`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ durationDays: 14 }) // Falta el motivo
+        .expect(400);
+      
+      const suspended = await request(app)
+        .post(`/api/clients/${testClient2.id}/suspend`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Pago pendiente de regularizar', durationDays: 14 })
+        .expect(200);
+      
+      expect(suspended.body.suspension.effectiveNow).toBe(true);
+      expect(new Date(suspended.body.suspension.until).getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+      
+      const checkIn = await request(app)
+        .post(`/api/clients/${testClient2.id}/checkin`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(403);
+      
+      expect(checkIn.body.code).toBe('CLIENT_SUSPENDED');
+      
+      const profile = await request(app)
+        .get('/api/clients/me')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(403);
+      
+      expect(profile.body.code).toBe('CLIENT_SUSPENDED');
+      
+      await request(app)
+        .post(`/api/clients/${testClient2.id}/reactivate`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Pago regularizado en recepción' })
+        .expect(200);
+      
+      await request(app)
+        .get('/api/clients/me')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+    });
+    
+    test('Debe exigir membresía activa para el check-in y encadenar renovaciones', async () => {
+      const noMembership = await request(app)
+        .post(`/api/clients/${testClient2.id}/checkin`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(403);
+      
+      expect(noMembership.body.code).toBe('NO_ACTIVE_MEMBERSHIP');
+      
+      const plan = await request(app)
+        .post('/api/memberships/plans')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ name: 'Trimestral', price: 650, durationDays: 90 })
+        .expect(201);
+      
+      expect(plan.body.plan.currency).toBe('GTQ');
+      
+      const sold = await request(app)
+        .post(`/api/clients/${testClient2.id}/memberships`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ planId: plan.body.plan.id })
+        .expect(201);
+      
+      // La renovación sin fecha arranca cuando termina la vigente
+      const renewal = await request(app)
+        .post(`/api/clients/${testClient2.id}/memberships`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ planId: plan.body.plan.id })
+        .expect(201);
+      
+      expect(renewal.body.membership.startsAt).toBe(sold.body.membership.endsAt);
+      
+      const mine = await request(app)
+        .get('/api/clients/me/membership')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(mine.body.membership.plan.name).toBe('Trimestral');
+      expect(mine.body.upcoming.id).toBe(renewal.body.membership.id);
+      expect(mine.body.canCheckInNow).toBe(true);
+      
+      await request(app)
+        .post(`/api/memberships/${sold.body.membership.id}/freeze`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(403); // Staff vende, pero no congela
+      
+      await request(app)
+        .post(`/api/memberships/${renewal.body.membership.id}/cancel`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Renovación duplicada' })
+        .expect(200);
+    });
+    
+    test('Debe evaluar las reglas de acceso del plan en hora de Guatemala', () => {
+      const plan = { name: 'Mañanas', accessRules: { daysOfWeek: [1, 2, 3, 4, 5], startTime: '06:00', endTime: '12:00' } };
+      
+      // Lunes 19/10: 07:00 y 12:00 (el fin se incluye) en Guatemala
+      expect(checkAccessRules(plan, new Date('2026-10-19T13:00:00Z'))).toBeNull();
+      expect(checkAccessRules(plan, new Date('2026-10-19T18:00:00Z'))).toBeNull();
+      expect(checkAccessRules(plan, new Date('2026-10-19T18:01:00Z'))).toBe('El plan Mañanas permite acceso de 06:00 a 12:00');
+      expect(checkAccessRules(plan, new Date('2026-10-19T11:59:00Z'))).toBe('El plan Mañanas permite acceso de 06:00 a 12:00');
+      
+      // Domingo 21:00 en Guatemala aunque en UTC ya sea lunes
+      expect(checkAccessRules(plan, new Date('2026-10-19T03:00:00Z'))).toBe('El plan Mañanas no incluye acceso este día');
+      expect(checkAccessRules({ name: 'Libre', accessRules: null }, new Date('2026-10-19T03:00:00Z'))).toBeNull();
+    });
+    
+    test('Debe registrar pagos con recibo y corregirlos solo con asientos compensatorios', async () => {
+      await request(app)
+        .post(`/api/clients/${testClient1.id}/payments`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ concept: 'membership', description: 'Mensualidad', method: 'card', amount: 250 })
+        .expect(400); // Tarjeta sin número de autorización
+      
+      const paid = await request(app)
+        .post(`/api/clients/${testClient1.id}/payments`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ concept: 'membership', description: 'Mensualidad', method: 'cash', amount: 250 })
+        .expect(201);
+      
+      expect(paid.body.receipt.receiptNumber).toMatch(/^R-\d{4}-\d{6}$/);
+      
+      await request(app)
+        .post(`/api/payments/${paid.body.receipt.id}/refund`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ reason: 'Cobro en exceso', amount: 50 })
+        .expect(403);
+      
+      const refund = await request(app)
+        .post(`/api/payments/${paid.body.receipt.id}/refund`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Cobro en exceso', amount: 50 })
+        .expect(201);
+      
+      expect(refund.body.receipt.amount).toBe('-50.00');
+      expect(refund.body.receipt.receiptNumber).not.toBe(paid.body.receipt.receiptNumber);
+      
+      const voided = await request(app)
+        .post(`/api/payments/${paid.body.receipt.id}/void`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'Error de digitación' })
+        .expect(409);
+      
+      expect(voided.body.code).toBe('PAYMENT_HAS_REFUNDS');
+      
+      const mine = await request(app)
+        .get('/api/clients/me/payments')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(mine.body.payments).toHaveLength(2);
+      expect(mine.body.totals.net).toBe('200.00');
+      
+      await request(app)
+        .get(`/api/payments/${paid.body.receipt.id}`)
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(404); // Recibo de otro cliente
+    });
+    
+    test('Debe emitir pases de invitado con cupo mensual, registrar la entrada y convertir al invitado', async () => {
+      const guest = await request(app)
+        .post('/api/guests')
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ firstName: 'Visitante', lastName: 'Amigo', phone: '+502 5555 1234' })
+        .expect(201);
+      
+      const guestId = guest.body.guest.id;
+      const passes = [];
+      
+      // Cupo por defecto: 2 pases al mes por miembro
+      for (let i = 0; i < 2; i++) {
+        const issued = await request(app)
+          .post(`/api/guests/${guestId}/passes`)
+          .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+          .send({ passType: 'member_guest', sponsorClientId: testClient1.id })
+          .expect(201);
+        
+        passes.push(issued.body.pass);
+      }
+      
+      const overQuota = await request(app)
+        .post(`/api/guests/${guestId}/passes`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ passType: 'member_guest', sponsorClientId: testClient1.id })
+        .expect(409);
+      
+      expect(overQuota.body.code).toBe('GUEST_QUOTA_EXCEEDED');
+      
+      await request(app)
+        .post(`/api/guests/passes/${passes[0].id}/checkin`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(200);
+      
+      const reused = await request(app)
+        .post(`/api/guests/passes/${passes[0].id}/checkin`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(409);
+      
+      expect(reused.body.code).toBe('GUEST_PASS_ALREADY_USED');
+      
+      const dayPass = await request(app)
+        .post(`/api/guests/${guestId}/passes`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ passType: 'day_pass', payment: { method: 'cash' } })
+        .expect(201);
+      
+      expect(dayPass.body.pass.paymentId).toBeTruthy();
+      
+      const quota = await request(app)
+        .get('/api/clients/me/guest-passes')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(quota.body.quota.remaining).toBe(0);
+      
+      const converted = await request(app)
+        .post(`/api/guests/${guestId}/convert`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ email: 'visitante@controllertest.com' })
+        .expect(201);
+      
+      expect(converted.body.previousVisits).toBe(1);
+      
+      const history = await request(app)
+        .get(`/api/guests/${guestId}`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(200);
+      
+      expect(history.body.guest.convertedClient.id).toBe(converted.body.client.id);
+      expect(history.body.passes).toHaveLength(3);
+    });
+    
+    test('Debe encolar recordatorios de inactividad según las preferencias del miembro', async () => {
+      await Client.update(
+        { lastCheckIn: new Date(Date.now() - 12 * 24 * 60 * 60 * 1000) },
+        { where: { id: testClient2.id } }
+      );
+      
+      await ClientPreference.update(
+        { notificationLanguage: 'en', messageStyle: 'minimal', includeEmojis: false, sundayReminders: true, saturdayReminders: true },
+        { where: { clientId: testClient2.id } }
+      );
+      
+      await queueInactivityReminders();
+      
+      const queued = await Notification.findAll({ where: { clientId: testClient2.id, type: 'workout_reminder' } });
+      
+      // Un aviso por canal activo (email y push por defecto)
+      expect(queued.map(n => n.channel).sort()).toEqual(['email', 'push']);
+      expect(queued[0].body).toBe('Cliente: 12 days without training. See you soon.');
+      expect(queued[0].metadata.threshold).toBe(10);
+      
+      await queueInactivityReminders();
+      
+      expect(await Notification.count({ where: { clientId: testClient2.id } })).toBe(2);
+      expect(await Notification.count({ where: { clientId: testClient1.id } })).toBe(0);
+      
+      // Si el miembro apaga los recordatorios antes del envío, la cola los cancela
+      await ClientPreference.update({ workoutReminders: false }, { where: { clientId: testClient2.id } });
+      await Notification.update({ scheduledFor: new Date(Date.now() - 60 * 1000) }, { where: { clientId: testClient2.id } });
+      
+      await dispatchDueNotifications();
+      
+      const cancelled = await Notification.findAll({ where: { clientId: testClient2.id } });
+      expect(cancelled.map(n => n.status)).toEqual(['cancelled', 'cancelled']);
+      
+      await ClientPreference.update({ workoutReminders: true }, { where: { clientId: testClient2.id } });
+    });
+    
+    test('Debe mover el recordatorio al primer día permitido en hora de Guatemala y redactarlo', () => {
+      const preferenceFor = (days, base) => ({
+        getActiveReminderDays: () => days,
+        getBestNotificationTime: () => base
+      });
+      
+      // Sábado 17/10 a las 09:00 en Guatemala: el lunes es el primer día permitido
+      const saturday = new Date('2026-10-17T15:00:00Z');
+      expect(findReminderSlot(preferenceFor(['monday'], saturday))).toEqual(new Date('2026-10-19T15:00:00Z'));
+      
+      // Sábado 21:00 en Guatemala aunque en UTC ya sea domingo
+      const saturdayNight = new Date('2026-10-18T03:00:00Z');
+      expect(findReminderSlot(preferenceFor(['saturday'], saturdayNight))).toEqual(saturdayNight);
+      expect(findReminderSlot(preferenceFor([], saturday))).toBeNull();
+      expect(findReminderSlot(preferenceFor(['monday'], null))).toBeNull();
+      
+      expect(composeInactivityMessage({ firstName: 'Ana', days: 7, language: 'es', messageStyle: 'casual', includeEmojis: true }))
+        .toEqual({
+          language: 'es',
+          subject: 'Te extrañamos en Elite Fitness Club',
+          body: '💪 ¡Hola Ana! Ya son 7 días sin verte por el gym. ¿Te animas a venir esta semana?'
+        });
+      
+      // Idioma o estilo desconocidos caen en español motivacional
+      const fallback = composeInactivityMessage({ firstName: 'Ana', days: 7, language: 'fr', messageStyle: 'poetic', includeEmojis: false });
+      expect(fallback.language).toBe('es');
+      expect(fallback.body).toBe('Ana, cada día cuenta. Llevas 7 días sin entrenar: hoy es el día perfecto para volver y superarte.');
+    });
+    
+    test('Debe contar el check-in diario con el día de Guatemala y no el del servidor', () => {
+      // 17:30 en Guatemala (23:30 UTC)
+      const client = Client.build({ lastCheckIn: new Date('2026-10-19T23:30:00Z') });
+      
+      // 19:00 del mismo día en Guatemala, aunque en UTC ya sea el día siguiente
+      expect(hasCheckedInToday(client, new Date('2026-10-20T01:00:00Z'))).toBe(true);
+      // 00:30 del día siguiente en Guatemala
+      expect(hasCheckedInToday(client, new Date('2026-10-20T06:30:00Z'))).toBe(false);
+    });
+    
+    test('Debe registrar el check-in con el código QR del miembro desde un kiosco autorizado', async () => {
+      await request(app)
+        .post('/api/kiosks')
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ name: 'Lector entrada' })
+        .expect(403);
+      
+      const kiosk = await request(app)
+        .post('/api/kiosks')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ name: 'Lector entrada', location: 'Entrada principal' })
+        .expect(201);
+      
+      expect(kiosk.body.kiosk.secretHash).toBeUndefined();
+      
+      const qr = await request(app)
+        .get('/api/clients/me/checkin-code')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      await request(app)
+        .post('/api/kiosks/checkin')
+        .set('X-Kiosk-Key', `${kiosk.body.kiosk.id}.secreto-falso`)
+        .send({ code: qr.body.code })
+        .expect(401);
+      
+      // Dos lecturas simultáneas del mismo código: solo una registra la entrada
+      const scans = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/kiosks/checkin')
+        .set('X-Kiosk-Key', kiosk.body.kioskKey)
+        .send({ code: qr.body.code })));
+      
+      const checkIn = scans.find(scan => scan.status === 200);
+      const rejected = scans.find(scan => scan !== checkIn);
+      
+      expect(checkIn).toBeDefined();
+      expect(['CHECKIN_CODE_USED', 'CHECKIN_ALREADY_DONE_TODAY']).toContain(rejected.body.code);
+      expect(checkIn.body.checkIn.location).toBe('Entrada principal');
+      
+      // El código es de un solo uso
+      const reused = await request(app)
+        .post('/api/kiosks/checkin')
+        .set('X-Kiosk-Key', kiosk.body.kioskKey)
+        .send({ code: qr.body.code })
+        .expect(401);
+      
+      expect(reused.body.code).toBe('CHECKIN_CODE_USED');
+      
+      // Un código nuevo respeta el límite de un check-in por día
+      const second = await request(app)
+        .get('/api/clients/me/checkin-code')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      const again = await request(app)
+        .post('/api/kiosks/checkin')
+        .set('X-Kiosk-Key', kiosk.body.kioskKey)
+        .send({ code: second.body.code })
+        .expect(400);
+      
+      expect(again.body.code).toBe('CHECKIN_ALREADY_DONE_TODAY');
+      
+      const history = await request(app)
+        .get('/api/clients/me/checkins')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(history.body.checkIns[0].method).toBe('qr');
+    });
+    
+    test('Debe contar el aforo con entradas y salidas y bloquear el check-in con el gimnasio lleno', async () => {
+      const before = await request(app)
+        .get('/api/occupancy')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(before.body.occupancy.current).toBeGreaterThanOrEqual(2);
+      expect(before.body.occupancy.guests).toBeGreaterThanOrEqual(1);
+      expect(before.body.occupancy.current).toBe(before.body.occupancy.members + before.body.occupancy.guests);
+      
+      const streamToken = await request(app)
+        .post('/api/occupancy/stream-token')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(verifyStreamToken(streamToken.body.token)).toBe(`client:${testClient1.id}`);
+      expect(streamToken.body.streamUrl).toContain('?token=');
+      
+      const badStream = await request(app)
+        .get('/api/occupancy/stream?token=no-es-un-token')
+        .expect(401);
+      
+      expect(badStream.body.code).toBe('INVALID_STREAM_TOKEN');
+      
+      await request(app)
+        .post(`/api/clients/${testClient1.id}/checkout`)
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(403);
+      
+      const checkOut = await request(app)
+        .post(`/api/clients/${testClient1.id}/checkout`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(200);
+      
+      expect(checkOut.body.occupancy.current).toBe(before.body.occupancy.current - 1);
+      
+      const again = await request(app)
+        .post(`/api/clients/${testClient1.id}/checkout`)
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(409);
+      
+      expect(again.body.code).toBe('NOT_CHECKED_IN');
+      
+      process.env.GYM_CAPACITY = String(checkOut.body.occupancy.current);
+      
+      try {
+        const full = await checkCapacity();
+        expect(full.status).toBe(409);
+        expect(full.error.code).toBe('GYM_AT_CAPACITY');
+        
+        process.env.GYM_CAPACITY_BLOCK_CHECKIN = 'false';
+        expect((await checkCapacity()).occupancy.isFull).toBe(true);
+      } finally {
+        delete process.env.GYM_CAPACITY;
+        delete process.env.GYM_CAPACITY_BLOCK_CHECKIN;
+      }
+    });
+    
+    test('Debe resumir la asistencia por hora, mes y cohorte de ingreso', async () => {
+      await request(app)
+        .get('/api/analytics/attendance')
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .expect(403);
+      
+      const invalid = await request(app)
+        .get('/api/analytics/attendance?from=2026-10-01&to=2026-09-01')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(400);
+      
+      expect(invalid.body.code).toBe('INVALID_DATE_RANGE');
+      
+      const response = await request(app)
+        .get('/api/analytics/attendance')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(200);
+      
+      const { analytics } = response.body;
+      
+      expect(analytics.range.timezone).toBe('America/Guatemala');
+      expect(analytics.heatmap).toHaveLength(7);
+      expect(analytics.hourlyTotals.reduce((sum, n) => sum + n, 0)).toBe(analytics.totals.checkIns);
+      expect(analytics.totals.activeMembers).toBeGreaterThanOrEqual(2);
+      
+      // Los clientes de prueba ingresaron y entrenaron este mes
+      const cohort = analytics.cohorts[analytics.cohorts.length - 1];
+      expect(cohort.size).toBeGreaterThanOrEqual(2);
+      expect(cohort.retention[0].monthOffset).toBe(0);
+      expect(cohort.retention[0].activeMembers).toBeGreaterThanOrEqual(2);
+    });
+    
+    test('Debe resolver multiplicadores, niveles y topes diarios sin tocar la base de datos', () => {
+      const rule = {
+        multipliers: [
+          { label: 'Mañana', multiplier: 1.5, startTime: '06:00', endTime: '09:00' },
+          { label: 'Lunes temprano', multiplier: 2, daysOfWeek: [1], startTime: '07:00', endTime: '08:00' }
+        ]
+      };
+      
+      // Lunes 19/10 en hora de Guatemala (UTC-6): gana la ventana con mayor multiplicador
+      expect(resolveMultiplier(rule, new Date('2026-10-19T13:30:00Z'))).toEqual({ multiplier: 2, label: 'Lunes temprano' });
+      // La hora de fin queda excluida
+      expect(resolveMultiplier(rule, new Date('2026-10-19T14:00:00Z'))).toEqual({ multiplier: 1.5, label: 'Mañana' });
+      expect(resolveMultiplier(rule, new Date('2026-10-19T15:00:00Z'))).toEqual({ multiplier: 1, label: null });
+      // El martes solo aplica la ventana sin días
+      expect(resolveMultiplier(rule, new Date('2026-10-20T13:30:00Z'))).toEqual({ multiplier: 1.5, label: 'Mañana' });
+      
+      expect(getLevelInfo(0, DEFAULT_LEVEL_TIERS)).toMatchObject({
+        level: 1,
+        name: 'Principiante',
+        next: { level: 2, minPoints: 100, pointsNeeded: 100 }
+      });
+      expect(getLevelInfo(250, DEFAULT_LEVEL_TIERS)).toMatchObject({ level: 3, next: { pointsNeeded: 50 } });
+      expect(getLevelInfo(5000, DEFAULT_LEVEL_TIERS)).toMatchObject({ level: 10, name: 'Leyenda', next: null });
+      
+      expect(applyDailyCap(20, null, 100)).toEqual({ points: 20, capped: false });
+      expect(applyDailyCap(20, 30, 10)).toEqual({ points: 20, capped: false });
+      expect(applyDailyCap(20, 30, 15)).toEqual({ points: 15, capped: true });
+      expect(applyDailyCap(20, 30, 45)).toEqual({ points: 0, capped: true });
+    });
+    
+    test('Debe aplicar reglas de puntos configurables y la curva de niveles a todos los clientes', async () => {
+      await request(app)
+        .put('/api/gamification/rules/checkin')
+        .set('Authorization', `Bearer ${staffTokens.accessToken}`)
+        .send({ points: 20 })
+        .expect(403);
+      
+      await request(app)
+        .put('/api/gamification/rules/checkin')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ dailyCap: 15, multipliers: [{ label: 'Doble', multiplier: 2 }] })
+        .expect(200);
+      
+      // El cliente 2 ya ganó 10 puntos por check-in hoy: el tope deja solo 5
+      const award = await computeAward(testClient2.id, 'checkin');
+      expect(award).toMatchObject({ multiplier: 2, multiplierLabel: 'Doble', points: 5, capped: true });
+      
+      await request(app)
+        .put('/api/gamification/rules/checkin')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ dailyCap: null, multipliers: [] })
+        .expect(200);
+      
+      const invalid = await request(app)
+        .put('/api/gamification/levels')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ tiers: [{ name: 'Plata', minPoints: 50 }] })
+        .expect(400);
+      
+      expect(invalid.body.code).toBe('INVALID_LEVEL_CURVE');
+      
+      await request(app)
+        .put('/api/gamification/levels')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ tiers: [{ name: 'Oro', minPoints: 100000 }, { name: 'Bronce', minPoints: 0 }, { name: 'Plata', minPoints: 50 }] })
+        .expect(200);
+      
+      await testClient1.reload();
+      const expectedLevel = testClient1.points >= 50 ? 2 : 1;
+      expect(testClient1.level).toBe(expectedLevel);
+      
+      const levels = await request(app)
+        .get('/api/gamification/levels')
+        .set('Authorization', `Bearer ${client1Tokens.accessToken}`)
+        .expect(200);
+      
+      expect(levels.body.tiers.map(tier => tier.name)).toEqual(['Bronce', 'Plata', 'Oro']);
+      expect(levels.body.progress.level).toBe(expectedLevel);
+      expect(levels.body.progress.next.name).toBe(expectedLevel === 2 ? 'Oro' : 'Plata');
+      
+      await request(app)
+        .put('/api/gamification/levels')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ tiers: DEFAULT_LEVEL_TIERS.map(({ name, minPoints }) => ({ name, minPoints })) })
+        .expect(200);
+    });
+    
+    test('Debe registrar cada cambio de puntos en el libro y permitir descuentos y reversiones', async () => {
+      await request(app)
+        .post(`/api/clients/${testClient2.id}/points`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ points: 30, reason: 'Reto de noviembre' })
+        .expect(200);
+      
+      const missingReason = await request(app)
+        .post(`/api/clients/${testClient2.id}/points`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ points: -10 })
+        .expect(400);
+      
+      expect(missingReason.body.code).toBe('VALIDATION_ERROR');
+      
+      const deduction = await request(app)
+        .post(`/api/clients/${testClient2.id}/points`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ points: -10, reason: 'Puntos cargados por error' })
+        .expect(200);
+      
+      const deductionId = deduction.body.pointsTransaction.id;
+      expect(deduction.body.pointsTransaction.currentPoints).toBe(deduction.body.pointsTransaction.previousPoints - 10);
+      
+      const reversal = await request(app)
+        .post(`/api/clients/${testClient2.id}/points/transactions/${deductionId}/reverse`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'El descuento no correspondía' })
+        .expect(200);
+      
+      expect(reversal.body.reversal.amount).toBe(10);
+      
+      const twice = await request(app)
+        .post(`/api/clients/${testClient2.id}/points/transactions/${deductionId}/reverse`)
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .send({ reason: 'El descuento no correspondía' })
+        .expect(409);
+      
+      expect(twice.body.code).toBe('ALREADY_REVERSED');
+      
+      const history = await request(app)
+        .get('/api/clients/me/points/history')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      const [latest, deducted, added] = history.body.transactions;
+      expect(latest).toMatchObject({ source: 'reversal', amount: 10, reversedTransactionId: deductionId });
+      expect(deducted).toMatchObject({ source: 'manual', amount: -10, reversedBy: latest.id });
+      expect(added).toMatchObject({ source: 'manual', amount: 30, reason: 'Reto de noviembre' });
+      expect(latest.balanceAfter).toBe(history.body.balance.points);
+      expect(history.body.transactions.some(entry => entry.source === 'checkin')).toBe(true);
+    });
+    
+    test('Debe calcular rachas con días de gracia y mostrar las insignias del cliente', async () => {
+      // Un día sin venir no rompe la racha diaria; dos sí
+      const streaks = computeStreaks(
+        ['2026-09-28', '2026-10-05', '2026-10-12', '2026-10-14', '2026-10-17', '2026-10-18'],
+        '2026-10-19',
+        { graceDays: 1, weeklyMinVisits: 1 }
+      );
+      
+      expect(streaks.daily).toMatchObject({ current: 2, longest: 2, lastVisit: '2026-10-18' });
+      expect(streaks.weekly).toMatchObject({ current: 3, longest: 3, thisWeekVisits: 0 });
+      
+      const response = await request(app)
+        .get('/api/clients/me/achievements')
+        .set('Authorization', `Bearer ${client2Tokens.accessToken}`)
+        .expect(200);
+      
+      const firstVisit = response.body.badges.find(badge => badge.code === 'first_visit');
+      expect(firstVisit.earned).toBe(true);
+      expect(response.body.streaks.daily.current).toBeGreaterThanOrEqual(1);
+      expect(response.body.summary.total).toBe(BADGES.length);
+      
+      await request(app)
+        .get('/api/clients/me/achievements')
+        .set('Authorization', `Bearer ${adminTokens.accessToken}`)
+        .expect(403);
+    });
+    
   });
   
   describe('🔗 Integración de Rutas y Middleware', () => {
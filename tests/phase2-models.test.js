@@ -19,6 +19,7 @@ const {
   User, 
   Client, 
   ClientPreference, 
+  RevokedToken,
   sequelize,
   recreateDatabase 
 } = require('../src/models');
@@ -29,16 +30,25 @@ const {
   generateRefreshToken,
   generateTokenPair,
   verifyToken,
+  revokeToken,
   refreshAccessToken,
   isTokenExpiringSoon,
-  getTokenInfo
+  getTokenInfo,
+  decodeTokenWithoutVerification,
+  resolveTokenKey
 } = require('../src/utils/jwt');
 
+const { setSigningKey, getSigningKey } = require('../src/utils/keyManager');
+const crypto = require('crypto');
+
 const { 
   validateOAuthConfig,
   processGoogleProfile,
   processFacebookProfile,
-  isOAuthAvailable
+  isOAuthAvailable,
+  setLinkCookie,
+  buildOAuthState,
+  readOAuthState
 } = require('../src/utils/oauth');
 
 const { 
@@ -98,6 +108,16 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
   
   describe('🔑 Utilidades JWT', () => {
     
+    // Llave activa antes de un test que rota la firma
+    let previousSigningKey = null;
+    
+    afterEach(() => {
+      if (previousSigningKey) {
+        setSigningKey(previousSigningKey);
+        previousSigningKey = null;
+      }
+    });
+    
     test('Debe generar access token correctamente', () => {
       const payload = {
         id: testClient.id,
@@ -121,7 +141,7 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       expect(refreshResult.token).toMatch(/^[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+$/);
     });
     
-    test('Debe verificar token válido', () => {
+    test('Debe verificar token válido', async () => {
       const payload = {
         id: testClient.id,
         email: testClient.email,
@@ -129,7 +149,7 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       };
       
       const tokenResult = generateAccessToken(payload);
-      const decoded = verifyToken(tokenResult.token);
+      const decoded = await verifyToken(tokenResult.token);
       
       expect(decoded).toHaveProperty('id', testClient.id);
       expect(decoded).toHaveProperty('email', testClient.email);
@@ -138,10 +158,47 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       expect(decoded).toHaveProperty('exp');
     });
     
-    test('Debe rechazar token inválido', () => {
+    test('Debe rechazar token inválido', async () => {
       const invalidToken = 'invalid.token.here';
       
-      expect(() => verifyToken(invalidToken)).toThrow('Token inválido');
+      await expect(verifyToken(invalidToken)).rejects.toThrow('Token inválido');
+    });
+    
+    test('Debe rechazar token revocado de forma persistente', async () => {
+      const tokenResult = generateAccessToken({
+        id: testClient.id,
+        email: testClient.email,
+        type: 'client'
+      });
+      
+      const revoked = await revokeToken(tokenResult.token);
+      expect(revoked).toBe(true);
+      
+      await expect(verifyToken(tokenResult.token)).rejects.toThrow('Token revocado');
+      
+      // La revocación vive en la base de datos, no en memoria del proceso
+      const entry = await RevokedToken.findByPk(getTokenInfo(tokenResult.token).jwtId);
+      expect(entry).not.toBeNull();
+      expect(entry.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+    
+    test('Debe rotar refresh token y revocar la familia al reutilizarlo', async () => {
+      const tokenPair = generateTokenPair({
+        id: testClient.id,
+        email: testClient.email,
+        type: 'client'
+      });
+      
+      const rotated = await refreshAccessToken(tokenPair.refreshToken);
+      expect(rotated.refreshToken).not.toBe(tokenPair.refreshToken);
+      expect(rotated.familyId).toBe(tokenPair.familyId);
+      
+      // Presentar de nuevo el refresh token ya canjeado revoca toda la familia
+      await expect(refreshAccessToken(tokenPair.refreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+      await expect(verifyToken(rotated.refreshToken)).rejects.toThrow('Token revocado');
+      await expect(verifyToken(rotated.accessToken)).rejects.toThrow('Token revocado');
     });
     
     test('Debe generar par de tokens correctamente', () => {
@@ -163,6 +220,34 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       validTokens = tokenPair;
     });
     
+    test('Debe conservar el segundo factor en ambos tokens del par', async () => {
+      const tokenPair = generateTokenPair({
+        id: testUser.id,
+        email: testUser.email,
+        type: 'user',
+        role: testUser.role,
+        mfa: true
+      });
+      
+      expect(decodeTokenWithoutVerification(tokenPair.accessToken).payload.mfa).toBe(true);
+      expect(decodeTokenWithoutVerification(tokenPair.refreshToken).payload.mfa).toBe(true);
+      await expect(verifyToken(tokenPair.refreshToken)).resolves.toHaveProperty('mfa', true);
+    });
+    
+    test('Debe fijar la verificación al algoritmo de la llave del kid', async () => {
+      const { accessToken } = generateTokenPair({ id: testUser.id, email: testUser.email, type: 'user' });
+      const [header, payload, signature] = accessToken.split('.');
+      
+      const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+      const otherAlgorithm = decodedHeader.alg === 'HS256' ? 'RS256' : 'HS256';
+      const forgedHeader = Buffer.from(JSON.stringify({ ...decodedHeader, alg: otherAlgorithm })).toString('base64url');
+      const forged = [forgedHeader, payload, signature].join('.');
+      
+      await expect(resolveTokenKey(accessToken)).resolves.toHaveProperty('algorithm', decodedHeader.alg);
+      await expect(resolveTokenKey(forged)).resolves.toBeNull();
+      await expect(verifyToken(forged)).rejects.toThrow('Token inválido');
+    });
+    
     test('Debe obtener información del token sin verificar', () => {
       const tokenInfo = getTokenInfo(validTokens.accessToken);
       
@@ -189,6 +274,46 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       expect(isNotExpiring).toBe(false);
     });
     
+    test('Debe rotar a firma ES256 sin invalidar tokens firmados con la llave anterior', async () => {
+      const payload = {
+        id: testClient.id,
+        email: testClient.email,
+        type: 'client'
+      };
+      
+      const previousToken = generateAccessToken(payload).token;
+      
+      // El llavero es global: afterEach vuelve a dejar activa esta llave
+      const current = getSigningKey();
+      previousSigningKey = {
+        kid: current.kid,
+        algorithm: current.algorithm,
+        privateKey: current.algorithm === 'HS256'
+          ? current.key.export().toString('utf8')
+          : current.key.export({ type: 'pkcs8', format: 'pem' })
+      };
+      
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const kid = setSigningKey({
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        algorithm: 'ES256'
+      });
+      
+      const rotatedToken = generateAccessToken(payload).token;
+      
+      expect(decodeTokenWithoutVerification(rotatedToken).header).toMatchObject({ alg: 'ES256', kid });
+      await expect(verifyToken(rotatedToken)).resolves.toHaveProperty('id', testClient.id);
+      await expect(verifyToken(previousToken)).resolves.toHaveProperty('id', testClient.id);
+      
+      // Solo se publican llaves públicas (sin componente privado "d")
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+      
+      expect(response.body.keys.map(key => key.kid)).toEqual([kid]);
+      expect(response.body.keys[0]).not.toHaveProperty('d');
+    });
+    
   });
   
   describe('🌐 Configuración OAuth', () => {
@@ -252,6 +377,26 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       expect(processed).toHaveProperty('verified', true);
     });
     
+    test('Debe aceptar el state OAuth solo en el navegador que inició el flujo', () => {
+      const cookies = {};
+      const res = { cookie: (name, value) => { cookies[name] = value; } };
+      const cookieHeader = () => Object.entries(cookies).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ');
+      
+      setLinkCookie(res, { id: 'cliente-a-vincular' }, 'google');
+      
+      const state = buildOAuthState({ query: { link: '1' }, headers: { cookie: cookieHeader() } }, res, 'google');
+      
+      const sameBrowser = readOAuthState({ query: { state }, headers: { cookie: cookieHeader() } }, 'google');
+      expect(sameBrowser).toHaveProperty('linkClientId', 'cliente-a-vincular');
+      
+      // El mismo state abierto en otro navegador (sin la cookie del nonce) se rechaza
+      expect(readOAuthState({ query: { state }, headers: {} }, 'google')).toBeNull();
+      expect(readOAuthState({ query: { state }, headers: { cookie: cookieHeader() } }, 'facebook')).toBeNull();
+      
+      // Sin la cookie de vinculación, ?link=1 no vincula nada
+      expect(() => buildOAuthState({ query: { link: '1' }, headers: {} }, res, 'google')).toThrow();
+    });
+    
   });
   
   describe('🛡️ Sistema de Autorización', () => {
@@ -445,12 +590,12 @@ describe('🔐 Elite Fitness Club - Fase 2.2: Autenticación y JWT', () => {
       });
       
       // Verificar access token
-      const decoded = verifyToken(tokenPair.accessToken);
+      const decoded = await verifyToken(tokenPair.accessToken);
       expect(decoded.id).toBe(testClient.id);
       expect(decoded.email).toBe(testClient.email);
       
       // Verificar refresh token
-      const refreshDecoded = verifyToken(tokenPair.refreshToken);
+      const refreshDecoded = await verifyToken(tokenPair.refreshToken);
       expect(refreshDecoded.userId).toBe(testClient.id);
       expect(refreshDecoded.tokenType).toBe('refresh');
     });